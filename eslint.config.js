@@ -26,4 +26,19 @@ export default defineConfig([
       'no-unused-vars': ['error', { varsIgnorePattern: '^[A-Z_]' }],
     },
   },
+  {
+    // Build-time code runs in Node, not the browser
+    files: ['plugins/**/*.js', 'scripts/**/*.js', '*.config.js'],
+    languageOptions: {
+      globals: globals.node,
+    },
+  },
+  {
+    // The service worker is a classic script with its own global scope
+    files: ['public/sw.js'],
+    languageOptions: {
+      globals: globals.serviceworker,
+      sourceType: 'script',
+    },
+  },
 ])
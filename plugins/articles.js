@@ -0,0 +1,313 @@
+// plugins/articles.js
+//
+// Tree care articles. Each src/content/articles/<slug>.md is Markdown with
+// a frontmatter block on top:
+//
+//   ---
+//   title: When to prune oaks in Tennessee
+//   date: 2026-01-12
+//   summary: One or two sentences for the listing, search results and feeds.
+//   tags: [oaks, pruning, seasonal]
+//   hero: /images/cheathamArbor2.avif
+//   heroAlt: Crew pruning a white oak
+//   service: tree-trimming-pruning
+//   ---
+//
+// The app imports them, newest first, already converted to HTML:
+//
+//   import articles from "virtual:cheatham-articles";
+//   articles[0] = { slug, title, date, updated?, summary, tags, hero,
+//     heroAlt, service?, minutes, text, blocks }
+//
+// `blocks` is the body split around photo strips: { type: "html", html }
+// or { type: "gallery", photos?: [photo ids], tag?: service id }, written
+// in the Markdown as a fenced block:
+//
+//   ```gallery
+//   photo-3, photo-7
+//   ```
+//
+// Frontmatter is checked against src/content/schema.js (and gallery /
+// service ids against the JSON files) like the rest of the content. Builds
+// also write dist/rss.xml and dist/atom.xml. `draft: true` articles only
+// show on the dev server.
+import fs from "node:fs";
+import path from "node:path";
+import { marked } from "marked";
+import { articleSchema } from "../src/content/schema.js";
+
+const ARTICLES_DIR = "src/content/articles";
+const VIRTUAL_ID = "virtual:cheatham-articles";
+const RESOLVED_ID = `\0${VIRTUAL_ID}`;
+const WORDS_PER_MINUTE = 200;
+const FEED_SIZE = 20;
+
+/** `key: value` lines; values may be "quoted", [a, b] lists or "- item" lines. */
+function parseFrontmatter(source, file) {
+  const match = source.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+  if (!match) return { data: null, body: source, problems: [`${file}: needs a frontmatter block between --- lines`] };
+  const data = {};
+  const problems = [];
+  let listKey = null;
+  const scalar = (v) => {
+    const s = v.trim();
+    if (/^(["']).*\1$/.test(s)) return s.slice(1, -1);
+    if (s === "true" || s === "false") return s === "true";
+    return s;
+  };
+  match[1].split(/\r?\n/).forEach((line, i) => {
+    if (!line.trim() || line.trim().startsWith("#")) return;
+    const item = line.match(/^\s+-\s+(.*)$/);
+    if (item && listKey) {
+      data[listKey].push(scalar(item[1]));
+      return;
+    }
+    const kv = line.match(/^([A-Za-z][\w-]*):\s*(.*)$/);
+    if (!kv) {
+      problems.push(`${file}: frontmatter line ${i + 2} isn't "key: value"`);
+      return;
+    }
+    const [, key, raw] = kv;
+    listKey = null;
+    if (raw === "") {
+      data[key] = [];
+      listKey = key;
+    } else if (/^\[.*\]$/.test(raw.trim())) {
+      data[key] = raw.trim().slice(1, -1).split(",").map(scalar).filter(Boolean);
+    } else {
+      data[key] = scalar(raw);
+    }
+  });
+  return { data, body: source.slice(match[0].length), problems };
+}
+
+const decode = (s) =>
+  s.replace(/&(amp|lt|gt|quot|#39);/g, (m, e) => ({ amp: "&", lt: "<", gt: ">", quot: '"', "#39": "'" })[e]);
+
+/** ```gallery blocks → { tag } or { photos }. */
+function galleryBlock(text) {
+  const tag = text.match(/^\s*tag:\s*(\S+)\s*$/);
+  return tag ? { type: "gallery", tag: tag[1] } : { type: "gallery", photos: text.split(/[\s,]+/).filter(Boolean) };
+}
+
+/** Markdown body → blocks, plain text for search, and reading time. */
+function renderBody(body) {
+  const blocks = [];
+  let pending = [];
+  const flush = () => {
+    if (!pending.length) return;
+    blocks.push({ type: "html", html: marked.parser(pending) });
+    pending = [];
+  };
+  marked.lexer(body).forEach((token) => {
+    if (token.type === "code" && token.lang === "gallery") {
+      flush();
+      blocks.push(galleryBlock(token.text));
+    } else {
+      pending.push(token);
+    }
+  });
+  flush();
+  const text = decode(
+    blocks
+      .filter((b) => b.type === "html")
+      .map((b) => b.html.replace(/<[^>]+>/g, " "))
+      .join(" ")
+  )
+    .replace(/\s+/g, " ")
+    .trim();
+  const words = text ? text.split(" ").length : 0;
+  return { blocks, text, minutes: Math.max(1, Math.round(words / WORDS_PER_MINUTE)) };
+}
+
+/** Gallery embeds and related services must exist in the JSON files. */
+function refProblems(article, file, { photoIds, serviceIds }) {
+  const problems = [];
+  if (article.service && !serviceIds.has(article.service)) {
+    problems.push(`${file}: service "${article.service}" is not a service id in services.json`);
+  }
+  article.blocks
+    .filter((b) => b.type === "gallery")
+    .forEach((b) => {
+      if (b.tag && !serviceIds.has(b.tag)) problems.push(`${file}: gallery tag "${b.tag}" is not a service id`);
+      (b.photos || []).forEach((id) => {
+        if (!photoIds.has(id)) problems.push(`${file}: gallery photo "${id}" is not a photo id in gallery.json`);
+      });
+      if (b.photos && !b.photos.length) problems.push(`${file}: empty gallery block`);
+    });
+  return problems;
+}
+
+export function loadArticles(root, { drafts = false } = {}) {
+  const dir = path.join(root, ARTICLES_DIR);
+  const json = (name) => JSON.parse(fs.readFileSync(path.join(root, "src/content", name), "utf8"));
+  const refs = {
+    photoIds: new Set(json("gallery.json").map((g) => g.id)),
+    serviceIds: new Set(json("services.json").map((s) => s.id)),
+  };
+  const ctx = { publicFileExists: (p) => fs.existsSync(path.join(root, "public", p)) };
+  const problems = [];
+  const articles = [];
+  const files = fs.existsSync(dir) ? fs.readdirSync(dir).filter((f) => f.endsWith(".md")).sort() : [];
+
+  files.forEach((name) => {
+    const file = `articles/${name}`;
+    const slug = name.replace(/\.md$/, "");
+    if (!/^[a-z0-9]+(-[a-z0-9]+)*$/.test(slug)) {
+      problems.push(`${file}: file name should be lowercase-words-with-dashes (it's the URL)`);
+      return;
+    }
+    const { data, body, problems: parseProblems } = parseFrontmatter(fs.readFileSync(path.join(dir, name), "utf8"), file);
+    problems.push(...parseProblems);
+    if (!data) return;
+    const invalid = articleSchema(data, file, ctx);
+    problems.push(...invalid);
+    if (invalid.length) return;
+    const article = { slug, ...data, ...renderBody(body) };
+    problems.push(...refProblems(article, file, refs));
+    if (!data.draft || drafts) articles.push(article);
+  });
+
+  articles.sort((a, b) => b.date.localeCompare(a.date) || a.title.localeCompare(b.title));
+  return { articles, problems };
+}
+
+// --- feeds
+
+const xml = (s) =>
+  String(s).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+/**
+ * Article HTML for feed readers: hero on top, galleries as plain images
+ * (JPEG, which every reader shows) and site-relative links made absolute.
+ */
+async function feedHtml(article, site, gallery, jpeg) {
+  const img = async (src, alt) => `<p><img src="${await jpeg(src)}" alt="${xml(alt)}" /></p>`;
+  const parts = [await img(article.hero, article.heroAlt)];
+  for (const b of article.blocks) {
+    if (b.type === "html") {
+      parts.push(b.html);
+      continue;
+    }
+    const photos = b.tag ? gallery.filter((g) => g.tags.includes(b.tag)) : b.photos.map((id) => gallery.find((g) => g.id === id));
+    for (const p of photos) parts.push(await img(p.src, p.alt));
+  }
+  return parts.join("\n").replace(/(href|src)="\//g, `$1="${site}/`);
+}
+
+function rss({ site, name, description }, entries) {
+  const items = entries.map(
+    (e) => `    <item>
+      <title>${xml(e.title)}</title>
+      <link>${e.url}</link>
+      <guid isPermaLink="true">${e.url}</guid>
+      <pubDate>${new Date(`${e.date}T12:00:00Z`).toUTCString()}</pubDate>
+${e.tags.map((tag) => `      <category>${xml(tag)}</category>`).join("\n")}
+      <description>${xml(e.html)}</description>
+    </item>`
+  );
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${xml(name)} — Tree Care Articles</title>
+    <link>${site}/articles</link>
+    <description>${xml(description)}</description>
+    <language>en-us</language>
+    <atom:link href="${site}/rss.xml" rel="self" type="application/rss+xml" />
+${items.join("\n")}
+  </channel>
+</rss>
+`;
+}
+
+function atom({ site, name, description }, entries) {
+  const stamp = (d) => `${d}T12:00:00Z`;
+  const updated = entries.length ? stamp(entries.map((e) => e.updated || e.date).sort().at(-1)) : new Date().toISOString();
+  const items = entries.map(
+    (e) => `  <entry>
+    <title>${xml(e.title)}</title>
+    <link href="${e.url}" />
+    <id>${e.url}</id>
+    <published>${stamp(e.date)}</published>
+    <updated>${stamp(e.updated || e.date)}</updated>
+${e.tags.map((tag) => `    <category term="${xml(tag)}" />`).join("\n")}
+    <summary>${xml(e.summary)}</summary>
+    <content type="html">${xml(e.html)}</content>
+  </entry>`
+  );
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${xml(name)} — Tree Care Articles</title>
+  <subtitle>${xml(description)}</subtitle>
+  <link href="${site}/articles" />
+  <link href="${site}/atom.xml" rel="self" />
+  <id>${site}/articles</id>
+  <updated>${updated}</updated>
+  <author><name>${xml(name)}</name></author>
+${items.join("\n")}
+</feed>
+`;
+}
+
+const format = (problems) =>
+  `Article problems (src/content/articles):\n${problems.map((p) => `  • ${p}`).join("\n")}`;
+
+export default function articlesPlugin() {
+  let config;
+  let isBuild = true;
+  let loaded = null;
+
+  const load = () => (loaded ||= loadArticles(config.root, { drafts: !isBuild }));
+
+  return {
+    name: "cheatham:articles",
+    configResolved(resolved) {
+      config = resolved;
+      isBuild = config.command === "build";
+    },
+    buildStart() {
+      const { problems } = load();
+      if (!problems.length) return;
+      if (isBuild) this.error(format(problems));
+      else this.warn(format(problems));
+    },
+    resolveId(id) {
+      if (id === VIRTUAL_ID) return RESOLVED_ID;
+    },
+    load(id) {
+      if (id !== RESOLVED_ID) return;
+      return `export default ${JSON.stringify(load().articles)};`;
+    },
+    configureServer(server) {
+      // An article added or edited: rebuild the list and reload
+      server.watcher.on("all", (event, file) => {
+        if (!file.startsWith(path.join(config.root, ARTICLES_DIR))) return;
+        loaded = null;
+        const { problems } = load();
+        if (problems.length) server.config.logger.error(format(problems), { timestamp: true });
+        const mod = server.moduleGraph.getModuleById(RESOLVED_ID);
+        if (mod) server.moduleGraph.invalidateModule(mod);
+        server.ws.send({ type: "full-reload" });
+      });
+    },
+    async generateBundle() {
+      if (config.build.ssr) return;
+      const json = (name) => JSON.parse(fs.readFileSync(path.join(config.root, "src/content", name), "utf8"));
+      const business = json("business.json");
+      const gallery = json("gallery.json");
+      const channel = {
+        site: business.url,
+        name: business.name,
+        description: `Seasonal tree care advice from ${business.name} in ${business.serviceArea}.`,
+      };
+      const images = config.plugins.find((p) => p.name === "cheatham:images")?.api;
+      const jpeg = images ? (src) => images.jpeg(src) : async (src) => src;
+      const entries = [];
+      for (const a of load().articles.slice(0, FEED_SIZE)) {
+        entries.push({ ...a, url: `${business.url}/articles/${a.slug}`, html: await feedHtml(a, business.url, gallery, jpeg) });
+      }
+      this.emitFile({ type: "asset", fileName: "rss.xml", source: rss(channel, entries) });
+      this.emitFile({ type: "asset", fileName: "atom.xml", source: atom(channel, entries) });
+    },
+  };
+}
@@ -0,0 +1,45 @@
+// plugins/beacon.js
+//
+// Stand-in for the analytics beacon endpoint during `npm run dev` and
+// `npm run preview`: accepts POST /api/events and prints each event in the
+// terminal, so the beacon sink (src/lib/analytics/sinks.js) can be watched
+// working without a real collector behind it.
+
+const PATH = "/api/events";
+
+function middleware(logger) {
+  return (req, res, next) => {
+    if (req.url !== PATH) return next();
+    if (req.method !== "POST") {
+      res.statusCode = 405;
+      return res.end();
+    }
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+      if (body.length > 10_000) req.destroy(); // events are tiny; anything else isn't ours
+    });
+    req.on("end", () => {
+      try {
+        const { name, props, path } = JSON.parse(body);
+        logger.info(`[analytics] ${name} ${JSON.stringify(props)} on ${path}`, { timestamp: true });
+      } catch {
+        logger.warn(`[analytics] unreadable event: ${body.slice(0, 200)}`);
+      }
+      res.statusCode = 204;
+      res.end();
+    });
+  };
+}
+
+export default function beaconPlugin() {
+  return {
+    name: "cheatham:beacon",
+    configureServer(server) {
+      server.middlewares.use(middleware(server.config.logger));
+    },
+    configurePreviewServer(server) {
+      server.middlewares.use(middleware(server.config.logger));
+    },
+  };
+}
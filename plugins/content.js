@@ -0,0 +1,107 @@
+// plugins/content.js
+//
+// Validates src/content/*.json against src/content/schema.js. A bad phone
+// number, a missing field or an image path that isn't in public/ fails
+// `vite build` with a readable list instead of shipping a broken page. The
+// dev server re-checks on save and shows problems in the error overlay.
+// Quotes in public/quotes/ are checked the same way: they can be added
+// without a build, but any there at build time shouldn't be broken. The
+// sample quotes in src/content/quotes/ are checked too, and served at
+// /quotes/<id>.json by the dev server only, so production never has a
+// quote anyone could guess the link to.
+import fs from "node:fs";
+import path from "node:path";
+import { validateContent, validateQuote } from "../src/content/schema.js";
+
+const SAMPLE_QUOTES = "src/content/quotes";
+
+const FILES = ["business", "services", "process", "gallery", "serviceArea", "pricing", "treeHealth", "reviews", "es"];
+
+function readContent(contentDir) {
+  const content = {};
+  const problems = [];
+  FILES.forEach((name) => {
+    const file = path.join(contentDir, `${name}.json`);
+    try {
+      content[name] = JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (err) {
+      problems.push(`${name}.json: ${err.code === "ENOENT" ? "file is missing" : `invalid JSON — ${err.message}`}`);
+    }
+  });
+  return { content, problems };
+}
+
+function checkQuotes(root, folder, ctx) {
+  const dir = path.join(root, folder);
+  if (!fs.existsSync(dir)) return [];
+  return fs
+    .readdirSync(dir)
+    .filter((f) => f.endsWith(".json"))
+    .sort()
+    .flatMap((name) => {
+      const file = `${folder}/${name}`;
+      try {
+        return validateQuote(JSON.parse(fs.readFileSync(path.join(dir, name), "utf8")), file, ctx);
+      } catch (err) {
+        return [`${file}: invalid JSON — ${err.message}`];
+      }
+    });
+}
+
+export function checkContent(root) {
+  const contentDir = path.join(root, "src/content");
+  const publicDir = path.join(root, "public");
+  const { content, problems } = readContent(contentDir);
+  if (problems.length) return problems;
+  const ctx = { publicFileExists: (p) => fs.existsSync(path.join(publicDir, p)) };
+  const quoteCtx = { ...ctx, serviceIds: new Set((Array.isArray(content.services) ? content.services : []).map((s) => s?.id)) };
+  return [
+    ...validateContent(content, ctx),
+    ...checkQuotes(root, "public/quotes", quoteCtx),
+    ...checkQuotes(root, SAMPLE_QUOTES, quoteCtx),
+  ];
+}
+
+const format = (problems) =>
+  `Content validation failed (src/content, public/quotes):\n${problems.map((p) => `  • ${p}`).join("\n")}`;
+
+export default function contentPlugin() {
+  let root = process.cwd();
+  let isBuild = true;
+  return {
+    name: "cheatham:content",
+    configResolved(config) {
+      root = config.root;
+      isBuild = config.command === "build";
+    },
+    buildStart() {
+      const problems = checkContent(root);
+      if (!problems.length) return;
+      // Fail builds outright; in dev, say so but keep the server up to fix it
+      if (isBuild) this.error(format(problems));
+      else this.warn(format(problems));
+    },
+    configureServer(server) {
+      // Sample quotes for trying /quote?id=example locally; a real file of
+      // the same name in public/quotes/ wins
+      server.middlewares.use("/quotes", (req, res, next) => {
+        const name = path.basename(decodeURIComponent(req.url.split("?")[0]));
+        const file = path.join(root, SAMPLE_QUOTES, name);
+        if (!name.endsWith(".json") || fs.existsSync(path.join(root, "public/quotes", name)) || !fs.existsSync(file)) return next();
+        res.setHeader("Content-Type", "application/json");
+        fs.createReadStream(file).pipe(res);
+      });
+      const recheck = (file) => {
+        // src/content/ covers the sample quotes too
+        const watched = [`${path.sep}src${path.sep}content${path.sep}`, `${path.sep}public${path.sep}quotes${path.sep}`];
+        if (!watched.some((dir) => file.includes(dir)) || !file.endsWith(".json")) return;
+        const problems = checkContent(root);
+        if (!problems.length) return;
+        server.config.logger.error(format(problems), { timestamp: true });
+        server.ws.send({ type: "error", err: { message: format(problems), stack: "", plugin: "cheatham:content" } });
+      };
+      server.watcher.on("change", recheck);
+      server.watcher.on("add", recheck);
+    },
+  };
+}
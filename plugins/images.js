@@ -0,0 +1,179 @@
+// plugins/images.js
+//
+// Responsive images. Every photo under public/images is resized to a few
+// widths in AVIF, WebP and JPEG, and the app imports a manifest of them:
+//
+//   import manifest from "virtual:cheatham-images";
+//   manifest["/images/header.jpg"] = {
+//     width, height,        // original size (after EXIF rotation)
+//     color: "#182818",     // dominant colour
+//     blur: "data:…",       // ~16px-wide WebP to show while loading
+//     base: "/images/r/header-3f9c2a1b07",
+//     widths: [480, 800, 1200, 1400],   // files are `${base}-${w}.avif|webp|jpg`
+//   }
+//
+// SVGs only get { width, height } — they scale on their own.
+//
+// Encoding (AVIF especially) is slow, so results are kept in
+// node_modules/.cache/cheatham-images, keyed by a hash of the source file
+// and the settings below; only new or changed photos cost anything. The dev
+// server serves the files from there; builds emit them to dist/images/r.
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+import sharp from "sharp";
+
+const SOURCE_DIR = "public/images";
+const CACHE_DIR = "node_modules/.cache/cheatham-images";
+const URL_PREFIX = "/images/r/";
+const VIRTUAL_ID = "virtual:cheatham-images";
+const RESOLVED_ID = `\0${VIRTUAL_ID}`;
+
+const WIDTHS = [480, 800, 1200, 1600];
+const FORMATS = {
+  avif: { ext: "avif", options: { quality: 50, effort: 2 } },
+  webp: { ext: "webp", options: { quality: 72 } },
+  jpeg: { ext: "jpg", options: { quality: 75, mozjpeg: true } },
+};
+const BLUR_WIDTH = 16;
+
+const RASTER = /\.(avif|jpe?g|png|webp)$/i;
+const SETTINGS = JSON.stringify({ WIDTHS, FORMATS, BLUR_WIDTH });
+
+const toHex = ({ r, g, b }) => `#${[r, g, b].map((n) => n.toString(16).padStart(2, "0")).join("")}`;
+
+/** Widths to generate for a photo `width` px wide: never upscale. */
+function widthsFor(width) {
+  const max = Math.min(width, WIDTHS.at(-1));
+  return [...new Set([...WIDTHS.filter((w) => w < max), max])];
+}
+
+async function processImage(file, cacheDir) {
+  const input = fs.readFileSync(file);
+  const name = path.basename(file).replace(/\.[^.]+$/, "");
+  const hash = crypto.createHash("sha256").update(input).update(SETTINGS).digest("hex").slice(0, 10);
+  const stem = `${name}-${hash}`;
+  const metaFile = path.join(cacheDir, `${stem}.json`);
+  if (fs.existsSync(metaFile)) return { entry: JSON.parse(fs.readFileSync(metaFile, "utf8")), generated: 0 };
+
+  const meta = await sharp(input).metadata();
+  const { width, height } = meta.autoOrient || meta;
+  if (meta.format === "svg") return { entry: { width, height }, generated: 0 };
+
+  const widths = widthsFor(width);
+  for (const w of widths) {
+    for (const { ext, options } of Object.values(FORMATS)) {
+      const format = ext === "jpg" ? "jpeg" : ext;
+      await sharp(input)
+        .rotate()
+        .resize({ width: w })
+        .toFormat(format, options)
+        .toFile(path.join(cacheDir, `${stem}-${w}.${ext}`));
+    }
+  }
+  const { dominant } = await sharp(input).stats();
+  const blur = await sharp(input).rotate().resize({ width: BLUR_WIDTH }).webp({ quality: 40 }).toBuffer();
+  const entry = {
+    width,
+    height,
+    color: toHex(dominant),
+    blur: `data:image/webp;base64,${blur.toString("base64")}`,
+    base: `${URL_PREFIX}${stem}`,
+    widths,
+  };
+  fs.writeFileSync(metaFile, JSON.stringify(entry));
+  return { entry, generated: widths.length * Object.keys(FORMATS).length };
+}
+
+function variantFiles(entry) {
+  if (!entry.widths) return [];
+  return entry.widths.flatMap((w) =>
+    Object.values(FORMATS).map(({ ext }) => `${entry.base.slice(URL_PREFIX.length)}-${w}.${ext}`)
+  );
+}
+
+export default function imagesPlugin() {
+  let config;
+  let cacheDir;
+  let manifest = null;
+
+  // { "/images/x.avif": entry }, built once per process (and after edits in dev)
+  function buildManifest() {
+    manifest ||= (async () => {
+      const dir = path.join(config.root, SOURCE_DIR);
+      fs.mkdirSync(cacheDir, { recursive: true });
+      const files = fs.existsSync(dir)
+        ? fs.readdirSync(dir).filter((f) => RASTER.test(f) || f.endsWith(".svg")).sort()
+        : [];
+      const out = {};
+      let generated = 0;
+      for (const f of files) {
+        const result = await processImage(path.join(dir, f), cacheDir);
+        out[`/images/${f}`] = result.entry;
+        generated += result.generated;
+      }
+      const photos = Object.values(out).filter((e) => e.widths).length;
+      config.logger.info(
+        `images: ${photos} photos in ${Object.keys(FORMATS).length} formats` +
+          (generated ? ` (${generated} files encoded, the rest cached)` : " (all cached)")
+      );
+      return out;
+    })();
+    return manifest;
+  }
+
+  return {
+    name: "cheatham:images",
+    configResolved(resolved) {
+      config = resolved;
+      cacheDir = path.join(config.root, CACHE_DIR);
+    },
+    resolveId(id) {
+      if (id === VIRTUAL_ID) return RESOLVED_ID;
+    },
+    async load(id) {
+      if (id !== RESOLVED_ID) return;
+      return `export default ${JSON.stringify(await buildManifest())};`;
+    },
+    configureServer(server) {
+      server.middlewares.use(URL_PREFIX, (req, res, next) => {
+        const file = path.join(cacheDir, path.basename(decodeURIComponent(req.url.split("?")[0])));
+        if (!fs.existsSync(file)) return next();
+        res.setHeader("Content-Type", `image/${path.extname(file).slice(1).replace("jpg", "jpeg")}`);
+        fs.createReadStream(file).pipe(res);
+      });
+      // A photo added or replaced in public/images: rebuild the manifest
+      server.watcher.on("all", (event, file) => {
+        if (!file.startsWith(path.join(config.root, SOURCE_DIR))) return;
+        manifest = null;
+        const mod = server.moduleGraph.getModuleById(RESOLVED_ID);
+        if (mod) server.moduleGraph.invalidateModule(mod);
+        server.ws.send({ type: "full-reload" });
+      });
+    },
+    async generateBundle() {
+      if (config.build.ssr) return;
+      for (const entry of Object.values(await buildManifest())) {
+        for (const file of variantFiles(entry)) {
+          this.emitFile({
+            type: "asset",
+            fileName: `${URL_PREFIX.slice(1)}${file}`,
+            source: fs.readFileSync(path.join(cacheDir, file)),
+          });
+        }
+      }
+    },
+    api: {
+      /** { "/images/r/header-3f9c2a1b07": "/images/header.jpg" } for the service worker. */
+      async originals() {
+        const entries = Object.entries(await buildManifest()).filter(([, e]) => e.widths);
+        return Object.fromEntries(entries.map(([src, e]) => [e.base, src]));
+      },
+      /** Largest JPEG of a photo, for places that can't take AVIF (feeds); else `src` itself. */
+      async jpeg(src) {
+        const entry = (await buildManifest())[src];
+        return entry?.widths ? `${entry.base}-${entry.widths.at(-1)}.jpg` : src;
+      },
+    },
+  };
+}
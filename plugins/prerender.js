@@ -0,0 +1,84 @@
+// plugins/prerender.js
+//
+// After `vite build`, renders every route in src/routes.js to static HTML
+// (dist/index.html, dist/services/<id>/index.html, dist/404.html) with the
+// page's title, description, Open Graph/Twitter tags and JSON-LD in <head>,
+// then writes sitemap.xml (minus noindex pages) and robots.txt. The browser bundle hydrates over
+// that markup (see src/main.jsx) instead of rendering from scratch.
+import fs from "node:fs";
+import path from "node:path";
+import { createServer } from "vite";
+
+const ENTRY = "/src/entry-server.jsx";
+
+function fileFor(outDir, route) {
+  if (route === "/") return path.join(outDir, "index.html");
+  return path.join(outDir, route.replace(/^\/|\/$/g, ""), "index.html");
+}
+
+function inject(template, { head, html }, file) {
+  if (!/<title>[^<]*<\/title>/.test(template) || !template.includes('<div id="root"></div>')) {
+    throw new Error(`${file}: index.html needs a <title> and an empty <div id="root"></div> to prerender into`);
+  }
+  // React emits resource hints (image preloads) ahead of the markup;
+  // they belong in <head>, not inside the element being hydrated
+  const hints = html.match(/^(<link [^>]*>)*/)[0];
+  return template
+    .replace(/<title>[^<]*<\/title>/, `${head}${hints ? `\n    ${hints}` : ""}`)
+    .replace('<div id="root"></div>', `<div id="root">${html.slice(hints.length)}</div>`);
+}
+
+function sitemap(siteUrl, paths) {
+  const today = new Date().toISOString().slice(0, 10);
+  const urls = paths.map(
+    (p) => `  <url>\n    <loc>${new URL(p, siteUrl).href}</loc>\n    <lastmod>${today}</lastmod>\n  </url>`
+  );
+  return `<?xml version="1.0" encoding="UTF-8"?>\n<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n${urls.join("\n")}\n</urlset>\n`;
+}
+
+const robots = (siteUrl) => `User-agent: *\nAllow: /\n\nSitemap: ${siteUrl}/sitemap.xml\n`;
+
+export default function prerenderPlugin() {
+  let config;
+  return {
+    name: "cheatham:prerender",
+    apply: "build",
+    configResolved(resolved) {
+      config = resolved;
+    },
+    async closeBundle() {
+      if (config.build.ssr) return;
+      const outDir = path.resolve(config.root, config.build.outDir);
+      const template = fs.readFileSync(path.join(outDir, "index.html"), "utf8");
+
+      // A throwaway dev server is the simplest way to run JSX + JSON imports
+      // in Node; this plugin is build-only, so it doesn't load itself again.
+      const server = await createServer({
+        root: config.root,
+        mode: config.mode,
+        logLevel: "error",
+        appType: "custom",
+        server: { middlewareMode: true, hmr: false, ws: false },
+      });
+      try {
+        const { render, prerenderPaths, siteUrl } = await server.ssrLoadModule(ENTRY);
+        const paths = prerenderPaths();
+        const listed = [];
+        for (const route of paths) {
+          const file = fileFor(outDir, route);
+          const page = render(route);
+          fs.mkdirSync(path.dirname(file), { recursive: true });
+          fs.writeFileSync(file, inject(template, page, file));
+          if (!page.meta.noindex) listed.push(route);
+        }
+        // Most static hosts serve this for unknown paths
+        fs.writeFileSync(path.join(outDir, "404.html"), inject(template, render("/404"), "404.html"));
+        fs.writeFileSync(path.join(outDir, "sitemap.xml"), sitemap(siteUrl, listed));
+        fs.writeFileSync(path.join(outDir, "robots.txt"), robots(siteUrl));
+        config.logger.info(`prerendered ${paths.length} pages + 404.html, sitemap.xml, robots.txt`);
+      } finally {
+        await server.close();
+      }
+    },
+  };
+}
@@ -0,0 +1,129 @@
+// plugins/serviceWorker.js
+//
+// After the build (and the prerender), lists what public/sw.js should
+// precache and writes it into dist/sw.js, then writes dist/offline.html —
+// the page shown for anything not cached while there's no connection.
+// The version is a hash of every listed file, so a deploy that changes
+// any of them installs a fresh cache and drops the old one.
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+
+const SW_FILE = "sw.js";
+const OFFLINE_FILE = "offline.html";
+
+// Fetched fresh (JSON data), streamed (video) or only for crawlers and feed
+// readers (sitemap, RSS/Atom). Quotes and their photos are one customer's
+// business, not every visitor's. The resized photos (plugins/images.js)
+// aren't saved up front: offline, the worker answers for them with the
+// original, which is.
+const SKIP = [/^sw\.js$/, /^video\//, /^images\/r\//, /^quotes\//, /\.json$/, /\.xml$/, /^(robots\.txt|vite\.svg)$/, /\.map$/];
+
+function walk(dir, base = dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const full = path.join(dir, entry.name);
+    return entry.isDirectory() ? walk(full, base) : [path.relative(base, full).split(path.sep).join("/")];
+  });
+}
+
+const escapeHtml = (s) =>
+  String(s).replace(/[&<>"]/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[c]);
+
+/** Self-contained page (no script bundle, no images) in both languages. */
+function offlinePage(business) {
+  const name = escapeHtml(business.name);
+  const digits = business.phone.replace(/^\+1/, "");
+  const phone = `(${digits.slice(0, 3)}) ${digits.slice(3, 6)}-${digits.slice(6)}`;
+  return `<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+    <meta name="robots" content="noindex" />
+    <meta name="theme-color" content="#1E5630" />
+    <link rel="icon" type="image/svg+xml" href="/favicon.svg" />
+    <title>Offline | ${name}</title>
+    <style>
+      body { margin: 0; min-height: 100dvh; display: grid; place-items: center; padding: 1rem;
+        font-family: system-ui, sans-serif; background: #E9EFE9; color: #2F2419; }
+      main { max-width: 28rem; background: #fff; border: 1px solid #c9d6c9; border-radius: 1rem; padding: 2rem; }
+      h1 { margin: 0 0 .5rem; color: #1E5630; font-size: 1.5rem; }
+      p { line-height: 1.5; }
+      a.button { display: inline-block; margin: .25rem .5rem .25rem 0; padding: .6rem 1rem; border-radius: .6rem;
+        background: #1E5630; color: #fff; text-decoration: none; }
+      a.plain { color: #1E5630; }
+      [lang="es"] { display: none; }
+      html[lang="es"] [lang="es"] { display: block; }
+      html[lang="es"] [lang="en"] { display: none; }
+    </style>
+    <script>
+      try {
+        if (localStorage.getItem("cheatham.locale") === "es") document.documentElement.lang = "es";
+      } catch (e) {}
+    </script>
+  </head>
+  <body>
+    <main>
+      <div lang="en">
+        <h1>You're offline</h1>
+        <p>This page isn't saved on your device yet. The pages you've already visited still work, and forms
+          you send while offline go out as soon as you're back in signal.</p>
+      </div>
+      <div lang="es">
+        <h1>Está sin conexión</h1>
+        <p>Esta página todavía no está guardada en su dispositivo. Las páginas que ya visitó siguen funcionando,
+          y los formularios que envíe sin conexión se mandan en cuanto vuelva a tener señal.</p>
+      </div>
+      <p>
+        <a class="button" href="tel:${escapeHtml(business.phone)}">${phone}</a>
+        <a class="plain" href="/"><span lang="en">Home page</span><span lang="es">Página de inicio</span></a>
+      </p>
+      <p><small>${name}</small></p>
+    </main>
+  </body>
+</html>
+`;
+}
+
+export default function serviceWorkerPlugin() {
+  let config;
+  return {
+    name: "cheatham:service-worker",
+    apply: "build",
+    configResolved(resolved) {
+      config = resolved;
+    },
+    closeBundle: {
+      // Run after the prerender plugin has written the pages
+      order: "post",
+      sequential: true,
+      async handler() {
+        if (config.build.ssr) return;
+        const outDir = path.resolve(config.root, config.build.outDir);
+        const business = JSON.parse(fs.readFileSync(path.join(config.root, "src/content/business.json"), "utf8"));
+        fs.writeFileSync(path.join(outDir, OFFLINE_FILE), offlinePage(business));
+
+        const files = walk(outDir)
+          .filter((f) => !SKIP.some((re) => re.test(f)))
+          .sort();
+        const hash = crypto.createHash("sha256");
+        files.forEach((f) => hash.update(f).update(fs.readFileSync(path.join(outDir, f))));
+        const images = config.plugins.find((p) => p.name === "cheatham:images")?.api;
+        const manifest = {
+          version: hash.digest("hex").slice(0, 12),
+          urls: files.map((f) => `/${f}`),
+          resized: images ? await images.originals() : {},
+        };
+
+        const swFile = path.join(outDir, SW_FILE);
+        const sw = fs.readFileSync(swFile, "utf8");
+        fs.writeFileSync(swFile, `self.__MANIFEST = ${JSON.stringify(manifest)};\n\n${sw}`);
+
+        const bytes = files.reduce((n, f) => n + fs.statSync(path.join(outDir, f)).size, 0);
+        config.logger.info(
+          `service worker: ${files.length} files precached (${(bytes / 1024 / 1024).toFixed(1)} MB), version ${manifest.version}`
+        );
+      },
+    },
+  };
+}
@@ -0,0 +1,120 @@
+// public/sw.js
+//
+// Service worker: keeps the site usable with bad or no signal. The build
+// (plugins/serviceWorker.js) puts `self.__MANIFEST = { version, urls, resized }`
+// at the top of dist/sw.js — every page, script, stylesheet, icon, font,
+// logo and gallery photo — and those are cached on install. After that:
+//
+//   pages      network first, then the cached copy, then /offline.html
+//   /assets/   cache first (file names change when the content does)
+//   /images/   cache first; photos added after this build are cached the
+//              first time they're seen and refreshed in the background.
+//              Resized copies (/images/r/, names change with the photo)
+//              are kept as fetched; offline, a size this device hasn't
+//              fetched is answered with the saved original (`resized`)
+//   *.json     network first (availability, storm mode), cached copy offline
+//
+// Form posts and other sites' requests aren't touched; queued form
+// submissions live in the page (src/lib/submit/outbox.js).
+
+const { version, urls, resized } = self.__MANIFEST || { version: "dev", urls: [], resized: {} };
+
+const PRECACHE = `cheatham-precache-${version}`;
+const PHOTOS = "cheatham-photos";
+const DATA = "cheatham-data";
+const OFFLINE_PAGE = "/offline.html";
+const MAX_PHOTOS = 60;
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(PRECACHE)
+      .then((cache) => cache.addAll(urls))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(keys.filter((k) => k.startsWith("cheatham-precache-") && k !== PRECACHE).map((k) => caches.delete(k)))
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== "GET" || url.origin !== self.location.origin) return;
+
+  if (request.mode === "navigate") event.respondWith(page(request, url));
+  else if (url.pathname.startsWith("/assets/")) event.respondWith(cacheFirst(request));
+  else if (url.pathname.startsWith("/images/")) event.respondWith(photo(request, event));
+  else if (url.pathname.endsWith(".json")) event.respondWith(networkFirst(request, DATA));
+  else if (urls.includes(url.pathname)) event.respondWith(cacheFirst(request));
+});
+
+// "/services/tree-removal" → "/services/tree-removal/index.html", as the
+// prerendered pages are stored
+const pageFile = (pathname) => (pathname === "/" ? "/index.html" : `${pathname.replace(/\/$/, "")}/index.html`);
+
+async function page(request, url) {
+  try {
+    return await fetch(request);
+  } catch {
+    const cached = (await caches.match(pageFile(url.pathname))) || (await caches.match(OFFLINE_PAGE));
+    return cached || Response.error();
+  }
+}
+
+async function cacheFirst(request) {
+  return (await caches.match(request, { ignoreSearch: true })) || fetch(request);
+}
+
+async function photo(request, event) {
+  const { pathname } = new URL(request.url);
+  const cached = await caches.match(request, { ignoreSearch: true });
+  // Precached and resized photos are replaced by the next build; only refresh the rest
+  if (cached && (urls.includes(pathname) || pathname.startsWith("/images/r/"))) return cached;
+  const refresh = fetch(request).then(async (res) => {
+    if (res.ok) {
+      const cache = await caches.open(PHOTOS);
+      await cache.put(request, res.clone());
+      await trim(cache, MAX_PHOTOS);
+    }
+    return res;
+  });
+  if (!cached) return pathname.startsWith("/images/r/") ? refresh.catch(() => original(pathname)) : refresh;
+  event.waitUntil(refresh.catch(() => {}));
+  return cached;
+}
+
+// "/images/r/header-3f9c2a1b07-1200.avif" → the precached "/images/header.jpg"
+async function original(pathname) {
+  const src = resized[pathname.replace(/-\d+\.\w+$/, "")];
+  return (src && (await caches.match(src))) || Response.error();
+}
+
+async function networkFirst(request, cacheName) {
+  try {
+    const res = await fetch(request);
+    if (res.ok) {
+      const cache = await caches.open(cacheName);
+      await cache.put(request, res.clone());
+    }
+    return res;
+  } catch (err) {
+    const cached = await caches.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+// Oldest first: cache.keys() keeps insertion order
+async function trim(cache, max) {
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - max)).map((k) => cache.delete(k)));
+}
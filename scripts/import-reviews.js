@@ -0,0 +1,220 @@
+// scripts/import-reviews.js
+//
+// Merge a CSV export of our Google reviews into src/content/reviews.json:
+//
+//   npm run reviews:import -- ~/Downloads/reviews.csv
+//   npm run reviews:import -- ~/Downloads/reviews.csv --dry-run
+//
+// Export tools name their columns differently, so headers are matched
+// loosely (reviewer / name / author, star rating / rating / stars, ...).
+// Ratings may be "5", "5 stars" or Google's "FIVE". Reviews already in the
+// file keep their hand-edited fields (`services`, `hidden`); new ones get
+// service tags guessed from their text, which are worth a look before
+// committing. Nothing is ever deleted — hide a review with "hidden": true.
+//
+// Exports without a review id column get one made from the reviewer, the
+// date and a short hash of the text, so an edited review comes back as a
+// new entry; hide the old one.
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { reviewsSchema } from "../src/content/schema.js";
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const REVIEWS_FILE = path.join(root, "src/content/reviews.json");
+const SERVICES_FILE = path.join(root, "src/content/services.json");
+
+const COLUMNS = {
+  id: ["review id", "reviewid", "id"],
+  author: ["reviewer", "reviewer name", "name", "author", "display name", "reviewer display name"],
+  rating: ["star rating", "rating", "stars", "starrating", "score"],
+  date: ["date", "review date", "create time", "createtime", "created", "published", "time"],
+  text: ["review", "review text", "comment", "text", "content", "body"],
+  reply: ["owner reply", "reply", "response", "reply comment", "owner response"],
+};
+
+// A problem with the export itself: reported as-is, without a stack trace
+class ImportError extends Error {}
+
+const WORD_RATINGS = { ONE: 1, TWO: 2, THREE: 3, FOUR: 4, FIVE: 5 };
+
+// Words in a review that point at a service. Unknown ids are dropped, so
+// a renamed service just stops being guessed rather than breaking the build.
+const SERVICE_HINTS = {
+  "tree-trimming-pruning": /\b(prun\w*|trim\w*|thinn\w*|deadwood|canopy|limb(ed|ing)? up)\b/i,
+  "tree-removal": /\b(remov\w*|took (it |them )?down|cut down|take down|haul\w*|brush)\b/i,
+  "storm-damage-cleanup": /\b(storm|fell on|fallen|blew (over|down)|wind|emergency|tornado)\b/i,
+  "stump-grinding": /\b(stumps?|grind\w*)\b/i,
+  "sapling-planting": /\b(plant\w*|sapling\w*|new tree)\b/i,
+};
+
+/** RFC 4180-ish: quoted fields, "" escapes, commas/newlines inside quotes. */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  const src = text.replace(/^\uFEFF/, "");
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (quoted) {
+      if (c === '"' && src[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ",") {
+      row.push(field);
+      field = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && src[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else field += c;
+  }
+  if (field || row.length) rows.push([...row, field]);
+  return rows.filter((r) => r.some((f) => f.trim()));
+}
+
+const norm = (h) => h.trim().toLowerCase().replace(/[_\s]+/g, " ");
+
+function columnIndexes(header) {
+  const names = header.map(norm);
+  return Object.fromEntries(
+    Object.entries(COLUMNS).map(([key, aliases]) => [key, names.findIndex((n) => aliases.includes(n))])
+  );
+}
+
+function parseRating(v) {
+  const s = String(v ?? "").trim().toUpperCase();
+  if (WORD_RATINGS[s]) return WORD_RATINGS[s];
+  const n = Math.round(parseFloat(s));
+  return n >= 1 && n <= 5 ? n : null;
+}
+
+const pad = (n) => String(n).padStart(2, "0");
+
+// Timestamps are dated on this machine's calendar (an evening review in
+// Tennessee is already tomorrow in UTC); a bare date is taken as written.
+function parseDate(v) {
+  const s = String(v ?? "").trim();
+  const us = s.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})/); // 10/19/2026
+  if (us) return `${us[3]}-${pad(us[1])}-${pad(us[2])}`;
+  if (/^\d{4}-\d{2}-\d{2}$/.test(s)) return s;
+  const t = Date.parse(s);
+  if (Number.isNaN(t)) return null;
+  const d = new Date(t);
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+const slugify = (s) =>
+  s.toLowerCase().normalize("NFKD").replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "") || "review";
+
+// Google's API ids can be long resource names ("accounts/1/locations/2/reviews/AbC")
+const cleanId = (s) => s.split("/").pop().replace(/[^a-zA-Z0-9_-]/g, "");
+
+// Same reviewer, same day, different words → different ids
+const textHash = (text) => crypto.createHash("sha1").update(text).digest("hex").slice(0, 6);
+
+function rowsToReviews(rows, serviceIds) {
+  const [header, ...body] = rows;
+  if (!header) throw new ImportError("The file is empty.");
+  const col = columnIndexes(header);
+  ["author", "rating", "date"].forEach((key) => {
+    if (col[key] === -1) throw new ImportError(`No ${key} column found. Headers were: ${header.join(", ")}`);
+  });
+  const skipped = [];
+  const rowOf = new Map();
+  const duplicates = [];
+  const reviews = body.flatMap((cells, i) => {
+    const get = (key) => (col[key] === -1 ? "" : (cells[col[key]] ?? "").trim());
+    const rating = parseRating(get("rating"));
+    const date = parseDate(get("date"));
+    const author = get("author") || "Google user";
+    if (!rating || !date) {
+      skipped.push(`row ${i + 2}: ${!rating ? `rating "${get("rating")}"` : `date "${get("date")}"`} not understood`);
+      return [];
+    }
+    const text = get("text");
+    const review = {
+      id: get("id") ? cleanId(get("id")) : `${slugify(author)}-${date}-${textHash(text)}`,
+      author,
+      rating,
+      date,
+      text,
+      services: Object.keys(SERVICE_HINTS).filter((id) => serviceIds.has(id) && SERVICE_HINTS[id].test(text)),
+      source: "google",
+    };
+    if (get("reply")) review.reply = get("reply");
+    if (rowOf.has(review.id)) duplicates.push(`rows ${rowOf.get(review.id)} and ${i + 2}: both "${review.id}"`);
+    else rowOf.set(review.id, i + 2);
+    return [review];
+  });
+  if (duplicates.length) {
+    throw new ImportError(`The export repeats review ids:\n${duplicates.map((d) => `  • ${d}`).join("\n")}`);
+  }
+  return { reviews, skipped };
+}
+
+/** Existing entries win for hand-edited fields; text/rating/reply follow the export. */
+function mergeReviews(existing, incoming) {
+  const byId = new Map(existing.map((r) => [r.id, r]));
+  let added = 0;
+  let updated = 0;
+  incoming.forEach((r) => {
+    const old = byId.get(r.id);
+    if (!old) {
+      byId.set(r.id, r);
+      added++;
+      return;
+    }
+    const next = { ...old, ...r, services: old.services, ...(old.hidden !== undefined && { hidden: old.hidden }) };
+    if (JSON.stringify(next) !== JSON.stringify(old)) updated++;
+    byId.set(r.id, next);
+  });
+  const merged = [...byId.values()].sort((a, b) => b.date.localeCompare(a.date) || a.id.localeCompare(b.id));
+  return { merged, added, updated };
+}
+
+function main(argv) {
+  const file = argv.find((a) => !a.startsWith("--"));
+  const dryRun = argv.includes("--dry-run");
+  if (!file) {
+    console.error("Usage: npm run reviews:import -- <export.csv> [--dry-run]");
+    return 1;
+  }
+  const serviceIds = new Set(JSON.parse(fs.readFileSync(SERVICES_FILE, "utf8")).map((s) => s.id));
+  const existing = fs.existsSync(REVIEWS_FILE) ? JSON.parse(fs.readFileSync(REVIEWS_FILE, "utf8")) : [];
+
+  let imported;
+  try {
+    imported = rowsToReviews(parseCsv(fs.readFileSync(file, "utf8")), serviceIds);
+  } catch (err) {
+    if (!(err instanceof ImportError)) throw err;
+    console.error(`Not imported — ${err.message}`);
+    return 1;
+  }
+  const { reviews, skipped } = imported;
+  const { merged, added, updated } = mergeReviews(existing, reviews);
+
+  const problems = reviewsSchema(merged, "reviews.json");
+  if (problems.length) {
+    console.error(`Not written — the result wouldn't pass validation:\n${problems.map((p) => `  • ${p}`).join("\n")}`);
+    return 1;
+  }
+
+  skipped.forEach((s) => console.warn(`skipped ${s}`));
+  console.log(`${reviews.length} reviews read: ${added} new, ${updated} updated, ${merged.length} in total.`);
+  if (dryRun) return 0;
+  fs.writeFileSync(REVIEWS_FILE, `${JSON.stringify(merged, null, 2)}\n`);
+  console.log(`Wrote ${path.relative(root, REVIEWS_FILE)} — check the guessed service tags on new reviews.`);
+  return 0;
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  process.exitCode = main(process.argv.slice(2));
+}
@@ -0,0 +1,40 @@
+// src/components/ArticleCard.jsx
+import React from "react";
+import ResponsiveImage from "./ResponsiveImage";
+import { useTheme } from "../theme/ThemeContext";
+import { useI18n } from "../i18n/I18nContext";
+import { formatArticleDate } from "../lib/articles";
+
+/**
+ * Teaser for one article: hero photo, date, reading time, title and
+ * summary, all one link.
+ *
+ * Props:
+ *  - article: article from lib/articles
+ *  - headingLevel: 2 | 3  default 3
+ *  - imageSizes: string  <img sizes> for the hero, matching the grid it's in
+ */
+export default function ArticleCard({ article, headingLevel = 3, imageSizes = "(min-width: 768px) 33vw, 100vw" }) {
+  const { palette } = useTheme();
+  const { t, intl } = useI18n();
+  const Heading = `h${headingLevel}`;
+  return (
+    <a
+      href={`/articles/${article.slug}`}
+      className="flex h-full flex-col overflow-hidden rounded-2xl shadow hover:shadow-md transition-shadow"
+      style={{ backgroundColor: palette.cardBg, border: `1px solid ${palette.border}` }}
+    >
+      <ResponsiveImage src={article.hero} alt={article.heroAlt} sizes={imageSizes} loading="lazy" className="aspect-[16/9] w-full object-cover" />
+      <div className="flex flex-1 flex-col p-5">
+        <p className="text-xs" style={{ color: palette.muted }}>
+          <time dateTime={article.date}>{formatArticleDate(article.date, intl)}</time>
+          {" • "}
+          {t("articles.minutes", { count: article.minutes })}
+        </p>
+        <Heading className="mt-1 font-semibold" style={{ color: palette.body }}>{article.title}</Heading>
+        <p className="mt-1 text-sm" style={{ color: palette.muted }}>{article.summary}</p>
+        <span className="mt-auto pt-3 text-sm font-medium" style={{ color: palette.heading }}>{t("articles.read")}</span>
+      </div>
+    </a>
+  );
+}
@@ -1,18 +1,54 @@
 // src/components/AutoScrollGallery.jsx
-import React, { useEffect, useMemo, useRef, useState } from "react";
+import React, { useEffect, useLayoutEffect, useMemo, useRef, useState } from "react";
+import Lightbox from "./Lightbox";
+import BeforeAfterSlider from "./BeforeAfterSlider";
+import ResponsiveImage from "./ResponsiveImage";
+import { useI18n } from "../i18n/I18nContext";
+import { usePhotoHash } from "../lib/usePhotoHash";
+import { normalizeGalleryItems } from "../lib/galleryItems";
+import { track as trackEvent } from "../lib/analytics";
+import { onEveryFrame } from "../lib/motion";
+import { useReducedMotion } from "../motion/MotionContext";
+
+// Manual-control tuning
+const DRAG_THRESHOLD = 5;   // px before a press counts as a drag (and eats the click)
+const FRICTION = 0.95;      // momentum decay per 16ms frame
+const MIN_VELOCITY = 0.02;  // px/ms below which momentum stops
+const SNAP_MS = 280;        // card snap / button / keyboard glide duration
+const RESUME_MS = 1500;     // idle time after manual input before auto-scroll resumes
 
 /**
  * Auto-scrolling, seamless (infinite) gallery tuned for PORTRAIT images.
  *
+ * Manual control: mouse/pen drag with momentum (touch uses native scroll),
+ * ←/→/Home/End between cards, ‹ › buttons and a play/pause toggle
+ * (WCAG 2.2.2). Any manual input hands back to the ticker after a short
+ * idle period, continuing from wherever the visitor left it.
+ *
+ * Clicking a card opens a fullscreen lightbox; the open photo is mirrored
+ * into the URL as `#<galleryId>/photo-<n>` (1-based) so it can be shared.
+ *
  * Props:
- *  - images: (string[] | { src, alt?, href? }[])
+ *  - images: (string | { src, alt?, caption?, href? } | { before, after, alt?, caption? })[]
+ *      any item may also carry `id` (deep-link id, default "photo-<n>").
+ *      caption falls back to alt in the lightbox; href becomes a
+ *      "View post" link there instead of hijacking the card click.
+ *      before/after (string or { src, alt? }) render as a comparison
+ *      slider; dragging or focusing it pauses the scroll like hover does.
  *  - speed: number (px/sec) default 60
  *  - gap: number (px) default 12
- *  - borderColor: string (CSS color) default "#ddd"
+ *  - borderColor: string (CSS color) default "#ddd"  // control borders + focus ring
  *  - pauseOnHover: boolean default true
- *  - showControls: boolean default true  // prev/next buttons
+ *  - showControls: boolean default true  // prev/next + play/pause buttons
+ *  - snapToCard: boolean default false   // settle on a card edge after a drag/fling
  *  - itemWidthClasses: string Tailwind width classes for cards
  *      default "w-[180px] sm:w-[200px] md:w-[240px]"
+ *  - imageSizes: string  the same widths as an <img sizes> value, so the
+ *      browser picks a fitting file; keep it in step with itemWidthClasses
+ *  - galleryId: string  deep-link prefix default "gallery"
+ *
+ * Swapping `images` (e.g. a filter) rebuilds the A+A track and rewinds to
+ * the start before paint, so there's no visible jump.
  */
 export default function AutoScrollGallery({
   images = [],
@@ -21,51 +57,142 @@ export default function AutoScrollGallery({
   borderColor = "#ddd",
   pauseOnHover = true,
   showControls = true,
+  snapToCard = false,
   itemWidthClasses = "w-[180px] sm:w-[200px] md:w-[240px]",
+  imageSizes = "(min-width: 768px) 240px, (min-width: 640px) 200px, 180px",
+  galleryId = "gallery",
 }) {
+  const { t } = useI18n();
   const containerRef = useRef(null);
-  const [isPaused, setIsPaused] = useState(false);
+  // Explicit play/pause; reduced-motion visitors start paused but may opt in
+  // (known after hydration, so prerendered markup matches the first render)
+  const [isPlaying, setIsPlaying] = useState(true);
+  const reduced = useReducedMotion();
+  const reducedRef = useRef(reduced);
+  const [isHovered, setIsHovered] = useState(false);
+  const [hasKeyboardFocus, setHasKeyboardFocus] = useState(false);
+  const [isVisible, setIsVisible] = useState(true);
+  const [isDragging, setIsDragging] = useState(false);
+
+  useEffect(() => {
+    reducedRef.current = reduced;
+    if (reduced) setIsPlaying(false);
+  }, [reduced]);
+
+  // Normalize to objects so strings, {src,alt} and {before,after} all work
+  const safeImages = useMemo(() => normalizeGalleryItems(images), [images]);
+
+  // Count, not boolean: a slider can be focused and dragged at once
+  const [interactions, setInteractions] = useState(0);
+  const startInteract = () => setInteractions((n) => n + 1);
+  const endInteract = () => setInteractions((n) => Math.max(0, n - 1));
+  const isInteracting = interactions > 0;
 
-  // Normalize to objects so both strings and {src,alt} work
-  const safeImages = useMemo(() => {
-    const list = Array.isArray(images) ? images : [];
-    return list
-      .filter(Boolean)
-      .map((img) => (typeof img === "string" ? { src: img } : img));
-  }, [images]);
+  const photoIds = useMemo(() => safeImages.map((img) => img.id), [safeImages]);
+  const lightbox = usePhotoHash(galleryId, photoIds);
+  const lightboxOpen = lightbox.index !== null;
 
   const hasLoop = safeImages.length >= 2;
+  // A short (filtered) list is repeated until one copy is at least as wide
+  // as the viewport; otherwise A + A can't scroll far enough to wrap.
+  const [repeat, setRepeat] = useState(1);
   // Duplicate list (A + A) for seamless wrap
-  const track = useMemo(
-    () => (hasLoop ? [...safeImages, ...safeImages] : safeImages),
-    [hasLoop, safeImages]
-  );
+  const track = useMemo(() => {
+    if (!hasLoop) return safeImages;
+    const copy = Array.from({ length: repeat }, () => safeImages).flat();
+    return [...copy, ...copy];
+  }, [hasLoop, safeImages, repeat]);
 
-  // Auto-scroll ticker with wrap
+  // Everything that holds the ticker still. Read through a ref so the rAF
+  // loop isn't torn down and restarted on every hover.
+  const autoPaused =
+    !isPlaying || (pauseOnHover && isHovered) || hasKeyboardFocus || !isVisible || isInteracting || lightboxOpen;
+  const autoPausedRef = useRef(autoPaused);
   useEffect(() => {
+    autoPausedRef.current = autoPaused;
+  }, [autoPaused]);
+
+  // Manual-control state shared by the ticker and the input handlers.
+  //  mode: "auto" | "drag" | "momentum" | "glide"
+  //  idleUntil: the ticker stays hands-off until this timestamp
+  const motion = useRef({
+    mode: "auto",
+    velocity: 0,
+    idleUntil: 0,
+    glideFrom: 0,
+    glideTo: 0,
+    glideStart: 0,
+    drag: null,
+    suppressClick: false,
+  });
+
+  // New image set: rewind and drop any in-flight drag/fling before the
+  // browser paints the rebuilt track
+  useLayoutEffect(() => {
+    const el = containerRef.current;
+    if (!el) return;
+    const m = motion.current;
+    el.scrollLeft = 0;
+    m.mode = "auto";
+    m.velocity = 0;
+    m.drag = null;
+  }, [safeImages]);
+
+  // Measure how many repeats fill the viewport (re-checked on resize)
+  useLayoutEffect(() => {
     const el = containerRef.current;
     if (!el || !hasLoop) return;
+    const measure = () => {
+      const stride = cardStride(el);
+      if (!stride) return;
+      setRepeat(Math.max(1, Math.ceil(el.clientWidth / (stride * safeImages.length))));
+    };
+    measure();
+    const ro = new ResizeObserver(measure);
+    ro.observe(el);
+    return () => ro.disconnect();
+  }, [hasLoop, safeImages.length]);
 
-    const reduced = window.matchMedia("(prefers-reduced-motion: reduce)").matches;
-    if (reduced) return;
+  // Single frame callback (on the shared scheduler, asleep while the gallery
+  // is off screen): auto-scroll, momentum and glides all write scrollLeft
+  // here, so they can never fight each other or the wrap.
+  useEffect(() => {
+    const el = containerRef.current;
+    if (!el || !hasLoop) return;
 
-    let rafId;
-    let prev = performance.now();
+    const m = motion.current;
+    let carry = 0; // sub-pixel remainder so slow speeds don't stall on rounding
 
-    const step = (ts) => {
-      const dt = Math.min(ts - prev, 50); // clamp big tab-switch jumps
-      prev = ts;
+    const step = (ts, frameMs) => {
+      const dt = Math.min(frameMs, 50); // clamp big tab-switch jumps
+      const reduced = reducedRef.current;
+      const half = el.scrollWidth / 2;
 
-      if (!isPaused) {
-        const pxPerMs = speed / 1000;
-        el.scrollLeft += pxPerMs * dt;
-        const half = el.scrollWidth / 2;
-        if (el.scrollLeft >= half) el.scrollLeft -= half; // seamless reset
+      if (m.mode === "momentum") {
+        if (reduced || Math.abs(m.velocity) < MIN_VELOCITY) {
+          if (snapToCard && !reduced) startGlide(el, m, nearestCardLeft(el, el.scrollLeft), ts);
+          else handBack(el, m);
+        } else {
+          el.scrollLeft = wrap(el.scrollLeft + m.velocity * dt, half);
+          m.velocity *= Math.pow(FRICTION, dt / 16);
+        }
+      } else if (m.mode === "glide") {
+        const t = Math.min((ts - m.glideStart) / SNAP_MS, 1);
+        const eased = 1 - Math.pow(1 - t, 3);
+        el.scrollLeft = wrap(m.glideFrom + (m.glideTo - m.glideFrom) * eased, half);
+        if (t >= 1) handBack(el, m);
+      } else if (m.mode === "auto" && !autoPausedRef.current && ts >= m.idleUntil) {
+        carry += (speed / 1000) * dt;
+        const whole = Math.trunc(carry);
+        if (whole) {
+          carry -= whole;
+          el.scrollLeft += whole;
+          if (el.scrollLeft >= half) el.scrollLeft -= half; // seamless reset
+        }
       }
-      rafId = requestAnimationFrame(step);
     };
 
-    rafId = requestAnimationFrame(step);
+    const stop = onEveryFrame(step, el);
 
     // Keep scrollLeft modulo half-width on layout changes
     const onResize = () => {
@@ -75,22 +202,41 @@ export default function AutoScrollGallery({
     const ro = new ResizeObserver(onResize);
     ro.observe(el);
 
+    // Native scrolling (touch, trackpad, wheel): step aside, then resume
+    const holdOff = () => {
+      if (m.mode === "auto") m.idleUntil = performance.now() + RESUME_MS;
+    };
+    // Native scroll can run into the left edge; hop to the twin copy
+    const onScroll = () => {
+      if (m.mode !== "auto") return;
+      const half = el.scrollWidth / 2;
+      if (el.scrollLeft <= 0) el.scrollLeft += half;
+      else if (el.scrollLeft >= half * 1.5) el.scrollLeft -= half;
+    };
+    el.addEventListener("wheel", holdOff, { passive: true });
+    el.addEventListener("touchstart", holdOff, { passive: true });
+    el.addEventListener("touchmove", holdOff, { passive: true });
+    el.addEventListener("touchend", holdOff, { passive: true });
+    el.addEventListener("scroll", onScroll, { passive: true });
+
     return () => {
-      cancelAnimationFrame(rafId);
+      stop();
       ro.disconnect();
+      el.removeEventListener("wheel", holdOff);
+      el.removeEventListener("touchstart", holdOff);
+      el.removeEventListener("touchmove", holdOff);
+      el.removeEventListener("touchend", holdOff);
+      el.removeEventListener("scroll", onScroll);
     };
-  }, [hasLoop, speed, isPaused]);
+  }, [hasLoop, speed, snapToCard]);
 
-  // Pause autoplay when off-screen
+  // Pause autoplay while off-screen, resume when it comes back
   useEffect(() => {
     const el = containerRef.current;
     if (!el || !("IntersectionObserver" in window)) return;
     const io = new IntersectionObserver(
       (entries) => {
-        entries.forEach((entry) => {
-          // Pause when not visible
-          if (!entry.isIntersecting) setIsPaused(true);
-        });
+        entries.forEach((entry) => setIsVisible(entry.isIntersecting));
       },
       { threshold: 0.01 }
     );
@@ -98,35 +244,147 @@ export default function AutoScrollGallery({
     return () => io.disconnect();
   }, []);
 
-  // Click arrows: scroll by exactly one card width (+ margins)
+  // Glide to a scroll position through the ticker (or jump, for reduced motion)
+  const glideTo = (target) => {
+    const el = containerRef.current;
+    if (!el) return;
+    const m = motion.current;
+    if (reduced) {
+      el.scrollLeft = wrap(target, el.scrollWidth / 2);
+      m.mode = "auto";
+      m.idleUntil = performance.now() + RESUME_MS;
+      return;
+    }
+    startGlide(el, m, target, performance.now());
+  };
+
+  // Click arrows: move exactly one card, landing on a card edge
   const scrollByOneCard = (dir = 1) => {
     const el = containerRef.current;
     if (!el) return;
-    const firstCard = el.querySelector("[data-card]");
-    if (!firstCard) return;
-    const rect = firstCard.getBoundingClientRect();
-    const style = window.getComputedStyle(firstCard);
-    const marginX =
-      parseFloat(style.marginLeft || "0") + parseFloat(style.marginRight || "0");
-    const delta = dir * (rect.width + marginX);
-    el.scrollBy({ left: delta, behavior: "smooth" });
+    const stride = cardStride(el);
+    if (!stride) return;
+    const m = motion.current;
+    // Chain from an in-flight glide so rapid clicks add up
+    const from = m.mode === "glide" ? m.glideTo : el.scrollLeft;
+    glideTo(Math.round(from / stride) * stride + dir * stride);
+  };
+
+  // --- pointer drag (mouse / pen; touch keeps native scrolling + momentum)
+  const onPointerDown = (e) => {
+    const el = containerRef.current;
+    if (!el || !hasLoop || e.pointerType === "touch" || e.button !== 0) return;
+    const m = motion.current;
+    m.mode = "drag";
+    m.velocity = 0;
+    m.drag = { id: e.pointerId, startX: e.clientX, startLeft: el.scrollLeft, lastX: e.clientX, lastT: e.timeStamp, moved: false };
+  };
+
+  const onPointerMove = (e) => {
+    const el = containerRef.current;
+    const m = motion.current;
+    const d = m.drag;
+    if (!el || m.mode !== "drag" || !d || d.id !== e.pointerId) return;
+    const dx = e.clientX - d.startX;
+    if (!d.moved) {
+      if (Math.abs(dx) < DRAG_THRESHOLD) return;
+      d.moved = true;
+      setIsDragging(true);
+      // Capture only once it's really a drag so plain clicks reach the cards
+      el.setPointerCapture?.(e.pointerId);
+    }
+    el.scrollLeft = wrap(d.startLeft - dx, el.scrollWidth / 2);
+    const dt = e.timeStamp - d.lastT;
+    if (dt > 0) {
+      const v = -(e.clientX - d.lastX) / dt;
+      m.velocity = 0.8 * v + 0.2 * m.velocity; // smooth out jittery samples
+    }
+    d.lastX = e.clientX;
+    d.lastT = e.timeStamp;
+  };
+
+  const onPointerUp = (e) => {
+    const el = containerRef.current;
+    const m = motion.current;
+    const d = m.drag;
+    if (!el || m.mode !== "drag" || !d || d.id !== e.pointerId) return;
+    m.drag = null;
+    setIsDragging(false);
+    if (!d.moved) {
+      m.mode = "auto";
+      return;
+    }
+    el.releasePointerCapture?.(e.pointerId);
+    m.suppressClick = true;
+    // A pause before release means no fling
+    if (e.timeStamp - d.lastT > 80) m.velocity = 0;
+    m.mode = "momentum";
+  };
+
+  const onClickCapture = (e) => {
+    const m = motion.current;
+    if (!m.suppressClick) return;
+    m.suppressClick = false;
+    e.preventDefault();
+    e.stopPropagation();
+  };
+
+  // --- keyboard: arrows move focus card-to-card and bring it into view
+  const onKeyDown = (e) => {
+    const el = containerRef.current;
+    // defaultPrevented: a before/after slider already used the arrow
+    if (!el || e.defaultPrevented || !safeImages.length) return;
+    const keys = { ArrowRight: 1, ArrowLeft: -1, Home: "first", End: "last" };
+    if (!(e.key in keys)) return;
+    const cards = Array.from(el.querySelectorAll("[data-card]")).slice(0, safeImages.length);
+    const current = cards.findIndex((c) => c.contains(document.activeElement));
+    const n = cards.length;
+    const k = keys[e.key];
+    const next = k === "first" ? 0 : k === "last" ? n - 1 : ((current === -1 ? 0 : current + k) + n) % n;
+    const card = cards[next];
+    const focusable = card?.querySelector("button, [role='slider']");
+    if (!focusable) return;
+    e.preventDefault();
+    focusable.focus({ preventScroll: true });
+    // Centre the card
+    glideTo(card.offsetLeft - (el.clientWidth - card.offsetWidth) / 2);
+  };
+
+  // Keyboard focus inside the track holds auto-scroll (don't move what
+  // someone is reading); mouse clicks on a card don't.
+  const onFocus = (e) => {
+    if (e.target.matches?.(":focus-visible")) setHasKeyboardFocus(true);
+  };
+  const onBlur = (e) => {
+    if (!e.currentTarget.contains(e.relatedTarget)) setHasKeyboardFocus(false);
   };
 
   const gapStyle = { gap: `${gap}px` };
+  const controlStyle = { borderColor, outlineColor: borderColor };
 
   return (
     <div
       className="relative mt-6 select-none"
       role="region"
-      aria-label="Project gallery"
-      onMouseEnter={pauseOnHover ? () => setIsPaused(true) : undefined}
-      onMouseLeave={pauseOnHover ? () => setIsPaused(false) : undefined}
+      aria-label={t("gallery.region")}
+      onMouseEnter={pauseOnHover ? () => setIsHovered(true) : undefined}
+      onMouseLeave={pauseOnHover ? () => setIsHovered(false) : undefined}
     >
       {/* Scroll container */}
       <div
         ref={containerRef}
-        className="overflow-x-scroll rounded-xl [scrollbar-width:none] [-ms-overflow-style:none]"
+        className={`relative overflow-x-scroll rounded-xl [scrollbar-width:none] [-ms-overflow-style:none] ${
+          hasLoop ? (isDragging ? "cursor-grabbing" : "cursor-grab") : ""
+        }`}
         style={{ WebkitOverflowScrolling: "touch" }}
+        onPointerDown={onPointerDown}
+        onPointerMove={onPointerMove}
+        onPointerUp={onPointerUp}
+        onPointerCancel={onPointerUp}
+        onClickCapture={onClickCapture}
+        onKeyDown={onKeyDown}
+        onFocus={onFocus}
+        onBlur={onBlur}
       >
         {/* Track */}
         <div className="flex items-center p-2" style={gapStyle}>
@@ -136,34 +394,51 @@ export default function AutoScrollGallery({
               data-card
               className={`shrink-0 ${itemWidthClasses}`}
             >
-              <div className="aspect-[3/4] overflow-hidden rounded-lg bg-white shadow">
-                {img.href ? (
-                  <a
-                    href={img.href}
-                    target="_blank"
-                    rel="noreferrer noopener"
-                    className="block h-full w-full"
+              {img.before ? (
+                <div
+                  className="relative aspect-[3/4] overflow-hidden rounded-lg bg-white shadow"
+                  aria-hidden={i >= safeImages.length ? "true" : undefined}
+                  inert={i >= safeImages.length ? true : undefined}
+                >
+                  <BeforeAfterSlider
+                    before={img.before}
+                    after={img.after}
+                    sizes={imageSizes}
+                    loading={i < safeImages.length ? "eager" : "lazy"}
+                    onInteractStart={startInteract}
+                    onInteractEnd={endInteract}
+                  />
+                  <button
+                    type="button"
+                    onClick={() => lightbox.open(i % safeImages.length)}
+                    aria-label={`${t("gallery.expandCompare", { n: (i % safeImages.length) + 1 })}${img.alt ? `: ${img.alt}` : ""}`}
+                    className="absolute right-2 bottom-2 grid place-items-center w-8 h-8 rounded-full bg-black/60 text-white hover:bg-black/75"
                   >
-                    <img
-                      src={img.src}
-                      alt={img.alt ?? ""}
-                      loading={i < safeImages.length ? "eager" : "lazy"}
-                      decoding="async"
-                      draggable="false"
-                      className="h-full w-full object-cover"
-                    />
-                  </a>
-                ) : (
-                  <img
+                    ⤢
+                  </button>
+                </div>
+              ) : (
+                <button
+                  type="button"
+                  // A+A track: both copies open the same original photo
+                  onClick={() => lightbox.open(i % safeImages.length)}
+                  aria-label={`${t("gallery.viewPhoto", { n: (i % safeImages.length) + 1 })}${img.alt ? `: ${img.alt}` : ""}`}
+                  tabIndex={i < safeImages.length ? 0 : -1}
+                  aria-hidden={i >= safeImages.length ? "true" : undefined}
+                  className="block w-full aspect-[3/4] overflow-hidden rounded-lg bg-white shadow cursor-zoom-in focus:outline-none focus-visible:outline focus-visible:outline-2 focus-visible:outline-offset-2"
+                  style={{ outlineColor: borderColor }}
+                >
+                  <ResponsiveImage
                     src={img.src}
                     alt={img.alt ?? ""}
+                    sizes={imageSizes}
                     loading={i < safeImages.length ? "eager" : "lazy"}
                     decoding="async"
                     draggable="false"
                     className="h-full w-full object-cover"
                   />
-                )}
-              </div>
+                </button>
+              )}
             </div>
           ))}
         </div>
@@ -174,22 +449,97 @@ export default function AutoScrollGallery({
         <>
           <button
             type="button"
-            aria-label="Previous"
-            onClick={() => scrollByOneCard(-1)}
-            className="absolute left-2 top-1/2 -translate-y-1/2 grid place-items-center w-10 h-10 rounded-full backdrop-blur bg-white/70 hover:bg-white shadow"
+            aria-label={t("gallery.previous")}
+            onClick={() => {
+              trackEvent("gallery_arrow", { direction: "previous" });
+              scrollByOneCard(-1);
+            }}
+            className="absolute left-2 top-1/2 -translate-y-1/2 grid place-items-center w-10 h-10 rounded-full border backdrop-blur bg-white/70 hover:bg-white shadow"
+            style={controlStyle}
           >
             ‹
           </button>
           <button
             type="button"
-            aria-label="Next"
-            onClick={() => scrollByOneCard(1)}
-            className="absolute right-2 top-1/2 -translate-y-1/2 grid place-items-center w-10 h-10 rounded-full backdrop-blur bg-white/70 hover:bg-white shadow"
+            aria-label={t("gallery.next")}
+            onClick={() => {
+              trackEvent("gallery_arrow", { direction: "next" });
+              scrollByOneCard(1);
+            }}
+            className="absolute right-2 top-1/2 -translate-y-1/2 grid place-items-center w-10 h-10 rounded-full border backdrop-blur bg-white/70 hover:bg-white shadow"
+            style={controlStyle}
           >
             ›
           </button>
+          <button
+            type="button"
+            aria-pressed={!isPlaying}
+            onClick={() => {
+              trackEvent("gallery_autoplay", { playing: !isPlaying });
+              setIsPlaying((p) => !p);
+            }}
+            title={isPlaying ? t("gallery.pause") : t("gallery.resume")}
+            className="absolute right-2 bottom-4 grid place-items-center w-9 h-9 rounded-full border backdrop-blur bg-white/70 hover:bg-white shadow text-sm"
+            style={controlStyle}
+          >
+            <span className="sr-only">{t("gallery.pause")}</span>
+            <span aria-hidden="true">{isPlaying ? "❚❚" : "▶"}</span>
+          </button>
         </>
       )}
+
+      {lightboxOpen && (
+        <Lightbox
+          items={safeImages}
+          index={lightbox.index}
+          onIndexChange={lightbox.show}
+          onClose={lightbox.close}
+          label={t("gallery.viewer")}
+        />
+      )}
     </div>
   );
 }
+
+// Position modulo one copy of the track (handles negatives)
+function wrap(x, half) {
+  if (!(half > 0)) return x;
+  return ((x % half) + half) % half;
+}
+
+// Distance between consecutive cards (width + gap)
+function cardStride(el) {
+  const [a, b] = el.querySelectorAll("[data-card]");
+  if (!a) return 0;
+  return b ? b.offsetLeft - a.offsetLeft : a.offsetWidth;
+}
+
+function nearestCardLeft(el, left) {
+  const stride = cardStride(el);
+  return stride ? Math.round(left / stride) * stride : left;
+}
+
+// Animate (in the ticker) to `target`, taking the short way round the loop
+function startGlide(el, m, target, now) {
+  const half = el.scrollWidth / 2;
+  const from = el.scrollLeft;
+  let to = target;
+  if (half > 0) {
+    while (to - from > half / 2) to -= half;
+    while (from - to > half / 2) to += half;
+  }
+  m.mode = "glide";
+  m.glideFrom = from;
+  m.glideTo = to;
+  m.glideStart = now;
+}
+
+// Manual input finished: normalise into the first copy and let the ticker
+// pick up from here after a short breather.
+function handBack(el, m) {
+  const half = el.scrollWidth / 2;
+  el.scrollLeft = wrap(el.scrollLeft, half);
+  m.mode = "auto";
+  m.velocity = 0;
+  m.idleUntil = performance.now() + RESUME_MS;
+}
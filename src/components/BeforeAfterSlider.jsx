@@ -0,0 +1,144 @@
+// src/components/BeforeAfterSlider.jsx
+import React, { useRef, useState } from "react";
+import ResponsiveImage from "./ResponsiveImage";
+import { useI18n } from "../i18n/I18nContext";
+
+const clamp = (v) => Math.min(100, Math.max(0, v));
+
+/**
+ * Draggable before/after comparison. "Before" is revealed on the left of
+ * the divider, "after" on the right.
+ *
+ * Props:
+ *  - before: { src, alt? }
+ *  - after:  { src, alt? }
+ *  - initial: number (0–100) divider position default 50
+ *  - step: number  % moved per arrow key default 5 (Shift = ×2)
+ *  - onInteractStart / onInteractEnd: () => void
+ *      fired on drag / keyboard focus, e.g. to pause an auto-scroller
+ *  - imgClassName: string  classes for both <img>s default "object-cover"
+ *  - sizes: string  rendered width, as for <img sizes> default "100vw"
+ *  - placeholder: boolean  blur/colour behind the photos while loading
+ *      default true; turn off with "object-contain", where it would show
+ *      around the photo
+ *  - loading: "eager" | "lazy"
+ *
+ * Keyboard: ←/→ move the divider, Home/End jump to the ends.
+ * Touch: horizontal drag moves the divider; vertical scroll still works.
+ */
+export default function BeforeAfterSlider({
+  before,
+  after,
+  initial = 50,
+  step = 5,
+  onInteractStart,
+  onInteractEnd,
+  imgClassName = "object-cover",
+  sizes = "100vw",
+  placeholder = true,
+  loading = "lazy",
+}) {
+  const { t } = useI18n();
+  const rootRef = useRef(null);
+  const dragging = useRef(false);
+  const [pos, setPos] = useState(clamp(initial));
+
+  const posFromEvent = (e) => {
+    const rect = rootRef.current.getBoundingClientRect();
+    return clamp(((e.clientX - rect.left) / rect.width) * 100);
+  };
+
+  const onPointerDown = (e) => {
+    if (e.button !== undefined && e.button !== 0) return;
+    // Keep parent gestures (lightbox swipe, gallery drag) out of it
+    e.stopPropagation();
+    dragging.current = true;
+    e.currentTarget.setPointerCapture?.(e.pointerId);
+    setPos(posFromEvent(e));
+    onInteractStart?.();
+  };
+
+  const onPointerMove = (e) => {
+    if (!dragging.current) return;
+    e.stopPropagation();
+    setPos(posFromEvent(e));
+  };
+
+  const onPointerUp = (e) => {
+    if (!dragging.current) return;
+    dragging.current = false;
+    e.currentTarget.releasePointerCapture?.(e.pointerId);
+    onInteractEnd?.();
+  };
+
+  const onKeyDown = (e) => {
+    const amount = e.shiftKey ? step * 2 : step;
+    let next = null;
+    if (e.key === "ArrowLeft" || e.key === "ArrowDown") next = pos - amount;
+    else if (e.key === "ArrowRight" || e.key === "ArrowUp") next = pos + amount;
+    else if (e.key === "Home") next = 0;
+    else if (e.key === "End") next = 100;
+    if (next === null) return;
+    // preventDefault also tells outer arrow-key handlers (lightbox) to stand down
+    e.preventDefault();
+    setPos(clamp(next));
+  };
+
+  const rounded = Math.round(pos);
+
+  return (
+    <div
+      ref={rootRef}
+      className="relative h-full w-full overflow-hidden select-none cursor-ew-resize"
+      style={{ touchAction: "pan-y" }}
+      onPointerDown={onPointerDown}
+      onPointerMove={onPointerMove}
+      onPointerUp={onPointerUp}
+      onPointerCancel={onPointerUp}
+    >
+      <ResponsiveImage
+        src={after.src}
+        alt={after.alt ?? t("compare.after")}
+        sizes={sizes}
+        placeholder={placeholder}
+        loading={loading}
+        decoding="async"
+        draggable="false"
+        className={`absolute inset-0 h-full w-full ${imgClassName}`}
+      />
+      <ResponsiveImage
+        src={before.src}
+        alt={before.alt ?? t("compare.before")}
+        sizes={sizes}
+        placeholder={placeholder}
+        loading={loading}
+        decoding="async"
+        draggable="false"
+        className={`absolute inset-0 h-full w-full ${imgClassName}`}
+        style={{ clipPath: `inset(0 ${100 - pos}% 0 0)` }}
+      />
+
+      <span className="absolute left-2 top-2 rounded bg-black/60 px-2 py-0.5 text-xs text-white pointer-events-none">{t("compare.before")}</span>
+      <span className="absolute right-2 top-2 rounded bg-black/60 px-2 py-0.5 text-xs text-white pointer-events-none">{t("compare.after")}</span>
+
+      {/* Divider + handle */}
+      <div className="absolute inset-y-0 w-0.5 -translate-x-1/2 bg-white shadow pointer-events-none" style={{ left: `${pos}%` }} />
+      <div
+        role="slider"
+        tabIndex={0}
+        aria-label={t("compare.label")}
+        aria-valuemin={0}
+        aria-valuemax={100}
+        aria-valuenow={rounded}
+        aria-valuetext={t("compare.value", { before: rounded, after: 100 - rounded })}
+        onKeyDown={onKeyDown}
+        onFocus={onInteractStart}
+        onBlur={onInteractEnd}
+        className="absolute top-1/2 grid h-10 w-10 -translate-x-1/2 -translate-y-1/2 place-items-center rounded-full bg-white text-gray-800 shadow-lg focus:outline-none focus-visible:ring-2 focus-visible:ring-offset-2"
+        style={{ left: `${pos}%` }}
+      >
+        <span aria-hidden="true">‹ ›</span>
+      </div>
+    </div>
+  );
+}
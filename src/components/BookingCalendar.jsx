@@ -0,0 +1,288 @@
+// src/components/BookingCalendar.jsx
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import FormField from "./FormField";
+import { useTheme } from "../theme/ThemeContext";
+import { useI18n } from "../i18n/I18nContext";
+import { hexWithAlpha } from "../lib/color";
+import { useSubmission } from "../lib/submit/useSubmission";
+import {
+  addDays,
+  buildSlots,
+  formatDay,
+  formatTime,
+  loadAvailability,
+  visitorTimeZone,
+  weekStartOf,
+  zoneAbbr,
+} from "../lib/availability";
+import { EMPTY_BOOKING, BOOKING_SCHEMA, bookingInvite, slotLabel, toBookingPayload, validateBooking } from "../lib/booking";
+import { formatPhone, telHref } from "../content";
+
+/**
+ * Pick a time for the free on-site estimate. Open windows, blackout days,
+ * taken slots and the lead time come from public/availability.json (see
+ * lib/availability); times are shown in the business's time zone. The
+ * booking goes through the contact channel and the visitor can download a
+ * calendar invite once it's sent.
+ *
+ * Availability is fetched after mount, so the prerendered HTML only has
+ * the loading state and "now" is always the visitor's clock. With no open
+ * windows at all (no schedule set yet) it says so and points to the phone.
+ */
+export default function BookingCalendar() {
+  const { palette } = useTheme();
+  const { t, intl } = useI18n();
+  const [availability, setAvailability] = useState(null);
+  const [loadError, setLoadError] = useState("");
+  const [weekStart, setWeekStart] = useState(null);
+  const [slot, setSlot] = useState(null);
+  const [values, setValues] = useState(EMPTY_BOOKING);
+  const [touched, setTouched] = useState({});
+  const { status, error, fieldErrors, submit, reset } = useSubmission();
+  const formRef = useRef(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadAvailability()
+      .then((a) => !cancelled && setAvailability(a))
+      .catch((err) => !cancelled && setLoadError(err.message));
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const days = useMemo(() => (availability ? buildSlots(availability) : []), [availability]);
+  const firstWeek = days.length ? weekStartOf(days[0].day) : null;
+  const lastDay = days.at(-1)?.day;
+  const shownWeek = weekStart || firstWeek;
+  const byDay = useMemo(() => new Map(days.map((d) => [d.day, d.slots])), [days]);
+
+  // Move focus into the details form once a time is picked
+  useEffect(() => {
+    if (slot) formRef.current?.elements.namedItem("name")?.focus();
+  }, [slot]);
+
+  const cardStyle = { backgroundColor: palette.cardBg, border: `1px solid ${palette.border}` };
+  const tz = availability?.timeZone;
+
+  if (loadError) {
+    return (
+      <div className="rounded-2xl p-6 md:p-8" style={cardStyle} role="alert">
+        <p style={{ color: palette.body }}>
+          {t("booking.loadError")}{" "}
+          <a href={telHref} className="underline">{t("booking.loadErrorCall", { phone: formatPhone() })}</a>{" "}
+          {t("booking.loadErrorAfter")}
+        </p>
+      </div>
+    );
+  }
+
+  if (!availability) {
+    return (
+      <div className="rounded-2xl p-6 md:p-8" style={cardStyle} aria-busy="true">
+        <p style={{ color: palette.muted }}>{t("booking.loading")}</p>
+      </div>
+    );
+  }
+
+  if (!days.some((d) => d.slots.length)) {
+    return (
+      <div className="rounded-2xl p-6 md:p-8" style={cardStyle}>
+        <p style={{ color: palette.body }}>
+          {t("booking.closed")}{" "}
+          <a href={telHref} className="underline">{t("booking.loadErrorCall", { phone: formatPhone() })}</a>{" "}
+          {t("booking.loadErrorAfter")}
+        </p>
+      </div>
+    );
+  }
+
+  if (status === "success" && slot) {
+    return <Confirmation slot={slot} values={values} timeZone={tz} onDone={() => {
+      reset();
+      setSlot(null);
+      setValues(EMPTY_BOOKING);
+      setTouched({});
+    }} />;
+  }
+
+  const clientErrors = validateBooking(values, t);
+  const errorFor = (field) => (touched[field] && clientErrors[field]) || fieldErrors[field] || "";
+  const onChange = (e) => setValues((v) => ({ ...v, [e.target.name]: e.target.value }));
+  const onBlur = (e) => setTouched((prev) => ({ ...prev, [e.target.name]: true }));
+
+  const onSubmit = async (e) => {
+    e.preventDefault();
+    setTouched(Object.fromEntries(Object.keys(BOOKING_SCHEMA).map((f) => [f, true])));
+    if (Object.keys(clientErrors).length) {
+      const first = Object.keys(BOOKING_SCHEMA).find((f) => clientErrors[f]);
+      formRef.current?.elements.namedItem(first)?.focus();
+      return;
+    }
+    const honeypot = e.currentTarget.elements.namedItem("_gotcha")?.value || "";
+    await submit({ ...toBookingPayload(slot, values, tz), _gotcha: honeypot });
+  };
+
+  const week = Array.from({ length: 7 }, (_, i) => addDays(shownWeek, i));
+  const canPrev = shownWeek > firstWeek;
+  const canNext = addDays(shownWeek, 7) <= lastDay;
+  const local = visitorTimeZone();
+  const submitting = status === "submitting";
+
+  return (
+    <div className="rounded-2xl p-6 md:p-8" style={cardStyle}>
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <h3 className="text-xl font-semibold" style={{ color: palette.heading }} aria-live="polite">
+          {formatDay(week[0], { month: "short", day: "numeric" }, intl)} –{" "}
+          {formatDay(week[6], { month: "short", day: "numeric" }, intl)}
+        </h3>
+        <div className="flex gap-2">
+          {[
+            [t("booking.previousWeek"), "←", canPrev, -7],
+            [t("booking.nextWeek"), "→", canNext, 7],
+          ].map(([label, arrow, enabled, delta]) => (
+            <button
+              key={label}
+              type="button"
+              aria-label={label}
+              disabled={!enabled}
+              onClick={() => setWeekStart(addDays(shownWeek, delta))}
+              className="w-10 h-10 rounded-md border disabled:opacity-40 disabled:cursor-not-allowed"
+              style={{ borderColor: palette.border, color: palette.body }}
+            >
+              {arrow}
+            </button>
+          ))}
+        </div>
+      </div>
+      <p className="mt-1 text-sm" style={{ color: palette.muted }}>
+        {t("booking.timesNote", {
+          zone: zoneAbbr(Date.parse(`${week[0]}T18:00:00Z`), tz),
+          minutes: availability.slotMinutes,
+        })}
+      </p>
+
+      <ul className="mt-4 grid gap-3 sm:grid-cols-7 sm:gap-2">
+        {week.map((day) => {
+          const slots = byDay.get(day);
+          const open = slots?.some((s) => !s.taken);
+          return (
+            <li key={day} className="rounded-lg p-2" style={{ border: `1px solid ${palette.border}` }}>
+              <p className="text-sm font-medium" style={{ color: open ? palette.body : palette.muted }}>
+                {formatDay(day, undefined, intl)}
+              </p>
+              {slots?.length ? (
+                <div className="mt-2 flex flex-wrap sm:flex-col gap-1.5" role="group" aria-label={formatDay(day, { weekday: "long", month: "long", day: "numeric" }, intl)}>
+                  {slots.map((s) => {
+                    const selected = slot?.start === s.start;
+                    return (
+                      <button
+                        key={s.start}
+                        type="button"
+                        disabled={s.taken}
+                        aria-pressed={selected}
+                        aria-label={s.taken ? t("booking.taken", { time: formatTime(s.start, tz, intl) }) : formatTime(s.start, tz, intl)}
+                        onClick={() => setSlot({ ...s, day })}
+                        className={`px-2 py-1 rounded-md text-sm border transition-colors disabled:cursor-not-allowed ${s.taken ? "line-through opacity-50" : ""}`}
+                        style={{
+                          borderColor: selected ? palette.accent : palette.border,
+                          backgroundColor: selected ? palette.accent : hexWithAlpha(palette.accent, 0.06),
+                          color: selected ? "#FFFFFF" : palette.body,
+                        }}
+                      >
+                        {formatTime(s.start, tz, intl)}
+                      </button>
+                    );
+                  })}
+                </div>
+              ) : (
+                <p className="mt-2 text-xs" style={{ color: palette.muted }}>{t("booking.noTimes")}</p>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+
+      {slot && (
+        <form ref={formRef} noValidate onSubmit={onSubmit} className="mt-6 grid gap-3 md:grid-cols-2" aria-busy={submitting}>
+          {/* honeypot (spam trap) */}
+          <input type="text" name="_gotcha" style={{ display: "none" }} tabIndex="-1" autoComplete="off" />
+
+          <div className="md:col-span-2">
+            <p className="font-semibold" style={{ color: palette.heading }}>{slotLabel(slot, tz, intl)}</p>
+            {local && local !== tz && (
+              <p className="text-sm" style={{ color: palette.muted }}>
+                {t("booking.yourTime", { time: formatTime(slot.start, local, intl), zone: zoneAbbr(slot.start, local) })}
+              </p>
+            )}
+          </div>
+
+          {status === "error" && (
+            <div role="alert" className="md:col-span-2 rounded-md px-3 py-2 text-sm"
+              style={{ border: `1px solid ${palette.danger}`, color: palette.danger }}>
+              {error} {t("booking.errorHelp", { phone: formatPhone() })}
+            </div>
+          )}
+
+          <FormField name="name" label={t("booking.name")} idPrefix="booking" autoComplete="name"
+            value={values.name} onChange={onChange} onBlur={onBlur} error={errorFor("name")} />
+          <FormField name="phone" type="tel" label={t("booking.phone")} idPrefix="booking" autoComplete="tel"
+            value={values.phone} onChange={onChange} onBlur={onBlur} error={errorFor("phone")} />
+          <FormField name="email" type="email" label={t("booking.email")} idPrefix="booking" autoComplete="email"
+            value={values.email} onChange={onChange} onBlur={onBlur} error={errorFor("email")} />
+          <FormField name="address" label={t("booking.address")} idPrefix="booking" autoComplete="street-address"
+            value={values.address} onChange={onChange} onBlur={onBlur} error={errorFor("address")} />
+          <FormField as="textarea" name="notes" rows="3" label={t("booking.notes")} idPrefix="booking"
+            className="md:col-span-2" value={values.notes} onChange={onChange} onBlur={onBlur} error={errorFor("notes")} />
+
+          <div className="md:col-span-2 flex flex-wrap gap-3">
+            <button
+              type="submit"
+              disabled={submitting}
+              className="px-5 py-2 rounded-md text-white disabled:opacity-70 disabled:cursor-wait"
+              style={{ backgroundColor: palette.accent }}
+            >
+              {submitting ? t("booking.submitting") : t("booking.submit")}
+            </button>
+            <button type="button" onClick={() => setSlot(null)} className="px-4 py-2 rounded-md border"
+              style={{ borderColor: palette.border, color: palette.body }}>
+              {t("booking.pickAnother")}
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+}
+
+function Confirmation({ slot, values, timeZone, onDone }) {
+  const { palette } = useTheme();
+  const { t, intl } = useI18n();
+  const [href, setHref] = useState("");
+
+  // Created and revoked in the same effect so StrictMode's remount gets a live URL
+  useEffect(() => {
+    const url = URL.createObjectURL(new Blob([bookingInvite(slot, values, t)], { type: "text/calendar;charset=utf-8" }));
+    setHref(url);
+    return () => URL.revokeObjectURL(url);
+  }, [slot, values, t]);
+
+  return (
+    <div className="rounded-2xl p-6 md:p-8" style={{ backgroundColor: palette.cardBg, border: `1px solid ${palette.border}` }}
+      role="status" aria-live="polite">
+      <h3 className="text-2xl font-semibold" style={{ color: palette.heading }}>{t("booking.confirmTitle")}</h3>
+      <p className="mt-2" style={{ color: palette.body }}>{slotLabel(slot, timeZone, intl)}</p>
+      <p className="mt-1" style={{ color: palette.muted }}>{t("booking.confirmBody")}</p>
+      <div className="mt-4 flex flex-wrap gap-3">
+        <a href={href} download="cheatham-estimate.ics" className="px-4 py-2 rounded-md text-white"
+          style={{ backgroundColor: palette.accent }}>
+          {t("booking.addToCalendar")}
+        </a>
+        <button type="button" onClick={onDone} className="px-4 py-2 rounded-md border"
+          style={{ borderColor: palette.border, color: palette.body }}>
+          {t("booking.bookAnother")}
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,51 @@
+// src/components/ChoiceGroup.jsx
+import React from "react";
+import { useTheme } from "../theme/ThemeContext";
+import { hexWithAlpha } from "../lib/color";
+
+/**
+ * Radio group rendered as selectable cards.
+ *
+ * Props:
+ *  - name: string            radio group name
+ *  - legend: string
+ *  - hint: string            help text under the legend
+ *  - options: { id, label, hint? }[]
+ *  - value: string           selected option id
+ *  - onChange: (id) => void
+ *  - error: string           message under the group; "" = valid
+ *  - idPrefix: string        prefix for the error id when a name repeats on the page
+ */
+export default function ChoiceGroup({ name, legend, hint = "", options, value, onChange, error = "", idPrefix = "estimate" }) {
+  const { palette } = useTheme();
+  const errId = `${idPrefix}-${name}-error`;
+  return (
+    <fieldset aria-describedby={error ? errId : undefined}>
+      <legend className="text-sm font-medium" style={{ color: palette.body }}>{legend}</legend>
+      {hint && <p className="text-sm" style={{ color: palette.muted }}>{hint}</p>}
+      <div className="mt-2 grid sm:grid-cols-2 gap-2">
+        {options.map((o) => {
+          const checked = value === o.id;
+          return (
+            <label
+              key={o.id}
+              className="flex items-start gap-2 rounded-md px-3 py-2 cursor-pointer transition-colors"
+              style={{
+                border: `1px solid ${checked ? palette.accent : palette.border}`,
+                backgroundColor: checked ? hexWithAlpha(palette.accent, 0.1) : "transparent",
+                color: palette.body,
+              }}
+            >
+              <input type="radio" name={name} value={o.id} checked={checked} onChange={() => onChange(o.id)} className="mt-1" />
+              <span>
+                <span className="font-medium">{o.label}</span>
+                {o.hint && <span className="block text-sm" style={{ color: palette.muted }}>{o.hint}</span>}
+              </span>
+            </label>
+          );
+        })}
+      </div>
+      {error && <p id={errId} className="mt-1 text-sm" style={{ color: palette.danger }}>{error}</p>}
+    </fieldset>
+  );
+}
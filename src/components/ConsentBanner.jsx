@@ -0,0 +1,49 @@
+// src/components/ConsentBanner.jsx
+import React from "react";
+import { useTheme } from "../theme/ThemeContext";
+import { useI18n } from "../i18n/I18nContext";
+import { useHydrated } from "../lib/useHydrated";
+import { useConsent } from "../lib/analytics/useConsent";
+import { needsConsent } from "../lib/analytics";
+
+/**
+ * Asks once whether anonymous usage stats may be sent, and remembers the
+ * answer. Only appears when a non-essential analytics sink is configured
+ * (see lib/analytics); the footer's "Privacy choices" brings it back.
+ */
+export default function ConsentBanner() {
+  const { palette } = useTheme();
+  const { t } = useI18n();
+  const hydrated = useHydrated();
+  const [consent, setConsent] = useConsent();
+  if (!hydrated || consent !== null || !needsConsent()) return null;
+
+  return (
+    <div
+      role="region"
+      aria-label={t("consent.label")}
+      className="fixed inset-x-2 bottom-2 md:left-auto md:right-28 md:max-w-md z-[60] rounded-xl p-4 shadow-xl"
+      style={{ backgroundColor: palette.sectionLight, border: `1px solid ${palette.border}` }}
+    >
+      <p className="text-sm" style={{ color: palette.body }}>{t("consent.question")}</p>
+      <div className="mt-3 flex gap-2">
+        <button
+          type="button"
+          onClick={() => setConsent("granted")}
+          className="px-4 py-2 rounded-md text-sm text-white"
+          style={{ backgroundColor: palette.accent }}
+        >
+          {t("consent.allow")}
+        </button>
+        <button
+          type="button"
+          onClick={() => setConsent("denied")}
+          className="px-4 py-2 rounded-md text-sm border"
+          style={{ borderColor: palette.border, color: palette.body }}
+        >
+          {t("consent.deny")}
+        </button>
+      </div>
+    </div>
+  );
+}
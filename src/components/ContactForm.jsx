@@ -0,0 +1,138 @@
+// src/components/ContactForm.jsx
+import React, { useEffect, useRef, useState } from "react";
+import FormField from "./FormField";
+import { useTheme } from "../theme/ThemeContext";
+import { useI18n } from "../i18n/I18nContext";
+import { useSubmission } from "../lib/submit/useSubmission";
+import { submitOrQueue } from "../lib/submit/outbox";
+import { validate, required, email, minLength, maxLength } from "../lib/validation";
+
+const SCHEMA = {
+  name: [required("name"), maxLength(120, "name")],
+  email: [required("email"), email()],
+  location: [maxLength(200, "location")],
+  message: [required("message"), minLength(10, "message"), maxLength(5000, "message")],
+};
+
+const EMPTY = { name: "", email: "", location: "", message: "" };
+
+/**
+ * Contact form posted over fetch through the site's submit channel.
+ * Validates per field (on blur, then live once a field has been touched),
+ * shows a loading state, and swaps to success / failure panels in place.
+ * Sent with no connection, the message is queued on the device and goes
+ * out when the visitor is back online (the panel says so).
+ *
+ * Props:
+ *  - subject: string  email subject line the inbox sees
+ *  - location: string  prefill for the optional location field (e.g. from
+ *    the service-area checker); a new value replaces what's there
+ */
+export default function ContactForm({ subject = "Cheatham Trees — New Contact", location = "" }) {
+  const { palette } = useTheme();
+  const { t } = useI18n();
+  const formRef = useRef(null);
+  const [values, setValues] = useState(EMPTY);
+  const [touched, setTouched] = useState({});
+  const { status, error, fieldErrors, submit, reset } = useSubmission(submitOrQueue);
+
+  useEffect(() => {
+    if (location) setValues((v) => ({ ...v, location }));
+  }, [location]);
+
+  const clientErrors = validate(values, SCHEMA, t);
+  const errorFor = (field) => (touched[field] && clientErrors[field]) || fieldErrors[field] || "";
+
+  const onChange = (e) => setValues((v) => ({ ...v, [e.target.name]: e.target.value }));
+  const onBlur = (e) => setTouched((prev) => ({ ...prev, [e.target.name]: true }));
+
+  const onSubmit = async (e) => {
+    e.preventDefault();
+    setTouched({ name: true, email: true, location: true, message: true });
+    if (Object.keys(clientErrors).length) {
+      // move focus to the first problem so keyboard/AT users land on it
+      const first = Object.keys(SCHEMA).find((f) => clientErrors[f]);
+      formRef.current?.elements.namedItem(first)?.focus();
+      return;
+    }
+    // FormData picks up the hidden subject + _gotcha honeypot alongside our fields
+    const payload = Object.fromEntries(new FormData(e.currentTarget).entries());
+    const ok = await submit(payload);
+    if (ok) {
+      setValues(EMPTY);
+      setTouched({});
+    }
+  };
+
+  const cardStyle = { backgroundColor: palette.cardBg, border: `1px solid ${palette.border}` };
+
+  if (status === "success" || status === "queued") {
+    const done = status === "queued" ? "queued" : "success";
+    return (
+      <div className="rounded-xl p-6" style={cardStyle} role="status" aria-live="polite">
+        <h3 className="text-xl font-semibold" style={{ color: palette.heading }}>{t(`contact.${done}Title`)}</h3>
+        <p className="mt-2" style={{ color: palette.muted }}>{t(`contact.${done}Body`)}</p>
+        <button
+          type="button"
+          onClick={reset}
+          className="mt-4 px-4 py-2 rounded-md border"
+          style={{ borderColor: palette.border, color: palette.body }}
+        >
+          {t("contact.sendAnother")}
+        </button>
+      </div>
+    );
+  }
+
+  const submitting = status === "submitting";
+
+  return (
+    <form ref={formRef} noValidate onSubmit={onSubmit} className="rounded-xl p-6" style={cardStyle} aria-busy={submitting}>
+      <h3 className="text-xl font-semibold" style={{ color: palette.body }}>{t("contact.title")}</h3>
+
+      {/* optional: set the email subject you’ll see in your inbox */}
+      <input type="hidden" name="subject" value={subject} />
+
+      {/* honeypot (spam trap). leave it exactly like this */}
+      <input type="text" name="_gotcha" style={{ display: "none" }} tabIndex="-1" autoComplete="off" />
+
+      {status === "error" && (
+        <div
+          role="alert"
+          className="mt-4 rounded-md px-3 py-2 text-sm"
+          style={{ border: `1px solid ${palette.danger}`, color: palette.danger }}
+        >
+          {error} {t("contact.errorHelp")}
+        </div>
+      )}
+
+      <div className="mt-4 grid gap-3">
+        <FormField
+          name="name" label={t("contact.name")} placeholder={t("contact.name")} hideLabel idPrefix="contact"
+          autoComplete="name" value={values.name} onChange={onChange} onBlur={onBlur} error={errorFor("name")}
+        />
+        <FormField
+          name="email" type="email" label={t("contact.email")} placeholder={t("contact.email")} hideLabel idPrefix="contact"
+          autoComplete="email" value={values.email} onChange={onChange} onBlur={onBlur} error={errorFor("email")}
+        />
+        <FormField
+          name="location" label={t("contact.location")} placeholder={t("contact.location")} hideLabel
+          idPrefix="contact" autoComplete="street-address" value={values.location} onChange={onChange} onBlur={onBlur}
+          error={errorFor("location")}
+        />
+        <FormField
+          as="textarea" name="message" rows="5" label={t("contact.message")} placeholder={t("contact.message")} hideLabel
+          idPrefix="contact" value={values.message} onChange={onChange} onBlur={onBlur} error={errorFor("message")}
+        />
+        <button
+          type="submit"
+          disabled={submitting}
+          className="mt-2 px-4 py-2 rounded-md text-white disabled:opacity-70 disabled:cursor-wait"
+          style={{ backgroundColor: palette.accent }}
+        >
+          {submitting ? t("common.sending") : t("contact.send")}
+        </button>
+      </div>
+    </form>
+  );
+}
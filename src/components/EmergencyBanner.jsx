@@ -0,0 +1,69 @@
+// src/components/EmergencyBanner.jsx
+import React from "react";
+import { useTheme } from "../theme/ThemeContext";
+import { useEmergency } from "../emergency/EmergencyContext";
+import { useI18n } from "../i18n/I18nContext";
+import { hexWithAlpha } from "../lib/color";
+import { emergencyCopy } from "../lib/emergency";
+import { formatPhone, telHref } from "../content";
+
+/**
+ * Site-wide storm alert shown under the header while emergency mode is on.
+ * Renders nothing otherwise, or once the visitor has dismissed it.
+ *
+ * Props:
+ *  - requestHref: string  where the priority request form lives
+ */
+export default function EmergencyBanner({ requestHref = "/#emergency" }) {
+  const { palette } = useTheme();
+  const { active, config, dismissed, dismiss } = useEmergency();
+  const { locale, t } = useI18n();
+  if (!active || dismissed) return null;
+  const copy = emergencyCopy(config, locale);
+
+  return (
+    <div
+      role="region"
+      aria-label={t("emergency.banner")}
+      className="border-b"
+      style={{
+        backgroundColor: palette.sectionLight,
+        backgroundImage: `linear-gradient(${hexWithAlpha(palette.danger, 0.14)}, ${hexWithAlpha(palette.danger, 0.14)})`,
+        borderColor: hexWithAlpha(palette.danger, 0.5),
+      }}
+    >
+      <div className="max-w-7xl mx-auto px-4 py-3 flex items-start gap-3">
+        <div className="flex-1 flex flex-col md:flex-row md:items-center gap-x-6 gap-y-2">
+          <p className="text-sm" style={{ color: palette.body }}>
+            <strong style={{ color: palette.danger }}>{copy.title || t("emergency.defaultTitle")}:</strong> {copy.message}
+          </p>
+          <div className="flex flex-wrap gap-2 text-sm shrink-0">
+            <a
+              href={requestHref}
+              className="px-3 py-1.5 rounded-md font-medium"
+              style={{ backgroundColor: palette.danger, color: palette.sectionLight }}
+            >
+              {t("emergency.priorityRequest")}
+            </a>
+            <a
+              href={telHref}
+              className="px-3 py-1.5 rounded-md border"
+              style={{ borderColor: palette.danger, color: palette.body }}
+            >
+              {t("emergency.call", { phone: formatPhone() })}
+            </a>
+          </div>
+        </div>
+        <button
+          type="button"
+          onClick={dismiss}
+          aria-label={t("emergency.dismiss")}
+          className="grid place-items-center w-8 h-8 rounded-full shrink-0"
+          style={{ color: palette.body, backgroundColor: hexWithAlpha(palette.danger, 0.12) }}
+        >
+          ✕
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,126 @@
+// src/components/EmergencyRequestForm.jsx
+import React, { useRef, useState } from "react";
+import FormField from "./FormField";
+import ChoiceGroup from "./ChoiceGroup";
+import { useTheme } from "../theme/ThemeContext";
+import { useI18n } from "../i18n/I18nContext";
+import { hexWithAlpha } from "../lib/color";
+import { useSubmission } from "../lib/submit/useSubmission";
+import { submitOrQueue } from "../lib/submit/outbox";
+import {
+  EMERGENCY_FIELDS,
+  EMPTY_EMERGENCY,
+  hazardOptions,
+  toEmergencyPayload,
+  validateEmergency,
+} from "../lib/emergency";
+import { formatPhone, telHref } from "../content";
+
+/**
+ * The short storm-damage form: what the tree is on, who and where. Sent
+ * through the contact channel flagged urgent (see lib/emergency), so it
+ * skips the estimate wizard's questions about size and access. With no
+ * connection it's queued like the contact form, but the visitor is told
+ * to call, since a crew won't see it until the device is back online.
+ */
+export default function EmergencyRequestForm() {
+  const { palette } = useTheme();
+  const { t } = useI18n();
+  const formRef = useRef(null);
+  const [values, setValues] = useState(EMPTY_EMERGENCY);
+  const [touched, setTouched] = useState({});
+  const { status, error, fieldErrors, submit, reset } = useSubmission(submitOrQueue);
+
+  const clientErrors = validateEmergency(values, t);
+  const errorFor = (field) => (touched[field] && clientErrors[field]) || fieldErrors[field] || "";
+
+  const set = (field, value) => setValues((v) => ({ ...v, [field]: value }));
+  const onChange = (e) => set(e.target.name, e.target.value);
+  const onBlur = (e) => setTouched((prev) => ({ ...prev, [e.target.name]: true }));
+
+  const onSubmit = async (e) => {
+    e.preventDefault();
+    setTouched(Object.fromEntries(EMERGENCY_FIELDS.map((f) => [f, true])));
+    if (Object.keys(clientErrors).length) {
+      const first = EMERGENCY_FIELDS.find((f) => clientErrors[f]);
+      // querySelector, not elements.namedItem: radios come back as a list
+      formRef.current?.querySelector(`[name="${first}"]`)?.focus();
+      return;
+    }
+    const honeypot = e.currentTarget.elements.namedItem("_gotcha")?.value || "";
+    const ok = await submit({ ...toEmergencyPayload(values), _gotcha: honeypot });
+    if (ok) {
+      setValues(EMPTY_EMERGENCY);
+      setTouched({});
+    }
+  };
+
+  const cardStyle = { backgroundColor: palette.cardBg, border: `2px solid ${hexWithAlpha(palette.danger, 0.6)}` };
+
+  if (status === "success" || status === "queued") {
+    return (
+      <div className="rounded-2xl p-6 md:p-8" style={cardStyle} role="status" aria-live="polite">
+        <h3 className="text-2xl font-semibold" style={{ color: palette.heading }}>{t(`emergency.${status}Title`)}</h3>
+        <p className="mt-2" style={{ color: palette.muted }}>{t(`emergency.${status}Body`, { phone: formatPhone() })}</p>
+        {status === "queued" && (
+          <a href={telHref} className="mt-3 inline-block font-semibold underline" style={{ color: palette.danger }}>
+            {t("emergency.call", { phone: formatPhone() })}
+          </a>
+        )}
+        <button
+          type="button"
+          onClick={reset}
+          className="mt-4 px-4 py-2 rounded-md border"
+          style={{ borderColor: palette.border, color: palette.body }}
+        >
+          {t("emergency.sendAnother")}
+        </button>
+      </div>
+    );
+  }
+
+  const submitting = status === "submitting";
+
+  return (
+    <form ref={formRef} noValidate onSubmit={onSubmit} className="rounded-2xl p-6 md:p-8 grid gap-4" style={cardStyle} aria-busy={submitting}>
+      {/* honeypot (spam trap) */}
+      <input type="text" name="_gotcha" style={{ display: "none" }} tabIndex="-1" autoComplete="off" />
+
+      <p className="text-sm" style={{ color: palette.muted }}>
+        {t("emergency.intro")}{" "}
+        <a href={telHref} className="underline" style={{ color: palette.body }}>{formatPhone()}</a>.
+      </p>
+
+      {status === "error" && (
+        <div role="alert" className="rounded-md px-3 py-2 text-sm" style={{ border: `1px solid ${palette.danger}`, color: palette.danger }}>
+          {error} {t("emergency.errorHelp", { phone: formatPhone() })}
+        </div>
+      )}
+
+      <ChoiceGroup
+        name="hazard" idPrefix="emergency" legend={t("emergency.hazardLegend")} options={hazardOptions(t)}
+        value={values.hazard} onChange={(id) => set("hazard", id)} error={errorFor("hazard")}
+      />
+
+      <div className="grid gap-3 md:grid-cols-2">
+        <FormField name="name" label={t("emergency.name")} idPrefix="emergency" autoComplete="name"
+          value={values.name} onChange={onChange} onBlur={onBlur} error={errorFor("name")} />
+        <FormField name="phone" type="tel" label={t("emergency.phone")} idPrefix="emergency" autoComplete="tel"
+          value={values.phone} onChange={onChange} onBlur={onBlur} error={errorFor("phone")} />
+        <FormField name="address" label={t("emergency.address")} idPrefix="emergency" autoComplete="street-address" className="md:col-span-2"
+          value={values.address} onChange={onChange} onBlur={onBlur} error={errorFor("address")} />
+        <FormField as="textarea" name="notes" rows="3" label={t("emergency.notes")} idPrefix="emergency" className="md:col-span-2"
+          value={values.notes} onChange={onChange} onBlur={onBlur} error={errorFor("notes")} />
+      </div>
+
+      <button
+        type="submit"
+        disabled={submitting}
+        className="justify-self-start px-5 py-3 rounded-xl font-medium disabled:opacity-70 disabled:cursor-wait"
+        style={{ backgroundColor: palette.danger, color: palette.sectionLight }}
+      >
+        {submitting ? t("common.sending") : t("emergency.submit")}
+      </button>
+    </form>
+  );
+}
@@ -0,0 +1,313 @@
+// src/components/EstimateWizard.jsx
+import React, { useEffect, useRef, useState } from "react";
+import FormField from "./FormField";
+import ChoiceGroup from "./ChoiceGroup";
+import { useTheme } from "../theme/ThemeContext";
+import { useI18n } from "../i18n/I18nContext";
+import { hexWithAlpha } from "../lib/color";
+import { usePersistentState } from "../lib/usePersistentState";
+import { formatRange, priceEstimate } from "../lib/priceEstimate";
+import { assessTree } from "../lib/treeHealth";
+import { useSubmission } from "../lib/submit/useSubmission";
+import { submitOrQueue } from "../lib/submit/outbox";
+import {
+  EMPTY_DRAFT,
+  ESTIMATE_STEPS,
+  ESTIMATE_STORAGE_KEY,
+  describeEstimate,
+  estimateOptions,
+  serviceOptions,
+  restoreEstimateDraft,
+  toEstimatePayload,
+} from "../lib/estimateRequest";
+
+/**
+ * Guided free-estimate request. Progress (answers + current step) is kept
+ * in localStorage so a half-filled request survives a reload; it's cleared
+ * once the request is sent (or queued to send when the visitor is back
+ * online).
+ *
+ * Props:
+ *  - initialService: string  service id to preselect (e.g. from a service
+ *    page); a service already chosen in a saved draft wins
+ *  - ballpark: quote | null   price-estimator result to send along (in
+ *    English, as the inbox gets it; it's re-priced for display)
+ *  - onBallparkChange: (quote | null) => void  remove it (and clear it
+ *    once the request is sent)
+ *  - assessment: result | null  tree health self-assessment to send along
+ *    (English, like `ballpark`)
+ *  - onAssessmentChange: (result | null) => void  same as onBallparkChange
+ */
+export default function EstimateWizard({
+  initialService,
+  ballpark = null,
+  onBallparkChange,
+  assessment = null,
+  onAssessmentChange,
+}) {
+  const { palette } = useTheme();
+  const { t } = useI18n();
+  const [draft, setDraft, resetDraft] = usePersistentState(ESTIMATE_STORAGE_KEY, EMPTY_DRAFT);
+  const [errors, setErrors] = useState({});
+  const { status, error, submit, reset } = useSubmission(submitOrQueue);
+  const headingRef = useRef(null);
+  const firstRender = useRef(true);
+
+  // Whatever storage held, render (and update) a well-formed draft
+  const { step: stepIndex, values } = restoreEstimateDraft(draft);
+  const step = ESTIMATE_STEPS[stepIndex];
+  const isLast = stepIndex === ESTIMATE_STEPS.length - 1;
+  // Quotes attached before answers were kept can't be re-priced; show them as sent
+  const shownBallpark = ballpark?.answers ? priceEstimate(ballpark.service, ballpark.answers, t) || ballpark : ballpark;
+  // Same for an assessment whose questions have since changed
+  const shownAssessment = assessment ? assessTree(assessment.answers, t) || assessment : null;
+
+  useEffect(() => {
+    if (!initialService) return;
+    setDraft((d) => {
+      const saved = restoreEstimateDraft(d);
+      return saved.values.service ? saved : { ...saved, values: { ...saved.values, service: initialService } };
+    });
+  }, [initialService, setDraft]);
+
+  // Move focus to the new step's heading (not on initial mount)
+  useEffect(() => {
+    if (firstRender.current) {
+      firstRender.current = false;
+      return;
+    }
+    headingRef.current?.focus();
+  }, [stepIndex]);
+
+  const set = (field, value) => {
+    setDraft((d) => {
+      const saved = restoreEstimateDraft(d);
+      return { ...saved, values: { ...saved.values, [field]: value } };
+    });
+    setErrors((e) => (e[field] ? { ...e, [field]: "" } : e));
+  };
+  const onInput = (e) => set(e.target.name, e.target.value);
+  const toggleAccess = (id) =>
+    set("access", values.access.includes(id) ? values.access.filter((a) => a !== id) : [...values.access, id]);
+
+  const goTo = (i) => {
+    setErrors({});
+    setDraft((d) => ({ ...restoreEstimateDraft(d), step: i }));
+  };
+
+  const next = () => {
+    const stepErrors = step.validate(values, t);
+    setErrors(stepErrors);
+    if (Object.keys(stepErrors).length) return;
+    goTo(stepIndex + 1);
+  };
+
+  const onSubmit = async (e) => {
+    e.preventDefault();
+    if (!isLast) return next();
+    // Re-check everything in case the stored draft was edited elsewhere
+    const bad = ESTIMATE_STEPS.findIndex((s) => Object.keys(s.validate(values, t)).length);
+    if (bad !== -1) {
+      goTo(bad);
+      setErrors(ESTIMATE_STEPS[bad].validate(values, t));
+      return;
+    }
+    const honeypot = e.currentTarget.elements.namedItem("_gotcha")?.value || "";
+    const ok = await submit({ ...toEstimatePayload(values, { ballpark, assessment }), _gotcha: honeypot });
+    if (ok) {
+      resetDraft();
+      onBallparkChange?.(null);
+      onAssessmentChange?.(null);
+    }
+  };
+
+  const cardStyle = { backgroundColor: palette.cardBg, border: `1px solid ${palette.border}` };
+
+  if (status === "success" || status === "queued") {
+    const done = status === "queued" ? "queued" : "success";
+    return (
+      <div className="rounded-2xl p-6 md:p-8" style={cardStyle} role="status" aria-live="polite">
+        <h3 className="text-2xl font-semibold" style={{ color: palette.heading }}>{t(`estimate.${done}Title`)}</h3>
+        <p className="mt-2" style={{ color: palette.muted }}>{t(`estimate.${done}Body`)}</p>
+        <button
+          type="button"
+          onClick={reset}
+          className="mt-4 px-4 py-2 rounded-md border"
+          style={{ borderColor: palette.border, color: palette.body }}
+        >
+          {t("estimate.startAnother")}
+        </button>
+      </div>
+    );
+  }
+
+  const submitting = status === "submitting";
+  const pct = Math.round((stepIndex / (ESTIMATE_STEPS.length - 1)) * 100);
+
+  return (
+    <form noValidate onSubmit={onSubmit} className="rounded-2xl p-6 md:p-8" style={cardStyle} aria-busy={submitting}>
+      {/* honeypot (spam trap) */}
+      <input type="text" name="_gotcha" style={{ display: "none" }} tabIndex="-1" autoComplete="off" />
+
+      {/* Progress */}
+      <ol className="flex flex-wrap gap-x-4 gap-y-1 text-xs md:text-sm" aria-label={t("estimate.stepsLabel")}>
+        {ESTIMATE_STEPS.map((s, i) => (
+          <li
+            key={s.id}
+            aria-current={i === stepIndex ? "step" : undefined}
+            className={i === stepIndex ? "font-semibold" : ""}
+            style={{ color: i <= stepIndex ? palette.accent : palette.muted }}
+          >
+            {i + 1}. {t(`estimate.steps.${s.id}.title`)}
+          </li>
+        ))}
+      </ol>
+      <div className="mt-2 h-1.5 rounded-full overflow-hidden" style={{ backgroundColor: hexWithAlpha(palette.accent, 0.15) }}>
+        <div className="h-full transition-[width] duration-300" style={{ width: `${pct}%`, backgroundColor: palette.accent }} />
+      </div>
+
+      {shownBallpark && (
+        <p className="mt-4 flex flex-wrap items-center gap-x-3 gap-y-1 rounded-md px-3 py-2 text-sm"
+          style={{ backgroundColor: hexWithAlpha(palette.accent, 0.08), color: palette.body }}>
+          <span>
+            {t("estimate.ballparkAttached")} {shownBallpark.serviceTitle}, <strong>{formatRange(shownBallpark)}</strong>
+          </span>
+          {onBallparkChange && (
+            <button type="button" onClick={() => onBallparkChange(null)} className="underline" style={{ color: palette.muted }}>
+              {t("estimate.remove")}
+            </button>
+          )}
+        </p>
+      )}
+
+      {shownAssessment && (
+        <p className="mt-4 flex flex-wrap items-center gap-x-3 gap-y-1 rounded-md px-3 py-2 text-sm"
+          style={{ backgroundColor: hexWithAlpha(palette.accent, 0.08), color: palette.body }}>
+          <span>
+            {t("estimate.treeHealthAttached")} <strong>{shownAssessment.label}</strong>, {shownAssessment.serviceTitle}
+          </span>
+          {onAssessmentChange && (
+            <button type="button" onClick={() => onAssessmentChange(null)} className="underline" style={{ color: palette.muted }}>
+              {t("estimate.remove")}
+            </button>
+          )}
+        </p>
+      )}
+
+      <h3 ref={headingRef} tabIndex={-1} className="mt-6 text-xl font-semibold outline-none" style={{ color: palette.heading }}>
+        {t(`estimate.steps.${step.id}.heading`)}
+      </h3>
+
+      <div className="mt-4">
+        {step.id === "service" && (
+          <ChoiceGroup
+            name="service"
+            legend={t("estimate.serviceLegend")}
+            options={serviceOptions(t).map((s) => ({ id: s.id, label: s.title, hint: s.summary }))}
+            value={values.service}
+            onChange={(v) => set("service", v)}
+            error={errors.service}
+          />
+        )}
+
+        {step.id === "trees" && (
+          <div className="grid gap-6">
+            <ChoiceGroup name="treeCount" legend={t("estimate.treeCountLegend")} options={estimateOptions("treeCount", t)} value={values.treeCount}
+              onChange={(v) => set("treeCount", v)} error={errors.treeCount} />
+            <ChoiceGroup name="treeSize" legend={t("estimate.treeSizeLegend")}
+              options={estimateOptions("treeSize", t)} value={values.treeSize}
+              onChange={(v) => set("treeSize", v)} error={errors.treeSize} />
+          </div>
+        )}
+
+        {step.id === "property" && (
+          <div className="grid gap-3 md:grid-cols-6">
+            <FormField className="md:col-span-6" idPrefix="estimate" name="street" label={t("estimate.street")} autoComplete="street-address"
+              value={values.street} onChange={onInput} error={errors.street} />
+            <FormField className="md:col-span-4" idPrefix="estimate" name="city" label={t("estimate.city")} autoComplete="address-level2"
+              value={values.city} onChange={onInput} error={errors.city} />
+            <FormField className="md:col-span-2" idPrefix="estimate" name="zip" label={t("estimate.zip")} inputMode="numeric" autoComplete="postal-code"
+              value={values.zip} onChange={onInput} error={errors.zip} />
+          </div>
+        )}
+
+        {step.id === "access" && (
+          <div className="grid gap-4">
+            <fieldset>
+              <legend className="text-sm font-medium" style={{ color: palette.body }}>
+                {t("estimate.accessLegend")} <span style={{ color: palette.muted }}>{t("common.checkAll")}</span>
+              </legend>
+              <div className="mt-2 grid sm:grid-cols-2 gap-2">
+                {estimateOptions("access", t).map((c) => (
+                  <label key={c.id} className="flex items-center gap-2 rounded-md px-3 py-2 cursor-pointer"
+                    style={{ border: `1px solid ${palette.border}`, color: palette.body }}>
+                    <input type="checkbox" checked={values.access.includes(c.id)} onChange={() => toggleAccess(c.id)} />
+                    {c.label}
+                  </label>
+                ))}
+              </div>
+            </fieldset>
+            <FormField as="textarea" rows="3" idPrefix="estimate" name="accessNotes" label={t("estimate.accessNotes")}
+              value={values.accessNotes} onChange={onInput} error={errors.accessNotes} />
+          </div>
+        )}
+
+        {step.id === "timing" && (
+          <ChoiceGroup name="urgency" legend={t("estimate.urgencyLegend")} options={estimateOptions("urgency", t)} value={values.urgency}
+            onChange={(v) => set("urgency", v)} error={errors.urgency} />
+        )}
+
+        {step.id === "contact" && (
+          <div className="grid gap-4">
+            <FormField idPrefix="estimate" name="name" label={t("estimate.name")} autoComplete="name"
+              value={values.name} onChange={onInput} error={errors.name} />
+            <ChoiceGroup name="contactMethod" legend={t("estimate.contactMethodLegend")}
+              options={estimateOptions("contactMethod", t)} value={values.contactMethod}
+              onChange={(v) => set("contactMethod", v)} error={errors.contactMethod} />
+            <div className="grid gap-3 md:grid-cols-2">
+              <FormField idPrefix="estimate" name="phone" type="tel" label={t("estimate.phone")} autoComplete="tel"
+                value={values.phone} onChange={onInput} error={errors.phone} />
+              <FormField idPrefix="estimate" name="email" type="email" label={t("estimate.email")} autoComplete="email"
+                value={values.email} onChange={onInput} error={errors.email} />
+            </div>
+          </div>
+        )}
+
+        {step.id === "review" && (
+          <dl className="grid gap-x-6 gap-y-2 sm:grid-cols-[auto_1fr]">
+            {describeEstimate(values, { ballpark: shownBallpark, assessment: shownAssessment }, t).map(([k, v]) => (
+              <React.Fragment key={k}>
+                <dt className="text-sm font-medium" style={{ color: palette.muted }}>{k}</dt>
+                <dd className="whitespace-pre-line" style={{ color: palette.body }}>{v}</dd>
+              </React.Fragment>
+            ))}
+          </dl>
+        )}
+      </div>
+
+      {status === "error" && (
+        <div role="alert" className="mt-4 rounded-md px-3 py-2 text-sm" style={{ border: `1px solid ${palette.danger}`, color: palette.danger }}>
+          {error} {t("estimate.errorHelp")}
+        </div>
+      )}
+
+      <div className="mt-6 flex flex-wrap items-center gap-3">
+        {stepIndex > 0 && (
+          <button type="button" onClick={() => goTo(stepIndex - 1)} className="px-4 py-2 rounded-md border"
+            style={{ borderColor: palette.border, color: palette.body }}>
+            {t("common.back")}
+          </button>
+        )}
+        <button
+          type="submit"
+          disabled={submitting}
+          className="px-5 py-2 rounded-md text-white disabled:opacity-70 disabled:cursor-wait"
+          style={{ backgroundColor: palette.accent }}
+        >
+          {isLast ? (submitting ? t("common.sending") : t("estimate.send")) : t("common.next")}
+        </button>
+        <span className="ml-auto text-xs" style={{ color: palette.muted }}>{t("estimate.saved")}</span>
+      </div>
+    </form>
+  );
+}
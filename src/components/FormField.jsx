@@ -0,0 +1,61 @@
+// src/components/FormField.jsx
+import React from "react";
+import { useTheme } from "../theme/ThemeContext";
+
+/**
+ * Labelled input with an inline error message wired up for screen readers.
+ *
+ * Props:
+ *  - name: string            field name (also used to build ids)
+ *  - label: string           visible label (or sr-only when hideLabel)
+ *  - error: string           message shown under the field; "" = valid
+ *  - as: "input" | "textarea" | "select"  default "input"
+ *  - hideLabel: boolean      keep the label for AT only (placeholder-style UI)
+ *  - idPrefix: string        prefix for ids when a field name repeats on the page
+ *  - children: <option>s when as="select"
+ *  - ...rest                 passed to the control (value, onChange, type, ...)
+ */
+export default function FormField({
+  name,
+  label,
+  error = "",
+  as = "input",
+  hideLabel = false,
+  idPrefix = "f",
+  className = "",
+  children,
+  ...rest
+}) {
+  const { palette } = useTheme();
+  const id = `${idPrefix}-${name}`;
+  const errId = `${id}-error`;
+  const Control = as;
+
+  return (
+    <div className={`grid gap-1 ${className}`}>
+      <label htmlFor={id} className={hideLabel ? "sr-only" : "text-sm font-medium"} style={{ color: palette.body }}>
+        {label}
+      </label>
+      <Control
+        id={id}
+        name={name}
+        aria-invalid={error ? "true" : undefined}
+        aria-describedby={error ? errId : undefined}
+        className="rounded-md px-3 py-2"
+        style={{
+          border: `1px solid ${error ? palette.danger : palette.border}`,
+          backgroundColor: palette.sectionLight,
+          color: palette.body,
+        }}
+        {...rest}
+      >
+        {children}
+      </Control>
+      {error && (
+        <p id={errId} className="text-sm" style={{ color: palette.danger }}>
+          {error}
+        </p>
+      )}
+    </div>
+  );
+}
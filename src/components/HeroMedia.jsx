@@ -0,0 +1,149 @@
+// src/components/HeroMedia.jsx
+import React, { useEffect, useRef, useState } from "react";
+import ResponsiveImage from "./ResponsiveImage";
+import { useI18n } from "../i18n/I18nContext";
+import { useReducedMotion } from "../motion/MotionContext";
+import { heroMediaMode, videoSourcesFor } from "../lib/heroMedia";
+
+/**
+ * Full-bleed hero background. The poster photo is always there (it's what
+ * the prerendered page shows and what the video fades in over). Once the
+ * hero is on screen, and only if the visitor can afford it (see
+ * lib/heroMedia), it plays the video — or, on slower connections or when
+ * the video is missing or won't play, crossfades through job photos.
+ * Moving backgrounds get a pause button (WCAG 2.2.2).
+ *
+ * Props:
+ *  - poster: string  public image path, e.g. "/images/header.jpg"
+ *  - alt: string  describes the poster
+ *  - video: { src, type, orientation?: "portrait" | "landscape" }[]
+ *      WebM before MP4; keep the array stable (module constant)
+ *  - slides: string[]  image paths for the slideshow fallback
+ *  - slideMs: number  time per slide default 6000
+ */
+export default function HeroMedia({ poster, alt, video = [], slides = [], slideMs = 6000 }) {
+  const { t } = useI18n();
+  const boxRef = useRef(null);
+  const videoRef = useRef(null);
+  // Server render and first paint: poster only
+  const [mode, setMode] = useState("still");
+  const [sources, setSources] = useState([]);
+  const [playing, setPlaying] = useState(false);
+  const [paused, setPaused] = useState(false);
+  const [slide, setSlide] = useState(0);
+  const reduced = useReducedMotion();
+  const reducedRef = useRef(reduced);
+
+  const frames = [poster, ...slides.filter((src) => src !== poster)];
+  const fallback = () => setMode(frames.length > 1 ? "slideshow" : "still");
+
+  // "Reduce motion" switched on mid-visit: back to the still photo
+  useEffect(() => {
+    reducedRef.current = reduced;
+    if (reduced) setMode("still");
+  }, [reduced]);
+
+  // Decide (and start loading anything) only when the poster is in view
+  useEffect(() => {
+    const el = boxRef.current;
+    if (!el) return;
+    const obs = new IntersectionObserver((entries) => {
+      if (!entries.some((e) => e.isIntersecting)) return;
+      obs.disconnect();
+      const next = heroMediaMode(reducedRef.current);
+      if (next === "video" && video.length) {
+        setSources(videoSourcesFor(video, el.clientWidth, el.clientHeight));
+        setMode("video");
+      } else if (next !== "still" && slides.length) {
+        setMode("slideshow");
+      }
+    });
+    obs.observe(el);
+    return () => obs.disconnect();
+  }, [video, slides.length]);
+
+  // Don't decode video nobody can see
+  useEffect(() => {
+    const el = boxRef.current;
+    const v = videoRef.current;
+    if (mode !== "video" || paused || !el || !v) return;
+    const obs = new IntersectionObserver(([entry]) => {
+      if (entry.isIntersecting) v.play().catch(() => {}); // autoplay refused: the poster stays
+      else v.pause();
+    });
+    obs.observe(el);
+    return () => obs.disconnect();
+  }, [mode, paused]);
+
+  useEffect(() => {
+    if (mode !== "slideshow" || paused) return;
+    const id = setInterval(() => setSlide((i) => (i + 1) % frames.length), slideMs);
+    return () => clearInterval(id);
+  }, [mode, paused, frames.length, slideMs]);
+
+  const togglePause = () => {
+    const v = videoRef.current;
+    if (v) {
+      if (paused) v.play().catch(() => {});
+      else v.pause();
+    }
+    setPaused((p) => !p);
+  };
+
+  const moving = (mode === "video" && playing) || mode === "slideshow";
+
+  return (
+    <div ref={boxRef} className="absolute inset-0">
+      <ResponsiveImage src={poster} alt={alt} sizes="100vw" fetchPriority="high" className="h-full w-full object-cover" />
+
+      {mode === "slideshow" &&
+        frames.map((src, i) => {
+          // Mount the current slide and its neighbours: the next one
+          // preloads, the previous one fades out
+          const near = [slide - 1, slide, slide + 1].map((n) => (n + frames.length) % frames.length);
+          if (i === 0 || !near.includes(i)) return null;
+          return (
+            <ResponsiveImage
+              key={src}
+              src={src}
+              sizes="100vw"
+              aria-hidden="true"
+              className="absolute inset-0 h-full w-full object-cover transition-opacity duration-1000"
+              style={{ opacity: i === slide ? 1 : 0 }}
+            />
+          );
+        })}
+
+      {mode === "video" && (
+        <video
+          ref={videoRef}
+          autoPlay
+          loop
+          muted
+          playsInline
+          preload="auto"
+          className={`absolute inset-0 h-full w-full object-cover transition-opacity duration-700 ${playing ? "" : "opacity-0"}`}
+          onPlaying={() => setPlaying(true)}
+          onError={fallback}
+          aria-hidden="true"
+        >
+          {sources.map((s, i) => (
+            // A missing file errors on its <source>; the last one failing means none will play
+            <source key={s.src} src={s.src} type={s.type} onError={i === sources.length - 1 ? fallback : undefined} />
+          ))}
+        </video>
+      )}
+
+      {moving && (
+        <button
+          type="button"
+          onClick={togglePause}
+          aria-pressed={paused}
+          className="absolute right-3 top-3 z-30 rounded-full bg-black/50 px-3 py-1 text-xs text-white hover:bg-black/70"
+        >
+          {paused ? t("home.heroPlay") : t("home.heroPause")}
+        </button>
+      )}
+    </div>
+  );
+}
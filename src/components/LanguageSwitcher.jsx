@@ -0,0 +1,46 @@
+// src/components/LanguageSwitcher.jsx
+import React from "react";
+import { useTheme } from "../theme/ThemeContext";
+import { useI18n } from "../i18n/I18nContext";
+
+/**
+ * EN | ES toggle for the header. Each button is labelled in its own
+ * language so a visitor who can't read the current one still finds theirs.
+ *
+ * Props:
+ *  - className: string  extra classes for positioning
+ */
+export default function LanguageSwitcher({ className = "" }) {
+  const { palette } = useTheme();
+  const { locale, setLocale, locales, t } = useI18n();
+
+  return (
+    <div
+      role="group"
+      aria-label={t("language.label")}
+      className={`flex overflow-hidden rounded-md text-xs font-semibold ${className}`}
+      style={{ border: `1px solid ${palette.border}` }}
+    >
+      {Object.entries(locales).map(([code, info]) => {
+        const active = code === locale;
+        return (
+          <button
+            key={code}
+            type="button"
+            lang={code}
+            aria-label={info.name}
+            aria-pressed={active}
+            onClick={() => setLocale(code)}
+            className="px-2 py-1 transition"
+            style={{
+              backgroundColor: active ? palette.accent : "transparent",
+              color: active ? palette.sectionLight : palette.body,
+            }}
+          >
+            {info.short}
+          </button>
+        );
+      })}
+    </div>
+  );
+}
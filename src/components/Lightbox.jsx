@@ -0,0 +1,246 @@
+// src/components/Lightbox.jsx
+import React, { useCallback, useEffect, useRef, useState } from "react";
+import { createPortal } from "react-dom";
+import { useFocusTrap } from "../lib/useFocusTrap";
+import { useScrollLock } from "../lib/useScrollLock";
+import BeforeAfterSlider from "./BeforeAfterSlider";
+import ResponsiveImage from "./ResponsiveImage";
+import { useI18n } from "../i18n/I18nContext";
+import { track } from "../lib/analytics";
+
+const MAX_ZOOM = 4;
+const SWIPE_PX = 50;
+const clamp = (v, lo, hi) => Math.min(hi, Math.max(lo, v));
+const dist = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+/**
+ * Fullscreen photo viewer.
+ *
+ * Props:
+ *  - items: { src, alt?, caption?, href?, before?, after? }[]
+ *      items with before/after render as a comparison slider (no zoom)
+ *  - index: number            which item is showing
+ *  - onIndexChange: (i) => void
+ *  - onClose: () => void
+ *  - label: string            dialog name for screen readers (default
+ *      "Photo viewer" in the page's language)
+ *
+ * Keyboard: ← / → step, Escape closes, Tab stays inside. Touch: swipe to
+ * step, pinch to zoom, drag to pan while zoomed, double-tap toggles 2×.
+ */
+export default function Lightbox({ items, index, onIndexChange, onClose, label: labelProp }) {
+  const { t } = useI18n();
+  const label = labelProp || t("lightbox.label");
+  const dialogRef = useRef(null);
+  const closeRef = useRef(null);
+  const stageRef = useRef(null);
+  const [view, setView] = useState({ scale: 1, x: 0, y: 0 });
+  const pointers = useRef(new Map());
+  const gesture = useRef(null);
+  const moved = useRef(false); // distinguishes a tap on the backdrop from a drag
+
+  const count = items.length;
+  const item = items[index];
+
+  useScrollLock(true);
+  useFocusTrap(dialogRef, true, { onEscape: onClose, initialFocusRef: closeRef });
+
+  // `via` is only for analytics: "button" | "key" | "swipe"
+  const step = useCallback(
+    (dir, via) => {
+      track("lightbox_step", { direction: dir > 0 ? "next" : "previous", via });
+      onIndexChange((index + dir + count) % count);
+    },
+    [index, count, onIndexChange]
+  );
+
+  // Once per opening, not per photo
+  const openedWith = useRef(index);
+  useEffect(() => {
+    track("lightbox_open", { viewer: label, photo: openedWith.current + 1 });
+  }, [label]);
+
+  // Reset zoom whenever the photo changes
+  useEffect(() => {
+    setView({ scale: 1, x: 0, y: 0 });
+    pointers.current.clear();
+    gesture.current = null;
+  }, [index]);
+
+  // Arrow keys (Escape is handled by the focus trap)
+  useEffect(() => {
+    const onKey = (e) => {
+      // defaultPrevented: a focused control (e.g. the before/after slider) used the key
+      if (count < 2 || e.defaultPrevented) return;
+      if (e.key === "ArrowRight") { e.preventDefault(); step(1, "key"); }
+      else if (e.key === "ArrowLeft") { e.preventDefault(); step(-1, "key"); }
+    };
+    document.addEventListener("keydown", onKey);
+    return () => document.removeEventListener("keydown", onKey);
+  }, [step, count]);
+
+  // Warm the cache for neighbours so stepping feels instant
+  useEffect(() => {
+    if (count < 2) return;
+    [items[(index + 1) % count], items[(index - 1 + count) % count]].forEach((it) => {
+      if (it?.src) new Image().src = it.src;
+    });
+  }, [items, index, count]);
+
+  // Keep a zoomed image from being dragged fully off-stage
+  const clampPan = (scale, x, y) => {
+    const rect = stageRef.current?.getBoundingClientRect();
+    if (!rect || scale <= 1) return { scale: Math.max(scale, 1), x: 0, y: 0 };
+    const maxX = ((scale - 1) * rect.width) / 2;
+    const maxY = ((scale - 1) * rect.height) / 2;
+    return { scale, x: clamp(x, -maxX, maxX), y: clamp(y, -maxY, maxY) };
+  };
+
+  const onPointerDown = (e) => {
+    if (e.target.closest("button")) return; // let prev/next clicks through
+    moved.current = false;
+    e.currentTarget.setPointerCapture?.(e.pointerId);
+    pointers.current.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    const pts = [...pointers.current.values()];
+    if (pts.length === 2) {
+      moved.current = true;
+      gesture.current = { type: "pinch", startDist: dist(pts[0], pts[1]), startScale: view.scale };
+    } else if (pts.length === 1) {
+      gesture.current = { type: view.scale > 1 ? "pan" : "swipe", startX: e.clientX, startY: e.clientY, origin: { ...view } };
+    }
+  };
+
+  const onPointerMove = (e) => {
+    if (!pointers.current.has(e.pointerId)) return;
+    pointers.current.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    const g = gesture.current;
+    if (!g) return;
+    if (g.startX != null && Math.hypot(e.clientX - g.startX, e.clientY - g.startY) > 5) moved.current = true;
+    if (g.type === "pinch") {
+      const pts = [...pointers.current.values()];
+      if (pts.length < 2 || !g.startDist) return;
+      const scale = clamp((g.startScale * dist(pts[0], pts[1])) / g.startDist, 1, MAX_ZOOM);
+      setView((v) => clampPan(scale, v.x, v.y));
+    } else if (g.type === "pan") {
+      setView(clampPan(g.origin.scale, g.origin.x + e.clientX - g.startX, g.origin.y + e.clientY - g.startY));
+    }
+  };
+
+  const onPointerUp = (e) => {
+    const g = gesture.current;
+    pointers.current.delete(e.pointerId);
+    if (g?.type === "swipe" && count > 1) {
+      const dx = e.clientX - g.startX;
+      const dy = e.clientY - g.startY;
+      if (Math.abs(dx) > SWIPE_PX && Math.abs(dx) > Math.abs(dy) * 1.5) step(dx < 0 ? 1 : -1, "swipe");
+    }
+    // Lifting one finger of a pinch continues as a pan
+    const rest = [...pointers.current.values()];
+    gesture.current = rest.length === 1
+      ? { type: "pan", startX: rest[0].x, startY: rest[0].y, origin: { ...view } }
+      : null;
+  };
+
+  const onDoubleClick = () => setView((v) => (v.scale > 1 ? { scale: 1, x: 0, y: 0 } : { scale: 2, x: 0, y: 0 }));
+
+  if (!item) return null;
+  const compare = Boolean(item.before && item.after);
+  const caption = item.caption ?? item.alt ?? "";
+
+  return createPortal(
+    <div
+      ref={dialogRef}
+      role="dialog"
+      aria-modal="true"
+      aria-label={label}
+      tabIndex={-1}
+      className="fixed inset-0 z-[100] flex flex-col bg-black/90 text-white outline-none"
+      onClick={(e) => { if (e.target === e.currentTarget) onClose(); }}
+    >
+      <div className="flex items-center justify-between px-4 py-3 text-sm">
+        <span aria-live="polite">{index + 1} / {count}</span>
+        <button
+          ref={closeRef}
+          type="button"
+          aria-label={t("lightbox.close")}
+          onClick={onClose}
+          className="grid place-items-center w-10 h-10 rounded-full bg-white/10 hover:bg-white/20"
+        >
+          ✕
+        </button>
+      </div>
+
+      <div
+        ref={stageRef}
+        className="relative flex-1 min-h-0 overflow-hidden grid place-items-center select-none"
+        style={{ touchAction: "none" }}
+        onPointerDown={onPointerDown}
+        onPointerMove={onPointerMove}
+        onPointerUp={onPointerUp}
+        onPointerCancel={onPointerUp}
+        onDoubleClick={compare ? undefined : onDoubleClick}
+        onClick={(e) => { if (e.target === e.currentTarget && !moved.current) onClose(); }}
+      >
+        {compare ? (
+          // Slider stops pointer propagation, so swipe/zoom below never sees its drags
+          <div key={item.src} className="aspect-[3/4] h-full max-h-full max-w-full">
+            <BeforeAfterSlider
+              before={item.before} after={item.after} imgClassName="object-contain bg-black" placeholder={false}
+              sizes="(min-aspect-ratio: 3/4) 75vh, 100vw" loading="eager"
+            />
+          </div>
+        ) : (
+          // `contents` lets the photo size against the stage; w/h-auto keep
+          // its shape when a max-* kicks in despite the width/height attributes
+          <ResponsiveImage
+            key={item.src}
+            src={item.src}
+            alt={item.alt ?? ""}
+            sizes="100vw"
+            pictureClassName="contents"
+            draggable="false"
+            className="max-h-full max-w-full h-auto w-auto object-contain"
+            style={{
+              transform: `translate(${view.x}px, ${view.y}px) scale(${view.scale})`,
+              transition: gesture.current ? "none" : "transform 150ms ease-out",
+              cursor: view.scale > 1 ? "grab" : "zoom-in",
+            }}
+          />
+        )}
+
+        {count > 1 && (
+          <>
+            <button
+              type="button"
+              aria-label={t("lightbox.previous")}
+              onClick={() => step(-1, "button")}
+              className="absolute left-2 md:left-4 top-1/2 -translate-y-1/2 grid place-items-center w-11 h-11 rounded-full bg-white/10 hover:bg-white/20 text-2xl"
+            >
+              ‹
+            </button>
+            <button
+              type="button"
+              aria-label={t("lightbox.next")}
+              onClick={() => step(1, "button")}
+              className="absolute right-2 md:right-4 top-1/2 -translate-y-1/2 grid place-items-center w-11 h-11 rounded-full bg-white/10 hover:bg-white/20 text-2xl"
+            >
+              ›
+            </button>
+          </>
+        )}
+      </div>
+
+      {(caption || item.href) && (
+        <div className="px-4 py-3 text-center text-sm md:text-base">
+          {caption && <p>{caption}</p>}
+          {item.href && (
+            <a href={item.href} target="_blank" rel="noreferrer noopener" className="underline opacity-80 hover:opacity-100">
+              {t("lightbox.viewPost")}
+            </a>
+          )}
+        </div>
+      )}
+    </div>,
+    document.body
+  );
+}
@@ -1,8 +1,12 @@
 // src/components/LogoMark.jsx
 import React, { useEffect, useRef } from "react";
+import ResponsiveImage from "./ResponsiveImage";
+import { useReducedMotion } from "../motion/MotionContext";
+import { onScrollFrame } from "../lib/motion";
+import { useHydrated } from "../lib/useHydrated";
 
 export default function LogoMark({
-  src = "images/cheatham-logo.svg",
+  src = "/images/cheatham-logo.svg",
   alt = "Cheatham Arboriculture",
   size = 120,
   imgClassName,
@@ -17,54 +21,36 @@ export default function LogoMark({
 }) {
   const parallaxRef = useRef(null);
   const animRef = useRef(null);
+  const reduced = useReducedMotion();
+  const hydrated = useHydrated();
+  const popped = useRef(false);
 
+  // Page-load animation (on the ANIMATION wrapper only), once the motion
+  // preference is known; switching "reduce" on later doesn't replay it
   useEffect(() => {
-    const reduced = window.matchMedia("(prefers-reduced-motion: reduce)").matches;
-    
-    // Page-load animation (on the ANIMATION wrapper only)
-    if (!reduced && animRef.current) {
-      // keep the class; 'both' fill-mode pins the final scale(1) with no jump
-      animRef.current.classList.add("logo-anim");
-    }
+    if (!hydrated || popped.current) return;
+    popped.current = true;
+    // keep the class; 'both' fill-mode pins the final scale(1) with no jump
+    if (!reduced) animRef.current?.classList.add("logo-anim");
+  }, [hydrated, reduced]);
 
-    // Parallax (on the PARALLAX wrapper only)
+  // Parallax (on the PARALLAX wrapper only), driven by the shared scheduler
+  useEffect(() => {
     const el = parallaxRef.current;
-    if (!el || reduced) return;
-
-    let raf = 0, lastY = -1;
+    if (!el) return;
+    if (reduced) {
+      el.style.transform = "";
+      return;
+    }
     const container = el.closest("section") || el.parentElement;
-    const getContainerTop = () =>
-      container?.getBoundingClientRect().top + window.scrollY || 0;
-    let containerTop = getContainerTop();
-
-    const onScroll = () => {
-      const y = window.scrollY || 0;
-      if (y === lastY) return;
-      lastY = y;
-      raf ||= requestAnimationFrame(() => {
-        const localY = y - containerTop;
-        const offset = localY * parallax;
+    return onScrollFrame(container, {
+      measure: (scrollY) => container.getBoundingClientRect().top + scrollY,
+      apply: (scrollY, containerTop) => {
         // Only parallax translateY here — no scale, no X translate
-        el.style.transform = `translateY(${offsetY + offset}px)`;
-        raf = 0;
-      });
-    };
-
-    const onResize = () => {
-      containerTop = getContainerTop();
-      lastY = -1;
-      onScroll();
-    };
-
-    onResize();
-    window.addEventListener("scroll", onScroll, { passive: true });
-    window.addEventListener("resize", onResize);
-    return () => {
-      if (raf) cancelAnimationFrame(raf);
-      window.removeEventListener("scroll", onScroll);
-      window.removeEventListener("resize", onResize);
-    };
-  }, [parallax, offsetY]);
+        el.style.transform = `translateY(${offsetY + (scrollY - containerTop) * parallax}px)`;
+      },
+    });
+  }, [parallax, offsetY, reduced]);
 
   const cornerClass =
     corner === "tr" ? "top-6 right-6" :
@@ -81,6 +67,8 @@ export default function LogoMark({
             ? {width: size, height: "auto"}
             : {width: `${size}px`, height: "auto"},
     };
+  // Which file width to fetch for a raster logo (an SVG ignores it)
+  const sizes = imgClassName ? "100vw" : typeof size === "string" ? size : `${size}px`;
   return (
     <>
       {/* Inline keyframes so you don't need Tailwind config changes */}
@@ -118,7 +106,8 @@ export default function LogoMark({
           )}
           {/* Animation wrapper: ONLY opacity + scale here */}
           <div ref={animRef} className="relative">
-            <img src={src} alt={alt} draggable={false} {...imgProps} />
+            {/* No blur placeholder: it would show through a transparent logo */}
+            <ResponsiveImage src={src} alt={alt} sizes={sizes} placeholder={false} draggable={false} {...imgProps} />
           </div>
         </div>
       </div>
@@ -0,0 +1,146 @@
+// src/components/MobileNav.jsx
+import React, { useEffect, useRef, useState } from "react";
+import { createPortal } from "react-dom";
+import { useTheme } from "../theme/ThemeContext";
+import { useI18n } from "../i18n/I18nContext";
+import { hexWithAlpha } from "../lib/color";
+import { useFocusTrap } from "../lib/useFocusTrap";
+import { useScrollLock } from "../lib/useScrollLock";
+import { formatPhone, telHref } from "../content";
+
+const DESKTOP = "(min-width: 768px)"; // Tailwind md: the desktop nav takes over
+
+/**
+ * Hamburger button + slide-in drawer for small screens. Links get the
+ * same active styling as the desktop nav (pass App's navLink), and the
+ * drawer closes when one is chosen. Focus is trapped while open, Escape
+ * or a tap on the backdrop closes it, and the page behind doesn't scroll.
+ *
+ * Props:
+ *  - links: { id, label, href }[]
+ *  - linkProps: (id) => { className, style }  active/hover styling
+ *  - className: string  extra classes for the toggle button
+ */
+export default function MobileNav({ links, linkProps, className = "" }) {
+  const { palette } = useTheme();
+  const { t } = useI18n();
+  const [open, setOpen] = useState(false);
+  const toggleRef = useRef(null);
+  const refocus = useRef(false);
+  const close = () => setOpen(false);
+  // Safari doesn't focus buttons on click, so the trap can't always hand
+  // focus back by itself; do it explicitly when dismissed (not on links)
+  const dismiss = () => {
+    refocus.current = true;
+    setOpen(false);
+  };
+
+  // After the drawer (and its focus trap) has unmounted
+  useEffect(() => {
+    if (open || !refocus.current) return;
+    refocus.current = false;
+    toggleRef.current?.focus();
+  }, [open]);
+
+  return (
+    <>
+      <button
+        ref={toggleRef}
+        type="button"
+        aria-label={t("nav.menu")}
+        aria-expanded={open}
+        aria-controls="mobile-nav"
+        onClick={() => setOpen((o) => !o)}
+        className={`grid place-items-center w-10 h-10 rounded-md ${className}`}
+        style={{ color: palette.heading, backgroundColor: hexWithAlpha(palette.accent, 0.08) }}
+      >
+        <svg viewBox="0 0 24 24" width="22" height="22" aria-hidden="true" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round">
+          <path d="M4 7h16M4 12h16M4 17h16" />
+        </svg>
+      </button>
+      {/* Portal: the header's backdrop-blur would otherwise clip a fixed child */}
+      {open && createPortal(<Drawer links={links} linkProps={linkProps} onNavigate={close} onDismiss={dismiss} />, document.body)}
+    </>
+  );
+}
+
+function Drawer({ links, linkProps, onNavigate, onDismiss }) {
+  const { palette } = useTheme();
+  const { t } = useI18n();
+  const panelRef = useRef(null);
+  const closeRef = useRef(null);
+
+  useScrollLock(true);
+  useFocusTrap(panelRef, true, { onEscape: onDismiss, initialFocusRef: closeRef });
+
+  // Rotating to landscape / resizing past md: the drawer has no purpose there
+  useEffect(() => {
+    const mq = window.matchMedia(DESKTOP);
+    const onChange = (e) => e.matches && onNavigate();
+    mq.addEventListener("change", onChange);
+    return () => mq.removeEventListener("change", onChange);
+  }, [onNavigate]);
+
+  return (
+    <div className="fixed inset-0 z-[90] md:hidden">
+      <button
+        type="button"
+        tabIndex={-1}
+        aria-hidden="true"
+        onClick={onDismiss}
+        className="absolute inset-0 w-full h-full bg-black/40 cursor-default"
+      />
+      <div
+        ref={panelRef}
+        id="mobile-nav"
+        role="dialog"
+        aria-modal="true"
+        aria-label={t("nav.siteMenu")}
+        tabIndex={-1}
+        className="absolute inset-y-0 right-0 w-[min(20rem,85vw)] flex flex-col shadow-xl outline-none"
+        style={{ backgroundColor: palette.sectionLight, borderLeft: `1px solid ${palette.border}` }}
+      >
+        <div className="flex items-center justify-between px-4 py-3 border-b" style={{ borderColor: palette.border }}>
+          <span className="font-semibold" style={{ color: palette.heading }}>{t("nav.menu")}</span>
+          <button
+            ref={closeRef}
+            type="button"
+            aria-label={t("nav.closeMenu")}
+            onClick={onDismiss}
+            className="grid place-items-center w-10 h-10 rounded-full"
+            style={{ color: palette.body, backgroundColor: hexWithAlpha(palette.accent, 0.08) }}
+          >
+            ✕
+          </button>
+        </div>
+
+        <nav aria-label={t("nav.main")} className="flex-1 overflow-y-auto p-3">
+          <ul className="space-y-1">
+            {links.map((l) => {
+              const { className, style } = linkProps(l.id);
+              return (
+                <li key={l.id}>
+                  <a href={l.href} onClick={onNavigate} className={`${className} block text-base`} style={style}>
+                    {l.label}
+                  </a>
+                </li>
+              );
+            })}
+          </ul>
+        </nav>
+
+        {/* Pinned call-to-action */}
+        <div className="p-4 border-t" style={{ borderColor: palette.border }}>
+          <a
+            href={telHref}
+            onClick={onNavigate}
+            className="block text-center px-5 py-3 rounded-xl shadow"
+            style={{ backgroundColor: palette.accent, color: "#FFFFFF" }}
+          >
+            {t("common.callTextPhone", { phone: formatPhone() })}
+          </a>
+        </div>
+      </div>
+    </div>
+  );
+}
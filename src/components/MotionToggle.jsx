@@ -0,0 +1,32 @@
+// src/components/MotionToggle.jsx
+import React from "react";
+import { useI18n } from "../i18n/I18nContext";
+import { useMotion } from "../motion/MotionContext";
+
+/**
+ * "Reduce motion" switch for the footer: stops parallax, the gallery
+ * ticker, the hero video and CSS animations. When the device already asks
+ * for reduced motion it shows as on and can't be turned off from here.
+ *
+ * Props:
+ *  - className: string  extra classes
+ */
+export default function MotionToggle({ className = "" }) {
+  const { t } = useI18n();
+  const { reduced, system, setPreference } = useMotion();
+
+  return (
+    <button
+      type="button"
+      role="switch"
+      aria-checked={reduced}
+      disabled={system}
+      title={system ? t("motion.system") : undefined}
+      onClick={() => setPreference(!reduced)}
+      className={`underline disabled:no-underline disabled:cursor-default ${className}`}
+    >
+      {t("motion.label")}
+      <span aria-hidden="true">: {reduced ? t("motion.on") : t("motion.off")}</span>
+    </button>
+  );
+}
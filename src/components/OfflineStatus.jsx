@@ -0,0 +1,56 @@
+// src/components/OfflineStatus.jsx
+import React from "react";
+import { useTheme } from "../theme/ThemeContext";
+import { useI18n } from "../i18n/I18nContext";
+import { useHydrated } from "../lib/useHydrated";
+import { useOutbox } from "../lib/submit/useOutbox";
+import { clearOutboxNotices } from "../lib/submit/outbox";
+import { formatPhone, telHref } from "../content";
+
+/**
+ * Small corner notice for the offline outbox: says when there's no
+ * connection and how many forms are waiting on the device, then reports
+ * once they've gone out (or, if the provider kept refusing one, points at
+ * the phone). Renders nothing when there's nothing to say.
+ */
+export default function OfflineStatus() {
+  const { palette } = useTheme();
+  const { t } = useI18n();
+  const hydrated = useHydrated();
+  const { online, pending, sent, failed } = useOutbox();
+
+  const lines = [];
+  if (!online) lines.push(t("offline.offline"));
+  if (pending) lines.push(t("offline.pending", { count: pending }));
+  if (sent) lines.push(t("offline.sent", { count: sent }));
+  const notices = sent || failed;
+  if (!hydrated || (!lines.length && !failed)) return null;
+
+  return (
+    <div
+      role="status"
+      aria-label={t("offline.label")}
+      className="fixed left-2 right-24 bottom-14 md:right-auto md:max-w-sm z-[55] rounded-xl px-4 py-3 shadow-lg text-sm"
+      style={{
+        backgroundColor: palette.sectionLight,
+        border: `1px solid ${failed ? palette.danger : palette.border}`,
+        color: palette.body,
+      }}
+    >
+      {lines.map((line) => (
+        <p key={line}>{line}</p>
+      ))}
+      {failed > 0 && (
+        <p style={{ color: palette.danger }}>
+          {t("offline.failed", { count: failed })}{" "}
+          <a href={telHref} className="underline font-semibold">{t("common.callTextPhone", { phone: formatPhone() })}</a>
+        </p>
+      )}
+      {notices > 0 && (
+        <button type="button" onClick={clearOutboxNotices} className="mt-2 underline text-xs">
+          {t("offline.dismiss")}
+        </button>
+      )}
+    </div>
+  );
+}
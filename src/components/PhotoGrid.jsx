@@ -0,0 +1,89 @@
+// src/components/PhotoGrid.jsx
+import React, { useMemo } from "react";
+import Lightbox from "./Lightbox";
+import BeforeAfterSlider from "./BeforeAfterSlider";
+import ResponsiveImage from "./ResponsiveImage";
+import { useI18n } from "../i18n/I18nContext";
+import { usePhotoHash } from "../lib/usePhotoHash";
+import { normalizeGalleryItems } from "../lib/galleryItems";
+
+/**
+ * Static responsive grid of the same items AutoScrollGallery takes, for
+ * visitors who'd rather browse than watch a ticker. Uses CSS columns, so
+ * mixed aspect ratios pack masonry-style; opens the same lightbox and
+ * shares the same `#<galleryId>/<photoId>` deep links.
+ *
+ * Props:
+ *  - images: see AutoScrollGallery
+ *  - gap: number (px) default 12
+ *  - borderColor: string (CSS color) focus ring default "#ddd"
+ *  - columnsClasses: string Tailwind column counts
+ *      default "columns-2 sm:columns-3 lg:columns-4"
+ *  - imageSizes: string  column width as an <img sizes> value; keep it in
+ *      step with columnsClasses
+ *  - galleryId: string  deep-link prefix default "gallery"
+ */
+export default function PhotoGrid({
+  images = [],
+  gap = 12,
+  borderColor = "#ddd",
+  columnsClasses = "columns-2 sm:columns-3 lg:columns-4",
+  imageSizes = "(min-width: 1280px) 310px, (min-width: 1024px) 25vw, (min-width: 640px) 33vw, 50vw",
+  galleryId = "gallery",
+}) {
+  const { t } = useI18n();
+  const items = useMemo(() => normalizeGalleryItems(images), [images]);
+  const ids = useMemo(() => items.map((img) => img.id), [items]);
+  const lightbox = usePhotoHash(galleryId, ids);
+
+  return (
+    <div className="mt-6">
+      <ul className={columnsClasses} style={{ columnGap: `${gap}px` }}>
+        {items.map((img, i) => (
+          <li key={img.id} className="break-inside-avoid" style={{ marginBottom: `${gap}px` }}>
+            {img.before ? (
+              <div className="relative aspect-[3/4] overflow-hidden rounded-lg bg-white shadow">
+                <BeforeAfterSlider before={img.before} after={img.after} sizes={imageSizes} />
+                <button
+                  type="button"
+                  onClick={() => lightbox.open(i)}
+                  aria-label={`${t("gallery.expandCompare", { n: i + 1 })}${img.alt ? `: ${img.alt}` : ""}`}
+                  className="absolute right-2 bottom-2 grid place-items-center w-8 h-8 rounded-full bg-black/60 text-white hover:bg-black/75"
+                >
+                  ⤢
+                </button>
+              </div>
+            ) : (
+              <button
+                type="button"
+                onClick={() => lightbox.open(i)}
+                aria-label={`${t("gallery.viewPhoto", { n: i + 1 })}${img.alt ? `: ${img.alt}` : ""}`}
+                className="block w-full overflow-hidden rounded-lg bg-white shadow cursor-zoom-in focus:outline-none focus-visible:outline focus-visible:outline-2 focus-visible:outline-offset-2"
+                style={{ outlineColor: borderColor }}
+              >
+                <ResponsiveImage
+                  src={img.src}
+                  alt={img.alt ?? ""}
+                  sizes={imageSizes}
+                  loading="lazy"
+                  decoding="async"
+                  className="w-full h-auto transition-transform duration-300 hover:scale-[1.02]"
+                />
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {lightbox.index !== null && (
+        <Lightbox
+          items={items}
+          index={lightbox.index}
+          onIndexChange={lightbox.show}
+          onClose={lightbox.close}
+          label={t("gallery.viewer")}
+        />
+      )}
+    </div>
+  );
+}
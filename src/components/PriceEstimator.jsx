@@ -0,0 +1,160 @@
+// src/components/PriceEstimator.jsx
+import React, { useState } from "react";
+import FormField from "./FormField";
+import ChoiceGroup from "./ChoiceGroup";
+import { useTheme } from "../theme/ThemeContext";
+import { useI18n } from "../i18n/I18nContext";
+import { useContent } from "../i18n/useContent";
+import { hexWithAlpha } from "../lib/color";
+import { translator } from "../i18n/translate";
+import { defaultAnswers, formatRange, priceEstimate, pricingFor } from "../lib/priceEstimate";
+import { formatPhone, telHref } from "../content";
+
+/**
+ * Instant ballpark price for the self-serve services. The numbers live in
+ * src/content/pricing.json; the math is in lib/priceEstimate. A result can
+ * be attached to the estimate request so Aaron sees what was shown; the
+ * attached copy is always priced in English, whatever the page shows.
+ *
+ * Props:
+ *  - onAttach: (quote) => void   attach the current ballpark
+ *  - attached: quote | null      what's attached now (to show "Attached")
+ *  - attachHref: string          where to send the visitor after attaching
+ *  - initialService: string      service id to start on
+ */
+export default function PriceEstimator({ onAttach, attached = null, attachHref = "#estimate", initialService }) {
+  const { palette } = useTheme();
+  const { t, intl } = useI18n();
+  const { PRICING, SERVICES } = useContent();
+  const priced = SERVICES.filter((s) => pricingFor(s.id, PRICING));
+  const unpriced = SERVICES.filter((s) => !pricingFor(s.id, PRICING));
+  const [service, setService] = useState(() =>
+    priced.some((s) => s.id === initialService) ? initialService : priced[0].id
+  );
+  const rules = pricingFor(service, PRICING);
+  const [answers, setAnswers] = useState(() => defaultAnswers(rules));
+  const quote = priceEstimate(service, answers, t, PRICING);
+  const effectiveDate = new Date(`${PRICING.effective}T12:00:00`).toLocaleDateString(intl, {
+    month: "short",
+    day: "numeric",
+    year: "numeric",
+  });
+
+  const changeService = (id) => {
+    setService(id);
+    setAnswers(defaultAnswers(pricingFor(id, PRICING)));
+  };
+  const update = (patch) => setAnswers((a) => ({ ...a, ...patch }));
+  const toggleModifier = (id) =>
+    update({ modifiers: answers.modifiers.includes(id) ? answers.modifiers.filter((m) => m !== id) : [...answers.modifiers, id] });
+
+  const isAttached =
+    attached?.service === quote.service && JSON.stringify(attached.answers) === JSON.stringify(quote.answers);
+
+  const cardStyle = { backgroundColor: palette.cardBg, border: `1px solid ${palette.border}` };
+
+  return (
+    <div className="rounded-2xl p-6 md:p-8 grid gap-8 md:grid-cols-5" style={cardStyle}>
+      <div className="md:col-span-3 grid gap-6 content-start">
+        <FormField
+          as="select" name="service" label={t("ballpark.service")} idPrefix="ballpark"
+          value={service} onChange={(e) => changeService(e.target.value)}
+        >
+          {priced.map((s) => (
+            <option key={s.id} value={s.id}>{s.title}</option>
+          ))}
+        </FormField>
+
+        <ChoiceGroup
+          name="base" idPrefix="ballpark" legend={rules.base.label}
+          options={rules.base.options} value={answers.base} onChange={(id) => update({ base: id })}
+        />
+
+        <FormField
+          name="quantity" type="number" inputMode="numeric" min="1" max={rules.quantity.max} idPrefix="ballpark"
+          label={rules.quantity.label} className="max-w-[10rem]"
+          value={answers.quantity}
+          onChange={(e) => update({ quantity: e.target.value === "" ? "" : Number(e.target.value) })}
+        />
+
+        {rules.factors.map((f) => (
+          <ChoiceGroup
+            key={f.id} name={f.id} idPrefix="ballpark" legend={f.label} options={f.options}
+            value={answers.factors[f.id]} onChange={(id) => update({ factors: { ...answers.factors, [f.id]: id } })}
+          />
+        ))}
+
+        {rules.modifiers.length > 0 && (
+          <fieldset>
+            <legend className="text-sm font-medium" style={{ color: palette.body }}>
+              {t("ballpark.anythingElse")} <span style={{ color: palette.muted }}>{t("common.checkAll")}</span>
+            </legend>
+            <div className="mt-2 grid gap-2">
+              {rules.modifiers.map((m) => (
+                <label key={m.id} className="flex items-center gap-2 rounded-md px-3 py-2 cursor-pointer"
+                  style={{ border: `1px solid ${palette.border}`, color: palette.body }}>
+                  <input type="checkbox" checked={answers.modifiers.includes(m.id)} onChange={() => toggleModifier(m.id)} />
+                  {m.label}
+                </label>
+              ))}
+            </div>
+          </fieldset>
+        )}
+
+        {unpriced.length > 0 && (
+          <p className="text-sm" style={{ color: palette.muted }}>
+            {t("ballpark.unpriced", { services: unpriced.map((s) => s.title).join(", ") })}{" "}
+            <a href={telHref} className="underline" style={{ color: palette.body }}>
+              {t("ballpark.unpricedCall", { phone: formatPhone() })}
+            </a>.
+          </p>
+        )}
+      </div>
+
+      {/* Result */}
+      <aside className="md:col-span-2 md:sticky md:top-28 self-start rounded-xl p-5"
+        style={{ backgroundColor: hexWithAlpha(palette.accent, 0.08), border: `1px solid ${hexWithAlpha(palette.accent, 0.3)}` }}
+        aria-labelledby="ballpark-result-label">
+        <p id="ballpark-result-label" className="text-sm font-medium" style={{ color: palette.muted }}>
+          {t("ballpark.result")}
+        </p>
+        <p className="mt-1 text-3xl font-semibold tracking-tight" style={{ color: palette.heading }} aria-live="polite">
+          {formatRange(quote)}
+        </p>
+
+        <dl className="mt-4 grid gap-1 text-sm">
+          {quote.lines.map((l) => (
+            <div key={l.label} className="flex justify-between gap-3">
+              <dt style={{ color: palette.muted }}>{l.label}</dt>
+              <dd className="whitespace-nowrap" style={{ color: palette.body }}>{l.text ?? formatRange(l)}</dd>
+            </div>
+          ))}
+        </dl>
+
+        <p className="mt-4 text-xs" style={{ color: palette.muted }}>
+          {PRICING.disclaimer} {t("ballpark.version", { version: PRICING.version, date: effectiveDate })}
+        </p>
+
+        {onAttach && (
+          <div className="mt-4">
+            {isAttached ? (
+              <p className="text-sm" style={{ color: palette.body }}>
+                {t("ballpark.attached")}{" "}
+                <a href={attachHref} className="underline">{t("ballpark.finish")}</a>
+              </p>
+            ) : (
+              <button
+                type="button"
+                onClick={() => onAttach(priceEstimate(service, answers, translator()))}
+                className="w-full px-4 py-2 rounded-md text-white"
+                style={{ backgroundColor: palette.accent }}
+              >
+                {attached ? t("ballpark.attachInstead") : t("ballpark.attach")}
+              </button>
+            )}
+          </div>
+        )}
+      </aside>
+    </div>
+  );
+}
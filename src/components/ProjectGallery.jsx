@@ -0,0 +1,115 @@
+// src/components/ProjectGallery.jsx
+import React, { useEffect, useMemo, useState } from "react";
+import AutoScrollGallery from "./AutoScrollGallery";
+import PhotoGrid from "./PhotoGrid";
+import { useTheme } from "../theme/ThemeContext";
+import { useI18n } from "../i18n/I18nContext";
+import { useContent } from "../i18n/useContent";
+import { hexWithAlpha } from "../lib/color";
+import { readPhotoHash } from "../lib/usePhotoHash";
+
+/**
+ * Recent Work: service filter chips + a carousel/grid toggle over one set
+ * of tagged photos.
+ *
+ * Props:
+ *  - items: { id, src, alt?, caption?, tags?: serviceId[] }[]
+ *  - galleryId: string  deep-link prefix default "gallery"
+ *  - ...rest            forwarded to AutoScrollGallery (speed, gap, ...)
+ */
+export default function ProjectGallery({ items = [], galleryId = "gallery", ...rest }) {
+  const { palette } = useTheme();
+  const { t } = useI18n();
+  const { SERVICES } = useContent();
+  const [filter, setFilter] = useState("all");
+  const [view, setView] = useState("carousel"); // "carousel" | "grid"
+
+  // Only offer chips for services that actually have photos
+  const chips = useMemo(
+    () =>
+      SERVICES.map((s) => ({ ...s, count: items.filter((it) => it.tags?.includes(s.id)).length })).filter(
+        (s) => s.count > 0
+      ),
+    [items, SERVICES]
+  );
+
+  const visible = useMemo(
+    () => (filter === "all" ? items : items.filter((it) => it.tags?.includes(filter))),
+    [items, filter]
+  );
+
+  // A shared link to a photo hidden by the current filter: show everything
+  useEffect(() => {
+    const onHash = () => {
+      const id = readPhotoHash(galleryId);
+      if (id && !visible.some((it) => it.id === id) && items.some((it) => it.id === id)) setFilter("all");
+    };
+    window.addEventListener("hashchange", onHash);
+    return () => window.removeEventListener("hashchange", onHash);
+  }, [galleryId, items, visible]);
+
+  const chip = (active) => ({
+    className: "px-3 py-1.5 rounded-full text-sm border transition-colors",
+    style: active
+      ? { backgroundColor: palette.accent, borderColor: palette.accent, color: "#FFFFFF" }
+      : { backgroundColor: hexWithAlpha(palette.cardBg), borderColor: palette.border, color: palette.body },
+  });
+
+  return (
+    <div>
+      <div className="max-w-7xl mx-auto px-4 mt-4 flex flex-wrap items-center justify-between gap-3">
+        <div role="group" aria-label={t("gallery.filter")} className="flex flex-wrap gap-2">
+          <button type="button" aria-pressed={filter === "all"} onClick={() => setFilter("all")} {...chip(filter === "all")}>
+            {t("common.all")} <span className="opacity-70">({items.length})</span>
+          </button>
+          {chips.map((s) => (
+            <button
+              key={s.id}
+              type="button"
+              aria-pressed={filter === s.id}
+              onClick={() => setFilter(s.id)}
+              {...chip(filter === s.id)}
+            >
+              {s.shortTitle} <span className="opacity-70">({s.count})</span>
+            </button>
+          ))}
+        </div>
+
+        <div role="group" aria-label={t("gallery.layout")} className="inline-flex rounded-full border overflow-hidden"
+          style={{ borderColor: palette.border }}>
+          {[
+            { id: "carousel", label: t("gallery.carousel") },
+            { id: "grid", label: t("gallery.grid") },
+          ].map((v) => (
+            <button
+              key={v.id}
+              type="button"
+              aria-pressed={view === v.id}
+              onClick={() => setView(v.id)}
+              className="px-3 py-1.5 text-sm"
+              style={
+                view === v.id
+                  ? { backgroundColor: palette.accent, color: "#FFFFFF" }
+                  : { backgroundColor: hexWithAlpha(palette.cardBg), color: palette.body }
+              }
+            >
+              {v.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <p className="sr-only" aria-live="polite">
+        {t("gallery.showing", { count: visible.length })}
+      </p>
+
+      {view === "carousel" ? (
+        <AutoScrollGallery images={visible} galleryId={galleryId} borderColor={palette.border} {...rest} />
+      ) : (
+        <div className="max-w-7xl mx-auto px-4">
+          <PhotoGrid images={visible} galleryId={galleryId} borderColor={palette.border} gap={rest.gap} />
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,154 @@
+// src/components/QuoteAcceptance.jsx
+import React, { useRef, useState } from "react";
+import FormField from "./FormField";
+import SignaturePad from "./SignaturePad";
+import { useTheme } from "../theme/ThemeContext";
+import { useI18n } from "../i18n/I18nContext";
+import { hexWithAlpha } from "../lib/color";
+import { useSubmission } from "../lib/submit/useSubmission";
+import { submitOrQueue } from "../lib/submit/outbox";
+import {
+  ACCEPTANCE_FIELDS,
+  EMPTY_ACCEPTANCE,
+  formatMoney,
+  toAcceptancePayload,
+  validateAcceptance,
+} from "../lib/quotes";
+
+const SIGN_MODES = ["type", "draw"];
+
+/**
+ * The "Accept" step under a quote: printed name, optional email, a typed
+ * or drawn signature and a tick box, sent through the contact channel
+ * (queued on the device when offline, like the contact form). The signed
+ * record goes back to the page, which shows it on the quote itself.
+ *
+ * Props:
+ *  - quote: quote from lib/quotes (loadQuote)
+ *  - totals: quoteTotals(quote)
+ *  - accepted: boolean  this device already accepted it (nothing to show)
+ *  - onAccepted: ({ name, acceptedAt, signature }) => void  once sent or queued
+ */
+export default function QuoteAcceptance({ quote, totals, accepted = false, onAccepted }) {
+  const { palette } = useTheme();
+  const { t, intl } = useI18n();
+  const formRef = useRef(null);
+  const [values, setValues] = useState(EMPTY_ACCEPTANCE);
+  const [touched, setTouched] = useState({});
+  const [mode, setMode] = useState("type");
+  const [signature, setSignature] = useState(null);
+  const { status, error, fieldErrors, submit } = useSubmission(submitOrQueue);
+
+  const cardStyle = { backgroundColor: palette.cardBg, border: `1px solid ${palette.border}` };
+
+  if (status === "success" || status === "queued") {
+    return (
+      <div className="rounded-2xl p-6 md:p-8 print:hidden" style={cardStyle} role="status" aria-live="polite">
+        <h2 className="text-2xl font-semibold" style={{ color: palette.heading }}>{t("quote.acceptedTitle")}</h2>
+        <p className="mt-2" style={{ color: palette.muted }}>{t(`quote.${status}Body`)}</p>
+      </div>
+    );
+  }
+
+  if (accepted) return null;
+
+  const clientErrors = validateAcceptance(values, signature, t);
+  const errorFor = (field) => (touched[field] && clientErrors[field]) || fieldErrors[field] || "";
+
+  const set = (field, value) => setValues((v) => ({ ...v, [field]: value }));
+  const onChange = (e) => set(e.target.name, e.target.type === "checkbox" ? e.target.checked : e.target.value);
+  const onBlur = (e) => setTouched((prev) => ({ ...prev, [e.target.name]: true }));
+
+  const onSubmit = async (e) => {
+    e.preventDefault();
+    setTouched(Object.fromEntries([...ACCEPTANCE_FIELDS, "signature"].map((f) => [f, true])));
+    if (Object.keys(clientErrors).length) {
+      const first = ["name", "email", "signature", "agree"].find((f) => clientErrors[f]);
+      formRef.current?.querySelector(`[data-field="${first}"]`)?.focus();
+      return;
+    }
+    const acceptedAt = new Date().toISOString();
+    const payload = toAcceptancePayload(quote, totals, { ...values, signature, method: mode === "type" ? "typed" : "drawn" }, acceptedAt);
+    const honeypot = e.currentTarget.elements.namedItem("_gotcha")?.value || "";
+    const ok = await submit({ ...payload, _gotcha: honeypot });
+    if (ok) onAccepted({ name: values.name.trim(), acceptedAt, signature });
+  };
+
+  const submitting = status === "submitting";
+  const signatureError = errorFor("signature");
+  const agreeError = errorFor("agree");
+
+  return (
+    <form ref={formRef} noValidate onSubmit={onSubmit} className="rounded-2xl p-6 md:p-8 grid gap-4 print:hidden" style={cardStyle} aria-busy={submitting}>
+      {/* honeypot (spam trap) */}
+      <input type="text" name="_gotcha" style={{ display: "none" }} tabIndex="-1" autoComplete="off" />
+
+      <div>
+        <h2 className="text-2xl font-semibold" style={{ color: palette.heading }}>{t("quote.acceptTitle")}</h2>
+        <p className="mt-1" style={{ color: palette.muted }}>{t("quote.acceptIntro")}</p>
+      </div>
+
+      {status === "error" && (
+        <div role="alert" className="rounded-md px-3 py-2 text-sm" style={{ border: `1px solid ${palette.danger}`, color: palette.danger }}>
+          {error} {t("quote.errorHelp")}
+        </div>
+      )}
+
+      <div className="grid md:grid-cols-2 gap-3">
+        <FormField
+          name="name" label={t("quote.name")} idPrefix="quote" autoComplete="name" data-field="name"
+          value={values.name} onChange={onChange} onBlur={onBlur} error={errorFor("name")}
+        />
+        <FormField
+          name="email" type="email" label={t("quote.email")} idPrefix="quote" autoComplete="email" data-field="email"
+          value={values.email} onChange={onChange} onBlur={onBlur} error={errorFor("email")}
+        />
+      </div>
+
+      <fieldset>
+        <legend className="text-sm font-medium" style={{ color: palette.body }}>{t("quote.signature")}</legend>
+        <div role="group" aria-label={t("quote.signHow")} className="mt-1 inline-flex rounded-md border overflow-hidden" style={{ borderColor: palette.border }}>
+          {SIGN_MODES.map((m) => (
+            <button
+              key={m} type="button" aria-pressed={mode === m} onClick={() => setMode(m)}
+              className="px-3 py-1.5 text-sm"
+              style={mode === m ? { backgroundColor: palette.accent, color: "#FFFFFF" } : { color: palette.body }}
+            >
+              {t(`quote.signModes.${m}`)}
+            </button>
+          ))}
+        </div>
+        <p id="quote-signature-hint" className="mt-1 text-sm" style={{ color: palette.muted }}>
+          {t(`quote.signHints.${mode}`)}
+        </p>
+        <div className="mt-2 max-w-xl" data-field="signature" tabIndex={-1}>
+          <SignaturePad
+            mode={mode} typedName={values.name} onChange={setSignature} label={t("quote.signature")}
+            invalid={Boolean(signatureError)} describedBy={signatureError ? "quote-signature-error" : "quote-signature-hint"}
+          />
+        </div>
+        {signatureError && <p id="quote-signature-error" className="mt-1 text-sm" style={{ color: palette.danger }}>{signatureError}</p>}
+      </fieldset>
+
+      <div>
+        <label className="flex items-start gap-2 rounded-md px-3 py-2 cursor-pointer"
+          style={{ border: `1px solid ${agreeError ? palette.danger : palette.border}`, backgroundColor: hexWithAlpha(palette.accent, 0.05), color: palette.body }}>
+          <input
+            type="checkbox" name="agree" data-field="agree" className="mt-1" checked={values.agree} onChange={onChange} onBlur={onBlur}
+            aria-invalid={agreeError ? "true" : undefined} aria-describedby={agreeError ? "quote-agree-error" : undefined}
+          />
+          <span>{t("quote.agree", { total: formatMoney(totals.total, intl) })}</span>
+        </label>
+        {agreeError && <p id="quote-agree-error" className="mt-1 text-sm" style={{ color: palette.danger }}>{agreeError}</p>}
+      </div>
+
+      <button
+        type="submit" disabled={submitting}
+        className="justify-self-start px-5 py-2.5 rounded-md text-white font-medium disabled:opacity-70 disabled:cursor-wait"
+        style={{ backgroundColor: palette.accent }}
+      >
+        {submitting ? t("common.sending") : t("quote.accept")}
+      </button>
+    </form>
+  );
+}
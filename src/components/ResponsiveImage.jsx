@@ -0,0 +1,52 @@
+// src/components/ResponsiveImage.jsx
+import React from "react";
+import { IMAGE_FORMATS, fallbackSrc, imageInfo, srcSetFor } from "../lib/images";
+
+/**
+ * <img> for a file in public/images, served the way plugins/images.js
+ * prepared it: a <picture> with AVIF/WebP/JPEG at several widths, the
+ * original's width/height so the box is sized before the file arrives,
+ * and its blurred thumbnail + dominant colour behind it while loading.
+ * Paths not in the manifest (SVGs, other sites) render a plain <img>,
+ * still with width/height when known.
+ *
+ * Props:
+ *  - src: string  public path, e.g. "/images/header.jpg"
+ *  - alt: string
+ *  - sizes: string  rendered width, as for <img sizes> default "100vw"
+ *  - placeholder: boolean  show the blur/colour while loading default true
+ *  - pictureClassName: string  classes for the <picture>, e.g. "contents"
+ *      so the <img> sizes itself against a grid or flex parent
+ *  - style, className, loading, ... passed to the <img>
+ */
+export default function ResponsiveImage({ src, alt = "", sizes = "100vw", placeholder = true, pictureClassName, style, ...imgProps }) {
+  const info = imageInfo(src);
+  const dims = info ? { width: info.width, height: info.height } : {};
+  if (!info?.widths) return <img src={src} alt={alt} {...dims} style={style} {...imgProps} />;
+
+  const backdrop = placeholder
+    ? {
+        backgroundColor: info.color,
+        backgroundImage: `url("${info.blur}")`,
+        backgroundSize: "cover",
+        backgroundPosition: "center",
+      }
+    : null;
+
+  return (
+    <picture className={pictureClassName}>
+      {IMAGE_FORMATS.slice(0, -1).map(([type, ext]) => (
+        <source key={ext} type={type} srcSet={srcSetFor(info, ext)} sizes={sizes} />
+      ))}
+      <img
+        src={fallbackSrc(info)}
+        srcSet={srcSetFor(info, "jpg")}
+        sizes={sizes}
+        alt={alt}
+        {...dims}
+        style={{ ...backdrop, ...style }}
+        {...imgProps}
+      />
+    </picture>
+  );
+}
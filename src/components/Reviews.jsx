@@ -0,0 +1,190 @@
+// src/components/Reviews.jsx
+import React, { useMemo, useState } from "react";
+import { useTheme } from "../theme/ThemeContext";
+import { useI18n } from "../i18n/I18nContext";
+import { useContent } from "../i18n/useContent";
+import { hexWithAlpha } from "../lib/color";
+import { aggregateRating, excerpt, formatReviewDate, readableReviews } from "../lib/reviews";
+import { BUSINESS, REVIEWS } from "../content";
+
+const PAGE = 6;
+
+/**
+ * Customer reviews: the overall score, service filter chips and a grid of
+ * review cards (long ones collapse behind "Read more"). The score counts
+ * every review, star-only ones included; the cards show the ones with text.
+ * Reviews stay in the language they were written in; the chrome follows
+ * the page.
+ *
+ * Props:
+ *  - reviews: Review[]  default: everything in content/reviews.json
+ */
+export default function Reviews({ reviews = REVIEWS }) {
+  const { palette } = useTheme();
+  const { t } = useI18n();
+  const { SERVICES } = useContent();
+  const [filter, setFilter] = useState("all");
+  const [shown, setShown] = useState(PAGE);
+
+  const { count, average } = aggregateRating(reviews);
+  const readable = useMemo(() => readableReviews(reviews), [reviews]);
+
+  // Only offer chips for services that have reviews
+  const chips = useMemo(
+    () =>
+      SERVICES.map((s) => ({ ...s, count: readable.filter((r) => r.services.includes(s.id)).length })).filter(
+        (s) => s.count > 0
+      ),
+    [readable, SERVICES]
+  );
+
+  const visible = filter === "all" ? readable : readable.filter((r) => r.services.includes(filter));
+
+  const chip = (active) => ({
+    className: "px-3 py-1.5 rounded-full text-sm border transition-colors",
+    style: active
+      ? { backgroundColor: palette.accent, borderColor: palette.accent, color: "#FFFFFF" }
+      : { backgroundColor: hexWithAlpha(palette.cardBg), borderColor: palette.border, color: palette.body },
+  });
+
+  const choose = (id) => {
+    setFilter(id);
+    setShown(PAGE);
+  };
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-end justify-between gap-4">
+        <div className="flex items-center gap-3">
+          <span className="text-4xl font-semibold" style={{ color: palette.heading }}>{average.toFixed(1)}</span>
+          <div>
+            <Stars rating={average} size={20} />
+            <p className="text-sm" style={{ color: palette.muted }}>
+              {t("reviews.summary", { count, name: BUSINESS.name })}
+            </p>
+          </div>
+        </div>
+
+        {chips.length > 1 && (
+          <div role="group" aria-label={t("reviews.filter")} className="flex flex-wrap gap-2">
+            <button type="button" aria-pressed={filter === "all"} onClick={() => choose("all")} {...chip(filter === "all")}>
+              {t("common.all")} <span className="opacity-70">({readable.length})</span>
+            </button>
+            {chips.map((s) => (
+              <button key={s.id} type="button" aria-pressed={filter === s.id} onClick={() => choose(s.id)} {...chip(filter === s.id)}>
+                {s.shortTitle} <span className="opacity-70">({s.count})</span>
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <p className="sr-only" aria-live="polite">
+        {t("reviews.showing", { shown: Math.min(shown, visible.length), count: visible.length })}
+      </p>
+
+      <ul className="mt-6 grid gap-5 md:grid-cols-2 lg:grid-cols-3">
+        {visible.slice(0, shown).map((r) => (
+          <li key={r.id}>
+            <ReviewCard review={r} />
+          </li>
+        ))}
+      </ul>
+
+      {visible.length > shown && (
+        <button
+          type="button"
+          onClick={() => setShown((n) => n + PAGE)}
+          className="mt-6 px-4 py-2 rounded-md border"
+          style={{ borderColor: palette.border, color: palette.body, backgroundColor: hexWithAlpha(palette.cardBg) }}
+        >
+          {t("reviews.showMore")}
+        </button>
+      )}
+    </div>
+  );
+}
+
+function ReviewCard({ review }) {
+  const { palette } = useTheme();
+  const { t, intl } = useI18n();
+  const { getService } = useContent();
+  const [expanded, setExpanded] = useState(false);
+  const short = excerpt(review.text);
+  const bodyId = `review-${review.id}-text`;
+
+  return (
+    <article className="h-full rounded-2xl p-5 flex flex-col" style={{ backgroundColor: palette.cardBg, border: `1px solid ${palette.border}` }}>
+      <header className="flex items-start justify-between gap-3">
+        <div>
+          <p className="font-semibold" style={{ color: palette.heading }}>{review.author}</p>
+          <p className="text-xs" style={{ color: palette.muted }}>
+            <time dateTime={review.date}>{formatReviewDate(review.date, intl)}</time>
+            {review.source === "google" && " · Google"}
+          </p>
+        </div>
+        <Stars rating={review.rating} />
+      </header>
+
+      <p id={bodyId} className="mt-3 leading-relaxed whitespace-pre-line" style={{ color: palette.body }}>
+        {short && !expanded ? short : review.text}
+      </p>
+      {short && (
+        <button
+          type="button"
+          aria-expanded={expanded}
+          aria-controls={bodyId}
+          onClick={() => setExpanded((e) => !e)}
+          className="mt-1 self-start text-sm underline"
+          style={{ color: palette.accent }}
+        >
+          {expanded ? t("reviews.showLess") : t("reviews.readMore")}
+        </button>
+      )}
+
+      {review.reply && (
+        <details className="mt-3 text-sm">
+          <summary className="cursor-pointer" style={{ color: palette.muted }}>
+            {t("reviews.replyFrom", { name: BUSINESS.owner.split(" ")[0] })}
+          </summary>
+          <p className="mt-1 pl-3 border-l-2 whitespace-pre-line" style={{ borderColor: palette.border, color: palette.muted }}>{review.reply}</p>
+        </details>
+      )}
+
+      {review.services.length > 0 && (
+        <ul className="mt-auto pt-4 flex flex-wrap gap-1.5" aria-label={t("reviews.services")}>
+          {review.services.map((id) => (
+            <li key={id} className="px-2 py-0.5 rounded-full text-xs"
+              style={{ backgroundColor: hexWithAlpha(palette.accent, 0.1), color: palette.body }}>
+              {getService(id)?.shortTitle}
+            </li>
+          ))}
+        </ul>
+      )}
+    </article>
+  );
+}
+
+/** Five stars, filled to `rating` (fractions allowed for the average). */
+function Stars({ rating, size = 16 }) {
+  const { palette } = useTheme();
+  const { t } = useI18n();
+  const pct = Math.max(0, Math.min(1, rating / 5)) * 100;
+  const row = (fill) => (
+    <span className="flex" aria-hidden="true">
+      {[0, 1, 2, 3, 4].map((i) => (
+        <svg key={i} viewBox="0 0 20 20" width={size} height={size} style={{ fill }}>
+          <path d="M10 1.5l2.6 5.3 5.9.9-4.3 4.1 1 5.8L10 14.9l-5.2 2.7 1-5.8L1.5 7.7l5.9-.9z" />
+        </svg>
+      ))}
+    </span>
+  );
+  return (
+    <span className="relative inline-block shrink-0" role="img" aria-label={t("reviews.stars", { rating })}>
+      {row(hexWithAlpha(palette.muted, 0.3))}
+      <span className="absolute inset-0 overflow-hidden" style={{ width: `${pct}%` }}>
+        {row("#E5A50A")}
+      </span>
+    </span>
+  );
+}
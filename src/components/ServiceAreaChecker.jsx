@@ -0,0 +1,95 @@
+// src/components/ServiceAreaChecker.jsx
+import React, { useState } from "react";
+import FormField from "./FormField";
+import { useTheme } from "../theme/ThemeContext";
+import { useI18n } from "../i18n/I18nContext";
+import { useContent } from "../i18n/useContent";
+import { hexWithAlpha } from "../lib/color";
+import { checkServiceArea, locationLabel } from "../lib/serviceArea";
+import { formatPhone, telHref } from "../content";
+
+/**
+ * "Do we come to you?" — ZIP code or address in, in area / extended area
+ * (travel fee) / outside out, entirely offline (see lib/serviceArea).
+ *
+ * Props:
+ *  - onLocation: (label: string) => void  called with the visitor's
+ *    location when we could place it, e.g. to prefill the contact form
+ *  - contactHref: string  where the "send us a message" link points
+ */
+export default function ServiceAreaChecker({ onLocation, contactHref = "#contact" }) {
+  const { palette } = useTheme();
+  const { t } = useI18n();
+  const { SERVICE_AREA } = useContent();
+  const [query, setQuery] = useState("");
+  const [result, setResult] = useState(null);
+
+  const onSubmit = (e) => {
+    e.preventDefault();
+    const next = checkServiceArea(query);
+    setResult(next);
+    if (next.place) onLocation?.(locationLabel(query, next));
+  };
+
+  const tone = {
+    in: palette.accent,
+    extended: palette.accentBright,
+    outside: palette.muted,
+    unknown: palette.muted,
+  }[result?.status];
+
+  // area.<status>.{title, body} in the catalogs; "empty" is a field error instead
+  const copy = result && result.status !== "empty" && {
+    title: t(`area.${result.status}.title`, { place: result.place?.name, zip: result.zip }),
+    body: t(`area.${result.status}.body`, {
+      distance: t("area.distance", { count: Math.max(1, Math.round(result.miles)) }),
+      note: SERVICE_AREA.travelFeeNote,
+    }),
+  };
+
+  return (
+    <div className="rounded-2xl p-6 md:p-8" style={{ backgroundColor: palette.cardBg, border: `1px solid ${palette.border}` }}>
+      <h2 className="text-xl md:text-2xl font-semibold" style={{ color: palette.heading }}>{t("area.title")}</h2>
+      <p className="mt-1" style={{ color: palette.muted }}>{t("area.intro")}</p>
+
+      <form noValidate onSubmit={onSubmit} className="mt-4 flex flex-col sm:flex-row gap-3 sm:items-start">
+        <FormField
+          name="area" label={t("area.label")} hideLabel idPrefix="service-area" className="flex-1"
+          placeholder={t("area.placeholder")}
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          error={result?.status === "empty" ? t("area.empty") : ""}
+        />
+        <button
+          type="submit"
+          className="px-5 py-2 rounded-md text-white"
+          style={{ backgroundColor: palette.accent }}
+        >
+          {t("area.check")}
+        </button>
+      </form>
+
+      <div role="status" aria-live="polite">
+        {copy && (
+          <div
+            className="mt-4 rounded-xl p-4"
+            style={{ backgroundColor: hexWithAlpha(tone, 0.1), border: `1px solid ${hexWithAlpha(tone, 0.4)}` }}
+          >
+            <p className="font-semibold" style={{ color: palette.body }}>{copy.title}</p>
+            <p className="mt-1 text-sm" style={{ color: palette.muted }}>{copy.body}</p>
+            <p className="mt-3 text-sm flex flex-wrap gap-x-4 gap-y-1">
+              {result.place && onLocation && (
+                <a href={contactHref} className="underline" style={{ color: palette.body }}>
+                  {t("area.messageUs")}
+                </a>
+              )}
+              <a href={telHref} className="underline" style={{ color: palette.body }}>
+                {t("common.callTextPhone", { phone: formatPhone() })}
+              </a>
+            </p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,129 @@
+// src/components/SignaturePad.jsx
+import React, { useCallback, useEffect, useRef } from "react";
+import { useTheme } from "../theme/ThemeContext";
+import { useI18n } from "../i18n/I18nContext";
+
+// Drawing size in canvas pixels; the element scales to its container
+const WIDTH = 600;
+const HEIGHT = 180;
+const INK = "#1B2430";
+const SCRIPT_FONT = '"Segoe Script", "Brush Script MT", "Snell Roundhand", cursive';
+
+function inkContext(canvas) {
+  const ctx = canvas.getContext("2d");
+  ctx.strokeStyle = INK;
+  ctx.fillStyle = INK;
+  ctx.lineWidth = 2.5;
+  ctx.lineCap = "round";
+  ctx.lineJoin = "round";
+  return ctx;
+}
+
+/**
+ * Signature box. In "draw" mode the visitor signs with a finger, pen or
+ * mouse; in "type" mode `typedName` is lettered in a script face (the
+ * keyboard-friendly way to sign). Either way the result is the canvas as
+ * a PNG data URL, or null while it's empty.
+ *
+ * Props:
+ *  - mode: "draw" | "type"
+ *  - typedName: string  what to letter in "type" mode
+ *  - onChange: (dataUrl | null) => void
+ *  - label: string  accessible name for the box
+ *  - invalid: boolean  marks the box for an error message
+ *  - describedBy: string  id of the hint / error text
+ */
+export default function SignaturePad({ mode, typedName = "", onChange, label, invalid = false, describedBy }) {
+  const { palette } = useTheme();
+  const { t } = useI18n();
+  const canvasRef = useRef(null);
+  // Id of the pointer drawing right now, if any
+  const drawing = useRef(null);
+
+  const clear = useCallback(() => {
+    canvasRef.current.getContext("2d").clearRect(0, 0, WIDTH, HEIGHT);
+    onChange(null);
+  }, [onChange]);
+
+  // Switching mode starts over; in "type" mode the name is redrawn as typed
+  const lettering = mode === "type" ? typedName.trim() : "";
+  useEffect(() => {
+    clear();
+    if (!lettering) return;
+    const ctx = inkContext(canvasRef.current);
+    // Shrink long names to fit the box
+    let size = 64;
+    do {
+      ctx.font = `italic ${size}px ${SCRIPT_FONT}`;
+      size -= 4;
+    } while (size > 24 && ctx.measureText(lettering).width > WIDTH - 40);
+    ctx.textBaseline = "middle";
+    ctx.fillText(lettering, 20, HEIGHT / 2);
+    onChange(canvasRef.current.toDataURL("image/png"));
+  }, [mode, lettering, clear, onChange]);
+
+  // Pointer position in canvas pixels, whatever size the box is shown at
+  const point = (e) => {
+    const box = canvasRef.current.getBoundingClientRect();
+    return [((e.clientX - box.left) / box.width) * WIDTH, ((e.clientY - box.top) / box.height) * HEIGHT];
+  };
+
+  const onPointerDown = (e) => {
+    if (mode !== "draw") return;
+    e.preventDefault();
+    canvasRef.current.setPointerCapture?.(e.pointerId);
+    const [x, y] = point(e);
+    const ctx = inkContext(canvasRef.current);
+    ctx.beginPath();
+    ctx.moveTo(x, y);
+    // A tap leaves a dot
+    ctx.lineTo(x + 0.1, y);
+    ctx.stroke();
+    drawing.current = e.pointerId;
+  };
+
+  const onPointerMove = (e) => {
+    if (drawing.current !== e.pointerId) return;
+    const [x, y] = point(e);
+    const ctx = canvasRef.current.getContext("2d");
+    ctx.lineTo(x, y);
+    ctx.stroke();
+  };
+
+  const onPointerUp = (e) => {
+    if (drawing.current !== e.pointerId) return;
+    drawing.current = null;
+    onChange(canvasRef.current.toDataURL("image/png"));
+  };
+
+  return (
+    <div>
+      <div
+        className="relative rounded-md border bg-white"
+        style={{ borderColor: invalid ? palette.danger : palette.border, borderWidth: invalid ? 2 : 1 }}
+      >
+        <canvas
+          ref={canvasRef}
+          width={WIDTH}
+          height={HEIGHT}
+          role="img"
+          aria-label={label}
+          aria-describedby={describedBy}
+          className="block w-full h-auto"
+          style={{ touchAction: "none", cursor: mode === "draw" ? "crosshair" : "default" }}
+          onPointerDown={onPointerDown}
+          onPointerMove={onPointerMove}
+          onPointerUp={onPointerUp}
+          onPointerCancel={onPointerUp}
+        />
+        {/* The line people sign on */}
+        <div aria-hidden="true" className="pointer-events-none absolute left-5 right-5 bottom-8 border-b" style={{ borderColor: "#C9CFC7" }} />
+      </div>
+      {mode === "draw" && (
+        <button type="button" onClick={clear} className="mt-1 text-sm underline" style={{ color: palette.muted }}>
+          {t("quote.clearSignature")}
+        </button>
+      )}
+    </div>
+  );
+}
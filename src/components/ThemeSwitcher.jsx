@@ -0,0 +1,38 @@
+// src/components/ThemeSwitcher.jsx
+import React from "react";
+import { useTheme } from "../theme/ThemeContext";
+import { useI18n } from "../i18n/I18nContext";
+import { hexWithAlpha } from "../lib/color";
+
+/**
+ * Small theme picker. "Match device" clears the stored choice so the
+ * site follows prefers-color-scheme again.
+ *
+ * Props:
+ *  - className: string  extra classes for positioning
+ */
+export default function ThemeSwitcher({ className = "" }) {
+  const { palette, palettes, preference, setPreference } = useTheme();
+  const { t } = useI18n();
+
+  return (
+    <label className={`flex items-center gap-2 text-xs ${className}`} style={{ color: palette.muted }}>
+      <span className="sr-only">{t("theme.label")}</span>
+      <select
+        value={preference}
+        onChange={(e) => setPreference(e.target.value)}
+        className="rounded-md px-2 py-1 shadow"
+        style={{
+          backgroundColor: hexWithAlpha(palette.sectionLight, 0.9),
+          border: `1px solid ${palette.border}`,
+          color: palette.body,
+        }}
+      >
+        <option value="system">{t("theme.system")}</option>
+        {Object.entries(palettes).map(([key, p]) => (
+          <option key={key} value={key}>{t.has(`theme.names.${key}`) ? t(`theme.names.${key}`) : p.name}</option>
+        ))}
+      </select>
+    </label>
+  );
+}
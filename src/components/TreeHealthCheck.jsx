@@ -0,0 +1,123 @@
+// src/components/TreeHealthCheck.jsx
+import React, { useState } from "react";
+import ChoiceGroup from "./ChoiceGroup";
+import { useTheme } from "../theme/ThemeContext";
+import { useI18n } from "../i18n/I18nContext";
+import { useContent } from "../i18n/useContent";
+import { hexWithAlpha } from "../lib/color";
+import { translator } from "../i18n/translate";
+import { assessTree, unanswered } from "../lib/treeHealth";
+import { formatPhone, telHref } from "../content";
+
+/**
+ * "Is my tree OK?" self-assessment. The questions, points and rules live
+ * in src/content/treeHealth.json; the scoring is in lib/treeHealth. The
+ * result (a risk level and one of our services) can be attached to the
+ * estimate request like a ballpark; the attached copy is always English.
+ * Every result says plainly that it doesn't replace an arborist on site.
+ *
+ * Props:
+ *  - onAttach: (result) => void   attach the current result
+ *  - attached: result | null      what's attached now (to show "Attached")
+ *  - attachHref: string           where to send the visitor after attaching
+ */
+export default function TreeHealthCheck({ onAttach, attached = null, attachHref = "#estimate" }) {
+  const { palette } = useTheme();
+  const { t } = useI18n();
+  const { TREE_HEALTH } = useContent();
+  const [answers, setAnswers] = useState({});
+  const result = assessTree(answers, t, TREE_HEALTH);
+  const remaining = unanswered(answers, TREE_HEALTH);
+
+  const isAttached = result && TREE_HEALTH.questions.every((q) => attached?.answers?.[q.id] === answers[q.id]);
+  const levelColor = result?.urgent || result?.level === "high" ? palette.danger : palette.heading;
+
+  const cardStyle = { backgroundColor: palette.cardBg, border: `1px solid ${palette.border}` };
+
+  return (
+    <div className="rounded-2xl p-6 md:p-8 grid gap-8 md:grid-cols-5" style={cardStyle}>
+      <div className="md:col-span-3 grid gap-6 content-start">
+        {TREE_HEALTH.questions.map((q) => (
+          <ChoiceGroup
+            key={q.id} name={q.id} idPrefix="health" legend={q.label} hint={q.hint} options={q.options}
+            value={answers[q.id] || ""} onChange={(id) => setAnswers((a) => ({ ...a, [q.id]: id }))}
+          />
+        ))}
+      </div>
+
+      {/* Result */}
+      <aside className="md:col-span-2 md:sticky md:top-28 self-start rounded-xl p-5"
+        style={{ backgroundColor: hexWithAlpha(palette.accent, 0.08), border: `1px solid ${hexWithAlpha(palette.accent, 0.3)}` }}
+        aria-labelledby="health-result-label">
+        <p id="health-result-label" className="text-sm font-medium" style={{ color: palette.muted }}>
+          {t("treeHealth.result")}
+        </p>
+
+        <div aria-live="polite">
+          {result ? (
+            <>
+              <p className="mt-1 text-3xl font-semibold tracking-tight" style={{ color: levelColor }}>{result.label}</p>
+              <p className="mt-2 text-sm" style={{ color: palette.body }}>{result.summary}</p>
+              {result.notes.length > 0 && (
+                <ul className="mt-3 grid gap-1 text-sm list-disc pl-5" style={{ color: palette.body }}>
+                  {result.notes.map((n) => (
+                    <li key={n}>{n}</li>
+                  ))}
+                </ul>
+              )}
+              {result.urgent && (
+                <a href={telHref} className="mt-3 block w-full px-4 py-2 rounded-md text-center text-white"
+                  style={{ backgroundColor: palette.danger }}>
+                  {t("treeHealth.callNow", { phone: formatPhone() })}
+                </a>
+              )}
+              <p className="mt-4 text-sm" style={{ color: palette.muted }}>
+                {t("treeHealth.recommended")}{" "}
+                <a href={`/services/${result.service}`} className="font-medium underline" style={{ color: palette.body }}>
+                  {result.serviceTitle}
+                </a>
+              </p>
+            </>
+          ) : (
+            <p className="mt-1 text-sm" style={{ color: palette.body }}>
+              {t("treeHealth.remaining", { count: remaining })}
+            </p>
+          )}
+        </div>
+
+        {/* Shown with every result, not tucked away in small print */}
+        <div role="note" className="mt-4 rounded-md p-3 text-sm"
+          style={{ border: `1px solid ${palette.border}`, backgroundColor: palette.cardBg, color: palette.body }}>
+          <p className="font-semibold">{t("treeHealth.disclaimerTitle")}</p>
+          <p className="mt-1">{TREE_HEALTH.disclaimer}</p>
+        </div>
+
+        {result && onAttach && (
+          <div className="mt-4">
+            {isAttached ? (
+              <p className="text-sm" style={{ color: palette.body }}>
+                {t("treeHealth.attached")}{" "}
+                <a href={attachHref} className="underline">{t("treeHealth.finish")}</a>
+              </p>
+            ) : (
+              <button
+                type="button"
+                onClick={() => onAttach(assessTree(answers, translator()))}
+                className="w-full px-4 py-2 rounded-md text-white"
+                style={{ backgroundColor: palette.accent }}
+              >
+                {attached ? t("treeHealth.attachInstead") : t("treeHealth.attach")}
+              </button>
+            )}
+          </div>
+        )}
+
+        {remaining < TREE_HEALTH.questions.length && (
+          <button type="button" onClick={() => setAnswers({})} className="mt-3 text-sm underline" style={{ color: palette.muted }}>
+            {t("treeHealth.startOver")}
+          </button>
+        )}
+      </aside>
+    </div>
+  );
+}
@@ -0,0 +1,262 @@
+// src/content/index.js
+//
+// The one place React code gets business content from. The JSON next to
+// this file is validated at build time (plugins/content.js), so these
+// accessors can trust its shape. The exports below are the English copy;
+// localizedContent() lays a translation (es.json) over it.
+import business from "./business.json";
+import services from "./services.json";
+import processSteps from "./process.json";
+import gallery from "./gallery.json";
+import serviceArea from "./serviceArea.json";
+import pricing from "./pricing.json";
+import treeHealth from "./treeHealth.json";
+import reviews from "./reviews.json";
+import es from "./es.json";
+
+/**
+ * @typedef {Object} Address
+ * @property {string} street
+ * @property {string} city
+ * @property {string} region      2-letter state code
+ * @property {string} postalCode
+ * @property {string} country     2-letter country code
+ *
+ * @typedef {Object} OpeningHours
+ * @property {string[]} days      "Mo".."Su"
+ * @property {string} opens       "07:00"
+ * @property {string} closes      "18:00"
+ *
+ * @typedef {Object} Business
+ * @property {string} name
+ * @property {string} url         canonical https origin, no trailing slash
+ * @property {string} owner
+ * @property {string} phone       E.164, e.g. "+13145360225"
+ * @property {string} email
+ * @property {string} instagram   handle without "@"
+ * @property {Address} address
+ * @property {string} serviceArea
+ * @property {OpeningHours[]} [hours]  left out until the owner confirms them
+ * @property {string[]} credentials
+ * @property {string} mission
+ *
+ * @typedef {Object} Service
+ * @property {string} id          slug; also gallery tag + estimate value
+ * @property {string} title
+ * @property {string} shortTitle  for chips and other tight spots
+ * @property {string} summary
+ * @property {string} metaDescription  search-result snippet for /services/<id>
+ * @property {string[]} description     paragraphs for the detail page
+ * @property {{ question: string, answer: string }[]} faqs
+ *
+ * @typedef {Object} ProcessStep
+ * @property {string} title
+ * @property {string} description
+ *
+ * @typedef {Object} GalleryPhoto
+ * @property {string} id          deep-link id (#gallery/<id>); keep stable
+ * @property {string} src         path under public/
+ * @property {string} alt
+ * @property {string} [caption]
+ * @property {string[]} tags      service ids
+ * @property {string} [before]    with `after`: shown as a comparison slider
+ * @property {string} [after]
+ *
+ * @typedef {Object} ServicePlace
+ * @property {string} zip
+ * @property {string} name        town, matched against typed addresses
+ * @property {number} lat         approximate ZIP centre
+ * @property {number} lng
+ *
+ * @typedef {Object} ServiceArea
+ * @property {{ label: string, lat: number, lng: number }} origin  where distances are measured from
+ * @property {string} travelFeeNote
+ * @property {Object} zones       GeoJSON FeatureCollection of Polygons; properties.zone is "core" | "extended"
+ * @property {ServicePlace[]} places
+ *
+ * @typedef {Object} PriceOption
+ * @property {string} id
+ * @property {string} label
+ * @property {number} [low]       per unit, base options only
+ * @property {number} [high]
+ * @property {number} [multiply]  factor options only
+ *
+ * @typedef {Object} PriceModifier  yes/no add-on; exactly one of multiply / add
+ * @property {string} id
+ * @property {string} label
+ * @property {number} [multiply]
+ * @property {{ low: number, high: number }} [add]
+ *
+ * @typedef {Object} ServicePricing
+ * @property {string} service     service id
+ * @property {string} unit        "tree", "stump"…
+ * @property {{ label: string, options: PriceOption[] }} base
+ * @property {{ label: string, max: number, additionalMultiplier: number }} quantity
+ * @property {{ id: string, label: string, options: PriceOption[] }[]} factors
+ * @property {PriceModifier[]} modifiers
+ *
+ * @typedef {Object} Pricing
+ * @property {number} version     bump whenever numbers change; quotes record it
+ * @property {boolean} confirmed  false: the numbers are a draft and the
+ *                                estimator isn't shown
+ * @property {string} effective   "YYYY-MM-DD"
+ * @property {number} roundTo
+ * @property {number} minimum     smallest job we'll quote
+ * @property {string} disclaimer
+ * @property {ServicePricing[]} services
+ *
+ * @typedef {Object} HealthOption  exactly one of points / multiply
+ * @property {string} id
+ * @property {string} label
+ * @property {number} [points]    added to the score
+ * @property {number} [multiply]  scales the score (what the tree could hit)
+ *
+ * @typedef {Object} HealthLevel
+ * @property {string} id
+ * @property {number} min         lowest score at this level; levels go up in order
+ * @property {string} label
+ * @property {string} summary
+ * @property {string} service     service id to recommend
+ * @property {boolean} [urgent]   show "call now"
+ *
+ * @typedef {Object} HealthRule   overrides the score when its answers match
+ * @property {string} id
+ * @property {Object<string, string[]>} if  question id → option ids; all must match
+ * @property {string} atLeast     level id
+ * @property {string} [service]   recommend this instead of the level's service
+ * @property {string} note        why, shown with the result
+ *
+ * @typedef {Object} TreeHealth
+ * @property {number} version     bump when questions or numbers change; results record it
+ * @property {string} effective   "YYYY-MM-DD"
+ * @property {string} disclaimer
+ * @property {{ id: string, label: string, hint?: string, options: HealthOption[] }[]} questions
+ * @property {HealthLevel[]} levels
+ * @property {HealthRule[]} rules
+ *
+ * @typedef {Object} Review
+ * @property {string} id          Google's review id, or any stable id for direct ones
+ * @property {string} author
+ * @property {1|2|3|4|5} rating
+ * @property {string} date        "YYYY-MM-DD"
+ * @property {string} [text]      missing/empty for star-only reviews
+ * @property {string} [reply]     our public reply, if any
+ * @property {string[]} services  service ids the review is about
+ * @property {"google"|"direct"} source
+ * @property {boolean} [hidden]   kept in the file (so re-imports don't bring it back) but not shown or counted
+ */
+
+/** @type {Business} */
+export const BUSINESS = business;
+
+/** @type {Service[]} */
+export const SERVICES = services;
+
+/** @type {ProcessStep[]} */
+export const PROCESS_STEPS = processSteps;
+
+/** @type {GalleryPhoto[]} */
+export const GALLERY = gallery;
+
+/** @type {ServiceArea} */
+export const SERVICE_AREA = serviceArea;
+
+/** @type {Pricing} */
+export const PRICING = pricing;
+
+/** @type {TreeHealth} */
+export const TREE_HEALTH = treeHealth;
+
+/** Visible reviews, newest first. @type {Review[]} */
+export const REVIEWS = reviews.filter((r) => !r.hidden).sort((a, b) => b.date.localeCompare(a.date));
+
+/** @returns {Service | null} */
+export function getService(id) {
+  return SERVICES.find((s) => s.id === id) || null;
+}
+
+const TRANSLATIONS = { es };
+
+/** Options with their labels swapped for `labels[id]` where there is one. */
+const relabel = (options, labels = {}) => options.map((o) => ({ ...o, label: labels[o.id] ?? o.label }));
+
+function translatePricing(table, tr = {}) {
+  return {
+    ...table,
+    base: { ...table.base, label: tr.base?.label ?? table.base.label, options: relabel(table.base.options, tr.base?.options) },
+    quantity: { ...table.quantity, label: tr.quantity?.label ?? table.quantity.label },
+    factors: table.factors.map((f) => ({
+      ...f,
+      label: tr.factors?.[f.id]?.label ?? f.label,
+      options: relabel(f.options, tr.factors?.[f.id]?.options),
+    })),
+    modifiers: relabel(table.modifiers, tr.modifiers),
+  };
+}
+
+function translateTreeHealth(tr = {}) {
+  return {
+    ...TREE_HEALTH,
+    disclaimer: tr.disclaimer ?? TREE_HEALTH.disclaimer,
+    questions: TREE_HEALTH.questions.map((q) => ({
+      ...q,
+      label: tr.questions?.[q.id]?.label ?? q.label,
+      hint: tr.questions?.[q.id]?.hint ?? q.hint,
+      options: relabel(q.options, tr.questions?.[q.id]?.options),
+    })),
+    levels: TREE_HEALTH.levels.map((l) => ({ ...l, ...tr.levels?.[l.id] })),
+    rules: TREE_HEALTH.rules.map((r) => ({ ...r, note: tr.rules?.[r.id] ?? r.note })),
+  };
+}
+
+function translateContent(tr) {
+  const services = SERVICES.map((s) => ({ ...s, ...tr.services?.[s.id] }));
+  return {
+    BUSINESS: { ...BUSINESS, ...tr.business },
+    SERVICES: services,
+    PROCESS_STEPS: tr.process || PROCESS_STEPS,
+    GALLERY: GALLERY.map((g) => ({ ...g, ...tr.gallery?.[g.id] })),
+    SERVICE_AREA: { ...SERVICE_AREA, ...tr.serviceArea },
+    PRICING: {
+      ...PRICING,
+      disclaimer: tr.pricing?.disclaimer ?? PRICING.disclaimer,
+      services: PRICING.services.map((p) => translatePricing(p, tr.pricing?.services?.[p.service])),
+    },
+    TREE_HEALTH: translateTreeHealth(tr.treeHealth),
+    REVIEWS, // shown in the language they were written in
+    getService: (id) => services.find((s) => s.id === id) || null,
+  };
+}
+
+const localized = new Map();
+
+/**
+ * The content above in `locale` ("en", "es"), same names and shapes.
+ * Fields a translation leaves out stay English; ids, numbers and paths
+ * never change, so anything keyed by them works in every language.
+ */
+export function localizedContent(locale) {
+  if (!localized.has(locale)) {
+    const tr = TRANSLATIONS[locale];
+    localized.set(
+      locale,
+      tr ? translateContent(tr) : { BUSINESS, SERVICES, PROCESS_STEPS, GALLERY, SERVICE_AREA, PRICING, TREE_HEALTH, REVIEWS, getService }
+    );
+  }
+  return localized.get(locale);
+}
+
+/** "+13145360225" → "(314) 536-0225" */
+export function formatPhone(e164 = BUSINESS.phone) {
+  const d = e164.replace(/\D/g, "").slice(-10);
+  return `(${d.slice(0, 3)}) ${d.slice(3, 6)}-${d.slice(6)}`;
+}
+
+export const telHref = `tel:${BUSINESS.phone}`;
+export const mailtoHref = `mailto:${BUSINESS.email}`;
+export const instagramUrl = `https://instagram.com/${BUSINESS.instagram}`;
+
+/** One-line postal address, e.g. "439 Capri Dr Unit B, Nashville, TN 37209" */
+export function formatAddress(a = BUSINESS.address) {
+  return `${a.street}, ${a.city}, ${a.region} ${a.postalCode}`;
+}
@@ -0,0 +1,633 @@
+// src/content/schema.js
+//
+// Schema for the content files in this folder. Pure JS (no DOM, no fs) so
+// the build plugin in plugins/content.js can run it in Node. Anything that
+// needs the filesystem (does this image exist?) comes in through `ctx`.
+//
+// A rule is (value, path, ctx) => string[] of problems; "" paths read like
+// `services[2].title` in error messages.
+
+const isObj = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+
+export const string = ({ min = 1, max = 2000 } = {}) => (v, path) => {
+  if (typeof v !== "string") return [`${path}: expected text, got ${JSON.stringify(v)}`];
+  const len = v.trim().length;
+  if (len < min) return [`${path}: is required`];
+  if (len > max) return [`${path}: is longer than ${max} characters`];
+  return [];
+};
+
+export const pattern = (re, hint) => (v, path) => {
+  if (typeof v !== "string") return [`${path}: expected text, got ${JSON.stringify(v)}`];
+  return re.test(v) ? [] : [`${path}: "${v}" ${hint}`];
+};
+
+// US numbers only: the site is a Nashville business and links are tel:+1...
+export const phone = () =>
+  pattern(/^\+1[2-9]\d{2}[2-9]\d{6}$/, "is not a valid phone number — use +1 and 10 digits, e.g. +16155550123");
+
+export const email = () => pattern(/^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/, "is not a valid email address");
+
+export const slug = () => pattern(/^[a-z0-9]+(-[a-z0-9]+)*$/, "should be lowercase-words-with-dashes");
+
+/** A path under public/, e.g. "/images/foo.avif" (leading "/" optional). */
+export const image = () => (v, path, ctx) => {
+  const base = string()(v, path);
+  if (base.length) return base;
+  if (!/\.(avif|webp|jpe?g|png|svg|gif)$/i.test(v)) return [`${path}: "${v}" is not an image file`];
+  if (ctx?.publicFileExists && !ctx.publicFileExists(v.replace(/^\//, ""))) {
+    return [`${path}: "${v}" does not exist in public/`];
+  }
+  return [];
+};
+
+export const number = ({ min = -Infinity, max = Infinity } = {}) => (v, path) => {
+  if (typeof v !== "number" || !Number.isFinite(v)) return [`${path}: expected a number, got ${JSON.stringify(v)}`];
+  if (v < min || v > max) return [`${path}: ${v} should be between ${min} and ${max}`];
+  return [];
+};
+
+export const optional = (rule) => (v, path, ctx) => (v === undefined ? [] : rule(v, path, ctx));
+
+export const oneOf = (values) => (v, path) =>
+  values.includes(v) ? [] : [`${path}: "${v}" must be one of ${values.join(", ")}`];
+
+export const arrayOf = (rule, { min = 0 } = {}) => (v, path, ctx) => {
+  if (!Array.isArray(v)) return [`${path}: expected a list`];
+  if (v.length < min) return [`${path}: needs at least ${min} item${min === 1 ? "" : "s"}`];
+  return v.flatMap((item, i) => rule(item, `${path}[${i}]`, ctx));
+};
+
+export const object = (shape) => (v, path, ctx) => {
+  if (!isObj(v)) return [`${path}: expected an object`];
+  const problems = Object.entries(shape).flatMap(([key, rule]) => rule(v[key], `${path}.${key}`, ctx));
+  const unknown = Object.keys(v).filter((k) => !(k in shape));
+  return [...problems, ...unknown.map((k) => `${path}.${k}: unknown field (typo?)`)];
+};
+
+/** An object keyed by ids (checked elsewhere), every value checked by `rule`. */
+export const record = (rule) => (v, path, ctx) => {
+  if (!isObj(v)) return [`${path}: expected an object`];
+  return Object.entries(v).flatMap(([key, item]) => rule(item, `${path}.${key}`, ctx));
+};
+
+/** Ids within a list must be unique. */
+export const uniqueBy = (key, rule) => (v, path, ctx) => {
+  const problems = rule(v, path, ctx);
+  if (!Array.isArray(v)) return problems;
+  const seen = new Set();
+  v.forEach((item, i) => {
+    const id = item?.[key];
+    if (seen.has(id)) problems.push(`${path}[${i}].${key}: "${id}" is used more than once`);
+    seen.add(id);
+  });
+  return problems;
+};
+
+// --- the files
+
+const time = () => pattern(/^([01]\d|2[0-3]):[0-5]\d$/, "should be a 24-hour time like 07:30");
+
+export const businessSchema = object({
+  name: string({ max: 80 }),
+  // Canonical origin for links in sitemap.xml, Open Graph tags, etc.
+  url: pattern(/^https:\/\/[a-z0-9.-]+\.[a-z]{2,}$/, "should be the site's https:// origin with no trailing slash"),
+  owner: string({ max: 80 }),
+  phone: phone(),
+  email: email(),
+  instagram: pattern(/^[A-Za-z0-9._]{1,30}$/, "should be the handle only, without @ or a URL"),
+  address: object({
+    street: string(),
+    city: string(),
+    region: pattern(/^[A-Z]{2}$/, "should be a 2-letter state code"),
+    postalCode: pattern(/^\d{5}(-\d{4})?$/, "should be a 5-digit ZIP"),
+    country: pattern(/^[A-Z]{2}$/, "should be a 2-letter country code"),
+  }),
+  serviceArea: string({ max: 80 }),
+  hours: optional(
+    arrayOf(
+      object({
+        days: arrayOf(oneOf(["Mo", "Tu", "We", "Th", "Fr", "Sa", "Su"]), { min: 1 }),
+        opens: time(),
+        closes: time(),
+      })
+    )
+  ),
+  credentials: arrayOf(string({ max: 40 })),
+  mission: string({ max: 300 }),
+});
+
+export const servicesSchema = uniqueBy(
+  "id",
+  arrayOf(
+    object({
+      id: slug(),
+      title: string({ max: 60 }),
+      shortTitle: string({ max: 24 }),
+      summary: string({ max: 160 }),
+      metaDescription: string({ min: 50, max: 170 }),
+      description: arrayOf(string({ max: 1200 }), { min: 1 }),
+      faqs: arrayOf(object({ question: string({ max: 200 }), answer: string({ max: 1200 }) })),
+    }),
+    { min: 1 }
+  )
+);
+
+export const processSchema = arrayOf(
+  object({
+    title: string({ max: 40 }),
+    description: string({ max: 200 }),
+  }),
+  { min: 1 }
+);
+
+/** A before/after comparison needs both photos. */
+const beforeAfterPair = (rule) => (v, path, ctx) => {
+  const problems = rule(v, path, ctx);
+  if (isObj(v) && (v.before === undefined) !== (v.after === undefined)) {
+    problems.push(`${path}: "before" and "after" go together — give both or neither`);
+  }
+  return problems;
+};
+
+export const gallerySchema = uniqueBy(
+  "id",
+  arrayOf(
+    beforeAfterPair(
+      object({
+        id: slug(),
+        src: image(),
+        alt: string({ max: 160 }),
+        caption: optional(string({ max: 300 })),
+        tags: arrayOf(slug()),
+        before: optional(image()),
+        after: optional(image()),
+      })
+    )
+  )
+);
+
+const lat = () => number({ min: -90, max: 90 });
+const lng = () => number({ min: -180, max: 180 });
+
+/** GeoJSON [lng, lat] — note the order, it trips everyone up. */
+const position = () => (v, path) => {
+  if (!Array.isArray(v) || v.length !== 2) return [`${path}: expected [longitude, latitude]`];
+  return [...lng()(v[0], `${path}[0]`), ...lat()(v[1], `${path}[1]`)];
+};
+
+/** A closed ring: at least 4 positions, last one repeating the first. */
+const ring = () => (v, path, ctx) => {
+  const problems = arrayOf(position(), { min: 4 })(v, path, ctx);
+  if (problems.length) return problems;
+  const [a, b] = [v[0], v[v.length - 1]];
+  return a[0] === b[0] && a[1] === b[1] ? [] : [`${path}: the last point must repeat the first to close the shape`];
+};
+
+export const serviceAreaSchema = object({
+  origin: object({ label: string({ max: 80 }), lat: lat(), lng: lng() }),
+  travelFeeNote: string({ max: 200 }),
+  zones: object({
+    type: oneOf(["FeatureCollection"]),
+    features: arrayOf(
+      object({
+        type: oneOf(["Feature"]),
+        properties: object({ zone: oneOf(["core", "extended"]), name: string({ max: 80 }) }),
+        geometry: object({ type: oneOf(["Polygon"]), coordinates: arrayOf(ring(), { min: 1 }) }),
+      }),
+      { min: 1 }
+    ),
+  }),
+  places: uniqueBy(
+    "zip",
+    arrayOf(
+      object({
+        zip: pattern(/^\d{5}$/, "should be a 5-digit ZIP"),
+        name: string({ max: 60 }),
+        lat: lat(),
+        lng: lng(),
+      }),
+      { min: 1 }
+    )
+  ),
+});
+
+const isoDate = () => pattern(/^\d{4}-\d{2}-\d{2}$/, "should be a date like 2026-10-19");
+
+// Option ids like "lt12" or "30-60"
+const optionId = () => pattern(/^[a-zA-Z0-9]+(-[a-zA-Z0-9]+)*$/, "should be letters/digits with dashes");
+
+/** An object with money `low`/`high` fields (plus `shape`), low ≤ high. */
+const priced = (shape = {}) => (v, path, ctx) => {
+  const problems = object({ ...shape, low: number({ min: 0 }), high: number({ min: 0 }) })(v, path, ctx);
+  if (!problems.length && v.low > v.high) problems.push(`${path}: low (${v.low}) is more than high (${v.high})`);
+  return problems;
+};
+
+const multiplier = () => number({ min: 0.1, max: 5 });
+
+// A yes/no add-on either scales the price or adds a fixed amount, not both
+const modifier = () => (v, path, ctx) => {
+  const shape = { id: optionId(), label: string({ max: 120 }) };
+  if (isObj(v) && "multiply" in v && "add" in v) return [`${path}: use either "multiply" or "add", not both`];
+  if (isObj(v) && "add" in v) return object({ ...shape, add: priced() })(v, path, ctx);
+  return object({ ...shape, multiply: multiplier() })(v, path, ctx);
+};
+
+export const pricingSchema = object({
+  version: number({ min: 1 }),
+  // The estimator stays off the site until the owner has checked the numbers
+  confirmed: oneOf([true, false]),
+  effective: isoDate(),
+  roundTo: number({ min: 1, max: 500 }),
+  minimum: number({ min: 0 }),
+  disclaimer: string({ max: 300 }),
+  services: uniqueBy(
+    "service",
+    arrayOf(
+      object({
+        service: slug(),
+        unit: string({ max: 20 }),
+        base: object({
+          label: string({ max: 80 }),
+          options: uniqueBy("id", arrayOf(priced({ id: optionId(), label: string({ max: 80 }) }), { min: 1 })),
+        }),
+        quantity: object({
+          label: string({ max: 80 }),
+          max: number({ min: 1, max: 100 }),
+          // each unit after the first costs this fraction of the first
+          additionalMultiplier: number({ min: 0.1, max: 1 }),
+        }),
+        factors: uniqueBy(
+          "id",
+          arrayOf(
+            object({
+              id: optionId(),
+              label: string({ max: 80 }),
+              options: uniqueBy("id", arrayOf(object({ id: optionId(), label: string({ max: 120 }), multiply: multiplier() }), { min: 2 })),
+            })
+          )
+        ),
+        modifiers: uniqueBy("id", arrayOf(modifier())),
+      }),
+      { min: 1 }
+    )
+  ),
+});
+
+// A self-assessment answer either adds points (a defect) or scales the
+// total (what the tree could hit), not both
+const healthOption = () => (v, path, ctx) => {
+  const shape = { id: optionId(), label: string({ max: 120 }) };
+  if (isObj(v) && "points" in v && "multiply" in v) return [`${path}: use either "points" or "multiply", not both`];
+  if (isObj(v) && "multiply" in v) return object({ ...shape, multiply: multiplier() })(v, path, ctx);
+  return object({ ...shape, points: number({ min: 0, max: 100 }) })(v, path, ctx);
+};
+
+export const treeHealthSchema = object({
+  version: number({ min: 1 }),
+  effective: isoDate(),
+  disclaimer: string({ max: 400 }),
+  questions: uniqueBy(
+    "id",
+    arrayOf(
+      object({
+        id: optionId(),
+        label: string({ max: 120 }),
+        hint: optional(string({ max: 200 })),
+        options: uniqueBy("id", arrayOf(healthOption(), { min: 2 })),
+      }),
+      { min: 1 }
+    )
+  ),
+  // Lowest first; a score at or above `min` reaches the level
+  levels: uniqueBy(
+    "id",
+    arrayOf(
+      object({
+        id: optionId(),
+        min: number({ min: 0 }),
+        label: string({ max: 40 }),
+        summary: string({ max: 300 }),
+        service: slug(),
+        urgent: optional(oneOf([true, false])),
+      }),
+      { min: 1 }
+    )
+  ),
+  rules: uniqueBy(
+    "id",
+    arrayOf(
+      object({
+        id: optionId(),
+        // { questionId: [optionId, …] }; every question listed must match
+        if: record(arrayOf(optionId(), { min: 1 })),
+        atLeast: optionId(),
+        service: optional(slug()),
+        note: string({ max: 200 }),
+      })
+    )
+  ),
+});
+
+export const reviewsSchema = uniqueBy(
+  "id",
+  arrayOf(
+    object({
+      id: pattern(/^[a-zA-Z0-9_-]+$/, "should be letters, digits, dashes or underscores"),
+      author: string({ max: 80 }),
+      rating: oneOf([1, 2, 3, 4, 5]),
+      date: isoDate(),
+      // Star-only reviews count toward the average but aren't shown
+      text: optional(string({ min: 0, max: 5000 })),
+      reply: optional(string({ max: 5000 })),
+      services: arrayOf(slug()),
+      source: oneOf(["google", "direct"]),
+      hidden: optional(oneOf([true, false])),
+    })
+  )
+);
+
+// Frontmatter of a tree care article (src/content/articles/*.md); the
+// Markdown body is checked by plugins/articles.js
+export const articleSchema = object({
+  title: string({ max: 100 }),
+  date: isoDate(),
+  updated: optional(isoDate()),
+  // Listing, search results, meta description and feeds
+  summary: string({ min: 50, max: 200 }),
+  tags: arrayOf(slug(), { min: 1 }),
+  hero: image(),
+  heroAlt: string({ max: 160 }),
+  service: optional(slug()),
+  draft: optional(oneOf([true, false])),
+});
+
+// A quote sent after a site visit (public/quotes/<id>.json). Loaded by the
+// browser, so it's checked there too (src/lib/quotes.js) as well as by
+// the build for the files present at the time.
+const money = () => number({ min: 0, max: 1_000_000 });
+
+const quotePhoto = () =>
+  object({
+    src: image(),
+    alt: string({ max: 160 }),
+    caption: optional(string({ max: 160 })),
+  });
+
+export const quoteSchema = object({
+  number: string({ max: 40 }),
+  issued: isoDate(),
+  validUntil: isoDate(),
+  customer: object({
+    name: string({ max: 120 }),
+    address: optional(string({ max: 200 })),
+    email: optional(email()),
+    phone: optional(phone()),
+  }),
+  preparedBy: optional(string({ max: 80 })),
+  summary: optional(string({ max: 600 })),
+  // One line per tree or task; amounts are dollars
+  items: arrayOf(
+    object({
+      title: string({ max: 120 }),
+      details: optional(string({ max: 600 })),
+      service: optional(slug()),
+      quantity: optional(number({ min: 0.01, max: 10_000 })),
+      unit: optional(string({ max: 20 })),
+      unitPrice: money(),
+      taxable: optional(oneOf([true, false])),
+      photos: optional(arrayOf(quotePhoto())),
+    }),
+    { min: 1 }
+  ),
+  discount: optional(object({ label: string({ max: 80 }), amount: money() })),
+  // 0.0975 = 9.75%
+  taxRate: number({ min: 0, max: 0.2 }),
+  taxLabel: optional(string({ max: 40 })),
+  notes: optional(arrayOf(string({ max: 600 }))),
+  photos: optional(arrayOf(quotePhoto())),
+  terms: optional(string({ max: 2000 })),
+});
+
+/**
+ * Validate one quote. `ctx.serviceIds` (a Set) checks line items' service
+ * ids; `ctx.publicFileExists` checks photos, as for the content files.
+ */
+export function validateQuote(quote, file, ctx = {}) {
+  const problems = quoteSchema(quote, file, ctx);
+  if (problems.length) return problems;
+  if (quote.validUntil < quote.issued) {
+    problems.push(`${file}.validUntil: ${quote.validUntil} is before the issue date ${quote.issued}`);
+  }
+  quote.items.forEach((item, i) => {
+    if (item.service && ctx.serviceIds && !ctx.serviceIds.has(item.service)) {
+      problems.push(`${file}.items[${i}].service: "${item.service}" is not a service id in services.json`);
+    }
+  });
+  const subtotal = quote.items.reduce((sum, item) => sum + (item.quantity ?? 1) * item.unitPrice, 0);
+  if (quote.discount && quote.discount.amount > subtotal) {
+    problems.push(`${file}.discount.amount: ${quote.discount.amount} is more than the items add up to (${subtotal})`);
+  }
+  return problems;
+}
+
+// Another language's wording for the files above (es.json), keyed by id so
+// it can't drift out of order. Every field is optional: whatever is left
+// out shows in English. Limits match the English fields.
+export const translationSchema = object({
+  business: optional(
+    object({
+      serviceArea: optional(string({ max: 80 })),
+      credentials: optional(arrayOf(string({ max: 40 }))),
+      mission: optional(string({ max: 300 })),
+    })
+  ),
+  services: optional(
+    record(
+      object({
+        title: optional(string({ max: 60 })),
+        shortTitle: optional(string({ max: 24 })),
+        summary: optional(string({ max: 160 })),
+        metaDescription: optional(string({ min: 50, max: 170 })),
+        description: optional(arrayOf(string({ max: 1200 }), { min: 1 })),
+        faqs: optional(arrayOf(object({ question: string({ max: 200 }), answer: string({ max: 1200 }) }))),
+      })
+    )
+  ),
+  // Same steps, same order as process.json
+  process: optional(arrayOf(object({ title: string({ max: 40 }), description: string({ max: 200 }) }))),
+  gallery: optional(
+    record(object({ alt: optional(string({ max: 160 })), caption: optional(string({ max: 300 })) }))
+  ),
+  serviceArea: optional(object({ travelFeeNote: optional(string({ max: 200 })) })),
+  pricing: optional(
+    object({
+      disclaimer: optional(string({ max: 300 })),
+      services: optional(
+        record(
+          object({
+            base: optional(object({ label: optional(string({ max: 80 })), options: optional(record(string({ max: 80 }))) })),
+            quantity: optional(object({ label: optional(string({ max: 80 })) })),
+            factors: optional(
+              record(object({ label: optional(string({ max: 80 })), options: optional(record(string({ max: 120 }))) }))
+            ),
+            modifiers: optional(record(string({ max: 120 }))),
+          })
+        )
+      ),
+    })
+  ),
+  treeHealth: optional(
+    object({
+      disclaimer: optional(string({ max: 400 })),
+      questions: optional(
+        record(
+          object({
+            label: optional(string({ max: 120 })),
+            hint: optional(string({ max: 200 })),
+            options: optional(record(string({ max: 120 }))),
+          })
+        )
+      ),
+      levels: optional(record(object({ label: optional(string({ max: 40 })), summary: optional(string({ max: 300 })) }))),
+      // Rule notes by rule id
+      rules: optional(record(string({ max: 200 }))),
+    })
+  ),
+});
+
+/** Ids in a translation that don't exist in the English files. */
+function translationRefs(tr, content, file) {
+  const problems = [];
+  const keys = (v) => (isObj(v) ? Object.keys(v) : []);
+  const ids = (list, key = "id") => new Set((Array.isArray(list) ? list : []).map((x) => x?.[key]));
+  const check = (known, obj, path, what) =>
+    keys(obj).forEach((k) => {
+      if (!known.has(k)) problems.push(`${file}.${path}.${k}: not ${what}`);
+    });
+
+  check(ids(content.services), tr.services, "services", "a service id in services.json");
+  check(ids(content.gallery), tr.gallery, "gallery", "a photo id in gallery.json");
+  const steps = Array.isArray(content.process) ? content.process.length : 0;
+  if (Array.isArray(tr.process) && tr.process.length !== steps) {
+    problems.push(`${file}.process: has ${tr.process.length} steps, process.json has ${steps}`);
+  }
+
+  const tables = Array.isArray(content.pricing?.services) ? content.pricing.services : [];
+  check(ids(tables, "service"), tr.pricing?.services, "pricing.services", "a priced service in pricing.json");
+  keys(tr.pricing?.services).forEach((id) => {
+    const table = tables.find((p) => p?.service === id);
+    if (!table) return;
+    const o = tr.pricing.services[id];
+    const at = `pricing.services.${id}`;
+    check(ids(table.base?.options), o.base?.options, `${at}.base.options`, "a base option id");
+    check(ids(table.factors), o.factors, `${at}.factors`, "a factor id");
+    keys(o.factors).forEach((f) => {
+      const factor = table.factors.find((x) => x?.id === f);
+      if (factor) check(ids(factor.options), o.factors[f].options, `${at}.factors.${f}.options`, "an option id");
+    });
+    check(ids(table.modifiers), o.modifiers, `${at}.modifiers`, "a modifier id");
+  });
+
+  const health = content.treeHealth || {};
+  check(ids(health.questions), tr.treeHealth?.questions, "treeHealth.questions", "a question id in treeHealth.json");
+  keys(tr.treeHealth?.questions).forEach((q) => {
+    const question = (Array.isArray(health.questions) ? health.questions : []).find((x) => x?.id === q);
+    if (question) check(ids(question.options), tr.treeHealth.questions[q].options, `treeHealth.questions.${q}.options`, "an option id");
+  });
+  check(ids(health.levels), tr.treeHealth?.levels, "treeHealth.levels", "a level id in treeHealth.json");
+  check(ids(health.rules), tr.treeHealth?.rules, "treeHealth.rules", "a rule id in treeHealth.json");
+  return problems;
+}
+
+/** Self-assessment rules must point at real questions, levels and services. */
+function treeHealthRefs(health, serviceIds) {
+  if (!isObj(health)) return [];
+  const problems = [];
+  const list = (v) => (Array.isArray(v) ? v : []);
+  const levels = list(health.levels);
+  const levelIds = new Set(levels.map((l) => l?.id));
+  const service = (id, path) => {
+    if (id !== undefined && !serviceIds.has(id)) problems.push(`${path}: "${id}" is not a service id in services.json`);
+  };
+
+  if (levels.length && levels[0]?.min !== 0) problems.push("treeHealth.json.levels[0].min: the first level must start at 0");
+  levels.forEach((l, i) => {
+    if (i > 0 && !(l?.min > levels[i - 1]?.min)) {
+      problems.push(`treeHealth.json.levels[${i}].min: should be higher than the level before it`);
+    }
+    service(l?.service, `treeHealth.json.levels[${i}].service`);
+  });
+
+  list(health.rules).forEach((r, i) => {
+    const at = `treeHealth.json.rules[${i}]`;
+    if (!levelIds.has(r?.atLeast)) problems.push(`${at}.atLeast: "${r?.atLeast}" is not a level id`);
+    service(r?.service, `${at}.service`);
+    Object.entries(isObj(r?.if) ? r.if : {}).forEach(([q, answers]) => {
+      const question = list(health.questions).find((x) => x?.id === q);
+      if (!question) {
+        problems.push(`${at}.if.${q}: not a question id`);
+        return;
+      }
+      const optionIds = new Set(list(question.options).map((o) => o?.id));
+      list(answers).forEach((a, j) => {
+        if (!optionIds.has(a)) problems.push(`${at}.if.${q}[${j}]: "${a}" is not an option of that question`);
+      });
+    });
+  });
+  return problems;
+}
+
+/**
+ * Validate every content file plus cross-file references.
+ * `content` is { business, services, process, gallery, serviceArea,
+ * pricing, treeHealth, reviews, es } (parsed JSON).
+ * Returns a flat list of human-readable problems; empty means valid.
+ */
+export function validateContent(content, ctx = {}) {
+  const problems = [
+    ...businessSchema(content.business, "business.json", ctx),
+    ...servicesSchema(content.services, "services.json", ctx),
+    ...processSchema(content.process, "process.json", ctx),
+    ...gallerySchema(content.gallery, "gallery.json", ctx),
+    ...serviceAreaSchema(content.serviceArea, "serviceArea.json", ctx),
+    ...pricingSchema(content.pricing, "pricing.json", ctx),
+    ...treeHealthSchema(content.treeHealth, "treeHealth.json", ctx),
+    ...reviewsSchema(content.reviews, "reviews.json", ctx),
+    ...translationSchema(content.es, "es.json", ctx),
+  ];
+
+  // Gallery tags drive the filter chips, so they must name real services
+  const serviceIds = new Set((Array.isArray(content.services) ? content.services : []).map((s) => s?.id));
+  (Array.isArray(content.gallery) ? content.gallery : []).forEach((g, i) => {
+    (Array.isArray(g?.tags) ? g.tags : []).forEach((tag, j) => {
+      if (!serviceIds.has(tag)) {
+        problems.push(`gallery.json[${i}].tags[${j}]: "${tag}" is not a service id in services.json`);
+      }
+    });
+  });
+
+  // Price tables hang off service ids too
+  (Array.isArray(content.pricing?.services) ? content.pricing.services : []).forEach((p, i) => {
+    if (!serviceIds.has(p?.service)) {
+      problems.push(`pricing.json.services[${i}].service: "${p?.service}" is not a service id in services.json`);
+    }
+  });
+
+  problems.push(...treeHealthRefs(content.treeHealth, serviceIds));
+
+  // Review tags drive the filter chips, like gallery tags
+  (Array.isArray(content.reviews) ? content.reviews : []).forEach((r, i) => {
+    (Array.isArray(r?.services) ? r.services : []).forEach((tag, j) => {
+      if (!serviceIds.has(tag)) {
+        problems.push(`reviews.json[${i}].services[${j}]: "${tag}" is not a service id in services.json`);
+      }
+    });
+  });
+
+  // Translations are keyed by the English files' ids
+  if (isObj(content.es)) problems.push(...translationRefs(content.es, content, "es.json"));
+
+  return problems;
+}
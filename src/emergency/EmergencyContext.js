@@ -0,0 +1,19 @@
+// src/emergency/EmergencyContext.js
+import { createContext, useContext } from "react";
+
+/**
+ * Shape: { active, config, dismissed, dismiss }
+ *  - active: storm mode is on right now
+ *  - config: the parsed public/emergency.json, or null
+ *  - dismissed: the visitor closed this storm's banner
+ */
+export const EmergencyContext = createContext({
+  active: false,
+  config: null,
+  dismissed: false,
+  dismiss: () => {},
+});
+
+export function useEmergency() {
+  return useContext(EmergencyContext);
+}
@@ -0,0 +1,60 @@
+// src/emergency/EmergencyProvider.jsx
+import React, { useEffect, useMemo, useState } from "react";
+import { EmergencyContext } from "./EmergencyContext";
+import { isEmergencyActive, loadEmergency, nextEmergencyChange } from "../lib/emergency";
+import { usePersistentState } from "../lib/usePersistentState";
+
+const DISMISS_KEY = "cheatham.emergencyDismissed";
+
+/**
+ * Storm emergency mode for the whole site (see lib/emergency). The config
+ * is fetched after mount — prerendered pages are always the normal site —
+ * and again whenever the tab comes back into view, so a tab left open
+ * picks up a storm declared in the meantime. A timer flips the mode at
+ * the window's start and end without a reload.
+ *
+ * Dismissing the banner is remembered per storm (keyed by its start).
+ */
+export default function EmergencyProvider({ children }) {
+  const [config, setConfig] = useState(null);
+  const [now, setNow] = useState(() => Date.now());
+  const [dismissedStart, setDismissedStart] = usePersistentState(DISMISS_KEY, null);
+
+  useEffect(() => {
+    let cancelled = false;
+    const refresh = () =>
+      loadEmergency()
+        .catch(() => null) // offline or bad JSON: stay in normal mode
+        .then((c) => {
+          if (cancelled) return;
+          setConfig(c);
+          setNow(Date.now());
+        });
+    const onVisible = () => document.visibilityState === "visible" && refresh();
+    refresh();
+    document.addEventListener("visibilitychange", onVisible);
+    return () => {
+      cancelled = true;
+      document.removeEventListener("visibilitychange", onVisible);
+    };
+  }, []);
+
+  useEffect(() => {
+    const wait = nextEmergencyChange(config, now);
+    if (wait == null) return;
+    const t = setTimeout(() => setNow(Date.now()), wait + 1000);
+    return () => clearTimeout(t);
+  }, [config, now]);
+
+  const value = useMemo(() => {
+    const active = isEmergencyActive(config, now);
+    return {
+      active,
+      config: active ? config : null,
+      dismissed: active && dismissedStart === config.start,
+      dismiss: () => config && setDismissedStart(config.start),
+    };
+  }, [config, now, dismissedStart, setDismissedStart]);
+
+  return <EmergencyContext.Provider value={value}>{children}</EmergencyContext.Provider>;
+}
@@ -0,0 +1,39 @@
+// src/entry-server.jsx
+//
+// Build-time entry: plugins/prerender.js loads this in Node and renders
+// each route to static HTML. Mirrors main.jsx minus the browser bits.
+import { StrictMode } from "react";
+import { renderToString } from "react-dom/server";
+import App from "./App";
+import ThemeProvider from "./theme/ThemeProvider";
+import I18nProvider from "./i18n/I18nProvider";
+import RouterProvider from "./router/RouterProvider";
+import EmergencyProvider from "./emergency/EmergencyProvider";
+import MotionProvider from "./motion/MotionProvider";
+import { prerenderPaths, resolveRoute } from "./routes";
+import { headTags } from "./lib/seo";
+import { BUSINESS } from "./content";
+
+export { prerenderPaths };
+export const siteUrl = BUSINESS.url;
+
+/** { html, head, meta } for one path; html goes inside #root, head in <head>. */
+export function render(path) {
+  const html = renderToString(
+    <StrictMode>
+      <ThemeProvider>
+        <I18nProvider>
+          <MotionProvider>
+            <RouterProvider initialPath={path}>
+              <EmergencyProvider>
+                <App />
+              </EmergencyProvider>
+            </RouterProvider>
+          </MotionProvider>
+        </I18nProvider>
+      </ThemeProvider>
+    </StrictMode>
+  );
+  const { meta } = resolveRoute(path);
+  return { html, head: headTags(path, meta), meta };
+}
@@ -0,0 +1,22 @@
+// src/i18n/I18nContext.js
+import { createContext, useContext } from "react";
+import { DEFAULT_LOCALE, LOCALES } from "./locales";
+import { translator } from "./translate";
+
+/**
+ * Shape: { locale, setLocale, t, intl, locales }
+ *  - locale: "en" | "es", what the page is rendered in
+ *  - t: (key, vars?) => string for that locale (see ./translate)
+ *  - intl: BCP 47 tag for Intl formatting ("es-US")
+ */
+export const I18nContext = createContext({
+  locale: DEFAULT_LOCALE,
+  setLocale: () => {},
+  t: translator(DEFAULT_LOCALE),
+  intl: LOCALES[DEFAULT_LOCALE].intl,
+  locales: LOCALES,
+});
+
+export function useI18n() {
+  return useContext(I18nContext);
+}
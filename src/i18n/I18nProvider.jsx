@@ -0,0 +1,52 @@
+// src/i18n/I18nProvider.jsx
+import React, { useEffect, useMemo, useState } from "react";
+import { I18nContext } from "./I18nContext";
+import { DEFAULT_LOCALE, LOCALES, LOCALE_STORAGE_KEY, detectLocale, isLocale } from "./locales";
+import { translator } from "./translate";
+import { useHydrated } from "../lib/useHydrated";
+import { track } from "../lib/analytics";
+
+function readLocale() {
+  try {
+    const stored = window.localStorage.getItem(LOCALE_STORAGE_KEY);
+    if (isLocale(stored)) return stored;
+  } catch {
+    // storage disabled (private mode, etc.) or no window: fall through
+  }
+  if (typeof navigator === "undefined") return DEFAULT_LOCALE;
+  return detectLocale(navigator.languages?.length ? navigator.languages : [navigator.language]);
+}
+
+/**
+ * Provides the page language and its translator to the tree.
+ *
+ * Follows the browser's language list until the visitor picks one with
+ * the switcher, then remembers that choice in localStorage. Pages are
+ * prerendered in English, so hydration renders English first and swaps
+ * straight after, like the theme does; <html lang> follows along.
+ */
+export default function I18nProvider({ children }) {
+  const [preferred, setPreferred] = useState(readLocale);
+  const hydrated = useHydrated();
+  const locale = hydrated ? preferred : DEFAULT_LOCALE;
+
+  useEffect(() => {
+    document.documentElement.lang = locale;
+  }, [locale]);
+
+  const value = useMemo(() => {
+    const setLocale = (next) => {
+      if (!isLocale(next)) return;
+      setPreferred(next);
+      track("language_change", { locale: next });
+      try {
+        window.localStorage.setItem(LOCALE_STORAGE_KEY, next);
+      } catch {
+        // ignore: choice just won't persist
+      }
+    };
+    return { locale, setLocale, t: translator(locale), intl: LOCALES[locale].intl, locales: LOCALES };
+  }, [locale]);
+
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+}
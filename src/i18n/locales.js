@@ -0,0 +1,28 @@
+// src/i18n/locales.js
+
+// localStorage key for the visitor's language choice
+export const LOCALE_STORAGE_KEY = "cheatham.locale";
+
+// What prerendered pages are in, and the fallback for missing messages
+export const DEFAULT_LOCALE = "en";
+
+// `intl` is the tag handed to Intl (dates, plurals); `name` is written in
+// the language itself, the way a switcher should show it.
+export const LOCALES = {
+  en: { name: "English", short: "EN", intl: "en-US" },
+  es: { name: "Español", short: "ES", intl: "es-US" },
+};
+
+export const isLocale = (v) => typeof v === "string" && Object.hasOwn(LOCALES, v);
+
+/**
+ * First supported language in the browser's preference list
+ * (navigator.languages, most preferred first): ["es-MX", "en"] → "es".
+ */
+export function detectLocale(languages = []) {
+  for (const tag of languages) {
+    const base = String(tag).toLowerCase().split("-")[0];
+    if (isLocale(base)) return base;
+  }
+  return DEFAULT_LOCALE;
+}
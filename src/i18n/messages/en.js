@@ -0,0 +1,542 @@
+// src/i18n/messages/en.js
+//
+// English UI strings: the reference catalog every other language mirrors.
+// Business copy (services, FAQs, pricing labels…) isn't here; it lives in
+// src/content, with its translations in src/content/es.json.
+export default {
+  common: {
+    callText: "Call / Text",
+    callTextPhone: "Call / Text {phone}",
+    requestEstimate: "Request a Free Estimate",
+    contact: "Contact",
+    sending: "Sending…",
+    back: "Back",
+    next: "Next",
+    all: "All",
+    checkAll: "(check all that apply)",
+  },
+
+  language: {
+    label: "Language",
+  },
+
+  nav: {
+    main: "Main",
+    emergency: "Emergency",
+    services: "Services",
+    process: "Process",
+    gallery: "Gallery",
+    reviews: "Reviews",
+    articles: "Tips",
+    estimate: "Free Estimate",
+    contact: "Contact",
+    menu: "Menu",
+    siteMenu: "Site menu",
+    closeMenu: "Close menu",
+  },
+
+  footer: {
+    privacyChoices: "Privacy choices",
+    isaLink: "International Society of Arboriculture Member",
+    isaAlt: "ISA Member",
+  },
+
+  motion: {
+    label: "Reduce motion",
+    on: "on",
+    off: "off",
+    system: "Your device settings already reduce motion",
+  },
+
+  theme: {
+    label: "Theme",
+    system: "Match device",
+    names: {
+      modern: "Modern Organic",
+      rustic: "Rustic & Grounded",
+      bold: "Bold & Fresh",
+      dark: "Night Forest",
+    },
+  },
+
+  meta: {
+    homeDescription:
+      "Tree trimming, removal, storm cleanup, stump grinding and planting in {area}. Small local crew, {credentials}.",
+    serviceTitle: "{service} in {area}",
+    notFoundTitle: "Page not found",
+    notFoundDescription: "That page doesn't exist. Browse our tree services or request a free estimate.",
+    articlesTitle: "Tree Care Articles",
+    articlesDescription: "Seasonal tree care advice for {area}: when to prune, pests to watch for, storm prep and when to call an arborist.",
+    quoteTitle: "Your Quote",
+    quoteDescription: "A written quote for tree work from {name}.",
+  },
+
+  home: {
+    heroImage: "Arborist safely removing tree branch",
+    heroPause: "Pause background",
+    heroPlay: "Play background",
+    heroTitle: "Trees Are Our Passion.",
+    heroIntro:
+      "As proud members of the International Society of Arboriculture (ISA), we bring knowledge, skill, and care to every project. Our licensed and insured team is dedicated to keeping your trees healthy, safe, and beautiful while supporting long-term sustainability for our environment.",
+    heroCrew:
+      "We are a small, close-knit crew that treats every property as if it were our own. Whether it's precision pruning, safe tree removal, or planting the next generation of saplings, we approach each job with professionalism and respect for nature.",
+    emergencyTitle: "Storm Damage — Priority Request",
+    emergencyIntro: "Tree on a house, car or line? Tell us where and we'll put you at the front of the queue.",
+    servicesTitle: "Services",
+    learnMore: "Learn more →",
+    processTitle: "Our Approach",
+    galleryTitle: "Recent Work",
+    reviewsTitle: "What Customers Say",
+    articlesTitle: "Tree Care Tips",
+    allArticles: "All articles →",
+    ctaTitle: "Free on-site estimate in {area}",
+    ctaCrew: "Small, local crew • {credentials}",
+    ctaCall: "Call / Text Now",
+    ballparkTitle: "Ballpark Price",
+    ballparkIntro: "A rough number in a few clicks. The free on-site estimate gives you the real one.",
+    treeHealthTitle: "Is My Tree OK?",
+    treeHealthIntro: "Seven quick questions about what you can see from the ground, and what we'd suggest.",
+    estimateTitle: "Request a Free Estimate",
+    estimateIntro: "A few quick questions so we show up with the right crew and gear.",
+    bookPrompt: "Rather pick a time yourself?",
+    bookLink: "Book the estimate visit",
+    bookTitle: "Book Your Estimate Visit",
+    bookIntro: "Pick an open time and Aaron will come walk the property. Free, no obligation.",
+    contactTitle: "Contact",
+  },
+
+  service: {
+    breadcrumb: "Breadcrumb",
+    home: "Home",
+    services: "Services",
+    recentJobs: "Recent {service} jobs",
+    faqTitle: "Common questions",
+    ctaTitle: "Free {service} estimate",
+    ctaBody: "On-site, no obligation, anywhere in {area}.",
+    getStarted: "Get started",
+    otherServices: "Other services",
+    articlesTitle: "Further reading",
+  },
+
+  articles: {
+    title: "Tree Care Articles",
+    intro: "Seasonal advice from our crew: when to prune, what to watch for and when it's time to call someone.",
+    subscribe: "Follow new articles:",
+    search: "Search articles",
+    searchPlaceholder: "e.g. oak wilt, ash borer, storm",
+    filter: "Filter by topic",
+    showing: { one: "Showing {count} article", other: "Showing {count} articles" },
+    noMatches: "No articles match that.",
+    none: "No articles yet — check back soon.",
+    clear: "Clear the search and topic",
+    minutes: { one: "{count} min read", other: "{count} min read" },
+    read: "Read →",
+    updated: "Updated",
+    englishOnly: "This article is only available in English.",
+    tagged: "Topics:",
+    serviceCta: "Want a professional to take a look? {service} is what we do.",
+    serviceLink: "About {service}",
+    related: "Related articles",
+  },
+
+  quote: {
+    loading: "Loading your quote…",
+    retry: "Try again",
+    print: "Print or save as PDF",
+    title: "Quote #{number}",
+    issued: "Issued",
+    validUntil: "Valid until",
+    expired: "This quote expired on {date}. Prices and schedules may have changed — call or text and we'll send you an updated one.",
+    preparedFor: "Prepared for",
+    preparedBy: "Prepared by",
+    item: "Tree / task",
+    quantity: "Qty",
+    unitPrice: "Unit price",
+    amount: "Amount",
+    notTaxed: "Not taxed",
+    subtotal: "Subtotal",
+    tax: "{label} ({rate})",
+    taxLabel: "Sales tax",
+    total: "Total",
+    notes: "Notes",
+    photos: "Photos from the visit",
+    terms: "Terms",
+    acceptedHeading: "Accepted",
+    signatureOf: "Signature of {name}",
+    signedBy: "Signed by {name} on {date} at {time}.",
+    acceptTitle: "Accept this quote",
+    acceptIntro: "Happy with the work and prices above? Sign below and we'll be in touch to schedule it. Nothing is charged now.",
+    errorHelp: "Your signature is still here — try again, or call us.",
+    name: "Your full name",
+    email: "Email for your copy (optional)",
+    signature: "Signature",
+    signHow: "How to sign",
+    signModes: { type: "Type", draw: "Draw" },
+    signHints: {
+      type: "Your name from above, written as a signature.",
+      draw: "Sign in the box with your finger, a stylus or the mouse.",
+    },
+    clearSignature: "Clear and sign again",
+    agree: "I accept this quote for {total} including tax, and its terms.",
+    accept: "Accept quote",
+    acceptedTitle: "Thank you — quote accepted",
+    successBody: "We've got your signature. Aaron will call or text to schedule the work.",
+    queuedBody:
+      "You don't have a connection right now, so your acceptance is waiting on this device and will send once you're back online.",
+    errors: {
+      agree: "Tick the box to accept the quote.",
+      signature: "Sign in the box, or switch to Type.",
+      missingTitle: "We couldn't find that quote",
+      missingBody: "The link may be cut off or the quote may have been replaced. Check the link in your email, or call or text and we'll send it again.",
+      invalidTitle: "This quote can't be shown",
+      invalidBody: "Something's wrong with it on our end. Call or text and we'll sort it out.",
+      networkTitle: "We couldn't load your quote",
+      networkBody: "Check your connection and try again.",
+    },
+  },
+
+  notFound: {
+    title: "We couldn't find that page.",
+    body: "It may have moved, or the link was mistyped. Here's where you might have been headed:",
+    home: "Back to home",
+  },
+
+  gallery: {
+    region: "Project gallery",
+    filter: "Filter photos by service",
+    layout: "Gallery layout",
+    carousel: "Carousel",
+    grid: "Grid",
+    showing: { one: "Showing {count} photo", other: "Showing {count} photos" },
+    viewPhoto: "View photo {n}",
+    expandCompare: "Expand before/after {n}",
+    previous: "Previous",
+    next: "Next",
+    pause: "Pause auto-scroll",
+    resume: "Resume auto-scroll",
+    viewer: "Project photo viewer",
+  },
+
+  lightbox: {
+    label: "Photo viewer",
+    close: "Close",
+    previous: "Previous photo",
+    next: "Next photo",
+    viewPost: "View post",
+  },
+
+  compare: {
+    before: "Before",
+    after: "After",
+    label: "Before and after comparison",
+    value: "{before}% before, {after}% after",
+  },
+
+  reviews: {
+    summary: { one: "from {count} review of {name}", other: "from {count} reviews of {name}" },
+    filter: "Filter reviews by service",
+    showing: { one: "Showing {shown} of {count} review", other: "Showing {shown} of {count} reviews" },
+    showMore: "Show more reviews",
+    readMore: "Read more",
+    showLess: "Show less",
+    replyFrom: "Response from {name}",
+    services: "Services",
+    stars: "{rating} out of 5 stars",
+  },
+
+  area: {
+    title: "Do we come to you?",
+    intro: "Enter your ZIP code or street address to check.",
+    label: "ZIP code or address",
+    placeholder: "e.g. 37215 or 12 Oak St, Franklin",
+    empty: "Enter a 5-digit ZIP code, or an address that includes your town.",
+    check: "Check",
+    distance: {
+      one: "about {count} mile from our yard (straight line)",
+      other: "about {count} miles from our yard (straight line)",
+    },
+    in: {
+      title: "Yes — {place} is in our regular service area.",
+      body: "You're {distance}. No travel fee.",
+    },
+    extended: {
+      title: "We come out to {place} — it's in our extended area.",
+      body: "You're {distance}. {note}",
+    },
+    outside: {
+      title: "{place} is outside our usual area.",
+      body: "You're {distance}. For bigger jobs we sometimes make the trip — call or text to ask.",
+    },
+    unknown: {
+      title: "We don't have {zip} on file yet.",
+      body: "Call or text and we'll tell you straight away whether we can get to you.",
+    },
+    messageUs: "Send us a message — we've filled in your location",
+  },
+
+  ballpark: {
+    service: "Service",
+    anythingElse: "Anything else?",
+    unpriced: "{services} can't be priced without seeing it —",
+    unpricedCall: "call or text {phone}",
+    result: "Ballpark range — not a quote",
+    version: "Pricing v{version}, effective {date}.",
+    attached: "Attached to your estimate request.",
+    finish: "Finish the request",
+    attach: "Attach to my estimate request",
+    attachInstead: "Attach this instead",
+    units: {
+      tree: { one: "{count} tree", other: "{count} trees" },
+      stump: { one: "{count} stump", other: "{count} stumps" },
+    },
+    minimum: "Minimum job charge",
+    minimumAmount: "{amount} minimum",
+    summary: "{service}: {range} (ballpark shown on the website)",
+    table: "Pricing table v{version}, effective {date}",
+  },
+
+  treeHealth: {
+    result: "Self-assessment result",
+    remaining: {
+      one: "Answer {count} more question to see the result.",
+      other: "Answer {count} more questions to see the result.",
+    },
+    callNow: "Call or text now: {phone}",
+    recommended: "Recommended service:",
+    disclaimerTitle: "Not an arborist's assessment",
+    attached: "Attached to your estimate request.",
+    finish: "Finish the request",
+    attach: "Attach to my estimate request",
+    attachInstead: "Attach this instead",
+    startOver: "Start over",
+    summaryLine: "{level} (score {score}), suggested service: {service} (self-assessment on the website)",
+    table: "Self-assessment rules v{version}, effective {date}",
+  },
+
+  estimate: {
+    steps: {
+      service: { title: "Service", heading: "What can we help with?" },
+      trees: { title: "Trees", heading: "Tell us about the trees" },
+      property: { title: "Property", heading: "Where is the property?" },
+      access: { title: "Access", heading: "Access & hazards" },
+      timing: { title: "Timing", heading: "How urgent is it?" },
+      contact: { title: "Contact", heading: "How should we reach you?" },
+      review: { title: "Review", heading: "Review your request" },
+    },
+    stepsLabel: "Steps",
+    serviceLegend: "Which service do you need?",
+    notSure: { title: "Not sure yet", summary: "Tell us what's going on and we'll advise." },
+    treeCountLegend: "How many trees?",
+    treeSizeLegend: "Roughly how big is the largest one?",
+    street: "Street address",
+    city: "City",
+    zip: "ZIP",
+    accessLegend: "Anything that makes the job tricky?",
+    accessNotes: "Anything else we should know? (optional)",
+    urgencyLegend: "How soon do you need us?",
+    name: "Your name",
+    contactMethodLegend: "Best way to reach you?",
+    phone: "Phone",
+    email: "Email",
+    options: {
+      treeCount: {
+        1: { label: "1 tree" },
+        "2-3": { label: "2–3 trees" },
+        "4-6": { label: "4–6 trees" },
+        "7+": { label: "7 or more" },
+      },
+      treeSize: {
+        small: { label: "Small", hint: "under 15 ft, trunk smaller than a dinner plate" },
+        medium: { label: "Medium", hint: "15–40 ft, roughly two-story height" },
+        large: { label: "Large", hint: "40–70 ft, taller than the house" },
+        xl: { label: "Very large", hint: "over 70 ft or a very wide trunk" },
+      },
+      access: {
+        fence: { label: "Fenced yard / narrow gate" },
+        powerLines: { label: "Near power or utility lines" },
+        slope: { label: "Slope or hillside" },
+        structure: { label: "Over or near a house, shed or car" },
+        noTruck: { label: "No driveway / truck access" },
+      },
+      urgency: {
+        emergency: { label: "Emergency", hint: "tree down or hanging over something now" },
+        week: { label: "Within a week" },
+        month: { label: "Within a month" },
+        flexible: { label: "Flexible / just planning" },
+      },
+      contactMethod: {
+        call: { label: "Phone call" },
+        text: { label: "Text message" },
+        email: { label: "Email" },
+      },
+    },
+    errors: {
+      service: "Choose a service.",
+      treeCount: "Choose how many trees.",
+      treeSize: "Choose a rough size.",
+      urgency: "Choose how soon you need us.",
+      contactMethod: "Choose how we should reach you.",
+      phoneNeeded: "Phone is required for a call or text.",
+    },
+    summary: {
+      service: "Service",
+      trees: "Trees",
+      address: "Address",
+      access: "Access",
+      accessNotes: "Access notes",
+      noConstraints: "No known constraints",
+      urgency: "Urgency",
+      name: "Name",
+      contactVia: "Contact via",
+      phone: "Phone",
+      email: "Email",
+      ballpark: "Ballpark",
+      treeHealth: "Tree health",
+    },
+    ballparkAttached: "Ballpark attached:",
+    treeHealthAttached: "Self-assessment attached:",
+    remove: "Remove",
+    errorHelp: "Your answers are saved — try again, or call us.",
+    send: "Send request",
+    saved: "Progress is saved on this device.",
+    successTitle: "Request received — thank you!",
+    successBody:
+      "Aaron will reach out to set up your free on-site estimate. If a tree is on a house, car or line, call us now.",
+    startAnother: "Start another request",
+    queuedTitle: "Saved — it will send when you're back online.",
+    queuedBody:
+      "You don't have a connection right now, so your request is waiting on this device. Keep this site open or come back to it once you have signal. If a tree is on a house, car or line, call us.",
+  },
+
+  booking: {
+    loadError: "We couldn't load the schedule right now.",
+    loadErrorCall: "Call or text {phone}",
+    loadErrorAfter: "and we'll find a time.",
+    loading: "Loading available times…",
+    closed: "Online booking isn't open yet.",
+    previousWeek: "Previous week",
+    nextWeek: "Next week",
+    timesNote: "Times are Nashville time ({zone}). Each visit takes about {minutes} minutes.",
+    taken: "{time}, booked",
+    noTimes: "No times",
+    yourTime: "That's {time} {zone} where you are.",
+    errorHelp: "You can also call or text {phone}.",
+    name: "Your name",
+    phone: "Phone",
+    email: "Email (optional)",
+    address: "Property address",
+    notes: "Anything we should know? (optional)",
+    submit: "Book this time",
+    submitting: "Booking…",
+    pickAnother: "Pick another time",
+    confirmTitle: "You're booked in — thank you!",
+    confirmBody: "Aaron will call or text to confirm. If the time stops working, just let us know.",
+    addToCalendar: "Add to calendar (.ics)",
+    bookAnother: "Book another visit",
+    invite: {
+      summary: "Free tree estimate — {name}",
+      description:
+        "{owner} will walk the property and give you a written quote. Requested online; we'll call or text to confirm. Questions: {phone}.",
+    },
+  },
+
+  emergency: {
+    cta: "Emergency: tree on house/car/line",
+    banner: "Storm alert",
+    defaultTitle: "Storm response",
+    priorityRequest: "Priority request",
+    call: "Call {phone}",
+    dismiss: "Dismiss storm alert",
+    intro: "Power line involved? Stay well clear and call the power company first. Fastest way to reach us is still",
+    errorHelp: "Please call or text {phone} instead.",
+    hazardLegend: "Where is the tree?",
+    hazards: {
+      house: "On a house or building",
+      car: "On a car",
+      line: "On or near a power line",
+      blocking: "Blocking a road or driveway",
+      hanging: "Split or hanging, could fall",
+    },
+    name: "Your name",
+    phone: "Phone we can reach you on",
+    address: "Address",
+    notes: "Anything else? (optional)",
+    submit: "Send priority request",
+    successTitle: "Got it — you're on the priority list.",
+    successBody:
+      "We'll call you back as soon as a crew can get to you. If anyone is hurt or a line is down, call 911 and the power company first.",
+    sendAnother: "Send another",
+    queuedTitle: "Saved — but please call us.",
+    queuedBody:
+      "You're offline, so your request is waiting on this device and goes out once you have signal. A crew won't see it until then — call or text {phone} as soon as you can.",
+    errors: {
+      hazard: "Choose what the tree is on.",
+    },
+  },
+
+  contact: {
+    title: "Message",
+    errorHelp: "You can also reach us by phone or email.",
+    name: "Your name",
+    email: "Email",
+    location: "Town or address (optional)",
+    message: "How can we help?",
+    send: "Send",
+    successTitle: "Thanks — message sent.",
+    successBody: "We'll get back to you within one business day. For anything urgent, call or text us.",
+    sendAnother: "Send another message",
+    queuedTitle: "Saved — it will send when you're back online.",
+    queuedBody:
+      "You don't have a connection right now, so your message is waiting on this device. Keep this site open or come back to it once you have signal.",
+  },
+
+  offline: {
+    label: "Connection status",
+    offline: "You're offline. Pages you've already opened still work.",
+    pending: {
+      one: "{count} message is waiting to send.",
+      other: "{count} messages are waiting to send.",
+    },
+    sent: { one: "Your saved message was sent.", other: "Your {count} saved messages were sent." },
+    failed: { one: "A saved message couldn't be sent.", other: "{count} saved messages couldn't be sent." },
+    dismiss: "Dismiss",
+  },
+
+  consent: {
+    label: "Privacy choices",
+    question:
+      "May we count which buttons and sections get used? It's anonymous — no ads, no tracking across other sites, nothing you type in a form.",
+    allow: "Allow",
+    deny: "No thanks",
+  },
+
+  // Names used inside validation messages
+  fields: {
+    name: "Name",
+    email: "Email",
+    phone: "Phone",
+    location: "Location",
+    message: "Message",
+    address: "Address",
+    street: "Street address",
+    city: "City",
+    notes: "Notes",
+  },
+
+  validation: {
+    required: "{field} is required.",
+    email: "Enter a valid email address.",
+    phone: "Enter a 10-digit US phone number.",
+    zip: "Enter a 5-digit ZIP code.",
+    minLength: "{field} should be at least {n} characters.",
+    maxLength: "{field} should be under {n} characters.",
+  },
+
+  submit: {
+    errors: {
+      network: "We couldn't reach the server. Check your connection and try again.",
+      invalid: "Please fix the highlighted fields.",
+      failed: "Something went wrong sending your message.",
+    },
+  },
+};
@@ -0,0 +1,545 @@
+// src/i18n/messages/es.js
+//
+// Spanish UI strings, same shape as en.js. Written with "usted"; keep it
+// that way when adding messages. A key missing here shows in English.
+export default {
+  common: {
+    callText: "Llamar / Mensaje",
+    callTextPhone: "Llamar / Mensaje {phone}",
+    requestEstimate: "Pida un presupuesto gratis",
+    contact: "Contacto",
+    sending: "Enviando…",
+    back: "Atrás",
+    next: "Siguiente",
+    all: "Todo",
+    checkAll: "(marque todas las que correspondan)",
+  },
+
+  language: {
+    label: "Idioma",
+  },
+
+  nav: {
+    main: "Principal",
+    emergency: "Emergencia",
+    services: "Servicios",
+    process: "Proceso",
+    gallery: "Galería",
+    reviews: "Reseñas",
+    articles: "Consejos",
+    estimate: "Presupuesto gratis",
+    contact: "Contacto",
+    menu: "Menú",
+    siteMenu: "Menú del sitio",
+    closeMenu: "Cerrar menú",
+  },
+
+  footer: {
+    privacyChoices: "Opciones de privacidad",
+    isaLink: "Miembro de la Sociedad Internacional de Arboricultura",
+    isaAlt: "Miembro de la ISA",
+  },
+
+  motion: {
+    label: "Reducir movimiento",
+    on: "sí",
+    off: "no",
+    system: "La configuración de su dispositivo ya reduce el movimiento",
+  },
+
+  theme: {
+    label: "Tema",
+    system: "Según el dispositivo",
+    names: {
+      modern: "Orgánico moderno",
+      rustic: "Rústico y natural",
+      bold: "Intenso y fresco",
+      dark: "Bosque nocturno",
+    },
+  },
+
+  meta: {
+    homeDescription:
+      "Poda, remoción de árboles, limpieza tras tormentas, triturado de tocones y plantación en {area}. Equipo local y pequeño, {credentials}.",
+    serviceTitle: "{service} en {area}",
+    notFoundTitle: "Página no encontrada",
+    notFoundDescription: "Esa página no existe. Vea nuestros servicios de árboles o pida un presupuesto gratis.",
+    articlesTitle: "Artículos sobre el cuidado de árboles",
+    articlesDescription: "Consejos de temporada para el cuidado de árboles en {area}: cuándo podar, plagas a vigilar, preparación para tormentas y cuándo llamar a un arborista.",
+    quoteTitle: "Su presupuesto",
+    quoteDescription: "Un presupuesto por escrito para trabajos de árboles de {name}.",
+  },
+
+  home: {
+    heroImage: "Arbolista quitando una rama de forma segura",
+    heroPause: "Pausar fondo",
+    heroPlay: "Reproducir fondo",
+    heroTitle: "Los árboles son nuestra pasión.",
+    heroIntro:
+      "Como orgullosos miembros de la Sociedad Internacional de Arboricultura (ISA), ponemos conocimiento, destreza y cuidado en cada proyecto. Nuestro equipo, con licencia y seguro, se dedica a mantener sus árboles sanos, seguros y hermosos, cuidando a la vez la sostenibilidad de nuestro entorno a largo plazo.",
+    heroCrew:
+      "Somos un equipo pequeño y unido que trata cada propiedad como si fuera nuestra. Ya sea una poda de precisión, la remoción segura de un árbol o la plantación de la próxima generación de árboles, hacemos cada trabajo con profesionalismo y respeto por la naturaleza.",
+    emergencyTitle: "Daños por tormenta — Solicitud prioritaria",
+    emergencyIntro: "¿Un árbol sobre una casa, un auto o un cable? Díganos dónde y lo pondremos al frente de la fila.",
+    servicesTitle: "Servicios",
+    learnMore: "Más información →",
+    processTitle: "Nuestra forma de trabajar",
+    galleryTitle: "Trabajos recientes",
+    reviewsTitle: "Lo que dicen nuestros clientes",
+    articlesTitle: "Consejos para sus árboles",
+    allArticles: "Todos los artículos →",
+    ctaTitle: "Presupuesto gratis en el lugar en {area}",
+    ctaCrew: "Equipo local y pequeño • {credentials}",
+    ctaCall: "Llame o escriba ahora",
+    ballparkTitle: "Precio aproximado",
+    ballparkIntro: "Un número aproximado en unos pocos clics. El presupuesto gratuito en el lugar le da el real.",
+    treeHealthTitle: "¿Está bien mi árbol?",
+    treeHealthIntro: "Siete preguntas rápidas sobre lo que puede ver desde el suelo, y lo que le recomendaríamos.",
+    estimateTitle: "Pida un presupuesto gratis",
+    estimateIntro: "Unas preguntas rápidas para llegar con el equipo y las herramientas adecuadas.",
+    bookPrompt: "¿Prefiere elegir la hora usted mismo?",
+    bookLink: "Reserve la visita del presupuesto",
+    bookTitle: "Reserve su visita de presupuesto",
+    bookIntro: "Elija una hora libre y Aaron irá a recorrer la propiedad. Gratis y sin compromiso.",
+    contactTitle: "Contacto",
+  },
+
+  service: {
+    breadcrumb: "Ruta de navegación",
+    home: "Inicio",
+    services: "Servicios",
+    recentJobs: "Trabajos recientes: {service}",
+    faqTitle: "Preguntas frecuentes",
+    ctaTitle: "Presupuesto gratis: {service}",
+    ctaBody: "En el lugar, sin compromiso, en cualquier parte de {area}.",
+    getStarted: "Empezar",
+    otherServices: "Otros servicios",
+    articlesTitle: "Lecturas relacionadas",
+  },
+
+  articles: {
+    title: "Artículos sobre el cuidado de árboles",
+    intro: "Consejos de temporada de nuestro equipo: cuándo podar, qué vigilar y cuándo es momento de llamar a alguien.",
+    subscribe: "Siga los artículos nuevos:",
+    search: "Buscar artículos",
+    searchPlaceholder: "p. ej. oak wilt, ash borer, storm",
+    filter: "Filtrar por tema",
+    showing: { one: "Mostrando {count} artículo", other: "Mostrando {count} artículos" },
+    noMatches: "Ningún artículo coincide.",
+    none: "Todavía no hay artículos; vuelva pronto.",
+    clear: "Borrar la búsqueda y el tema",
+    minutes: { one: "{count} min de lectura", other: "{count} min de lectura" },
+    read: "Leer →",
+    updated: "Actualizado",
+    englishOnly: "Este artículo solo está disponible en inglés.",
+    tagged: "Temas:",
+    serviceCta: "¿Quiere que un profesional lo revise? {service} es lo que hacemos.",
+    serviceLink: "Sobre {service}",
+    related: "Artículos relacionados",
+  },
+
+  quote: {
+    loading: "Cargando su presupuesto…",
+    retry: "Intentar de nuevo",
+    print: "Imprimir o guardar como PDF",
+    title: "Presupuesto n.º {number}",
+    issued: "Emitido",
+    validUntil: "Válido hasta",
+    expired: "Este presupuesto venció el {date}. Los precios y la agenda pueden haber cambiado; llámenos o envíenos un mensaje y le mandaremos uno actualizado.",
+    preparedFor: "Preparado para",
+    preparedBy: "Preparado por",
+    item: "Árbol / trabajo",
+    quantity: "Cant.",
+    unitPrice: "Precio unitario",
+    amount: "Importe",
+    notTaxed: "Sin impuesto",
+    subtotal: "Subtotal",
+    tax: "{label} ({rate})",
+    taxLabel: "Impuesto sobre las ventas",
+    total: "Total",
+    notes: "Notas",
+    photos: "Fotos de la visita",
+    terms: "Condiciones",
+    acceptedHeading: "Aceptado",
+    signatureOf: "Firma de {name}",
+    signedBy: "Firmado por {name} el {date} a las {time}.",
+    acceptTitle: "Aceptar este presupuesto",
+    acceptIntro: "¿Está conforme con el trabajo y los precios? Firme abajo y nos pondremos en contacto para programarlo. No se cobra nada ahora.",
+    errorHelp: "Su firma sigue aquí; inténtelo de nuevo o llámenos.",
+    name: "Su nombre completo",
+    email: "Correo para su copia (opcional)",
+    signature: "Firma",
+    signHow: "Cómo firmar",
+    signModes: { type: "Escribir", draw: "Dibujar" },
+    signHints: {
+      type: "Su nombre de arriba, escrito como firma.",
+      draw: "Firme en el recuadro con el dedo, un lápiz táctil o el ratón.",
+    },
+    clearSignature: "Borrar y firmar de nuevo",
+    agree: "Acepto este presupuesto por {total}, impuestos incluidos, y sus condiciones.",
+    accept: "Aceptar presupuesto",
+    acceptedTitle: "Gracias, presupuesto aceptado",
+    successBody: "Recibimos su firma. Aaron le llamará o le escribirá para programar el trabajo.",
+    queuedBody:
+      "Ahora no tiene conexión, así que su aceptación espera en este dispositivo y se enviará cuando vuelva a tener señal.",
+    errors: {
+      agree: "Marque la casilla para aceptar el presupuesto.",
+      signature: "Firme en el recuadro o cambie a Escribir.",
+      missingTitle: "No encontramos ese presupuesto",
+      missingBody: "Puede que el enlace esté incompleto o que el presupuesto se haya reemplazado. Revise el enlace del correo, o llámenos o escríbanos y se lo enviaremos de nuevo.",
+      invalidTitle: "No se puede mostrar este presupuesto",
+      invalidBody: "Hay un problema de nuestro lado. Llámenos o escríbanos y lo resolvemos.",
+      networkTitle: "No pudimos cargar su presupuesto",
+      networkBody: "Revise su conexión e inténtelo de nuevo.",
+    },
+  },
+
+  notFound: {
+    title: "No encontramos esa página.",
+    body: "Puede que se haya movido o que el enlace tenga un error. Quizás buscaba una de estas:",
+    home: "Volver al inicio",
+  },
+
+  gallery: {
+    region: "Galería de proyectos",
+    filter: "Filtrar fotos por servicio",
+    layout: "Diseño de la galería",
+    carousel: "Carrusel",
+    grid: "Cuadrícula",
+    showing: { one: "Mostrando {count} foto", other: "Mostrando {count} fotos" },
+    viewPhoto: "Ver foto {n}",
+    expandCompare: "Ampliar antes/después {n}",
+    previous: "Anterior",
+    next: "Siguiente",
+    pause: "Pausar desplazamiento automático",
+    resume: "Reanudar desplazamiento automático",
+    viewer: "Visor de fotos de proyectos",
+  },
+
+  lightbox: {
+    label: "Visor de fotos",
+    close: "Cerrar",
+    previous: "Foto anterior",
+    next: "Foto siguiente",
+    viewPost: "Ver publicación",
+  },
+
+  compare: {
+    before: "Antes",
+    after: "Después",
+    label: "Comparación de antes y después",
+    value: "{before}% antes, {after}% después",
+  },
+
+  reviews: {
+    summary: { one: "de {count} reseña de {name}", other: "de {count} reseñas de {name}" },
+    filter: "Filtrar reseñas por servicio",
+    showing: { one: "Mostrando {shown} de {count} reseña", other: "Mostrando {shown} de {count} reseñas" },
+    showMore: "Ver más reseñas",
+    readMore: "Leer más",
+    showLess: "Ver menos",
+    replyFrom: "Respuesta de {name}",
+    services: "Servicios",
+    stars: "{rating} de 5 estrellas",
+  },
+
+  area: {
+    title: "¿Llegamos hasta usted?",
+    intro: "Escriba su código postal o su dirección para comprobarlo.",
+    label: "Código postal o dirección",
+    placeholder: "p. ej. 37215 o 12 Oak St, Franklin",
+    empty: "Escriba un código postal de 5 dígitos o una dirección que incluya su ciudad.",
+    check: "Comprobar",
+    distance: {
+      one: "a unos {count} milla de nuestro taller (en línea recta)",
+      other: "a unas {count} millas de nuestro taller (en línea recta)",
+    },
+    in: {
+      title: "Sí — {place} está dentro de nuestra zona de servicio habitual.",
+      body: "Está {distance}. Sin cargo por traslado.",
+    },
+    extended: {
+      title: "Vamos hasta {place} — está en nuestra zona ampliada.",
+      body: "Está {distance}. {note}",
+    },
+    outside: {
+      title: "{place} está fuera de nuestra zona habitual.",
+      body: "Está {distance}. Para trabajos grandes a veces hacemos el viaje — llámenos o escríbanos para preguntar.",
+    },
+    unknown: {
+      title: "Todavía no tenemos registrado el código {zip}.",
+      body: "Llámenos o escríbanos y le diremos enseguida si podemos llegar hasta usted.",
+    },
+    messageUs: "Envíenos un mensaje — ya completamos su ubicación",
+  },
+
+  ballpark: {
+    service: "Servicio",
+    anythingElse: "¿Algo más?",
+    unpriced: "{services}: no se puede dar precio sin verlo —",
+    unpricedCall: "llame o escriba al {phone}",
+    result: "Rango aproximado — no es una cotización",
+    version: "Precios v{version}, vigentes desde el {date}.",
+    attached: "Adjuntado a su solicitud de presupuesto.",
+    finish: "Terminar la solicitud",
+    attach: "Adjuntar a mi solicitud de presupuesto",
+    attachInstead: "Adjuntar este en su lugar",
+    units: {
+      tree: { one: "{count} árbol", other: "{count} árboles" },
+      stump: { one: "{count} tocón", other: "{count} tocones" },
+    },
+    minimum: "Cargo mínimo por trabajo",
+    minimumAmount: "mínimo {amount}",
+    summary: "{service}: {range} (precio aproximado mostrado en el sitio web)",
+    table: "Tabla de precios v{version}, vigente desde el {date}",
+  },
+
+  treeHealth: {
+    result: "Resultado de la autoevaluación",
+    remaining: {
+      one: "Responda {count} pregunta más para ver el resultado.",
+      other: "Responda {count} preguntas más para ver el resultado.",
+    },
+    callNow: "Llame o escriba ahora: {phone}",
+    recommended: "Servicio recomendado:",
+    disclaimerTitle: "No es la evaluación de un arborista",
+    attached: "Adjuntada a su solicitud de presupuesto.",
+    finish: "Terminar la solicitud",
+    attach: "Adjuntar a mi solicitud de presupuesto",
+    attachInstead: "Adjuntar esta en su lugar",
+    startOver: "Empezar de nuevo",
+    summaryLine: "{level} (puntuación {score}), servicio sugerido: {service} (autoevaluación en el sitio web)",
+    table: "Reglas de autoevaluación v{version}, vigentes desde el {date}",
+  },
+
+  estimate: {
+    steps: {
+      service: { title: "Servicio", heading: "¿En qué le podemos ayudar?" },
+      trees: { title: "Árboles", heading: "Cuéntenos sobre los árboles" },
+      property: { title: "Propiedad", heading: "¿Dónde está la propiedad?" },
+      access: { title: "Acceso", heading: "Acceso y riesgos" },
+      timing: { title: "Plazo", heading: "¿Qué tan urgente es?" },
+      contact: { title: "Contacto", heading: "¿Cómo nos comunicamos con usted?" },
+      review: { title: "Revisar", heading: "Revise su solicitud" },
+    },
+    stepsLabel: "Pasos",
+    serviceLegend: "¿Qué servicio necesita?",
+    notSure: { title: "Todavía no lo sé", summary: "Cuéntenos qué pasa y le aconsejamos." },
+    treeCountLegend: "¿Cuántos árboles?",
+    treeSizeLegend: "¿Más o menos qué tamaño tiene el más grande?",
+    street: "Dirección",
+    city: "Ciudad",
+    zip: "Código postal",
+    accessLegend: "¿Algo que complique el trabajo?",
+    accessNotes: "¿Algo más que debamos saber? (opcional)",
+    urgencyLegend: "¿Para cuándo nos necesita?",
+    name: "Su nombre",
+    contactMethodLegend: "¿Cuál es la mejor forma de contactarle?",
+    phone: "Teléfono",
+    email: "Correo electrónico",
+    options: {
+      treeCount: {
+        1: { label: "1 árbol" },
+        "2-3": { label: "2–3 árboles" },
+        "4-6": { label: "4–6 árboles" },
+        "7+": { label: "7 o más" },
+      },
+      treeSize: {
+        small: { label: "Pequeño", hint: "menos de 15 pies, tronco más chico que un plato" },
+        medium: { label: "Mediano", hint: "15–40 pies, más o menos la altura de dos pisos" },
+        large: { label: "Grande", hint: "40–70 pies, más alto que la casa" },
+        xl: { label: "Muy grande", hint: "más de 70 pies o un tronco muy ancho" },
+      },
+      access: {
+        fence: { label: "Patio cercado / portón angosto" },
+        powerLines: { label: "Cerca de cables eléctricos o de servicios" },
+        slope: { label: "Pendiente o ladera" },
+        structure: { label: "Sobre o cerca de una casa, cobertizo o auto" },
+        noTruck: { label: "Sin entrada / sin acceso para camión" },
+      },
+      urgency: {
+        emergency: { label: "Emergencia", hint: "árbol caído o colgando sobre algo ahora mismo" },
+        week: { label: "Dentro de una semana" },
+        month: { label: "Dentro de un mes" },
+        flexible: { label: "Flexible / solo planeando" },
+      },
+      contactMethod: {
+        call: { label: "Llamada" },
+        text: { label: "Mensaje de texto" },
+        email: { label: "Correo electrónico" },
+      },
+    },
+    errors: {
+      service: "Elija un servicio.",
+      treeCount: "Elija cuántos árboles.",
+      treeSize: "Elija un tamaño aproximado.",
+      urgency: "Elija para cuándo nos necesita.",
+      contactMethod: "Elija cómo debemos contactarle.",
+      phoneNeeded: "El teléfono es obligatorio para una llamada o un mensaje.",
+    },
+    summary: {
+      service: "Servicio",
+      trees: "Árboles",
+      address: "Dirección",
+      access: "Acceso",
+      accessNotes: "Notas de acceso",
+      noConstraints: "Sin complicaciones conocidas",
+      urgency: "Urgencia",
+      name: "Nombre",
+      contactVia: "Contactar por",
+      phone: "Teléfono",
+      email: "Correo",
+      ballpark: "Precio aproximado",
+      treeHealth: "Salud del árbol",
+    },
+    ballparkAttached: "Precio aproximado adjunto:",
+    treeHealthAttached: "Autoevaluación adjunta:",
+    remove: "Quitar",
+    errorHelp: "Sus respuestas están guardadas — inténtelo de nuevo o llámenos.",
+    send: "Enviar solicitud",
+    saved: "El progreso se guarda en este dispositivo.",
+    successTitle: "Solicitud recibida — ¡gracias!",
+    successBody:
+      "Aaron se comunicará con usted para programar su presupuesto gratuito en el lugar. Si hay un árbol sobre una casa, un auto o un cable, llámenos ahora.",
+    startAnother: "Empezar otra solicitud",
+    queuedTitle: "Guardado — se enviará cuando vuelva a tener conexión.",
+    queuedBody:
+      "Ahora no tiene conexión, así que su solicitud espera en este dispositivo. Mantenga el sitio abierto o vuelva a él cuando tenga señal. Si hay un árbol sobre una casa, un auto o un cable, llámenos.",
+  },
+
+  booking: {
+    loadError: "No pudimos cargar el horario en este momento.",
+    loadErrorCall: "Llame o escriba al {phone}",
+    loadErrorAfter: "y buscamos una hora.",
+    loading: "Cargando horarios disponibles…",
+    closed: "La reserva en línea aún no está abierta.",
+    previousWeek: "Semana anterior",
+    nextWeek: "Semana siguiente",
+    timesNote: "Horas de Nashville ({zone}). Cada visita dura unos {minutes} minutos.",
+    taken: "{time}, ocupado",
+    noTimes: "Sin horarios",
+    yourTime: "Son las {time} {zone} donde está usted.",
+    errorHelp: "También puede llamar o escribir al {phone}.",
+    name: "Su nombre",
+    phone: "Teléfono",
+    email: "Correo electrónico (opcional)",
+    address: "Dirección de la propiedad",
+    notes: "¿Algo que debamos saber? (opcional)",
+    submit: "Reservar esta hora",
+    submitting: "Reservando…",
+    pickAnother: "Elegir otra hora",
+    confirmTitle: "Su visita está reservada — ¡gracias!",
+    confirmBody: "Aaron le llamará o escribirá para confirmar. Si la hora deja de servirle, avísenos.",
+    addToCalendar: "Agregar al calendario (.ics)",
+    bookAnother: "Reservar otra visita",
+    invite: {
+      summary: "Presupuesto gratis de árboles — {name}",
+      description:
+        "{owner} recorrerá la propiedad y le dará una cotización por escrito. Solicitado en línea; le llamaremos o escribiremos para confirmar. Preguntas: {phone}.",
+    },
+  },
+
+  emergency: {
+    cta: "Emergencia: árbol sobre casa/auto/cable",
+    banner: "Alerta de tormenta",
+    defaultTitle: "Respuesta a tormentas",
+    priorityRequest: "Solicitud prioritaria",
+    call: "Llamar al {phone}",
+    dismiss: "Cerrar la alerta de tormenta",
+    intro:
+      "¿Hay un cable eléctrico involucrado? Manténgase lejos y llame primero a la compañía eléctrica. La forma más rápida de comunicarse con nosotros sigue siendo el",
+    errorHelp: "Por favor llame o escriba al {phone}.",
+    hazardLegend: "¿Dónde está el árbol?",
+    hazards: {
+      house: "Sobre una casa o edificio",
+      car: "Sobre un auto",
+      line: "Sobre o cerca de un cable eléctrico",
+      blocking: "Bloqueando una calle o entrada",
+      hanging: "Partido o colgando, podría caer",
+    },
+    name: "Su nombre",
+    phone: "Teléfono donde podamos localizarle",
+    address: "Dirección",
+    notes: "¿Algo más? (opcional)",
+    submit: "Enviar solicitud prioritaria",
+    successTitle: "Recibido — está en la lista prioritaria.",
+    successBody:
+      "Le devolveremos la llamada en cuanto un equipo pueda llegar. Si alguien está herido o hay un cable caído, llame primero al 911 y a la compañía eléctrica.",
+    sendAnother: "Enviar otra",
+    queuedTitle: "Guardada — pero llámenos, por favor.",
+    queuedBody:
+      "No tiene conexión, así que su solicitud espera en este dispositivo y se enviará cuando tenga señal. Hasta entonces ningún equipo la verá: llame o envíe un mensaje al {phone} en cuanto pueda.",
+    errors: {
+      hazard: "Elija sobre qué está el árbol.",
+    },
+  },
+
+  contact: {
+    title: "Mensaje",
+    errorHelp: "También puede comunicarse por teléfono o correo electrónico.",
+    name: "Su nombre",
+    email: "Correo electrónico",
+    location: "Ciudad o dirección (opcional)",
+    message: "¿En qué le podemos ayudar?",
+    send: "Enviar",
+    successTitle: "Gracias — mensaje enviado.",
+    successBody: "Le responderemos en un día hábil. Si es urgente, llámenos o escríbanos.",
+    sendAnother: "Enviar otro mensaje",
+    queuedTitle: "Guardado — se enviará cuando vuelva a tener conexión.",
+    queuedBody:
+      "Ahora no tiene conexión, así que su mensaje espera en este dispositivo. Mantenga el sitio abierto o vuelva a él cuando tenga señal.",
+  },
+
+  offline: {
+    label: "Estado de la conexión",
+    offline: "Está sin conexión. Las páginas que ya abrió siguen funcionando.",
+    pending: {
+      one: "{count} mensaje está esperando para enviarse.",
+      other: "{count} mensajes están esperando para enviarse.",
+    },
+    sent: { one: "Su mensaje guardado se envió.", other: "Sus {count} mensajes guardados se enviaron." },
+    failed: {
+      one: "Un mensaje guardado no se pudo enviar.",
+      other: "{count} mensajes guardados no se pudieron enviar.",
+    },
+    dismiss: "Cerrar",
+  },
+
+  consent: {
+    label: "Opciones de privacidad",
+    question:
+      "¿Podemos contar qué botones y secciones se usan? Es anónimo — sin anuncios, sin rastreo en otros sitios y nada de lo que escriba en un formulario.",
+    allow: "Permitir",
+    deny: "No, gracias",
+  },
+
+  fields: {
+    name: "Nombre",
+    email: "Correo electrónico",
+    phone: "Teléfono",
+    location: "Ubicación",
+    message: "Mensaje",
+    address: "Dirección",
+    street: "Dirección",
+    city: "Ciudad",
+    notes: "Notas",
+  },
+
+  // Worded as "<field>: …" so no adjective has to agree with the field's gender
+  validation: {
+    required: "{field}: este dato es obligatorio.",
+    email: "Escriba un correo electrónico válido.",
+    phone: "Escriba un número de teléfono de EE. UU. de 10 dígitos.",
+    zip: "Escriba un código postal de 5 dígitos.",
+    minLength: "{field}: escriba al menos {n} caracteres.",
+    maxLength: "{field}: use menos de {n} caracteres.",
+  },
+
+  submit: {
+    errors: {
+      network: "No pudimos conectar con el servidor. Revise su conexión e inténtelo de nuevo.",
+      invalid: "Corrija los campos marcados.",
+      failed: "Algo salió mal al enviar su mensaje.",
+    },
+  },
+};
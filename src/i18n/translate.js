@@ -0,0 +1,47 @@
+// src/i18n/translate.js
+//
+// Message lookup for the catalogs in ./messages. Keys are dotted paths
+// ("booking.submit"); `{name}` placeholders are filled from `vars`, and a
+// message written as { one, other } picks its plural form from
+// `vars.count`. Missing messages fall back to English, then to the key.
+import { DEFAULT_LOCALE, LOCALES, isLocale } from "./locales";
+import en from "./messages/en";
+import es from "./messages/es";
+
+const MESSAGES = { en, es };
+
+const lookup = (catalog, key) => key.split(".").reduce((node, part) => node?.[part], catalog);
+
+const isPlural = (v) => v !== null && typeof v === "object" && typeof v.other === "string";
+
+function createTranslator(locale) {
+  const plurals = new Intl.PluralRules(LOCALES[locale].intl);
+  const resolve = (key) => lookup(MESSAGES[locale], key) ?? lookup(MESSAGES[DEFAULT_LOCALE], key);
+
+  const t = (key, vars = {}) => {
+    let msg = resolve(key);
+    if (isPlural(msg)) msg = msg[plurals.select(Number(vars.count))] ?? msg.other;
+    if (typeof msg !== "string") {
+      if (import.meta.env?.DEV) console.warn(`[i18n] no message for "${key}"`);
+      return key;
+    }
+    return msg.replace(/\{(\w+)\}/g, (m, name) => (name in vars ? String(vars[name]) : m));
+  };
+  /** Is there a message (in this language or English) for `key`? */
+  t.has = (key) => resolve(key) !== undefined;
+  t.locale = locale;
+  t.intl = LOCALES[locale].intl;
+  return t;
+}
+
+const translators = new Map();
+
+/**
+ * t(key, vars) for `locale`. Lib code that writes for the inbox uses the
+ * default (English) one; components get theirs from useI18n().
+ */
+export function translator(locale = DEFAULT_LOCALE) {
+  const code = isLocale(locale) ? locale : DEFAULT_LOCALE;
+  if (!translators.has(code)) translators.set(code, createTranslator(code));
+  return translators.get(code);
+}
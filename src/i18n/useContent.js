@@ -0,0 +1,12 @@
+// src/i18n/useContent.js
+import { useI18n } from "./I18nContext";
+import { localizedContent } from "../content";
+
+/**
+ * Business content (services, process, gallery, pricing…) in the
+ * visitor's language: { BUSINESS, SERVICES, PROCESS_STEPS, GALLERY,
+ * SERVICE_AREA, PRICING, TREE_HEALTH, REVIEWS, getService }.
+ */
+export function useContent() {
+  return localizedContent(useI18n().locale);
+}
@@ -0,0 +1,123 @@
+// src/lib/analytics/index.js
+//
+// Event tracking for "which calls to action work?". Components call
+// track(name, props); configured sinks receive it:
+//
+//   VITE_ANALYTICS_SINKS        comma list of console | beacon | script
+//                               (dev default "console,beacon"; production
+//                               default: none)
+//   VITE_ANALYTICS_BEACON_URL   endpoint for the beacon sink (default /api/events)
+//   VITE_ANALYTICS_SCRIPT_SRC   script URL for the script sink
+//   VITE_ANALYTICS_SCRIPT_DOMAIN  its data-domain attribute (Plausible)
+//
+// Non-essential sinks only receive events after the visitor accepts the
+// consent banner; the choice is kept in localStorage.
+import { createBeaconSink, createConsoleSink, createScriptSink } from "./sinks";
+
+export { createBeaconSink, createConsoleSink, createScriptSink } from "./sinks";
+
+const env = import.meta.env || {};
+const CONSENT_KEY = "cheatham.analyticsConsent";
+
+function createDefaultSinks() {
+  const names = (env.VITE_ANALYTICS_SINKS ?? (env.DEV ? "console,beacon" : ""))
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+  return names.map((name) => {
+    switch (name) {
+      case "console":
+        return createConsoleSink();
+      case "beacon":
+        return createBeaconSink({ url: env.VITE_ANALYTICS_BEACON_URL || undefined });
+      case "script":
+        return createScriptSink({
+          src: env.VITE_ANALYTICS_SCRIPT_SRC,
+          attrs: env.VITE_ANALYTICS_SCRIPT_DOMAIN ? { "data-domain": env.VITE_ANALYTICS_SCRIPT_DOMAIN } : {},
+        });
+      default:
+        throw new Error(`Unknown analytics sink "${name}" in VITE_ANALYTICS_SINKS`);
+    }
+  });
+}
+
+let sinks = null;
+
+export function getSinks() {
+  sinks ||= createDefaultSinks();
+  return sinks;
+}
+
+/** Swap the sinks at runtime (tests, previews). */
+export function setSinks(next) {
+  sinks = next;
+  emit();
+}
+
+// --- consent: "granted" | "denied" | null (not asked yet)
+
+const listeners = new Set();
+const emit = () => listeners.forEach((fn) => fn());
+
+export function getConsent() {
+  try {
+    const v = window.localStorage.getItem(CONSENT_KEY);
+    return v === "granted" || v === "denied" ? v : null;
+  } catch {
+    return null; // storage disabled: ask (and forget) each visit
+  }
+}
+
+export function setConsent(value) {
+  try {
+    if (value) window.localStorage.setItem(CONSENT_KEY, value);
+    else window.localStorage.removeItem(CONSENT_KEY);
+  } catch {
+    // ignore: the choice holds for this page only
+  }
+  emit();
+}
+
+export function subscribeConsent(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+/** Is there anything the banner needs to ask about? */
+export const needsConsent = () => getSinks().some((s) => !s.essential);
+
+/**
+ * Record an event. `props` should be small and anonymous: ids and labels
+ * ("tel", "hero"), never what someone typed.
+ */
+export function track(name, props = {}) {
+  if (typeof window === "undefined") return;
+  const granted = getConsent() === "granted";
+  const event = { name, props, path: window.location.pathname, ts: Date.now() };
+  getSinks().forEach((sink) => {
+    if (!sink.essential && !granted) return;
+    try {
+      sink.track(event);
+    } catch {
+      // analytics must never break the page
+    }
+  });
+}
+
+/**
+ * Track tel: and mailto: clicks anywhere under `root`, tagged with the
+ * section they came from. Returns a cleanup function.
+ */
+export function trackContactClicks(root = document) {
+  const onClick = (e) => {
+    const a = e.target.closest?.('a[href^="tel:"], a[href^="mailto:"]');
+    if (!a) return;
+    const where = a.closest("section[id], header, footer, [role=dialog], [role=region]");
+    track("contact_click", {
+      method: a.getAttribute("href").startsWith("tel:") ? "phone" : "email",
+      from: where?.id || where?.getAttribute("aria-label") || where?.tagName.toLowerCase() || "page",
+    });
+  };
+  root.addEventListener("click", onClick);
+  return () => root.removeEventListener("click", onClick);
+}
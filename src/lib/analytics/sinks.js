@@ -0,0 +1,80 @@
+// src/lib/analytics/sinks.js
+//
+// Analytics sinks: where tracked events end up. Same idea as the submit
+// adapters — one tiny interface, swap providers by config:
+//
+//   sink = { name: string, essential: boolean, track(event) => void }
+//   event = { name, props, path, ts }
+//
+// `essential` sinks never send anything off the device and run without
+// consent; everything else waits for the visitor to say yes (see ./index).
+// Events carry no personal data: no form values, names or addresses.
+
+/** Logs to the browser console. For development; nothing leaves the page. */
+export function createConsoleSink() {
+  return {
+    name: "console",
+    essential: true,
+    track(event) {
+      console.info("[analytics]", event.name, event.props);
+    },
+  };
+}
+
+/**
+ * POSTs each event as JSON to our own endpoint with navigator.sendBeacon,
+ * so it survives the page unloading (a tel: click hands off to the dialer).
+ * `npm run dev` answers /api/events itself (plugins/beacon.js).
+ */
+export function createBeaconSink({ url = "/api/events" } = {}) {
+  return {
+    name: "beacon",
+    essential: false,
+    track(event) {
+      const body = JSON.stringify(event);
+      const sent = navigator.sendBeacon?.(url, new Blob([body], { type: "application/json" }));
+      if (!sent) {
+        fetch(url, { method: "POST", body, keepalive: true, headers: { "Content-Type": "application/json" } }).catch(() => {});
+      }
+    },
+  };
+}
+
+/**
+ * A third-party analytics script with a Plausible-style global:
+ * `window[global](eventName, { props })`. The script tag is only added on
+ * the first event after consent; calls made before it loads are queued
+ * the way Plausible's snippet does it.
+ *
+ * Options:
+ *  - src: script URL
+ *  - global: function name the script defines, default "plausible"
+ *  - attrs: extra attributes for the tag, e.g. { "data-domain": "cheathamtrees.com" }
+ *
+ * Declining after accepting stops our events at once; the script itself
+ * is gone on the next page load.
+ */
+export function createScriptSink({ src, global = "plausible", attrs = {} } = {}) {
+  if (!src) throw new Error("createScriptSink: `src` is required");
+  let loaded = false;
+  const load = () => {
+    if (loaded) return;
+    loaded = true;
+    window[global] ||= function queue(...args) {
+      (window[global].q = window[global].q || []).push(args);
+    };
+    const tag = document.createElement("script");
+    tag.src = src;
+    tag.defer = true;
+    Object.entries(attrs).forEach(([k, v]) => tag.setAttribute(k, v));
+    document.head.appendChild(tag);
+  };
+  return {
+    name: "script",
+    essential: false,
+    track(event) {
+      load();
+      window[global](event.name, { props: event.props });
+    },
+  };
+}
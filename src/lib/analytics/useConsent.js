@@ -0,0 +1,13 @@
+// src/lib/analytics/useConsent.js
+import { useSyncExternalStore } from "react";
+import { getConsent, setConsent, subscribeConsent } from "./index";
+
+/**
+ * [consent, setConsent] — "granted" | "denied" | null. Prerendered HTML
+ * (and hydration) always sees null, so nothing consent-dependent is baked
+ * into the static pages.
+ */
+export function useConsent() {
+  const consent = useSyncExternalStore(subscribeConsent, getConsent, () => null);
+  return [consent, setConsent];
+}
@@ -0,0 +1,102 @@
+// src/lib/articles.js
+//
+// Tree care articles from src/content/articles (built by
+// plugins/articles.js): lookups, tags, full-text search and related
+// reading. Articles are written in English and shown as written, like
+// reviews.
+import articles from "virtual:cheatham-articles";
+
+/** Every published article, newest first. */
+export const ARTICLES = articles;
+
+/** The article for a URL slug, or null. */
+export function getArticle(slug) {
+  return ARTICLES.find((a) => a.slug === slug) || null;
+}
+
+/** [{ tag, count }], most used first. */
+export function articleTags(list = ARTICLES) {
+  const counts = new Map();
+  list.forEach((a) => a.tags.forEach((tag) => counts.set(tag, (counts.get(tag) || 0) + 1)));
+  return [...counts].map(([tag, count]) => ({ tag, count })).sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+}
+
+/** "2026-01-12" → "January 12, 2026" in the page's language. */
+export const formatArticleDate = (date, intl) =>
+  new Date(`${date}T12:00:00`).toLocaleDateString(intl, { month: "long", day: "numeric", year: "numeric" });
+
+/** "oak-wilt" → "Oak wilt" */
+export const tagLabel = (tag) => tag.charAt(0).toUpperCase() + tag.slice(1).replace(/-/g, " ");
+
+// Lowercase, accents off, so "ash" finds "Ash" and "cafe" finds "café"
+const fold = (s) => s.toLocaleLowerCase("en").normalize("NFD").replace(/\p{M}/gu, "");
+
+// Where a term is found counts for more in some places than others
+const FIELDS = [
+  ["title", 5],
+  ["tags", 4],
+  ["summary", 2],
+  ["text", 1],
+];
+
+const folded = new WeakMap();
+function indexOf(article) {
+  if (!folded.has(article)) {
+    folded.set(article, {
+      title: fold(article.title),
+      tags: fold(article.tags.join(" ").replace(/-/g, " ")),
+      summary: fold(article.summary),
+      text: fold(article.text),
+    });
+  }
+  return folded.get(article);
+}
+
+/**
+ * Articles matching every word of `query`, best match first (title hits
+ * beat body hits; ties go to the newer one). An empty query returns the
+ * list unchanged.
+ */
+export function searchArticles(query, list = ARTICLES) {
+  const terms = fold(query).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+  if (!terms.length) return list;
+  return list
+    .map((article) => {
+      const idx = indexOf(article);
+      let score = 0;
+      for (const term of terms) {
+        const hit = FIELDS.filter(([field]) => idx[field].includes(term)).reduce((sum, [, weight]) => sum + weight, 0);
+        if (!hit) return null;
+        score += hit;
+      }
+      return { article, score };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score || b.article.date.localeCompare(a.article.date))
+    .map((r) => r.article);
+}
+
+/** Up to `n` other articles sharing the most tags (and the same service), newest first on ties. */
+export function relatedArticles(article, n = 3, list = ARTICLES) {
+  return list
+    .filter((a) => a.slug !== article.slug)
+    .map((a) => ({
+      a,
+      score: a.tags.filter((tag) => article.tags.includes(tag)).length + (article.service && a.service === article.service ? 1 : 0),
+    }))
+    .filter((r) => r.score > 0)
+    .sort((x, y) => y.score - x.score || y.a.date.localeCompare(x.a.date))
+    .slice(0, n)
+    .map((r) => r.a);
+}
+
+/** Articles about one service, newest first. */
+export function articlesFor(serviceId, list = ARTICLES) {
+  return list.filter((a) => a.service === serviceId);
+}
+
+/** Photos for a ```gallery block: listed ids in order, or every photo with the tag. */
+export function embedPhotos(block, gallery) {
+  if (block.tag) return gallery.filter((g) => g.tags.includes(block.tag));
+  return block.photos.map((id) => gallery.find((g) => g.id === id)).filter(Boolean);
+}
@@ -0,0 +1,168 @@
+// src/lib/availability.js
+//
+// Estimate-visit availability. The schedule lives in public/availability.json
+// (swap it without a rebuild):
+//
+//   timeZone       IANA zone the windows are written in ("America/Chicago")
+//   slotMinutes    length of one visit
+//   leadTimeHours  earliest bookable slot is at least this far out
+//   horizonDays    how far ahead to offer slots
+//   weekly         { Mo: [["08:00","12:00"], …], … } recurring windows
+//   blackouts      ["2026-11-26", …] whole days off
+//   booked         ["2026-10-21T09:00", …] slot starts already taken (local time)
+//   busyIcs        optional path to an .ics export (e.g. "/busy.ics"); its
+//                  events block overlapping slots, all-day ones the whole day
+//
+// Days are "YYYY-MM-DD" strings in the business time zone throughout;
+// instants are epoch milliseconds.
+import { parseIcsBusy } from "./ics";
+
+export const AVAILABILITY_URL = "/availability.json";
+
+const DAY_CODES = ["Su", "Mo", "Tu", "We", "Th", "Fr", "Sa"];
+const MINUTE = 60_000;
+
+const pad = (n) => String(n).padStart(2, "0");
+
+/** Wall-clock parts of an instant in `timeZone`. */
+function wallClock(ms, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+  }).formatToParts(new Date(ms));
+  const get = (type) => Number(parts.find((p) => p.type === type).value);
+  return { y: get("year"), m: get("month"), d: get("day"), h: get("hour"), mi: get("minute") };
+}
+
+/** Offset of `timeZone` from UTC at an instant, in ms (CDT → -5h). */
+function offsetAt(ms, timeZone) {
+  const w = wallClock(ms, timeZone);
+  const asUtc = Date.UTC(w.y, w.m - 1, w.d, w.h, w.mi);
+  return asUtc - Math.floor(ms / MINUTE) * MINUTE;
+}
+
+/** "2026-10-21" + "09:00" in `timeZone` → epoch ms (DST-safe). */
+export function zonedTime(day, time, timeZone) {
+  const [y, m, d] = day.split("-").map(Number);
+  const [h, mi] = time.split(":").map(Number);
+  const guess = Date.UTC(y, m - 1, d, h, mi);
+  const first = guess - offsetAt(guess, timeZone);
+  const second = guess - offsetAt(first, timeZone);
+  return second;
+}
+
+/** The calendar day of an instant in `timeZone`, as "YYYY-MM-DD". */
+export function dayOf(ms, timeZone) {
+  const w = wallClock(ms, timeZone);
+  return `${w.y}-${pad(w.m)}-${pad(w.d)}`;
+}
+
+/** "2026-10-21" + n days. */
+export function addDays(day, n) {
+  const [y, m, d] = day.split("-").map(Number);
+  const t = new Date(Date.UTC(y, m - 1, d + n));
+  return `${t.getUTCFullYear()}-${pad(t.getUTCMonth() + 1)}-${pad(t.getUTCDate())}`;
+}
+
+/** 0 = Sunday … 6 = Saturday for a calendar day. */
+export const weekdayOf = (day) => new Date(`${day}T12:00:00Z`).getUTCDay();
+
+/** Monday of the week containing `day`. */
+export const weekStartOf = (day) => addDays(day, -((weekdayOf(day) + 6) % 7));
+
+const toMinutes = (time) => {
+  const [h, m] = time.split(":").map(Number);
+  return h * 60 + m;
+};
+const fromMinutes = (n) => `${pad(Math.floor(n / 60))}:${pad(n % 60)}`;
+
+/**
+ * Fetch the availability file (and its .ics feed, if any). Resolves to
+ * the config plus `busy`: [{ start, end }] in epoch ms and `busyDays`.
+ */
+export async function loadAvailability(url = AVAILABILITY_URL, fetchImpl = fetch) {
+  const res = await fetchImpl(url, { cache: "no-cache" });
+  if (!res.ok) throw new Error(`Couldn't load availability (${res.status})`);
+  const config = await res.json();
+  const busy = [];
+  const busyDays = new Set(config.blackouts || []);
+
+  (config.booked || []).forEach((local) => {
+    const [day, time] = local.split("T");
+    const start = zonedTime(day, time, config.timeZone);
+    busy.push({ start, end: start + config.slotMinutes * MINUTE });
+  });
+
+  if (config.busyIcs) {
+    const ics = await fetchImpl(config.busyIcs, { cache: "no-cache" });
+    if (!ics.ok) throw new Error(`Couldn't load ${config.busyIcs} (${ics.status})`);
+    const resolve = (t) =>
+      t.utc ?? (t.local ? zonedTime(...t.local.split("T"), config.timeZone) : null);
+    parseIcsBusy(await ics.text()).forEach((ev) => {
+      if (ev.start.date) {
+        // All-day: DTEND is exclusive; a missing one means a single day
+        const last = ev.end?.date ? addDays(ev.end.date, -1) : ev.start.date;
+        for (let d = ev.start.date; d <= last; d = addDays(d, 1)) busyDays.add(d);
+        return;
+      }
+      const start = resolve(ev.start);
+      const end = ev.end ? resolve(ev.end) : start + config.slotMinutes * MINUTE;
+      if (start != null && end != null) busy.push({ start, end });
+    });
+  }
+
+  return { ...config, busy, busyDays };
+}
+
+/**
+ * Bookable slots per day, from the day `now` falls on through the horizon.
+ * Returns [{ day, slots: [{ start, end, time, taken }] }]; `taken` slots
+ * are shown greyed out rather than hidden so the week keeps its shape.
+ * Slots inside the lead time, or on blackout days, are left out.
+ */
+export function buildSlots(availability, now = Date.now()) {
+  const { timeZone, slotMinutes, leadTimeHours, horizonDays, weekly, busy, busyDays } = availability;
+  const earliest = now + leadTimeHours * 60 * MINUTE;
+  const today = dayOf(now, timeZone);
+  const days = [];
+
+  for (let i = 0; i < horizonDays; i++) {
+    const day = addDays(today, i);
+    const windows = busyDays.has(day) ? [] : weekly[DAY_CODES[weekdayOf(day)]] || [];
+    const slots = [];
+    windows.forEach(([from, to]) => {
+      for (let t = toMinutes(from); t + slotMinutes <= toMinutes(to); t += slotMinutes) {
+        const time = fromMinutes(t);
+        const start = zonedTime(day, time, timeZone);
+        const end = start + slotMinutes * MINUTE;
+        if (start < earliest) continue;
+        const taken = busy.some((b) => b.start < end && b.end > start);
+        slots.push({ start, end, time, taken });
+      }
+    });
+    days.push({ day, slots });
+  }
+  return days;
+}
+
+/** "9:00 AM" for an instant, read in `timeZone`. */
+export const formatTime = (ms, timeZone, locale = "en-US") =>
+  new Date(ms).toLocaleTimeString(locale, { timeZone, hour: "numeric", minute: "2-digit" });
+
+/** "Wed, Oct 21" (or `{ weekday: "long", … }`) for a calendar day. */
+export const formatDay = (day, options = { weekday: "short", month: "short", day: "numeric" }, locale = "en-US") =>
+  new Date(`${day}T12:00:00Z`).toLocaleDateString(locale, { ...options, timeZone: "UTC" });
+
+/** "CDT" / "CST" for `timeZone` at an instant. */
+export function zoneAbbr(ms, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", { timeZone, timeZoneName: "short" }).formatToParts(new Date(ms));
+  return parts.find((p) => p.type === "timeZoneName")?.value || timeZone;
+}
+
+/** The visitor's own IANA zone (client only). */
+export const visitorTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone;
@@ -0,0 +1,67 @@
+// src/lib/booking.js
+//
+// Rules for booking an estimate visit: the details form, what lands in the
+// inbox, and the calendar invite the visitor can download afterwards.
+import { BUSINESS, formatPhone } from "../content";
+import { translator } from "../i18n/translate";
+import { validate, required, email, maxLength, phone } from "./validation";
+import { buildIcsEvent } from "./ics";
+import { formatDay, formatTime, zoneAbbr } from "./availability";
+
+export const EMPTY_BOOKING = { name: "", phone: "", email: "", address: "", notes: "" };
+
+export const BOOKING_SCHEMA = {
+  name: [required("name"), maxLength(120, "name")],
+  phone: [required("phone"), phone()],
+  email: [email()],
+  address: [required("address"), maxLength(200, "address")],
+  notes: [maxLength(2000, "notes")],
+};
+
+export const validateBooking = (v, t) => validate(v, BOOKING_SCHEMA, t);
+
+/**
+ * "Wednesday, Oct 21 · 9:00 AM CDT" in the business time zone. The zone
+ * abbreviation stays US-style in every language, as it is on the page.
+ */
+export const slotLabel = (slot, timeZone, locale = "en-US") =>
+  `${formatDay(slot.day, { weekday: "long", month: "short", day: "numeric" }, locale)} · ` +
+  `${formatTime(slot.start, timeZone, locale)} ${zoneAbbr(slot.start, timeZone)}`;
+
+export function describeBooking(slot, v, timeZone) {
+  return [
+    ["When", slotLabel(slot, timeZone)],
+    ["Name", v.name || "—"],
+    ["Phone", v.phone || "—"],
+    ["Email", v.email || "—"],
+    ["Address", v.address || "—"],
+    ["Notes", v.notes || "—"],
+  ];
+}
+
+/** Payload for the contact channel: structured fields + a readable message. */
+export function toBookingPayload(slot, v, timeZone) {
+  return {
+    subject: "Cheatham Trees — Estimate Booking",
+    formType: "booking",
+    ...v,
+    slotStart: new Date(slot.start).toISOString(),
+    slotEnd: new Date(slot.end).toISOString(),
+    slotLocal: `${slot.day}T${slot.time}`,
+    timeZone,
+    message: describeBooking(slot, v, timeZone).map(([k, val]) => `${k}: ${val}`).join("\n"),
+  };
+}
+
+/** The .ics text for a booked visit, written in `t`'s language. */
+export function bookingInvite(slot, v, t = translator()) {
+  return buildIcsEvent({
+    uid: `estimate-${slot.start}-${v.phone.replace(/\D/g, "")}@${new URL(BUSINESS.url).hostname}`,
+    start: slot.start,
+    end: slot.end,
+    summary: t("booking.invite.summary", { name: BUSINESS.name }),
+    description: t("booking.invite.description", { owner: BUSINESS.owner, phone: formatPhone() }),
+    location: v.address,
+    url: BUSINESS.url,
+  });
+}
@@ -0,0 +1,43 @@
+// src/lib/color.js
+
+/**
+ * Parse a hex color into channels. Accepts #RGB, #RGBA, #RRGGBB and
+ * #RRGGBBAA (the leading "#" is optional). Returns null for anything else.
+ */
+export function parseHex(hex) {
+  if (typeof hex !== "string") return null;
+  let h = hex.trim().replace(/^#/, "");
+  if (!/^[a-f\d]+$/i.test(h)) return null;
+
+  // Short forms (#RGB / #RGBA) → long forms
+  if (h.length === 3 || h.length === 4) {
+    h = h.split("").map((c) => c + c).join("");
+  }
+  if (h.length !== 6 && h.length !== 8) return null;
+
+  return {
+    r: parseInt(h.slice(0, 2), 16),
+    g: parseInt(h.slice(2, 4), 16),
+    b: parseInt(h.slice(4, 6), 16),
+    a: h.length === 8 ? parseInt(h.slice(6, 8), 16) / 255 : 1,
+  };
+}
+
+/**
+ * hexWithAlpha("#1E5630", 0.12) → "rgba(30, 86, 48, 0.12)"
+ *
+ * The alpha argument replaces any alpha baked into the hex, so
+ * hexWithAlpha("#FFFFFFE6", 0.95) is 95% white. Omit it to keep the
+ * embedded alpha. A CSS variable colour ("var(--palette-accent)") becomes
+ * rgb(var(--palette-accent-rgb) / alpha), so it needs that -rgb companion
+ * (src/theme/palettes.js defines both). Other input (rgb(), named colors)
+ * is returned as-is.
+ */
+export function hexWithAlpha(hex, alpha) {
+  const cssVar = typeof hex === "string" && hex.match(/^var\((--[\w-]+)\)$/);
+  if (cssVar) return alpha == null ? hex : `rgb(var(${cssVar[1]}-rgb) / ${alpha})`;
+  const c = parseHex(hex);
+  if (!c) return hex;
+  const a = alpha ?? Math.round(c.a * 1000) / 1000;
+  return `rgba(${c.r}, ${c.g}, ${c.b}, ${a})`;
+}
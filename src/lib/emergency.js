@@ -0,0 +1,89 @@
+// src/lib/emergency.js
+//
+// Storm emergency mode. public/emergency.json turns it on for a window of
+// time — edit the file on the server, no rebuild:
+//
+//   start    ISO timestamp with an offset, "2026-06-01T06:00:00-05:00"
+//   end      when it switches itself off again
+//   title    short banner heading ("Storm response")
+//   message  one or two sentences under it
+//   es       optional { title, message } shown to Spanish-language visitors
+//
+// Outside the window (or with a missing/broken file) the site looks normal.
+import { translator } from "../i18n/translate";
+import { validate, required, maxLength, phone } from "./validation";
+
+export const EMERGENCY_URL = "/emergency.json";
+
+// setTimeout overflows past ~24.8 days; longer waits are re-checked on wake
+const MAX_TIMER = 2 ** 31 - 1;
+
+/** Fetch the config; resolves to null when there isn't a usable one. */
+export async function loadEmergency(url = EMERGENCY_URL, fetchImpl = fetch) {
+  const res = await fetchImpl(url, { cache: "no-cache" });
+  if (!res.ok) return null;
+  const config = await res.json();
+  const start = Date.parse(config?.start);
+  const end = Date.parse(config?.end);
+  if (Number.isNaN(start) || Number.isNaN(end) || end <= start || !config.message) return null;
+  return { ...config, startMs: start, endMs: end };
+}
+
+/** Is `now` inside the window? */
+export const isEmergencyActive = (config, now = Date.now()) =>
+  !!config && now >= config.startMs && now < config.endMs;
+
+/**
+ * ms until the mode next flips (start or end), capped so setTimeout is
+ * safe, or null when nothing is coming.
+ */
+export function nextEmergencyChange(config, now = Date.now()) {
+  if (!config || now >= config.endMs) return null;
+  const at = now < config.startMs ? config.startMs : config.endMs;
+  return Math.min(at - now, MAX_TIMER);
+}
+
+/** The banner copy for `locale`: its own block when the file has one. */
+export const emergencyCopy = (config, locale) => ({ ...config, ...config?.[locale] });
+
+// Labels are under emergency.hazards.<id> in the message catalogs
+export const HAZARDS = ["house", "car", "line", "blocking", "hanging"];
+
+/** [{ id, label }] for the hazard picker in `t`'s language. */
+export const hazardOptions = (t = translator()) => HAZARDS.map((id) => ({ id, label: t(`emergency.hazards.${id}`) }));
+
+export const EMPTY_EMERGENCY = { hazard: "", name: "", phone: "", address: "", notes: "" };
+
+const EMERGENCY_SCHEMA = {
+  hazard: [(v, t) => (v ? "" : t("emergency.errors.hazard"))],
+  name: [required("name"), maxLength(120, "name")],
+  phone: [required("phone"), phone()],
+  address: [required("address"), maxLength(200, "address")],
+  notes: [maxLength(2000, "notes")],
+};
+
+export const EMERGENCY_FIELDS = Object.keys(EMERGENCY_SCHEMA);
+
+export const validateEmergency = (v, t) => validate(v, EMERGENCY_SCHEMA, t);
+
+/** Payload for the contact channel, flagged so it stands out in the inbox. */
+export function toEmergencyPayload(v) {
+  const en = translator();
+  const hazard = HAZARDS.includes(v.hazard) ? en(`emergency.hazards.${v.hazard}`) : v.hazard;
+  return {
+    subject: `URGENT — Storm Damage: ${hazard}`,
+    formType: "emergency",
+    priority: "urgent",
+    urgent: true,
+    ...v,
+    message: [
+      ["Tree", hazard],
+      ["Name", v.name],
+      ["Phone", v.phone],
+      ["Address", v.address],
+      ["Notes", v.notes || "—"],
+    ]
+      .map(([k, val]) => `${k}: ${val}`)
+      .join("\n"),
+  };
+}
@@ -0,0 +1,194 @@
+// src/lib/estimateRequest.js
+//
+// Data + rules for the free-estimate wizard. Kept out of the component so
+// the options, per-step validation and the plain-text summary that lands
+// in the inbox all live in one place.
+import { localizedContent } from "../content";
+import { translator } from "../i18n/translate";
+import { validate, required, email, maxLength, phone } from "./validation";
+import { describeBallpark } from "./priceEstimate";
+import { describeAssessment } from "./treeHealth";
+
+export const ESTIMATE_STORAGE_KEY = "cheatham.estimateDraft";
+
+// Option ids in display order; labels and hints live in the message
+// catalogs under estimate.options.<list>.<id>
+export const TREE_COUNTS = ["1", "2-3", "4-6", "7+"];
+
+export const TREE_SIZES = ["small", "medium", "large", "xl"];
+
+export const ACCESS_CONSTRAINTS = ["fence", "powerLines", "slope", "structure", "noTruck"];
+
+export const URGENCY = ["emergency", "week", "month", "flexible"];
+
+export const CONTACT_METHODS = ["call", "text", "email"];
+
+const OPTION_LISTS = {
+  treeCount: TREE_COUNTS,
+  treeSize: TREE_SIZES,
+  access: ACCESS_CONSTRAINTS,
+  urgency: URGENCY,
+  contactMethod: CONTACT_METHODS,
+};
+
+/** [{ id, label, hint? }] for one of the lists above, in `t`'s language. */
+export function estimateOptions(list, t = translator()) {
+  return OPTION_LISTS[list].map((id) => {
+    const key = `estimate.options.${list}.${id}`;
+    return { id, label: t(`${key}.label`), ...(t.has(`${key}.hint`) && { hint: t(`${key}.hint`) }) };
+  });
+}
+
+/** The wizard's service choices: every service plus "not sure yet". */
+export function serviceOptions(t = translator()) {
+  const { SERVICES } = localizedContent(t.locale);
+  return [...SERVICES, { id: "not-sure", title: t("estimate.notSure.title"), summary: t("estimate.notSure.summary") }];
+}
+
+export const EMPTY_ESTIMATE = {
+  service: "",
+  treeCount: "",
+  treeSize: "",
+  street: "",
+  city: "",
+  zip: "",
+  access: [],
+  accessNotes: "",
+  urgency: "",
+  name: "",
+  contactMethod: "",
+  phone: "",
+  email: "",
+};
+
+const phoneFor = (needed) => (v, t) =>
+  needed && !String(v ?? "").trim() ? t("estimate.errors.phoneNeeded") : phone()(v, t);
+
+// `field` names the message under estimate.errors
+const choose = (field) => (v, t) => (v ? "" : t(`estimate.errors.${field}`));
+
+const zip = () => (v, t) => (/^\d{5}(-\d{4})?$/.test(String(v ?? "").trim()) ? "" : t("validation.zip"));
+
+/**
+ * Ordered wizard steps. `validate(values, t)` returns { field: message }
+ * for that step only; an empty object means the visitor can move on.
+ * Titles and headings are under estimate.steps.<id>.
+ */
+export const ESTIMATE_STEPS = [
+  {
+    id: "service",
+    validate: (v, t) => validate(v, { service: [choose("service")] }, t),
+  },
+  {
+    id: "trees",
+    validate: (v, t) => validate(v, { treeCount: [choose("treeCount")], treeSize: [choose("treeSize")] }, t),
+  },
+  {
+    id: "property",
+    validate: (v, t) =>
+      validate(
+        v,
+        {
+          street: [required("street"), maxLength(200, "street")],
+          city: [required("city")],
+          zip: [zip()],
+        },
+        t
+      ),
+  },
+  {
+    id: "access",
+    validate: (v, t) => validate(v, { accessNotes: [maxLength(1000, "notes")] }, t),
+  },
+  {
+    id: "timing",
+    validate: (v, t) => validate(v, { urgency: [choose("urgency")] }, t),
+  },
+  {
+    id: "contact",
+    validate: (v, t) =>
+      validate(
+        v,
+        {
+          name: [required("name")],
+          contactMethod: [choose("contactMethod")],
+          phone: [phoneFor(v.contactMethod === "call" || v.contactMethod === "text")],
+          email: [v.contactMethod === "email" ? required("email") : () => "", email()],
+        },
+        t
+      ),
+  },
+  { id: "review", validate: () => ({}) },
+];
+
+export const EMPTY_DRAFT = { step: 0, values: EMPTY_ESTIMATE };
+
+const isObj = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+
+/**
+ * A draft as read back from localStorage, made safe to render. Storage
+ * can hold anything (an older version's shape, a hand edit, `null`), so
+ * the step becomes a whole number in range, and any field that's missing
+ * or of the wrong type starts empty. No usable `values` → an empty draft.
+ */
+export function restoreEstimateDraft(draft) {
+  if (!isObj(draft) || !isObj(draft.values)) return EMPTY_DRAFT;
+  const step = Number.isInteger(draft.step) ? Math.min(Math.max(draft.step, 0), ESTIMATE_STEPS.length - 1) : 0;
+  const values = Object.fromEntries(
+    Object.entries(EMPTY_ESTIMATE).map(([field, empty]) => {
+      const v = draft.values[field];
+      const ok = Array.isArray(empty) ? Array.isArray(v) && v.every((x) => typeof x === "string") : typeof v === "string";
+      return [field, ok ? v : empty];
+    })
+  );
+  return { step, values };
+}
+
+const labelOf = (t, list, id) => (id ? t(`estimate.options.${list}.${id}.label`) : "—");
+
+/**
+ * Human-readable rows for the review step and the email body. `ballpark`
+ * is a quote from the price estimator and `assessment` a tree health
+ * self-assessment, either one attached by the visitor. The inbox copy is
+ * always English; the review step passes the page's `t`.
+ */
+export function describeEstimate(v, { ballpark = null, assessment = null } = {}, t = translator()) {
+  const { getService } = localizedContent(t.locale);
+  const row = (key, value) => [t(`estimate.summary.${key}`), value];
+  return [
+    row("service", getService(v.service)?.title || (v.service === "not-sure" ? t("estimate.notSure.title") : "—")),
+    row("trees", `${labelOf(t, "treeCount", v.treeCount)}, ${labelOf(t, "treeSize", v.treeSize).toLocaleLowerCase(t.intl)}`),
+    row("address", [v.street, v.city, v.zip].filter(Boolean).join(", ") || "—"),
+    row("access", v.access.length ? v.access.map((a) => labelOf(t, "access", a)).join("; ") : t("estimate.summary.noConstraints")),
+    row("accessNotes", v.accessNotes || "—"),
+    row("urgency", labelOf(t, "urgency", v.urgency)),
+    row("name", v.name || "—"),
+    row("contactVia", labelOf(t, "contactMethod", v.contactMethod)),
+    row("phone", v.phone || "—"),
+    row("email", v.email || "—"),
+    ...(ballpark ? [row("ballpark", describeBallpark(ballpark, t))] : []),
+    ...(assessment ? [row("treeHealth", describeAssessment(assessment, t))] : []),
+  ];
+}
+/** Payload for the contact channel: structured fields + a readable message. */
+export function toEstimatePayload(v, { ballpark = null, assessment = null } = {}) {
+  return {
+    subject: `Cheatham Trees — Estimate Request${v.urgency === "emergency" ? " (EMERGENCY)" : ""}`,
+    formType: "estimate",
+    ...v,
+    access: v.access.join(", "),
+    ...(ballpark && {
+      ballparkService: ballpark.service,
+      ballparkLow: ballpark.low,
+      ballparkHigh: ballpark.high,
+      pricingVersion: ballpark.version,
+    }),
+    ...(assessment && {
+      treeHealthLevel: assessment.level,
+      treeHealthScore: assessment.score,
+      treeHealthService: assessment.service,
+      treeHealthVersion: assessment.version,
+    }),
+    message: describeEstimate(v, { ballpark, assessment }).map(([k, val]) => `${k}: ${val}`).join("\n"),
+  };
+}
@@ -0,0 +1,27 @@
+// src/lib/galleryItems.js
+import { photoIdAt } from "./usePhotoHash";
+
+// string | {src,...} | {before,after,...} → one shape. `src` (the "after"
+// photo for comparisons) is what keys, preloading and captions rely on.
+function normalizeItem(img) {
+  if (typeof img === "string") return { src: img };
+  if (img.before && img.after) {
+    const before = typeof img.before === "string" ? { src: img.before } : img.before;
+    const after = typeof img.after === "string" ? { src: img.after } : img.after;
+    return { ...img, before, after, src: after.src };
+  }
+  return img;
+}
+
+/**
+ * Normalize gallery input so strings, {src,alt} and {before,after} all
+ * work, and give every item a deep-link `id` (default "photo-<n>").
+ */
+export function normalizeGalleryItems(images) {
+  const list = Array.isArray(images) ? images : [];
+  return list
+    .filter(Boolean)
+    .map(normalizeItem)
+    .filter((img) => img.src)
+    .map((img, i) => ({ ...img, id: img.id ?? photoIdAt(i) }));
+}
@@ -0,0 +1,36 @@
+// src/lib/heroMedia.js
+//
+// What the home page hero can afford to play on this visit:
+//
+//   "still"      the poster photo only — reduced motion (src/motion),
+//                Save-Data, 2G
+//   "slideshow"  crossfading job photos — 3G, or the video failed
+//   "video"      the hero video
+//
+// navigator.connection is Chromium-only; elsewhere we assume a decent
+// connection and let a failed video fall back to the slideshow.
+
+const SLOW = new Set(["slow-2g", "2g"]);
+
+export function heroMediaMode(reducedMotion = false) {
+  if (typeof window === "undefined" || reducedMotion) return "still";
+  const conn = navigator.connection;
+  if (conn?.saveData || SLOW.has(conn?.effectiveType)) return "still";
+  if (conn?.effectiveType === "3g") return "slideshow";
+  return "video";
+}
+
+/**
+ * Sources for a box `width` × `height`: the portrait cut when the box is
+ * taller than wide (landscape otherwise), plus any source with no
+ * `orientation`. Order is kept, so list WebM before MP4.
+ */
+export function videoSourcesFor(sources, width, height) {
+  const orientation = height > width ? "portrait" : "landscape";
+  const picked = [
+    ...sources.filter((s) => s.orientation === orientation),
+    ...sources.filter((s) => !s.orientation),
+  ];
+  // Only the other cut exists: better cropped than nothing
+  return picked.length ? picked : sources;
+}
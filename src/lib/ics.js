@@ -0,0 +1,97 @@
+// src/lib/ics.js
+//
+// Just enough iCalendar (RFC 5545) for booking: write a single-event
+// invite, and read busy times out of a calendar export.
+
+const pad = (n) => String(n).padStart(2, "0");
+
+/** Epoch ms → "20261021T140000Z" */
+function utcStamp(ms) {
+  const d = new Date(ms);
+  return (
+    `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}` +
+    `T${pad(d.getUTCHours())}${pad(d.getUTCMinutes())}${pad(d.getUTCSeconds())}Z`
+  );
+}
+
+const escapeText = (s) => String(s ?? "").replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n");
+
+// Lines over 75 octets are folded with CRLF + space (chars is close enough
+// for the ASCII-heavy text we write)
+const fold = (line) => line.match(/.{1,73}/g).join("\r\n ");
+
+/**
+ * A one-event VCALENDAR as text.
+ * event: { uid, start, end (epoch ms), summary, description?, location?, url? }
+ */
+export function buildIcsEvent({ uid, start, end, summary, description = "", location = "", url = "" }) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Cheatham Arboriculture//Estimate booking//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    "BEGIN:VEVENT",
+    `UID:${uid}`,
+    `DTSTAMP:${utcStamp(Date.now())}`,
+    `DTSTART:${utcStamp(start)}`,
+    `DTEND:${utcStamp(end)}`,
+    `SUMMARY:${escapeText(summary)}`,
+    description && `DESCRIPTION:${escapeText(description)}`,
+    location && `LOCATION:${escapeText(location)}`,
+    url && `URL:${url}`,
+    "END:VEVENT",
+    "END:VCALENDAR",
+  ].filter(Boolean);
+  return lines.map(fold).join("\r\n") + "\r\n";
+}
+
+/** Unfold continuation lines and split "NAME;PARAMS:VALUE". */
+function contentLines(text) {
+  return text
+    .replace(/\r?\n[ \t]/g, "")
+    .split(/\r?\n/)
+    .map((line) => {
+      const colon = line.indexOf(":");
+      if (colon === -1) return null;
+      const [name, ...params] = line.slice(0, colon).split(";");
+      return { name: name.toUpperCase(), params: params.join(";").toUpperCase(), value: line.slice(colon + 1).trim() };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Busy times from an .ics export, as { start, end } wall-clock/UTC parts
+ * the caller resolves (it knows the business time zone):
+ *  - { utc: epoch ms } for "…Z" times
+ *  - { local: "2026-10-21T09:00" } for floating / TZID times
+ *  - all-day events come back as { date: "2026-11-26" }
+ * Recurring events (RRULE) aren't expanded — list those dates instead.
+ */
+export function parseIcsBusy(text) {
+  const events = [];
+  let current = null;
+  const when = ({ params, value }) => {
+    const m = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+    if (!m) return null;
+    const [, y, mo, d, h, mi, , z] = m;
+    if (!h || params.includes("VALUE=DATE")) return { date: `${y}-${mo}-${d}` };
+    if (z) return { utc: Date.UTC(+y, +mo - 1, +d, +h, +mi) };
+    return { local: `${y}-${mo}-${d}T${h}:${mi}` };
+  };
+  contentLines(text).forEach((line) => {
+    if (line.name === "BEGIN" && line.value === "VEVENT") current = {};
+    else if (line.name === "END" && line.value === "VEVENT") {
+      if (current?.start && !current.free) events.push({ start: current.start, end: current.end });
+      current = null;
+    } else if (current) {
+      if (line.name === "DTSTART") current.start = when(line);
+      else if (line.name === "DTEND") current.end = when(line);
+      // Cancelled or "show as free" events don't block anything
+      else if (`${line.name}:${line.value}` === "STATUS:CANCELLED" || `${line.name}:${line.value}` === "TRANSP:TRANSPARENT") {
+        current.free = true;
+      }
+    }
+  });
+  return events;
+}
@@ -0,0 +1,25 @@
+// src/lib/images.js
+//
+// Lookups into the responsive-image manifest that plugins/images.js builds
+// from public/images (sizes, placeholder, generated widths).
+import manifest from "virtual:cheatham-images";
+
+/** Browser-ready formats, best first, as [MIME type, file extension]. */
+export const IMAGE_FORMATS = [
+  ["image/avif", "avif"],
+  ["image/webp", "webp"],
+  ["image/jpeg", "jpg"],
+];
+
+/** Manifest entry for a public path ("/images/header.jpg"), or null. */
+export function imageInfo(src) {
+  return manifest[src] || null;
+}
+
+/** "…-480.webp 480w, …-800.webp 800w" for one format of a photo. */
+export function srcSetFor(info, ext) {
+  return info.widths.map((w) => `${info.base}-${w}.${ext} ${w}w`).join(", ");
+}
+
+/** The largest generated JPEG — what browsers without srcset load. */
+export const fallbackSrc = (info) => `${info.base}-${info.widths.at(-1)}.jpg`;
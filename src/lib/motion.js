@@ -0,0 +1,141 @@
+// src/lib/motion.js
+//
+// One frame loop for everything that moves: a single passive scroll
+// listener, a single resize listener and at most one requestAnimationFrame
+// per frame, shared by all subscribers. Each frame runs in two phases so
+// layout is read once and then written, never interleaved:
+//
+//   measure  (after a resize, or when an element comes back on screen)
+//            layout reads: offsets, sizes; the result is kept
+//   apply    every frame something changed: writes (transforms) from
+//            window.scrollY and the kept measurement
+//
+// Frame subscribers (tickers) run after the scroll writes. Anything tied to
+// an element is skipped while that element is off screen.
+
+const scrollEffects = new Set();
+const tickers = new Set();
+let rafId = 0;
+let scrollDirty = false;
+let lastFrame = 0;
+let listening = false;
+
+// Shared visibility tracking: element → on screen?
+const visible = new WeakMap();
+let observer = null;
+
+function observe(el) {
+  if (!el || typeof IntersectionObserver === "undefined") return;
+  observer ||= new IntersectionObserver(
+    (entries) => {
+      entries.forEach((entry) => visible.set(entry.target, entry.isIntersecting));
+      // Back on screen: re-measure before the next write
+      scrollEffects.forEach((fx) => {
+        if (visible.get(fx.el)) fx.stale = true;
+      });
+      scrollDirty = true;
+      schedule();
+    },
+    { rootMargin: "100px 0px" }
+  );
+  observer.observe(el);
+}
+
+function unobserve(el) {
+  if (!el || !observer) return;
+  const stillUsed = [...scrollEffects, ...tickers].some((s) => s.el === el);
+  if (!stillUsed) observer.unobserve(el);
+}
+
+const onScreen = (el) => !el || visible.get(el) !== false;
+
+function frame(now) {
+  rafId = 0;
+  const dt = lastFrame ? now - lastFrame : 16;
+  lastFrame = now;
+
+  if (scrollDirty) {
+    scrollDirty = false;
+    const active = [...scrollEffects].filter((fx) => onScreen(fx.el));
+    // Phase 1: reads
+    const scrollY = window.scrollY || 0;
+    active.forEach((fx) => {
+      if (fx.stale) {
+        fx.measured = fx.measure?.(scrollY);
+        fx.stale = false;
+      }
+    });
+    // Phase 2: writes
+    active.forEach((fx) => fx.apply(scrollY, fx.measured));
+  }
+
+  const running = [...tickers].filter((tk) => onScreen(tk.el));
+  running.forEach((tk) => tk.tick(now, dt));
+
+  // Nothing on screen to animate: sleep until a scroll or an element
+  // coming into view wakes the loop
+  if (running.length) schedule();
+  else lastFrame = 0;
+}
+
+function schedule() {
+  rafId ||= requestAnimationFrame(frame);
+}
+
+const onScroll = () => {
+  scrollDirty = true;
+  schedule();
+};
+const onResize = () => {
+  scrollEffects.forEach((fx) => {
+    fx.stale = true;
+  });
+  onScroll();
+};
+
+function listen() {
+  const needed = scrollEffects.size > 0;
+  if (needed === listening) return;
+  listening = needed;
+  if (needed) {
+    window.addEventListener("scroll", onScroll, { passive: true });
+    window.addEventListener("resize", onResize);
+  } else {
+    window.removeEventListener("scroll", onScroll);
+    window.removeEventListener("resize", onResize);
+  }
+}
+
+/**
+ * Run a scroll-driven effect for `el`. `measure(scrollY)` does the layout
+ * reads and returns whatever `apply(scrollY, measured)` needs to write
+ * styles. Applied once straight away. Returns an unsubscribe function.
+ */
+export function onScrollFrame(el, { measure, apply }) {
+  const fx = { el, measure, apply, measured: undefined, stale: true };
+  scrollEffects.add(fx);
+  observe(el);
+  listen();
+  onScroll();
+  return () => {
+    scrollEffects.delete(fx);
+    unobserve(el);
+    listen();
+  };
+}
+
+/**
+ * Call `tick(now, dt)` every animation frame (dt in ms since the previous
+ * frame), paused while `el` (optional) is off screen. Returns an
+ * unsubscribe function.
+ */
+export function onEveryFrame(tick, el = null) {
+  const tk = { tick, el };
+  tickers.add(tk);
+  observe(el);
+  schedule();
+  return () => {
+    tickers.delete(tk);
+    unobserve(el);
+  };
+}
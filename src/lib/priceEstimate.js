@@ -0,0 +1,121 @@
+// src/lib/priceEstimate.js
+//
+// Ballpark pricing. All numbers come from src/content/pricing.json; this
+// file only knows how to combine them:
+//
+//   base range per unit × quantity (later units discounted)
+//   → × each factor (trunk size, kind of pruning…)
+//   → + each ticked modifier (a % of that subtotal, or a fixed add-on)
+//   → minimum job charge
+//
+// Every line is rounded, and the total is the sum of the rounded lines, so
+// the breakdown always adds up. Line labels come out in the language of
+// the translator passed in (English by default, which is what the inbox
+// gets).
+import { PRICING, localizedContent } from "../content";
+import { translator } from "../i18n/translate";
+
+/** Pricing rules for a service id, or null if it isn't self-serve priced. */
+export function pricingFor(serviceId, pricing = PRICING) {
+  return pricing.services.find((s) => s.service === serviceId) || null;
+}
+
+/** Default answers: first option everywhere, one unit, nothing ticked. */
+export function defaultAnswers(rules) {
+  return {
+    base: rules.base.options[0].id,
+    quantity: 1,
+    factors: Object.fromEntries(rules.factors.map((f) => [f.id, f.options[0].id])),
+    modifiers: [],
+  };
+}
+
+const plural = (n, unit) => `${n} ${unit}${n === 1 ? "" : "s"}`;
+
+// Units with a catalog entry get proper plurals; anything new added to
+// pricing.json falls back to English "-s"
+const unitText = (t, n, unit) =>
+  t.has(`ballpark.units.${unit}`) ? t(`ballpark.units.${unit}`, { count: n }) : plural(n, unit);
+
+/**
+ * Price `answers` ({ base, quantity, factors: {id: optionId}, modifiers: [id] })
+ * for a service. Returns { service, serviceTitle, low, high, lines, answers,
+ * version, effective } or null when the service has no price table. Each
+ * line is { label, low, high, text? }; show `text` instead of the range
+ * when set. Pricing defaults to the table translated for `t`'s language.
+ */
+export function priceEstimate(serviceId, answers, t = translator(), pricing = localizedContent(t.locale).PRICING) {
+  const rules = pricingFor(serviceId, pricing);
+  if (!rules) return null;
+  const round = (n) => Math.round(n / pricing.roundTo) * pricing.roundTo;
+  const lines = [];
+  const add = (label, low, high) => lines.push({ label, low: round(low), high: round(high) });
+
+  const base = rules.base.options.find((o) => o.id === answers.base) || rules.base.options[0];
+  const qty = Math.min(Math.max(1, Math.round(answers.quantity) || 1), rules.quantity.max);
+  const units = 1 + (qty - 1) * rules.quantity.additionalMultiplier;
+  let low = base.low * units;
+  let high = base.high * units;
+  add(`${unitText(t, qty, rules.unit)}, ${base.label.toLocaleLowerCase(t.intl)}`, low, high);
+
+  rules.factors.forEach((f) => {
+    const opt = f.options.find((o) => o.id === answers.factors?.[f.id]) || f.options[0];
+    if (opt.multiply === 1) return;
+    add(`${f.label}: ${opt.label}`, low * (opt.multiply - 1), high * (opt.multiply - 1));
+    low *= opt.multiply;
+    high *= opt.multiply;
+  });
+
+  // Percentage modifiers all apply to the same subtotal (they don't compound)
+  rules.modifiers
+    .filter((m) => answers.modifiers?.includes(m.id))
+    .forEach((m) => {
+      if (m.add) add(m.label, m.add.low, m.add.high);
+      else add(m.label, low * (m.multiply - 1), high * (m.multiply - 1));
+    });
+
+  let total = lines.reduce((t, l) => ({ low: t.low + l.low, high: t.high + l.high }), { low: 0, high: 0 });
+  if (total.low < pricing.minimum) {
+    const bumpLow = pricing.minimum - total.low;
+    const bumpHigh = Math.max(0, pricing.minimum - total.high);
+    // Shown as "$200 minimum" rather than a lopsided "+$50–$0" range
+    lines.push({
+      label: t("ballpark.minimum"),
+      low: bumpLow,
+      high: bumpHigh,
+      text: t("ballpark.minimumAmount", { amount: formatUsd(pricing.minimum) }),
+    });
+    total = { low: pricing.minimum, high: total.high + bumpHigh };
+  }
+
+  return {
+    service: serviceId,
+    serviceTitle: localizedContent(t.locale).getService(serviceId)?.title || serviceId,
+    low: total.low,
+    high: total.high,
+    lines,
+    answers,
+    version: pricing.version,
+    effective: pricing.effective,
+  };
+}
+
+const usd = new Intl.NumberFormat("en-US", { style: "currency", currency: "USD", maximumFractionDigits: 0 });
+
+/** 1200 → "$1,200" */
+export const formatUsd = (n) => usd.format(n);
+
+/** "$1,200–$1,800"; discounts read "−$50–$100" */
+export function formatRange({ low, high }) {
+  if (low < 0 || high < 0) return `−${formatRange({ low: Math.abs(low), high: Math.abs(high) })}`;
+  return low === high ? formatUsd(low) : `${formatUsd(low)}–${formatUsd(high)}`;
+}
+
+/** Multi-line plain text for the inbox: range, breakdown and table version. */
+export function describeBallpark(quote, t = translator()) {
+  return [
+    t("ballpark.summary", { service: quote.serviceTitle, range: formatRange(quote) }),
+    ...quote.lines.map((l) => `  • ${l.label}: ${l.text ?? formatRange(l)}`),
+    `  ${t("ballpark.table", { version: quote.version, date: quote.effective })}`,
+  ].join("\n");
+}
@@ -0,0 +1,144 @@
+// src/lib/quotes.js
+//
+// Written quotes. Each one is public/quotes/<id>.json (the fields are in
+// quoteSchema, src/content/schema.js) and opens at /quote?id=<id>: upload
+// the file and email the link, no rebuild. The id is all that keeps one
+// customer's quote away from another's, so make it hard to guess
+// ("2026-014-k7f3q9", not "smith"). The sample in src/content/quotes/ is
+// only served by the dev server (plugins/content.js).
+//
+// Amounts in the file are dollars; totals are added up in cents so they
+// come out to the penny.
+import { SERVICES } from "../content";
+import { validateQuote } from "../content/schema";
+import { validate, required, email, maxLength } from "./validation";
+
+const ID_RE = /^[a-z0-9]+(-[a-z0-9]+)*$/i;
+
+/** Is `id` something a quote file could be called? */
+export const isQuoteId = (id) => typeof id === "string" && id.length <= 80 && ID_RE.test(id);
+
+export const quoteUrl = (id) => `/quotes/${id}.json`;
+
+/** localStorage key remembering that this device accepted quote `id`. */
+export const quoteAcceptanceKey = (id) => `cheatham.quote.${id}`;
+
+/**
+ * Fetch and check one quote. Resolves { quote } or { error } where error
+ * is "missing" (no such file), "invalid" (with the schema's `problems`,
+ * for whoever wrote the file) or "network".
+ */
+export async function loadQuote(id, fetchImpl = fetch) {
+  if (!isQuoteId(id)) return { error: "missing" };
+  let res;
+  try {
+    res = await fetchImpl(quoteUrl(id), { cache: "no-cache" });
+  } catch {
+    return { error: "network" };
+  }
+  // The dev server answers unknown paths with index.html, hence the catch
+  const quote = res.ok ? await res.json().catch(() => null) : null;
+  if (!quote) return { error: "missing" };
+  const problems = validateQuote(quote, `quotes/${id}.json`, { serviceIds: new Set(SERVICES.map((s) => s.id)) });
+  return problems.length ? { error: "invalid", problems } : { quote: { ...quote, id } };
+}
+
+const cents = (dollars) => Math.round(dollars * 100);
+
+/**
+ * Line amounts and totals, in dollars: { lines, subtotal, discount,
+ * taxable, tax, total }. `lines` are the items with `quantity` filled in
+ * and their `amount`. A discount comes off the taxable and untaxed parts
+ * in proportion before tax is worked out.
+ */
+export function quoteTotals(quote) {
+  const lines = quote.items.map((item) => {
+    const quantity = item.quantity ?? 1;
+    return { ...item, quantity, taxable: item.taxable !== false, amount: cents(quantity * item.unitPrice) };
+  });
+  const subtotal = lines.reduce((sum, l) => sum + l.amount, 0);
+  const discount = cents(quote.discount?.amount ?? 0);
+  const taxableLines = lines.filter((l) => l.taxable).reduce((sum, l) => sum + l.amount, 0);
+  const taxable = subtotal ? Math.round(taxableLines * (1 - discount / subtotal)) : 0;
+  const tax = Math.round(taxable * quote.taxRate);
+  const total = subtotal - discount + tax;
+  return {
+    lines: lines.map((l) => ({ ...l, amount: l.amount / 100 })),
+    subtotal: subtotal / 100,
+    discount: discount / 100,
+    taxable: taxable / 100,
+    tax: tax / 100,
+    total: total / 100,
+  };
+}
+
+/** 1234.5 → "$1,234.50" (in the page's number style). */
+export const formatMoney = (amount, intl = "en-US") =>
+  new Intl.NumberFormat(intl, { style: "currency", currency: "USD" }).format(amount);
+
+/** 0.0975 → "9.75%" */
+export const formatRate = (rate, intl = "en-US") =>
+  new Intl.NumberFormat(intl, { style: "percent", maximumFractionDigits: 3 }).format(rate);
+
+/** "2026-11-13" → "November 13, 2026" */
+export const formatQuoteDate = (day, intl = "en-US") =>
+  new Date(`${day}T12:00:00`).toLocaleDateString(intl, { month: "long", day: "numeric", year: "numeric" });
+
+/** Today on the visitor's calendar, "YYYY-MM-DD". */
+const today = () => new Date().toLocaleDateString("en-CA");
+
+/** A quote is good through the whole of its `validUntil` day. */
+export const isQuoteExpired = (quote, day = today()) => day > quote.validUntil;
+
+export const EMPTY_ACCEPTANCE = { name: "", email: "", agree: false };
+
+const ACCEPTANCE_SCHEMA = {
+  name: [required("name"), maxLength(120, "name")],
+  email: [email()],
+  agree: [(v, t) => (v ? "" : t("quote.errors.agree"))],
+};
+
+export const ACCEPTANCE_FIELDS = Object.keys(ACCEPTANCE_SCHEMA);
+
+/** Field errors for the accept form; a missing signature is reported as `signature`. */
+export function validateAcceptance(v, signature, t) {
+  const errors = validate(v, ACCEPTANCE_SCHEMA, t);
+  if (!signature) errors.signature = t("quote.errors.signature");
+  return errors;
+}
+
+/**
+ * Payload for the contact channel. The inbox gets the quote, the totals
+ * and who signed when as text; `signature` is the signature as a PNG
+ * data URL.
+ */
+export function toAcceptancePayload(quote, totals, { name, email: replyTo, signature, method }, acceptedAt) {
+  const lines = [
+    ["Quote", `#${quote.number} (issued ${quote.issued}, valid until ${quote.validUntil})`],
+    ["Customer", quote.customer.name],
+    ["Address", quote.customer.address || "—"],
+    ...totals.lines.map((l) => [
+      "Item",
+      `${l.title}${l.quantity !== 1 ? ` × ${l.quantity}${l.unit ? ` ${l.unit}` : ""}` : ""}: ${formatMoney(l.amount)}`,
+    ]),
+    ...(totals.discount ? [["Discount", `${quote.discount.label}: −${formatMoney(totals.discount)}`]] : []),
+    ["Tax", `${formatMoney(totals.tax)} (${formatRate(quote.taxRate)} on ${formatMoney(totals.taxable)})`],
+    ["Total", formatMoney(totals.total)],
+    ["Signed by", `${name} (${method} signature)`],
+    ["Email", replyTo || "—"],
+    ["Accepted", acceptedAt],
+  ];
+  return {
+    subject: `Quote Accepted — #${quote.number} — ${quote.customer.name}`,
+    formType: "quote",
+    quoteId: quote.id,
+    quoteNumber: quote.number,
+    quoteTotal: totals.total,
+    name,
+    ...(replyTo && { email: replyTo }),
+    signatureMethod: method,
+    signature,
+    acceptedAt,
+    message: lines.map(([k, val]) => `${k}: ${val}`).join("\n"),
+  };
+}
@@ -0,0 +1,35 @@
+// src/lib/reviews.js
+//
+// Helpers for the reviews section and its structured data. The reviews
+// themselves are content (src/content/reviews.json, usually imported from
+// a Google export with `npm run reviews:import`).
+import { REVIEWS } from "../content";
+
+/**
+ * { count, average, distribution } over `reviews`; average is rounded to
+ * one decimal like Google shows it, distribution[5] = number of 5-star.
+ */
+export function aggregateRating(reviews = REVIEWS) {
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  reviews.forEach((r) => (distribution[r.rating] += 1));
+  const count = reviews.length;
+  const sum = reviews.reduce((n, r) => n + r.rating, 0);
+  return { count, average: count ? Math.round((sum / count) * 10) / 10 : 0, distribution };
+}
+
+/** Reviews with something to read (star-only ones just count). */
+export const readableReviews = (reviews = REVIEWS) => reviews.filter((r) => r.text?.trim());
+
+/** "2026-10-19" → "October 2026" */
+export const formatReviewDate = (date, locale = "en-US") =>
+  new Date(`${date}T12:00:00Z`).toLocaleDateString(locale, { month: "long", year: "numeric", timeZone: "UTC" });
+
+/**
+ * Long reviews get a "Read more": the first `max` characters, cut at a
+ * word boundary. Returns null when the text is short enough already.
+ */
+export function excerpt(text, max = 280) {
+  if (text.length <= max + 40) return null; // not worth a click for a few words
+  const cut = text.slice(0, max);
+  return `${cut.slice(0, cut.lastIndexOf(" ") > max * 0.6 ? cut.lastIndexOf(" ") : max).trimEnd()}…`;
+}
@@ -0,0 +1,218 @@
+// src/lib/seo.js
+//
+// Titles, social cards and structured data. Pure (no DOM) so the same
+// functions serve the prerender step (plugins/prerender.js) and
+// useDocumentMeta on client-side navigation.
+import { BUSINESS, REVIEWS, SERVICES, instagramUrl } from "../content";
+import { aggregateRating, readableReviews } from "./reviews";
+import { fallbackSrc, imageInfo } from "./images";
+
+// Shown by link previews; 1200×630-ish crops best
+export const SOCIAL_IMAGE = "/images/header.jpg";
+
+// How many individual reviews to embed; the rating covers all of them
+const JSON_LD_REVIEWS = 10;
+
+const DAY_NAMES = {
+  Mo: "Monday",
+  Tu: "Tuesday",
+  We: "Wednesday",
+  Th: "Thursday",
+  Fr: "Friday",
+  Sa: "Saturday",
+  Su: "Sunday",
+};
+
+/** "Stump Grinding" → "Stump Grinding | Cheatham Arboriculture"; "" → just the name */
+export function fullTitle(title = "") {
+  return title ? `${title} | ${BUSINESS.name}` : BUSINESS.name;
+}
+
+/** "/services/x" → "https://cheathamtrees.com/services/x" */
+export function absoluteUrl(path = "/") {
+  return new URL(path, BUSINESS.url).href;
+}
+
+/** AggregateRating + the latest Reviews, or {} before there are any. */
+function reviewsJsonLd() {
+  if (!REVIEWS.length) return {};
+  const { count, average } = aggregateRating(REVIEWS);
+  return {
+    aggregateRating: {
+      "@type": "AggregateRating",
+      ratingValue: average,
+      reviewCount: count,
+      bestRating: 5,
+      worstRating: 1,
+    },
+    review: readableReviews(REVIEWS)
+      .slice(0, JSON_LD_REVIEWS)
+      .map((r) => ({
+        "@type": "Review",
+        author: { "@type": "Person", name: r.author },
+        datePublished: r.date,
+        reviewBody: r.text,
+        reviewRating: { "@type": "Rating", ratingValue: r.rating, bestRating: 5, worstRating: 1 },
+      })),
+  };
+}
+
+/**
+ * The business as schema.org LocalBusiness. There's no "Arborist" type,
+ * so `additionalType` points at the product-ontology term for one.
+ */
+export function businessJsonLd() {
+  const { address } = BUSINESS;
+  return {
+    "@context": "https://schema.org",
+    "@type": "LocalBusiness",
+    "@id": absoluteUrl("/#business"),
+    additionalType: "http://www.productontology.org/id/Arborist",
+    name: BUSINESS.name,
+    url: absoluteUrl("/"),
+    image: absoluteUrl(SOCIAL_IMAGE),
+    logo: absoluteUrl("/images/cheatham-logo.svg"),
+    telephone: BUSINESS.phone,
+    email: BUSINESS.email,
+    founder: { "@type": "Person", name: BUSINESS.owner },
+    address: {
+      "@type": "PostalAddress",
+      streetAddress: address.street,
+      addressLocality: address.city,
+      addressRegion: address.region,
+      postalCode: address.postalCode,
+      addressCountry: address.country,
+    },
+    areaServed: BUSINESS.serviceArea,
+    // Only once business.json has the real hours; wrong ones are worse than none
+    ...(BUSINESS.hours && {
+      openingHoursSpecification: BUSINESS.hours.map((h) => ({
+        "@type": "OpeningHoursSpecification",
+        dayOfWeek: h.days.map((d) => DAY_NAMES[d]),
+        opens: h.opens,
+        closes: h.closes,
+      })),
+    }),
+    sameAs: [instagramUrl],
+    ...reviewsJsonLd(),
+    hasOfferCatalog: {
+      "@type": "OfferCatalog",
+      name: "Tree services",
+      itemListElement: SERVICES.map((s) => ({
+        "@type": "Offer",
+        itemOffered: { "@type": "Service", name: s.title, url: absoluteUrl(`/services/${s.id}`) },
+      })),
+    },
+  };
+}
+
+/** A single service page: the Service itself plus its FAQs, if any. */
+export function serviceJsonLd(service) {
+  const data = [
+    {
+      "@context": "https://schema.org",
+      "@type": "Service",
+      name: service.title,
+      description: service.metaDescription,
+      url: absoluteUrl(`/services/${service.id}`),
+      areaServed: BUSINESS.serviceArea,
+      provider: { "@id": absoluteUrl("/#business") },
+    },
+  ];
+  if (service.faqs.length) {
+    data.push({
+      "@context": "https://schema.org",
+      "@type": "FAQPage",
+      mainEntity: service.faqs.map((f) => ({
+        "@type": "Question",
+        name: f.question,
+        acceptedAnswer: { "@type": "Answer", text: f.answer },
+      })),
+    });
+  }
+  return data;
+}
+
+/** A photo as link previews can show it: the JPEG copy of an AVIF/WebP original. */
+export function socialImage(src) {
+  const info = imageInfo(src);
+  return info?.widths ? fallbackSrc(info) : src;
+}
+
+/** An article page as schema.org BlogPosting, published by the business. */
+export function articleJsonLd(article) {
+  return [
+    {
+      "@context": "https://schema.org",
+      "@type": "BlogPosting",
+      headline: article.title,
+      description: article.summary,
+      image: absoluteUrl(socialImage(article.hero)),
+      datePublished: article.date,
+      dateModified: article.updated || article.date,
+      keywords: article.tags.join(", "),
+      url: absoluteUrl(`/articles/${article.slug}`),
+      mainEntityOfPage: absoluteUrl(`/articles/${article.slug}`),
+      author: { "@id": absoluteUrl("/#business") },
+      publisher: { "@id": absoluteUrl("/#business") },
+    },
+  ];
+}
+
+const escapeHtml = (s) =>
+  String(s).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+// "</script>" inside a JSON string would end the tag early
+const safeJson = (data) => JSON.stringify(data).replace(/</g, "\\u003c");
+
+/**
+ * What one page's <head> says, as data: the title (with the business name),
+ * description, canonical URL, robots, Open Graph / Twitter image and the
+ * JSON-LD blocks. `meta` is what the route table returns ({ title,
+ * description, noindex?, jsonLd?, type?, image?, imageAlt? }); `image`
+ * defaults to the site-wide social photo. headTags writes it into the
+ * prerendered HTML and useDocumentMeta applies it on client navigation,
+ * so both always agree.
+ */
+export function headData(path, meta) {
+  return {
+    title: fullTitle(meta.title),
+    description: meta.description || "",
+    url: absoluteUrl(path),
+    noindex: Boolean(meta.noindex),
+    type: meta.type || "website",
+    image: absoluteUrl(meta.image || SOCIAL_IMAGE),
+    imageAlt: meta.imageAlt || `${BUSINESS.name} crew at work in ${BUSINESS.serviceArea}`,
+    jsonLd: [businessJsonLd(), ...(meta.jsonLd || [])],
+  };
+}
+
+/** <head> markup for one page (see headData), plus the article feeds. */
+export function headTags(path, meta) {
+  const head = headData(path, meta);
+  const title = escapeHtml(head.title);
+  const description = escapeHtml(head.description);
+  const url = escapeHtml(head.url);
+  const image = escapeHtml(head.image);
+
+  return [
+    `<title>${title}</title>`,
+    `<meta name="description" content="${description}" />`,
+    head.noindex ? `<meta name="robots" content="noindex" />` : `<link rel="canonical" href="${url}" />`,
+    `<meta property="og:type" content="${head.type}" />`,
+    `<meta property="og:site_name" content="${escapeHtml(BUSINESS.name)}" />`,
+    `<meta property="og:title" content="${title}" />`,
+    `<meta property="og:description" content="${description}" />`,
+    `<meta property="og:url" content="${url}" />`,
+    `<meta property="og:image" content="${image}" />`,
+    `<meta property="og:image:alt" content="${escapeHtml(head.imageAlt)}" />`,
+    `<meta property="og:locale" content="en_US" />`,
+    `<meta name="twitter:card" content="summary_large_image" />`,
+    `<meta name="twitter:title" content="${title}" />`,
+    `<meta name="twitter:description" content="${description}" />`,
+    `<meta name="twitter:image" content="${image}" />`,
+    `<link rel="alternate" type="application/rss+xml" title="${escapeHtml(`${BUSINESS.name} articles`)}" href="/rss.xml" />`,
+    `<link rel="alternate" type="application/atom+xml" title="${escapeHtml(`${BUSINESS.name} articles`)}" href="/atom.xml" />`,
+    ...head.jsonLd.map((data) => `<script type="application/ld+json">${safeJson(data)}</script>`),
+  ].join("\n    ");
+}
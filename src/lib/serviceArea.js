@@ -0,0 +1,98 @@
+// src/lib/serviceArea.js
+//
+// "Do we come to you?" without a geocoding service: a ZIP (or a town name
+// typed in an address) is looked up in the bundled place list, and its
+// centre point is tested against the zone polygons in serviceArea.json.
+import { BUSINESS, SERVICE_AREA } from "../content";
+
+const EARTH_MILES = 3958.8;
+const rad = (deg) => (deg * Math.PI) / 180;
+
+/** Straight-line ("as the crow flies") distance in miles. */
+export function milesBetween(a, b) {
+  const dLat = rad(b.lat - a.lat);
+  const dLng = rad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_MILES * Math.asin(Math.sqrt(h));
+}
+
+/** Ray casting on one ring of [lng, lat] positions. */
+function inRing(ring, { lat, lng }) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if (yi > lat !== yj > lat && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+/** GeoJSON Polygon: inside the outer ring and not in any hole. */
+function inPolygon(coordinates, point) {
+  const [outer, ...holes] = coordinates;
+  return inRing(outer, point) && !holes.some((h) => inRing(h, point));
+}
+
+/** "core" | "extended" | null for a point, checking the core zone first. */
+export function zoneAt(point, zones = SERVICE_AREA.zones) {
+  const order = ["core", "extended"];
+  for (const zone of order) {
+    const hit = zones.features.some(
+      (f) => f.properties.zone === zone && inPolygon(f.geometry.coordinates, point)
+    );
+    if (hit) return zone;
+  }
+  return null;
+}
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Find the place a visitor typed. A ZIP we know wins, wherever it is in
+ * the text (a house number like "12345 Oak St" comes before the ZIP);
+ * failing that, the longest known town name that appears as whole words
+ * ("12 Oak St, Mount Juliet" → Mount Juliet, not just any "Juliet").
+ * Returns { place, by: "zip" | "town" }, or { zip } with the last 5-digit
+ * number when it's a ZIP we don't have and no town matched either.
+ */
+export function findPlace(query, places = SERVICE_AREA.places) {
+  const text = String(query || "");
+  const zips = [...text.matchAll(/\b(\d{5})(?:-\d{4})?\b/g)].map((m) => m[1]);
+  for (const zip of zips) {
+    const place = places.find((p) => p.zip === zip);
+    if (place) return { place, by: "zip" };
+  }
+  const names = [...new Set(places.map((p) => p.name))].sort((a, b) => b.length - a.length);
+  const name = names.find((n) => new RegExp(`\\b${escapeRegExp(n)}\\b`, "i").test(text));
+  if (name) return { place: places.find((p) => p.name === name), by: "town" };
+  return zips.length ? { zip: zips[zips.length - 1] } : {};
+}
+
+/**
+ * Check a ZIP code or address.
+ *
+ * Returns { status, place?, miles?, zip? } where status is
+ *  - "in"        regular service area
+ *  - "extended"  we come out, with a travel fee
+ *  - "outside"   beyond the extended zone
+ *  - "unknown"   a ZIP we don't have on file
+ *  - "empty"     nothing we could read as a ZIP or town
+ */
+export function checkServiceArea(query) {
+  const { place, zip, by } = findPlace(query);
+  if (!place) return zip ? { status: "unknown", zip } : { status: "empty" };
+  const zone = zoneAt(place);
+  const miles = milesBetween(SERVICE_AREA.origin, place);
+  const status = zone === "core" ? "in" : zone === "extended" ? "extended" : "outside";
+  return { status, place, miles, by };
+}
+
+/**
+ * What to prefill as the visitor's location: their own words if they typed
+ * an address, else the place we matched ("Franklin, TN 37064").
+ */
+export function locationLabel(query, { place, by }) {
+  const typed = String(query || "").trim();
+  if (by === "town" || !/^\d{5}(-\d{4})?$/.test(typed)) return typed;
+  return `${place.name}, ${BUSINESS.address.region} ${place.zip}`;
+}
@@ -0,0 +1,16 @@
+// src/lib/serviceWorker.js
+
+/**
+ * Register /sw.js (public/sw.js, with the precache list the build adds)
+ * once the page has loaded, so installing it doesn't compete with the
+ * first paint. Production builds only: in dev it would cache files Vite
+ * is still changing.
+ */
+export function registerServiceWorker() {
+  if (!import.meta.env.PROD || !("serviceWorker" in navigator)) return;
+  window.addEventListener("load", () => {
+    navigator.serviceWorker.register("/sw.js").catch(() => {
+      // no offline support this visit; the site works the same online
+    });
+  });
+}
@@ -0,0 +1,112 @@
+// src/lib/submit/adapters.js
+//
+// Submit adapters: one small interface in front of whatever receives our
+// form posts, so the UI never knows (or cares) which provider is wired up.
+//
+//   adapter = { name: string, submit(payload: object) => Promise<{ ok: true }> }
+//
+// submit() rejects with a SubmitError on failure. `fieldErrors` maps form
+// field names to messages when the provider tells us which field was wrong.
+// `code` ("network" | "invalid" | "failed") says what kind of failure it
+// was, so the UI can explain it in the visitor's language; `message` is
+// the provider's own (English) wording when it gave one.
+
+export class SubmitError extends Error {
+  constructor(message, { status = 0, code = "failed", fieldErrors = {}, cause } = {}) {
+    super(message);
+    this.name = "SubmitError";
+    this.status = status;
+    this.code = code;
+    this.fieldErrors = fieldErrors;
+    if (cause) this.cause = cause;
+  }
+}
+
+async function postJson(url, payload, headers = {}) {
+  let res;
+  try {
+    res = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", Accept: "application/json", ...headers },
+      body: JSON.stringify(payload),
+    });
+  } catch (err) {
+    throw new SubmitError("We couldn't reach the server. Check your connection and try again.", {
+      code: "network",
+      cause: err,
+    });
+  }
+  const body = await res.json().catch(() => null);
+  return { res, body };
+}
+
+/**
+ * Formspree (https://formspree.io) AJAX endpoint.
+ * Errors come back as { errors: [{ field?, message }] }.
+ */
+export function createFormspreeAdapter({ formId, endpoint } = {}) {
+  const url = endpoint || `https://formspree.io/f/${formId}`;
+  return {
+    name: "formspree",
+    async submit(payload) {
+      const { res, body } = await postJson(url, payload);
+      if (res.ok) return { ok: true };
+
+      const errors = Array.isArray(body?.errors) ? body.errors : [];
+      const fieldErrors = {};
+      errors.forEach((e) => {
+        if (e.field) fieldErrors[e.field] = e.message;
+      });
+      const code = Object.keys(fieldErrors).length ? "invalid" : "failed";
+      const message =
+        errors.find((e) => !e.field)?.message ||
+        (code === "invalid" ? "Please fix the highlighted fields." : "Something went wrong sending your message.");
+      throw new SubmitError(message, { status: res.status, code, fieldErrors });
+    },
+  };
+}
+
+/**
+ * Generic JSON webhook (Zapier, Make, a Netlify/Cloudflare function, ...).
+ * Any 2xx is success; a JSON body of { message, fieldErrors } is surfaced
+ * on failure if the endpoint provides one.
+ */
+export function createWebhookAdapter({ url, headers = {} } = {}) {
+  if (!url) throw new Error("createWebhookAdapter: `url` is required");
+  return {
+    name: "webhook",
+    async submit(payload) {
+      const { res, body } = await postJson(url, payload, headers);
+      if (res.ok) return { ok: true };
+      throw new SubmitError(body?.message || "Something went wrong sending your message.", {
+        status: res.status,
+        code: body?.fieldErrors ? "invalid" : "failed",
+        fieldErrors: body?.fieldErrors || {},
+      });
+    },
+  };
+}
+
+/**
+ * In-memory adapter for local development and tests. Nothing leaves the
+ * browser; submissions are kept on `adapter.sent` (newest last).
+ *
+ * Options:
+ *  - delay: ms before resolving (to see the loading state) default 600
+ *  - fail: boolean | (payload) => string|false  force an error
+ */
+export function createMockAdapter({ delay = 600, fail = false } = {}) {
+  const sent = [];
+  return {
+    name: "mock",
+    sent,
+    async submit(payload) {
+      await new Promise((r) => setTimeout(r, delay));
+      const reason = typeof fail === "function" ? fail(payload) : fail && "Mock adapter: forced failure.";
+      if (reason) throw new SubmitError(reason, { status: 500 });
+      sent.push({ ...payload, _receivedAt: new Date().toISOString() });
+      if (import.meta.env?.DEV) console.info("[submit:mock]", payload);
+      return { ok: true };
+    },
+  };
+}
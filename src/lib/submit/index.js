@@ -0,0 +1,53 @@
+// src/lib/submit/index.js
+//
+// The site's contact channel. Every form (contact, estimate, ...) sends
+// through submitContact() so switching providers is an env change:
+//
+//   VITE_SUBMIT_ADAPTER = "formspree" | "webhook" | "mock"
+//   VITE_FORMSPREE_ID   = Formspree form id (default: ours)
+//   VITE_WEBHOOK_URL    = target for the webhook adapter
+//
+// Dev servers default to the mock adapter so local testing doesn't land in
+// Aaron's inbox.
+import { createFormspreeAdapter, createMockAdapter, createWebhookAdapter } from "./adapters";
+
+export { SubmitError, createFormspreeAdapter, createMockAdapter, createWebhookAdapter } from "./adapters";
+
+const env = import.meta.env || {};
+
+function createDefaultAdapter() {
+  const kind = env.VITE_SUBMIT_ADAPTER || (env.DEV ? "mock" : "formspree");
+  switch (kind) {
+    case "mock":
+      return createMockAdapter();
+    case "webhook":
+      return createWebhookAdapter({ url: env.VITE_WEBHOOK_URL });
+    case "formspree":
+    default:
+      return createFormspreeAdapter({ formId: env.VITE_FORMSPREE_ID || "xanpbpal" });
+  }
+}
+
+let adapter = null;
+
+export function getSubmitAdapter() {
+  if (!adapter) adapter = createDefaultAdapter();
+  return adapter;
+}
+
+/** Swap the channel at runtime (tests, storybook-style previews). */
+export function setSubmitAdapter(next) {
+  adapter = next;
+}
+
+/**
+ * Send a form payload through the active adapter.
+ *
+ * Honeypot: if `_gotcha` is filled in we resolve as if it worked and send
+ * nothing — bots get a success screen, we get no spam.
+ */
+export async function submitContact(payload) {
+  if (payload?._gotcha) return { ok: true };
+  const { _gotcha: _ignored, ...clean } = payload || {};
+  return getSubmitAdapter().submit(clean);
+}
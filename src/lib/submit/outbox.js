@@ -0,0 +1,182 @@
+// src/lib/submit/outbox.js
+//
+// Offline outbox. A form sent with no connection is kept in IndexedDB and
+// posted when the browser is back online (or the tab comes back into
+// view), so a visitor standing under a fallen tree with one bar of signal
+// doesn't lose what they typed.
+//
+// Only "network" failures are queued — a provider that answered with an
+// error already saw the message. A queued item that keeps failing for
+// other reasons is dropped after MAX_ATTEMPTS and reported as `failed`
+// so the page can point the visitor at the phone number instead.
+import { SubmitError } from "./adapters";
+import { submitContact } from "./index";
+import { track } from "../analytics";
+
+const DB_NAME = "cheatham";
+const STORE = "outbox";
+const MAX_ATTEMPTS = 5;
+const RETRY_MS = 60 * 1000;
+
+// --- IndexedDB, just enough of it
+
+let dbPromise = null;
+
+const supported = () => typeof indexedDB !== "undefined";
+
+function openDb() {
+  dbPromise ||= new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(STORE, { keyPath: "id", autoIncrement: true });
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  }).catch((err) => {
+    dbPromise = null; // private mode, quota, ...: try again next time
+    throw err;
+  });
+  return dbPromise;
+}
+
+async function withStore(mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const req = fn(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(req?.result);
+    tx.onerror = tx.onabort = () => reject(tx.error);
+  });
+}
+
+const allItems = () => withStore("readonly", (s) => s.getAll());
+const putItem = (item) => withStore("readwrite", (s) => s.put(item));
+const deleteItem = (id) => withStore("readwrite", (s) => s.delete(id));
+
+// --- state: { online, pending, sent, failed } for the page to show
+
+const SERVER_STATE = { online: true, pending: 0, sent: 0, failed: 0 };
+let state = SERVER_STATE;
+const listeners = new Set();
+
+function update(patch) {
+  state = { ...state, ...patch };
+  listeners.forEach((fn) => fn());
+}
+
+async function refreshPending() {
+  const items = await allItems().catch(() => []);
+  update({ pending: items.length });
+  return items;
+}
+
+export function subscribeOutbox(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+export const getOutbox = () => state;
+export const getServerOutbox = () => SERVER_STATE;
+
+/** Forget the "sent"/"failed" counts once the page has shown them. */
+export function clearOutboxNotices() {
+  update({ sent: 0, failed: 0 });
+}
+
+// --- sending
+
+/**
+ * submitContact(), but a network failure queues the payload and resolves
+ * { ok: true, queued: true } instead of rejecting. Anything else (and a
+ * browser without IndexedDB) rejects exactly as submitContact() does.
+ */
+export async function submitOrQueue(payload) {
+  try {
+    return await submitContact(payload);
+  } catch (err) {
+    if (!(err instanceof SubmitError) || err.code !== "network" || !supported()) throw err;
+    try {
+      await putItem({ payload, queuedAt: new Date().toISOString(), attempts: 0 });
+    } catch {
+      throw err;
+    }
+    await refreshPending();
+    return { ok: true, queued: true };
+  }
+}
+
+let flushing = null;
+
+async function flush() {
+  let sent = 0;
+  let failed = 0;
+  for (const item of await refreshPending()) {
+    const form = item.payload?.formType || "contact";
+    try {
+      await submitContact({ ...item.payload, queuedAt: item.queuedAt });
+      await deleteItem(item.id);
+      track("form_submit", { form, outcome: "success", queued: true });
+      sent += 1;
+    } catch (err) {
+      if (err?.code === "network") break; // still offline: keep the rest in order
+      const attempts = item.attempts + 1;
+      if (attempts < MAX_ATTEMPTS) {
+        await putItem({ ...item, attempts });
+        continue;
+      }
+      await deleteItem(item.id);
+      track("form_submit", { form, outcome: "error", queued: true, status: err?.status || 0 });
+      failed += 1;
+    }
+  }
+  await refreshPending();
+  if (sent || failed) update({ sent: state.sent + sent, failed: state.failed + failed });
+}
+
+/**
+ * Try to send everything in the outbox, oldest first. Safe to call any
+ * time; concurrent calls share one run, and other open tabs wait their
+ * turn (Web Locks) so nothing goes out twice.
+ */
+export function flushOutbox() {
+  if (!supported()) return Promise.resolve();
+  flushing ||= (navigator.locks ? navigator.locks.request("cheatham-outbox", flush) : flush())
+    .catch(() => {})
+    .finally(() => {
+      flushing = null;
+    });
+  return flushing;
+}
+
+/**
+ * Keep `online` current and flush when the connection returns, when the
+ * tab is shown again, and every minute while something is waiting
+ * (navigator.onLine is optimistic on captive and weak networks).
+ * Returns a cleanup function.
+ */
+export function watchOutbox() {
+  if (typeof window === "undefined") return () => {};
+  const onOnline = () => {
+    update({ online: true });
+    flushOutbox();
+  };
+  const onOffline = () => update({ online: false });
+  const onVisible = () => {
+    if (document.visibilityState === "visible" && navigator.onLine) flushOutbox();
+  };
+  const timer = setInterval(() => {
+    if (state.pending && navigator.onLine) flushOutbox();
+  }, RETRY_MS);
+
+  window.addEventListener("online", onOnline);
+  window.addEventListener("offline", onOffline);
+  document.addEventListener("visibilitychange", onVisible);
+  update({ online: navigator.onLine });
+  if (navigator.onLine) flushOutbox();
+  else refreshPending();
+
+  return () => {
+    clearInterval(timer);
+    window.removeEventListener("online", onOnline);
+    window.removeEventListener("offline", onOffline);
+    document.removeEventListener("visibilitychange", onVisible);
+  };
+}
@@ -0,0 +1,11 @@
+// src/lib/submit/useOutbox.js
+import { useSyncExternalStore } from "react";
+import { getOutbox, getServerOutbox, subscribeOutbox } from "./outbox";
+
+/**
+ * { online, pending, sent, failed } for the offline outbox. Prerendered
+ * HTML always sees "online, nothing queued".
+ */
+export function useOutbox() {
+  return useSyncExternalStore(subscribeOutbox, getOutbox, getServerOutbox);
+}
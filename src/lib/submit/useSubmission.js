@@ -0,0 +1,70 @@
+// src/lib/submit/useSubmission.js
+import { useCallback, useRef, useState } from "react";
+import { submitContact } from "./index";
+import { track } from "../analytics";
+import { useI18n } from "../../i18n/I18nContext";
+import { DEFAULT_LOCALE } from "../../i18n/locales";
+
+/**
+ * Status machine for a form that posts through the contact channel.
+ *
+ *   status: "idle" | "submitting" | "success" | "queued" | "error"
+ *
+ * Returns { status, error, fieldErrors, submit(payload), reset() }.
+ * submit() resolves to true/false and never throws. Outcomes are tracked
+ * as "form_submit" events by form type (never the field values).
+ *
+ * Every payload goes out with the page's `locale` so replies can be in
+ * the visitor's language. `error` is the provider's wording on English
+ * pages and the catalog's message for the failure code otherwise.
+ *
+ * `send` may resolve { queued: true } (see submitOrQueue in ./outbox):
+ * the message is saved on the device and will go out later, so the form
+ * shows "queued" rather than "success".
+ */
+export function useSubmission(send = submitContact) {
+  const { locale, t } = useI18n();
+  const [status, setStatus] = useState("idle");
+  const [failure, setFailure] = useState(null);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const inFlight = useRef(false);
+
+  const submit = useCallback(
+    async (payload) => {
+      if (inFlight.current) return false; // ignore double-clicks
+      inFlight.current = true;
+      setStatus("submitting");
+      setFailure(null);
+      setFieldErrors({});
+      try {
+        const result = await send({ ...payload, locale });
+        const outcome = result?.queued ? "queued" : "success";
+        if (!payload?._gotcha) track("form_submit", { form: payload?.formType || "contact", outcome });
+        setStatus(outcome);
+        return true;
+      } catch (err) {
+        track("form_submit", { form: payload?.formType || "contact", outcome: "error", status: err?.status || 0 });
+        setFailure({ code: err?.code || "failed", message: err?.message || "" });
+        setFieldErrors(err?.fieldErrors || {});
+        setStatus("error");
+        return false;
+      } finally {
+        inFlight.current = false;
+      }
+    },
+    [send, locale]
+  );
+
+  const reset = useCallback(() => {
+    setStatus("idle");
+    setFailure(null);
+    setFieldErrors({});
+  }, []);
+
+  let error = null;
+  if (failure) {
+    error = locale === DEFAULT_LOCALE && failure.message ? failure.message : t(`submit.errors.${failure.code}`);
+  }
+
+  return { status, error, fieldErrors, submit, reset };
+}
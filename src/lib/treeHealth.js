@@ -0,0 +1,78 @@
+// src/lib/treeHealth.js
+//
+// Tree health self-assessment. The questions, points, risk levels and
+// override rules all come from src/content/treeHealth.json; this file only
+// knows how to combine them:
+//
+//   score = sum of the answers' points × each "what could it hit" multiplier
+//   → the highest level whose `min` the score reaches
+//   → raised to a rule's `atLeast` when all of its answers match
+//     (rules only ever raise the level)
+//
+// The recommended service is the first matching rule at the final level
+// that names one, otherwise the level's own. Labels come out in the
+// language of the translator passed in (English by default, which is what
+// the inbox gets).
+import { TREE_HEALTH, localizedContent } from "../content";
+import { translator } from "../i18n/translate";
+
+/** Has every question got an answer that still exists? */
+export function isComplete(answers, health = TREE_HEALTH) {
+  return health.questions.every((q) => q.options.some((o) => o.id === answers?.[q.id]));
+}
+
+/** How many questions are still unanswered. */
+export function unanswered(answers, health = TREE_HEALTH) {
+  return health.questions.filter((q) => !q.options.some((o) => o.id === answers?.[q.id])).length;
+}
+
+/**
+ * Assess `answers` ({ questionId: optionId }). Returns { level, label,
+ * summary, urgent, score, service, serviceTitle, notes, lines, answers,
+ * version, effective } or null until every question is answered. `notes`
+ * explain the rules that matched; `lines` are { question, answer } pairs.
+ * The rules default to the file translated for `t`'s language.
+ */
+export function assessTree(answers, t = translator(), health = localizedContent(t.locale).TREE_HEALTH) {
+  if (!isComplete(answers, health)) return null;
+  let points = 0;
+  let multiply = 1;
+  const lines = health.questions.map((q) => {
+    const opt = q.options.find((o) => o.id === answers[q.id]);
+    points += opt.points ?? 0;
+    multiply *= opt.multiply ?? 1;
+    return { question: q.label, answer: opt.label };
+  });
+  const score = Math.round(points * multiply * 10) / 10;
+
+  const rank = (id) => health.levels.findIndex((l) => l.id === id);
+  const matched = health.rules.filter((r) => Object.entries(r.if).every(([q, ids]) => ids.includes(answers[q])));
+  const reached = health.levels.reduce((best, l, i) => (score >= l.min ? i : best), 0);
+  const level = health.levels[Math.max(reached, ...matched.map((r) => rank(r.atLeast)))];
+  const service = matched.find((r) => r.service && r.atLeast === level.id)?.service || level.service;
+
+  return {
+    level: level.id,
+    label: level.label,
+    summary: level.summary,
+    urgent: Boolean(level.urgent),
+    score,
+    service,
+    serviceTitle: localizedContent(t.locale).getService(service)?.title || service,
+    notes: matched.map((r) => r.note),
+    lines,
+    answers,
+    version: health.version,
+    effective: health.effective,
+  };
+}
+
+/** Multi-line plain text for the inbox: level, why, every answer, rules version. */
+export function describeAssessment(result, t = translator()) {
+  return [
+    t("treeHealth.summaryLine", { level: result.label, score: result.score, service: result.serviceTitle }),
+    ...result.notes.map((n) => `  ! ${n}`),
+    ...result.lines.map((l) => `  • ${l.question} ${l.answer}`),
+    `  ${t("treeHealth.table", { version: result.version, date: result.effective })}`,
+  ].join("\n");
+}
@@ -0,0 +1,71 @@
+// src/lib/useDocumentMeta.js
+import { useEffect } from "react";
+import { headData } from "./seo";
+
+function setMeta(attr, key, content) {
+  let tag = document.head.querySelector(`meta[${attr}="${key}"]`);
+  if (!tag) {
+    tag = document.createElement("meta");
+    tag.setAttribute(attr, key);
+    document.head.appendChild(tag);
+  }
+  tag.setAttribute("content", content);
+}
+
+/** The one <link rel="canonical">, created on first use. */
+function canonicalLink() {
+  let link = document.head.querySelector('link[rel="canonical"]');
+  if (!link) {
+    link = document.createElement("link");
+    link.setAttribute("rel", "canonical");
+    document.head.appendChild(link);
+  }
+  return link;
+}
+
+/**
+ * Keeps the <head> in step with client-side navigation: title, meta
+ * description, social tags, canonical / robots and the JSON-LD blocks.
+ * The prerendered HTML already has them (see headTags in ./seo); this
+ * applies the same headData afterwards, so leaving a noindex page drops
+ * its robots tag and each page carries only its own structured data.
+ * Titles get the business name appended ("Stump Grinding | Cheatham
+ * Arboriculture") unless `title` is empty, which means "just the name".
+ */
+export function useDocumentMeta(meta = {}, path = "/") {
+  // The route table builds a new meta object every render; compare contents
+  const serialized = JSON.stringify(headData(path, meta));
+
+  useEffect(() => {
+    const head = JSON.parse(serialized);
+    document.title = head.title;
+    setMeta("property", "og:title", head.title);
+    setMeta("name", "twitter:title", head.title);
+    if (head.description) {
+      setMeta("name", "description", head.description);
+      setMeta("property", "og:description", head.description);
+      setMeta("name", "twitter:description", head.description);
+    }
+    setMeta("property", "og:type", head.type);
+    setMeta("property", "og:url", head.url);
+    setMeta("property", "og:image", head.image);
+    setMeta("property", "og:image:alt", head.imageAlt);
+    setMeta("name", "twitter:image", head.image);
+
+    if (head.noindex) {
+      setMeta("name", "robots", "noindex");
+      document.head.querySelector('link[rel="canonical"]')?.remove();
+    } else {
+      document.head.querySelector('meta[name="robots"]')?.remove();
+      canonicalLink().setAttribute("href", head.url);
+    }
+
+    document.head.querySelectorAll('script[type="application/ld+json"]').forEach((el) => el.remove());
+    head.jsonLd.forEach((data) => {
+      const script = document.createElement("script");
+      script.type = "application/ld+json";
+      script.textContent = JSON.stringify(data);
+      document.head.appendChild(script);
+    });
+  }, [serialized]);
+}
@@ -0,0 +1,80 @@
+// src/lib/useFocusTrap.js
+import { useEffect, useRef } from "react";
+
+const FOCUSABLE = [
+  "a[href]",
+  "button:not([disabled])",
+  "input:not([disabled]):not([type='hidden'])",
+  "select:not([disabled])",
+  "textarea:not([disabled])",
+  "[tabindex]:not([tabindex='-1'])",
+].join(",");
+
+function focusables(root) {
+  return Array.from(root.querySelectorAll(FOCUSABLE)).filter(
+    (el) => el.offsetParent !== null || el === document.activeElement
+  );
+}
+
+/**
+ * Keep Tab / Shift+Tab inside `ref` while `active`, call `onEscape` on
+ * Escape, and hand focus back to whatever had it before on deactivate.
+ *
+ * Focus starts on `initialFocusRef` if given, else the first focusable
+ * element, else the container itself (give it tabIndex={-1}).
+ */
+export function useFocusTrap(ref, active, { onEscape, initialFocusRef } = {}) {
+  // Latest callback without re-running the effect on every render
+  const onEscapeRef = useRef(onEscape);
+  useEffect(() => {
+    onEscapeRef.current = onEscape;
+  }, [onEscape]);
+
+  useEffect(() => {
+    const root = ref.current;
+    if (!active || !root) return;
+
+    const previouslyFocused = document.activeElement;
+    const first = initialFocusRef?.current || focusables(root)[0] || root;
+    first.focus({ preventScroll: true });
+
+    const onKeyDown = (e) => {
+      if (e.key === "Escape" && onEscapeRef.current) {
+        e.stopPropagation();
+        onEscapeRef.current(e);
+        return;
+      }
+      if (e.key !== "Tab") return;
+      const items = focusables(root);
+      if (!items.length) {
+        e.preventDefault();
+        root.focus();
+        return;
+      }
+      const firstEl = items[0];
+      const lastEl = items[items.length - 1];
+      if (e.shiftKey && (document.activeElement === firstEl || !root.contains(document.activeElement))) {
+        e.preventDefault();
+        lastEl.focus();
+      } else if (!e.shiftKey && document.activeElement === lastEl) {
+        e.preventDefault();
+        firstEl.focus();
+      }
+    };
+
+    // Pull focus back if something outside grabs it (e.g. a click through)
+    const onFocusIn = (e) => {
+      if (!root.contains(e.target)) (focusables(root)[0] || root).focus({ preventScroll: true });
+    };
+
+    document.addEventListener("keydown", onKeyDown, true);
+    document.addEventListener("focusin", onFocusIn);
+    return () => {
+      document.removeEventListener("keydown", onKeyDown, true);
+      document.removeEventListener("focusin", onFocusIn);
+      if (previouslyFocused && typeof previouslyFocused.focus === "function") {
+        previouslyFocused.focus({ preventScroll: true });
+      }
+    };
+  }, [ref, active, initialFocusRef]);
+}
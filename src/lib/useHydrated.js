@@ -0,0 +1,18 @@
+// src/lib/useHydrated.js
+import { useSyncExternalStore } from "react";
+
+const subscribe = () => () => {};
+
+/**
+ * false while React is hydrating prerendered HTML, true afterwards (and
+ * straight away in a plain client render). Anything read from the browser
+ * — localStorage, matchMedia, the URL hash — has to wait for true, or the
+ * first client render won't match the static markup it's adopting.
+ */
+export function useHydrated() {
+  return useSyncExternalStore(
+    subscribe,
+    () => true,
+    () => false
+  );
+}
@@ -0,0 +1,37 @@
+// src/lib/usePersistentState.js
+import { useCallback, useEffect, useRef, useState } from "react";
+import { useHydrated } from "./useHydrated";
+
+function read(key, fallback) {
+  try {
+    const raw = window.localStorage.getItem(key);
+    return raw == null ? fallback : JSON.parse(raw);
+  } catch {
+    return fallback; // storage disabled or bad JSON
+  }
+}
+
+/**
+ * useState that survives reloads via localStorage (JSON-encoded).
+ * Returns [value, setValue, reset]; reset() puts back the initial value
+ * (which is then what gets stored). While hydrating prerendered HTML the
+ * initial value is returned, so the markup matches; the stored one
+ * follows a render later.
+ */
+export function usePersistentState(key, initial) {
+  const initialRef = useRef(initial);
+  const [value, setValue] = useState(() => read(key, initial));
+  const hydrated = useHydrated();
+
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(key, JSON.stringify(value));
+    } catch {
+      // quota/private mode: keep working in memory
+    }
+  }, [key, value]);
+
+  const reset = useCallback(() => setValue(initialRef.current), []);
+
+  return [hydrated ? value : initialRef.current, setValue, reset];
+}
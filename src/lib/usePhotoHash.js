@@ -0,0 +1,83 @@
+// src/lib/usePhotoHash.js
+import { useCallback, useEffect, useRef, useState } from "react";
+import { useHydrated } from "./useHydrated";
+
+/** Default deep-link id for the i-th photo when items don't carry one. */
+export const photoIdAt = (i) => `photo-${i + 1}`; // 1-based for humans
+
+/** The photo id in the URL for this gallery, or null. */
+export function readPhotoHash(galleryId) {
+  if (typeof window === "undefined") return null;
+  const prefix = `#${galleryId}/`;
+  const { hash } = window.location;
+  return hash.startsWith(prefix) ? decodeURIComponent(hash.slice(prefix.length)) : null;
+}
+
+function parse(galleryId, ids) {
+  const id = readPhotoHash(galleryId);
+  const i = id == null ? -1 : ids.indexOf(id);
+  return i === -1 ? null : i;
+}
+
+const hashFor = (galleryId, id) => `#${galleryId}/${encodeURIComponent(id)}`;
+
+/**
+ * Mirror an open photo into the URL as `#<galleryId>/<photoId>` (e.g.
+ * `#gallery/photo-3`) so a specific job photo can be shared as a link.
+ * Ids stay put when the visible list is filtered, so links keep working.
+ *
+ * Opening pushes a history entry (Back closes the viewer); stepping
+ * between photos replaces it so Back doesn't walk through every photo.
+ *
+ * Returns { index, open(i), show(i), close() } — index is null when closed.
+ */
+export function usePhotoHash(galleryId, ids) {
+  const key = ids.join("|"); // content-stable dependency for the effect
+  const [index, setIndex] = useState(() => parse(galleryId, ids));
+  const hydrated = useHydrated(); // prerendered HTML never has a viewer open
+  const idsRef = useRef(ids);
+  useEffect(() => {
+    idsRef.current = ids;
+  });
+
+  useEffect(() => {
+    const list = key ? key.split("|") : [];
+    const sync = () => setIndex(parse(galleryId, list));
+    sync(); // the list may have changed under an open deep link
+    window.addEventListener("popstate", sync);
+    window.addEventListener("hashchange", sync);
+    return () => {
+      window.removeEventListener("popstate", sync);
+      window.removeEventListener("hashchange", sync);
+    };
+  }, [galleryId, key]);
+
+  const open = useCallback(
+    (i) => {
+      window.history.pushState({ ...window.history.state, lightbox: galleryId }, "", hashFor(galleryId, idsRef.current[i]));
+      setIndex(i);
+    },
+    [galleryId]
+  );
+
+  const show = useCallback(
+    (i) => {
+      window.history.replaceState(window.history.state, "", hashFor(galleryId, idsRef.current[i]));
+      setIndex(i);
+    },
+    [galleryId]
+  );
+
+  const close = useCallback(() => {
+    if (window.history.state?.lightbox === galleryId) {
+      window.history.back(); // popstate → sync → null
+    } else {
+      // Arrived via a shared link: drop the hash without adding history
+      const { pathname, search } = window.location;
+      window.history.replaceState({ ...window.history.state, lightbox: undefined }, "", pathname + search);
+      setIndex(null);
+    }
+  }, [galleryId]);
+
+  return { index: hydrated ? index : null, open, show, close };
+}
@@ -0,0 +1,30 @@
+// src/lib/useScrollLock.js
+import { useEffect } from "react";
+
+let locks = 0;
+let saved = null;
+
+/**
+ * Lock page scroll while `active`. Ref-counted, so nested overlays
+ * (drawer → lightbox) don't unlock the page early. Pads the body by the
+ * scrollbar width so the layout doesn't shift when the bar disappears.
+ */
+export function useScrollLock(active) {
+  useEffect(() => {
+    if (!active) return;
+    if (locks++ === 0) {
+      const { body, documentElement } = document;
+      const scrollbar = window.innerWidth - documentElement.clientWidth;
+      saved = { overflow: body.style.overflow, paddingRight: body.style.paddingRight };
+      body.style.overflow = "hidden";
+      if (scrollbar > 0) body.style.paddingRight = `${scrollbar}px`;
+    }
+    return () => {
+      if (--locks === 0 && saved) {
+        document.body.style.overflow = saved.overflow;
+        document.body.style.paddingRight = saved.paddingRight;
+        saved = null;
+      }
+    };
+  }, [active]);
+}
@@ -0,0 +1,53 @@
+// src/lib/validation.js
+//
+// Tiny field validators. Each takes a value (and a translator, English
+// by default) and returns an error message or "" when the value is fine,
+// so they compose with `firstError`. Labels are keys under `fields.` in
+// the message catalogs.
+import { translator } from "../i18n/translate";
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+const PHONE_RE = /^\+?1?[\s.-]?\(?\d{3}\)?[\s.-]?\d{3}[\s.-]?\d{4}$/;
+
+const fieldName = (t, field) => t(`fields.${field}`);
+
+export const required = (field) => (v, t = translator()) =>
+  String(v ?? "").trim() ? "" : t("validation.required", { field: fieldName(t, field) });
+
+export const email = () => (v, t = translator()) =>
+  !String(v ?? "").trim() || EMAIL_RE.test(String(v).trim()) ? "" : t("validation.email");
+
+/** US numbers, loosely formatted: "615 555 0123", "(615) 555-0123", "+1 615…" */
+export const phone = () => (v, t = translator()) =>
+  !String(v ?? "").trim() || PHONE_RE.test(String(v).trim()) ? "" : t("validation.phone");
+
+export const minLength = (n, field) => (v, t = translator()) =>
+  !String(v ?? "").trim() || String(v).trim().length >= n
+    ? ""
+    : t("validation.minLength", { field: fieldName(t, field), n });
+
+export const maxLength = (n, field) => (v, t = translator()) =>
+  String(v ?? "").length <= n ? "" : t("validation.maxLength", { field: fieldName(t, field), n });
+
+export function firstError(value, rules = [], t = translator()) {
+  for (const rule of rules) {
+    const msg = rule(value, t);
+    if (msg) return msg;
+  }
+  return "";
+}
+
+/**
+ * validate({ email: "x" }, { email: [required("email"), email()] })
+ *   → { email: "Enter a valid email address." }
+ * Only failing fields appear in the result. Pass the page's `t` to get
+ * the messages in the visitor's language.
+ */
+export function validate(values, schema, t = translator()) {
+  const errors = {};
+  Object.entries(schema).forEach(([field, rules]) => {
+    const msg = firstError(values[field], rules, t);
+    if (msg) errors[field] = msg;
+  });
+  return errors;
+}
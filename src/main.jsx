@@ -1,10 +1,34 @@
 import { StrictMode } from 'react'
-import { createRoot } from 'react-dom/client'
+import { createRoot, hydrateRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import ThemeProvider from './theme/ThemeProvider.jsx'
+import I18nProvider from './i18n/I18nProvider.jsx'
+import RouterProvider from './router/RouterProvider.jsx'
+import EmergencyProvider from './emergency/EmergencyProvider.jsx'
+import MotionProvider from './motion/MotionProvider.jsx'
+import { registerServiceWorker } from './lib/serviceWorker.js'
 
-createRoot(document.getElementById('root')).render(
+const root = document.getElementById('root')
+const app = (
   <StrictMode>
-    <App />
-  </StrictMode>,
+    <ThemeProvider>
+      <I18nProvider>
+        <MotionProvider>
+          <RouterProvider>
+            <EmergencyProvider>
+              <App />
+            </EmergencyProvider>
+          </RouterProvider>
+        </MotionProvider>
+      </I18nProvider>
+    </ThemeProvider>
+  </StrictMode>
 )
+
+// Built pages arrive prerendered (plugins/prerender.js); the dev server
+// serves an empty #root
+if (root.firstElementChild) hydrateRoot(root, app)
+else createRoot(root).render(app)
+
+registerServiceWorker()
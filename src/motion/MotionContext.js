@@ -0,0 +1,27 @@
+// src/motion/MotionContext.js
+import { createContext, useContext } from "react";
+
+export const MOTION_STORAGE_KEY = "cheatham.reduceMotion";
+
+/**
+ * Shape: { reduced, system, preference, setPreference }
+ *  - reduced: should anything animate? true if the OS asks for reduced
+ *    motion or the visitor switched it off here
+ *  - system: the OS setting (prefers-reduced-motion)
+ *  - preference: the visitor's own "reduce motion" switch (boolean)
+ */
+export const MotionContext = createContext({
+  reduced: false,
+  system: false,
+  preference: false,
+  setPreference: () => {},
+});
+
+export function useMotion() {
+  return useContext(MotionContext);
+}
+
+/** Shorthand for the common question. */
+export function useReducedMotion() {
+  return useContext(MotionContext).reduced;
+}
@@ -0,0 +1,66 @@
+// src/motion/MotionProvider.jsx
+import React, { useEffect, useMemo, useState } from "react";
+import { MOTION_STORAGE_KEY, MotionContext } from "./MotionContext";
+import { useHydrated } from "../lib/useHydrated";
+
+const REDUCE_QUERY = "(prefers-reduced-motion: reduce)";
+
+function readPreference() {
+  try {
+    return window.localStorage.getItem(MOTION_STORAGE_KEY) === "1";
+  } catch {
+    return false; // storage disabled
+  }
+}
+
+function systemReducesNow() {
+  return typeof window !== "undefined" && !!window.matchMedia?.(REDUCE_QUERY).matches;
+}
+
+/**
+ * Whether the site should animate. Follows prefers-reduced-motion, plus a
+ * "reduce motion" switch of our own for visitors who haven't found (or
+ * can't reach) the OS setting; that choice is kept in localStorage.
+ * Prerendered pages assume motion is fine until hydrated. While reduced,
+ * <html data-motion="reduce"> lets CSS stop transitions and animations.
+ */
+export default function MotionProvider({ children }) {
+  const [preference, setPreferenceState] = useState(readPreference);
+  const [system, setSystem] = useState(systemReducesNow);
+  const hydrated = useHydrated();
+
+  useEffect(() => {
+    const mq = window.matchMedia?.(REDUCE_QUERY);
+    if (!mq) return;
+    const onChange = (e) => setSystem(e.matches);
+    mq.addEventListener("change", onChange);
+    return () => mq.removeEventListener("change", onChange);
+  }, []);
+
+  const reduced = hydrated && (system || preference);
+
+  useEffect(() => {
+    if (reduced) document.documentElement.dataset.motion = "reduce";
+    else delete document.documentElement.dataset.motion;
+  }, [reduced]);
+
+  const value = useMemo(() => {
+    const setPreference = (next) => {
+      setPreferenceState(!!next);
+      try {
+        if (next) window.localStorage.setItem(MOTION_STORAGE_KEY, "1");
+        else window.localStorage.removeItem(MOTION_STORAGE_KEY);
+      } catch {
+        // ignore: choice just won't persist
+      }
+    };
+    return {
+      reduced,
+      system: hydrated && system,
+      preference: hydrated && preference,
+      setPreference,
+    };
+  }, [hydrated, reduced, system, preference]);
+
+  return <MotionContext.Provider value={value}>{children}</MotionContext.Provider>;
+}
@@ -0,0 +1,125 @@
+// src/pages/ArticlePage.jsx
+import NotFoundPage from "./NotFoundPage";
+import ArticleCard from "../components/ArticleCard";
+import AutoScrollGallery from "../components/AutoScrollGallery";
+import ResponsiveImage from "../components/ResponsiveImage";
+import { useTheme } from "../theme/ThemeContext";
+import { useI18n } from "../i18n/I18nContext";
+import { useContent } from "../i18n/useContent";
+import { hexWithAlpha } from "../lib/color";
+import { embedPhotos, formatArticleDate, getArticle, relatedArticles, tagLabel } from "../lib/articles";
+
+/**
+ * /articles/:slug — one article: hero, date and reading time, the body
+ * (with any photo strips inline), its tags, the related service and a few
+ * related articles.
+ */
+export default function ArticlePage({ params }) {
+  const article = getArticle(params.slug);
+  if (!article) return <NotFoundPage />;
+  return <ArticleDetail key={article.slug} article={article} />;
+}
+
+function ArticleDetail({ article }) {
+  const { palette } = useTheme();
+  const { t, intl, locale } = useI18n();
+  const { GALLERY, getService } = useContent();
+  const service = article.service && getService(article.service);
+  const related = relatedArticles(article);
+
+  const card = { backgroundColor: palette.cardBg, border: `1px solid ${palette.border}` };
+
+  return (
+    <main id="main" className="pb-16">
+      <article className="max-w-4xl mx-auto px-4 pt-10 md:pt-14">
+        <nav aria-label={t("service.breadcrumb")} className="text-sm" style={{ color: palette.sectionLight }}>
+          <a href="/" className="underline">{t("service.home")}</a>
+          <span aria-hidden="true"> / </span>
+          <a href="/articles" className="underline">{t("articles.title")}</a>
+        </nav>
+
+        <div className="mt-4 overflow-hidden rounded-2xl shadow-[0_12px_40px_rgba(0,0,0,.08)]" style={{ ...card, backgroundColor: hexWithAlpha(palette.cardBg, 0.97) }}>
+          <ResponsiveImage
+            src={article.hero} alt={article.heroAlt} sizes="(min-width: 896px) 864px, 100vw" fetchPriority="high"
+            className="aspect-[2/1] w-full object-cover"
+          />
+          <div className="p-6 md:p-10">
+            <h1 className="text-3xl md:text-5xl font-semibold tracking-tight" style={{ color: palette.heading }}>
+              {article.title}
+            </h1>
+            <p className="mt-3 text-sm" style={{ color: palette.muted }}>
+              <time dateTime={article.date}>{formatArticleDate(article.date, intl)}</time>
+              {article.updated && (
+                <>
+                  {" • "}
+                  {t("articles.updated")} <time dateTime={article.updated}>{formatArticleDate(article.updated, intl)}</time>
+                </>
+              )}
+              {" • "}
+              {t("articles.minutes", { count: article.minutes })}
+            </p>
+            {locale !== "en" && <p className="mt-2 text-sm italic" style={{ color: palette.muted }}>{t("articles.englishOnly")}</p>}
+
+            <div
+              className="article-body mt-6"
+              style={{ color: palette.body, "--article-heading": palette.heading, "--article-accent": palette.accent, "--article-border": palette.border }}
+            >
+              {article.blocks.map((block, i) =>
+                block.type === "gallery" ? (
+                  // Full card width, out of the reading column
+                  <div key={i} className="article-embed -mx-6 md:-mx-10 my-8">
+                    <AutoScrollGallery
+                      images={embedPhotos(block, GALLERY)}
+                      galleryId={`${article.slug}-${i}`}
+                      borderColor={palette.border}
+                      itemWidthClasses="w-[160px] sm:w-[180px] md:w-[200px]"
+                      imageSizes="(min-width: 768px) 200px, (min-width: 640px) 180px, 160px"
+                    />
+                  </div>
+                ) : (
+                  // Our own Markdown, converted at build time
+                  <div key={i} dangerouslySetInnerHTML={{ __html: block.html }} />
+                )
+              )}
+            </div>
+
+            <div className="mt-8 flex flex-wrap items-center gap-2 text-sm">
+              <span style={{ color: palette.muted }}>{t("articles.tagged")}</span>
+              {article.tags.map((tag) => (
+                <a key={tag} href={`/articles#tag/${encodeURIComponent(tag)}`} className="px-3 py-1 rounded-full border"
+                  style={{ borderColor: palette.border, color: palette.body }}>
+                  {tagLabel(tag)}
+                </a>
+              ))}
+            </div>
+
+            {service && (
+              <div className="mt-8 rounded-xl p-5 flex flex-col md:flex-row md:items-center md:justify-between gap-3"
+                style={{ backgroundColor: hexWithAlpha(palette.accent, 0.08), border: `1px solid ${hexWithAlpha(palette.accent, 0.3)}` }}>
+                <p style={{ color: palette.body }}>{t("articles.serviceCta", { service: service.title })}</p>
+                <a href={`/services/${service.id}`} className="px-4 py-2 rounded-md text-white text-center" style={{ backgroundColor: palette.accent }}>
+                  {t("articles.serviceLink", { service: service.shortTitle })}
+                </a>
+              </div>
+            )}
+          </div>
+        </div>
+      </article>
+
+      {related.length > 0 && (
+        <section className="max-w-5xl mx-auto px-4 mt-12" aria-labelledby="related-articles">
+          <h2 id="related-articles" className="text-2xl md:text-3xl font-semibold tracking-tight" style={{ color: palette.heading }}>
+            {t("articles.related")}
+          </h2>
+          <ul className="mt-4 grid gap-5 sm:grid-cols-2 lg:grid-cols-3">
+            {related.map((a) => (
+              <li key={a.slug}>
+                <ArticleCard article={a} imageSizes="(min-width: 1024px) 310px, (min-width: 640px) 50vw, 100vw" />
+              </li>
+            ))}
+          </ul>
+        </section>
+      )}
+    </main>
+  );
+}
@@ -0,0 +1,116 @@
+// src/pages/ArticlesPage.jsx
+import { useEffect, useMemo, useState } from "react";
+import ArticleCard from "../components/ArticleCard";
+import FormField from "../components/FormField";
+import { useTheme } from "../theme/ThemeContext";
+import { useI18n } from "../i18n/I18nContext";
+import { hexWithAlpha } from "../lib/color";
+import { ARTICLES, articleTags, searchArticles, tagLabel } from "../lib/articles";
+
+const TAG_PREFIX = "#tag/";
+
+const readTag = () =>
+  typeof window !== "undefined" && window.location.hash.startsWith(TAG_PREFIX)
+    ? decodeURIComponent(window.location.hash.slice(TAG_PREFIX.length))
+    : null;
+
+/**
+ * /articles — every tree care article, with tag chips and a search box.
+ * The chosen tag is mirrored into the URL as `#tag/<tag>` so tag links on
+ * article pages land here filtered; the search stays on the page.
+ */
+export default function ArticlesPage() {
+  const { palette } = useTheme();
+  const { t } = useI18n();
+  const [query, setQuery] = useState("");
+  // Prerendered HTML shows everything; a #tag/ link filters once hydrated
+  const [tag, setTag] = useState(null);
+  const tags = useMemo(() => articleTags(), []);
+
+  useEffect(() => {
+    const sync = () => setTag(readTag());
+    sync();
+    window.addEventListener("hashchange", sync);
+    window.addEventListener("popstate", sync);
+    return () => {
+      window.removeEventListener("hashchange", sync);
+      window.removeEventListener("popstate", sync);
+    };
+  }, []);
+
+  const chooseTag = (next) => {
+    const { pathname, search } = window.location;
+    window.history.replaceState(window.history.state, "", next ? `${TAG_PREFIX}${encodeURIComponent(next)}` : pathname + search);
+    setTag(next);
+  };
+
+  const visible = useMemo(
+    () => searchArticles(query, tag ? ARTICLES.filter((a) => a.tags.includes(tag)) : ARTICLES),
+    [query, tag]
+  );
+
+  const chip = (active) => ({
+    className: "px-3 py-1.5 rounded-full text-sm border transition-colors",
+    style: active
+      ? { backgroundColor: palette.accent, borderColor: palette.accent, color: "#FFFFFF" }
+      : { backgroundColor: hexWithAlpha(palette.cardBg), borderColor: palette.border, color: palette.body },
+  });
+
+  return (
+    <main id="main" className="max-w-6xl mx-auto px-4 pt-10 md:pt-14 pb-16">
+      <div className="rounded-2xl p-6 md:p-10" style={{ backgroundColor: hexWithAlpha(palette.cardBg, 0.95), border: `1px solid ${palette.border}` }}>
+        <h1 className="text-3xl md:text-5xl font-semibold tracking-tight" style={{ color: palette.heading }}>
+          {t("articles.title")}
+        </h1>
+        <p className="mt-2 text-lg max-w-3xl" style={{ color: palette.muted }}>{t("articles.intro")}</p>
+        <p className="mt-2 text-sm" style={{ color: palette.muted }}>
+          {t("articles.subscribe")}{" "}
+          <a href="/rss.xml" data-router="off" className="underline" style={{ color: palette.body }}>RSS</a>
+          {" • "}
+          <a href="/atom.xml" data-router="off" className="underline" style={{ color: palette.body }}>Atom</a>
+        </p>
+
+        <FormField
+          name="q" type="search" idPrefix="articles" label={t("articles.search")} placeholder={t("articles.searchPlaceholder")}
+          className="mt-6 max-w-xl" value={query} onChange={(e) => setQuery(e.target.value)}
+        />
+
+        {tags.length > 0 && (
+          <div role="group" aria-label={t("articles.filter")} className="mt-4 flex flex-wrap gap-2">
+            <button type="button" aria-pressed={!tag} onClick={() => chooseTag(null)} {...chip(!tag)}>
+              {t("common.all")} <span className="opacity-70">({ARTICLES.length})</span>
+            </button>
+            {tags.map(({ tag: id, count }) => (
+              <button key={id} type="button" aria-pressed={tag === id} onClick={() => chooseTag(id)} {...chip(tag === id)}>
+                {tagLabel(id)} <span className="opacity-70">({count})</span>
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <p className="sr-only" aria-live="polite">
+        {t("articles.showing", { count: visible.length })}
+      </p>
+
+      {visible.length > 0 ? (
+        <ul className="mt-8 grid gap-5 sm:grid-cols-2 lg:grid-cols-3">
+          {visible.map((a) => (
+            <li key={a.slug}>
+              <ArticleCard article={a} headingLevel={2} imageSizes="(min-width: 1024px) 370px, (min-width: 640px) 50vw, 100vw" />
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <div className="mt-8 rounded-2xl p-6" style={{ backgroundColor: palette.cardBg, border: `1px solid ${palette.border}` }}>
+          <p style={{ color: palette.body }}>{ARTICLES.length ? t("articles.noMatches") : t("articles.none")}</p>
+          {(query || tag) && (
+            <button type="button" onClick={() => { setQuery(""); chooseTag(null); }} className="mt-2 underline" style={{ color: palette.muted }}>
+              {t("articles.clear")}
+            </button>
+          )}
+        </div>
+      )}
+    </main>
+  );
+}
@@ -0,0 +1,367 @@
+// src/pages/HomePage.jsx
+import { useMemo, useState } from "react";
+import ProjectGallery from "../components/ProjectGallery";
+import LogoMark from "../components/LogoMark";
+import HeroMedia from "../components/HeroMedia";
+import ContactForm from "../components/ContactForm";
+import EstimateWizard from "../components/EstimateWizard";
+import ServiceAreaChecker from "../components/ServiceAreaChecker";
+import PriceEstimator from "../components/PriceEstimator";
+import TreeHealthCheck from "../components/TreeHealthCheck";
+import BookingCalendar from "../components/BookingCalendar";
+import EmergencyRequestForm from "../components/EmergencyRequestForm";
+import Reviews from "../components/Reviews";
+import ArticleCard from "../components/ArticleCard";
+import { useTheme } from "../theme/ThemeContext";
+import { useEmergency } from "../emergency/EmergencyContext";
+import { useI18n } from "../i18n/I18nContext";
+import { useContent } from "../i18n/useContent";
+import { hexWithAlpha } from "../lib/color";
+import { usePersistentState } from "../lib/usePersistentState";
+import { ARTICLES } from "../lib/articles";
+import {
+  REVIEWS,
+  formatAddress,
+  formatPhone,
+  instagramUrl,
+  mailtoHref,
+  telHref,
+} from "../content";
+
+// Hero video sources, WebM first, e.g.
+//   { src: "/video/heroVideo.webm", type: "video/webm", orientation: "landscape" }
+// Empty until the files are in public/video, so the hero runs the photo
+// slideshow rather than requesting videos that aren't there.
+const HERO_VIDEO = [];
+const HERO_POSTER = "/images/header.jpg";
+
+/** The original one-page site: hero, services, process, gallery, estimate, contact. */
+export default function HomePage() {
+  const { palette } = useTheme();
+  const { t } = useI18n();
+  const { BUSINESS, SERVICES, PROCESS_STEPS, GALLERY, PRICING } = useContent();
+  const { active: emergency } = useEmergency();
+  // Where the service-area checker placed the visitor → contact form
+  const [contactLocation, setContactLocation] = useState("");
+  // A ballpark the visitor attached → sent with the estimate request
+  // (only while the price table is confirmed; a draft table isn't shown)
+  const [storedBallpark, setBallpark] = usePersistentState("cheatham.ballpark", null);
+  const ballpark = PRICING.confirmed ? storedBallpark : null;
+  // Same for a tree health self-assessment
+  const [treeHealth, setTreeHealth] = usePersistentState("cheatham.treeHealth", null);
+  // Slideshow fallback for the hero: the first few job photos
+  const heroSlides = useMemo(() => GALLERY.slice(0, 6).map((g) => g.src), [GALLERY]);
+
+  return (
+    <>
+      {/* Hero */}
+      <section id="top" className="relative">
+        <div className="relative h-[60svh] md:h-[70vh] xl:h-[75vh] 2xl:[80vh] overflow-hidden">
+          <HeroMedia poster={HERO_POSTER} alt={t("home.heroImage")} video={HERO_VIDEO} slides={heroSlides} />
+
+          {/* Soft overlay to harmonize with theme */}
+          <div
+            className="absolute inset-0"
+            style={{
+              background: `linear-gradient(180deg, ${hexWithAlpha(palette.sectionBrown, 0.3)}, ${hexWithAlpha(palette.heading, 0.25)})`
+            }}
+          />
+
+              {/* Animated, scroll-drifting logo layer */}
+            
+            <LogoMark
+              src="/images/cheatham-logo.svg"   // logo here
+              corner="center"                 // "tl" | "tr" | "bl" | "br" | "center"
+              imgClassName="!w-[150vw] sm:!w-[150vw] md:!w-[160vw] lg:!w-[54vw] xl:!w-[52vw] 2xl:!w-[60vw] max-w-[2200px] h-auto
+              drop-shadow-[0_6px_28px_rgba(0,0,0,0.25)] drop-shadow-[0_0_8px_rgba(0,0,0,0.95)]"        // tweak: 96–160
+              offsetY={-6}
+              parallax={0.12}                  // lower = subtler drift              
+              popDuration={1500}
+              scrim = {false}
+              
+              //scrimColor={hexWithAlpha(palette.sectionLight, 0.82)}
+              //scrimRing={hexWithAlpha(palette.border, 0.9)}
+            />
+
+        </div>
+        <div className="max-w-7xl mx-auto px-4 -mt-28 md:-mt-36 relative pb-10">
+          <div
+            className="rounded-2xl shadow-[0_12px_40px_rgba(0,0,0,.08)] p-6 md:p-10"
+            style={{ backgroundColor: hexWithAlpha(palette.cardBg, 0.95), border: `1px solid ${palette.border}` }}
+          >
+            <h1 className="text-3xl md:text-5xl font-semibold tracking-tight" style={{ color: palette.heading }}>
+              {t("home.heroTitle")}
+            </h1>
+            <p className="mt-3 max-w-3xl leading-relaxed" style={{ color: palette.muted }}>
+              {t("home.heroIntro")}
+              <br></br>
+              <br></br>{t("home.heroCrew")}
+            </p>
+            <div className="mt-6 flex flex-wrap gap-3">
+              {emergency && (
+                <a
+                  href="#emergency"
+                  className="px-5 py-3 rounded-xl shadow hover:shadow-md transition-shadow font-medium"
+                  style={{ backgroundColor: palette.danger, color: palette.sectionLight }}
+                >
+                  {t("emergency.cta")}
+                </a>
+              )}
+              <a
+                href={telHref}
+                className="px-5 py-3 rounded-xl border hover:opacity-90"
+                style={{ borderColor: palette.accent, color: palette.accent, backgroundColor: hexWithAlpha(palette.sectionLight, 0.8) }}
+              >
+                {t("common.callText")}
+              </a>
+              <a
+                href="#estimate"
+                className={`px-5 py-3 rounded-xl ${emergency ? "border hover:opacity-90" : "shadow hover:shadow-md transition-shadow"}`}
+                style={emergency
+                  ? { borderColor: palette.accent, color: palette.accent, backgroundColor: hexWithAlpha(palette.sectionLight, 0.8) }
+                  : { backgroundColor: palette.accent, color: "#FFFFFF" }}
+              >
+                {t("common.requestEstimate")}
+              </a>
+              <a
+                href="#contact"
+                className="px-5 py-3 rounded-xl border hover:opacity-90"
+                style={{ borderColor: palette.body, color: palette.body, backgroundColor: hexWithAlpha(palette.sectionLight, 0.8) }}
+              >
+                {t("common.contact")}
+              </a>
+            </div>
+          </div>
+        </div>
+      </section>
+
+      <main id="main">
+
+        {/* Storm emergency: priority request (only while the mode is on) */}
+        {emergency && (
+          <section id="emergency" className="scroll-mt-28 py-10">
+            <div className="max-w-3xl mx-auto px-4">
+              <h2 className="text-3xl md:text-4xl font-semibold tracking-tight" style={{ color: palette.heading }}>
+                {t("home.emergencyTitle")}
+              </h2>
+              <p className="mt-2 mb-6" style={{ color: palette.muted }}>{t("home.emergencyIntro")}</p>
+              <EmergencyRequestForm />
+            </div>
+          </section>
+        )}
+
+        {/* Services */}
+        <section id="services" className="scroll-mt-28 py-4">
+          <div className="max-w-7xl mx-auto px-4">
+            <h2 className="text-3xl md:text-4xl font-semibold tracking-tight" style={{ color: "#FFFFFF" }}>{t("home.servicesTitle")}</h2>
+            <div className="mt-6 grid sm:grid-cols-2 lg:grid-cols-3 gap-5">
+              {SERVICES.map((s) => (
+                <a
+                  key={s.id}
+                  href={`/services/${s.id}`}
+                  className="block rounded-2xl p-6 shadow hover:shadow-md transition-shadow"
+                  style={{ backgroundColor: palette.cardBg, border: `1px solid ${palette.border}` }}
+                >
+                  <h3 className="font-semibold" style={{ color: palette.body }}>{s.title}</h3>
+                  <p className="mt-1" style={{ color: palette.muted }}>{s.summary}</p>
+                  <span className="mt-3 inline-block text-sm font-medium" style={{ color: palette.heading }}>
+                    {t("home.learnMore")}
+                  </span>
+                </a>
+              ))}
+            </div>
+          </div>
+        </section>
+
+        {/* Process */}
+        <section id="process" className="scroll-mt-28 py-16" style={{ backgroundColor: palette.sectionBrown }}>
+          <div className="max-w-7xl mx-auto px-4">
+            <h2 className="text-3xl md:text-4xl font-semibold tracking-tight" style={{ color: "#FFFFFF" }}>{t("home.processTitle")}</h2>
+            
+            <ol className="mt-6 space-y-8">
+              {PROCESS_STEPS.map(({ title, description }, i) => (
+                <li key={title} className="flex items-start gap-4">
+                  <span
+                    className="flex-shrink-0 w-8 h-8 rounded-full font-bold grid place-items-center"
+                    style={{ backgroundColor: palette.accent, color: "#FFFFFF" }}
+                  >
+                    {i + 1}
+                  </span>
+                  <div>
+                    <h3 className="text-lg font-semibold" style={{ color: "#FFFFFF" }}>{title}</h3>
+                    <p style={{ color: "#FFFFFF" }}>{description}</p>
+                  </div>
+                </li>
+              ))}
+            </ol>
+            <p style={{ color:"#FFFFFF" }}>
+              <br></br>
+              <i>“{BUSINESS.mission}”</i>
+            </p>
+          </div>
+        </section>
+
+        {/* Gallery */}
+        <section id="gallery" className="scroll-mt-28 py-16">
+          <div className="max-w-7xl mx-auto px-4">
+          <h2 className="text-3xl md:text-4xl font-semibold tracking-tight" style={{ color: palette.heading }}>
+            {t("home.galleryTitle")}
+          </h2>
+          </div>
+          <ProjectGallery
+            items={GALLERY}
+            speed={70}             // px/sec; tweak to taste
+            gap={12}               // px between cards
+            showControls={true}    // arrows + play/pause
+            snapToCard             // settle on a card after a drag/fling
+            // itemWidthClasses="w-[180px] sm:w-[200px] md:w-[240px]" // (same as default)
+          />
+          
+        </section>
+
+        {/* Reviews (once there are some to show) */}
+        {REVIEWS.length > 0 && (
+          <section id="reviews" className="scroll-mt-28 pb-16">
+            <div className="max-w-7xl mx-auto px-4">
+              <h2 className="text-3xl md:text-4xl font-semibold tracking-tight mb-6" style={{ color: palette.heading }}>
+                {t("home.reviewsTitle")}
+              </h2>
+              <Reviews />
+            </div>
+          </section>
+        )}
+
+        {/* Latest articles (once there are some) */}
+        {ARTICLES.length > 0 && (
+          <section id="articles" className="scroll-mt-28 pb-16">
+            <div className="max-w-7xl mx-auto px-4">
+              <div className="flex flex-wrap items-end justify-between gap-3">
+                <h2 className="text-3xl md:text-4xl font-semibold tracking-tight" style={{ color: palette.heading }}>
+                  {t("home.articlesTitle")}
+                </h2>
+                <a href="/articles" className="text-sm font-medium underline" style={{ color: palette.heading }}>
+                  {t("home.allArticles")}
+                </a>
+              </div>
+              <ul className="mt-6 grid gap-5 sm:grid-cols-2 lg:grid-cols-3">
+                {ARTICLES.slice(0, 3).map((a) => (
+                  <li key={a.slug}>
+                    <ArticleCard article={a} imageSizes="(min-width: 1280px) 400px, (min-width: 1024px) 33vw, (min-width: 640px) 50vw, 100vw" />
+                  </li>
+                ))}
+              </ul>
+            </div>
+          </section>
+        )}
+
+        {/* Free Estimate CTA */}
+        <section className="py-16">
+          <div className="max-w-7xl mx-auto px-4">
+            <div
+              className="rounded-2xl p-8 md:p-12 flex flex-col md:flex-row md:items-center md:justify-between shadow"
+              style={{
+                background: `linear-gradient(135deg, ${palette.accent}, ${palette.accentBright})`,
+                color: "#FFFFFF"
+              }}
+            >
+              <div>
+                <h3 className="text-2xl md:text-3xl font-semibold">{t("home.ctaTitle", { area: BUSINESS.serviceArea })}</h3>
+                <p className="mt-2 opacity-90">{t("home.ctaCrew", { credentials: BUSINESS.credentials.join(" • ") })}</p>
+              </div>
+              <a
+                href={telHref}
+                className="mt-4 md:mt-0 px-5 py-3 rounded-xl shadow hover:shadow-md transition-shadow"
+                style={{ backgroundColor: "#FFFFFF", color: "#2F2419" }} // fixed ink: white pill in every theme
+              >
+                {t("home.ctaCall")}
+              </a>
+            </div>
+          </div>
+        </section>
+
+        {/* Service-area checker */}
+        <section id="service-area" className="scroll-mt-28 pb-16">
+          <div className="max-w-3xl mx-auto px-4">
+            <ServiceAreaChecker onLocation={setContactLocation} />
+          </div>
+        </section>
+
+        {/* Tree health self-assessment */}
+        <section id="tree-health" className="scroll-mt-28 pb-16">
+          <div className="max-w-5xl mx-auto px-4">
+            <h2 className="text-3xl md:text-4xl font-semibold tracking-tight" style={{ color: palette.heading }}>
+              {t("home.treeHealthTitle")}
+            </h2>
+            <p className="mt-2 mb-6" style={{ color: palette.muted }}>{t("home.treeHealthIntro")}</p>
+            <TreeHealthCheck attached={treeHealth} onAttach={setTreeHealth} />
+          </div>
+        </section>
+
+        {/* Ballpark price estimator */}
+        {PRICING.confirmed && (
+          <section id="ballpark" className="scroll-mt-28 pb-16">
+            <div className="max-w-5xl mx-auto px-4">
+              <h2 className="text-3xl md:text-4xl font-semibold tracking-tight" style={{ color: palette.heading }}>
+                {t("home.ballparkTitle")}
+              </h2>
+              <p className="mt-2 mb-6" style={{ color: palette.muted }}>{t("home.ballparkIntro")}</p>
+              <PriceEstimator attached={ballpark} onAttach={setBallpark} />
+            </div>
+          </section>
+        )}
+
+        {/* Estimate request wizard */}
+        <section id="estimate" className="scroll-mt-28 pb-16">
+          <div className="max-w-3xl mx-auto px-4">
+            <h2 className="text-3xl md:text-4xl font-semibold tracking-tight" style={{ color: palette.heading }}>
+              {t("home.estimateTitle")}
+            </h2>
+            <p className="mt-2 mb-6" style={{ color: palette.muted }}>{t("home.estimateIntro")}</p>
+            <EstimateWizard
+              ballpark={ballpark}
+              onBallparkChange={setBallpark}
+              assessment={treeHealth}
+              onAssessmentChange={setTreeHealth}
+              initialService={ballpark?.service || treeHealth?.service}
+            />
+            <p className="mt-4 text-sm" style={{ color: palette.muted }}>
+              {t("home.bookPrompt")}{" "}
+              <a href="#book" className="underline" style={{ color: palette.body }}>{t("home.bookLink")}</a>.
+            </p>
+          </div>
+        </section>
+
+        {/* Estimate visit booking */}
+        <section id="book" className="scroll-mt-28 pb-16">
+          <div className="max-w-5xl mx-auto px-4">
+            <h2 className="text-3xl md:text-4xl font-semibold tracking-tight" style={{ color: palette.heading }}>
+              {t("home.bookTitle")}
+            </h2>
+            <p className="mt-2 mb-6" style={{ color: palette.muted }}>{t("home.bookIntro")}</p>
+            <BookingCalendar />
+          </div>
+        </section>
+
+        {/* Contact */}
+        <section id="contact" className="scroll-mt-28 py-16" style={{ backgroundColor: palette.sectionMid }}>
+          <div className="max-w-7xl mx-auto px-4">
+            <h2 className="text-3xl md:text-4xl font-semibold tracking-tight" style={{ color: palette.heading }}>{t("home.contactTitle")}</h2>
+            <div className="mt-6 grid md:grid-cols-2 gap-8">
+              <div className="rounded-xl p-6" style={{ backgroundColor: palette.cardBg, border: `1px solid ${palette.border}` }}>
+                <p style={{ color: palette.muted }}>
+                  {BUSINESS.owner}<br />
+                  {formatAddress()}<br />
+                  <a className="underline" href={telHref} style={{ color: palette.body }}>{formatPhone()}</a><br />
+                  <a className="underline" href={mailtoHref} style={{ color: palette.body }}>{BUSINESS.email}</a><br />
+                  <a className="underline" href={instagramUrl} target="_blank" style={{ color: palette.body }}>instagram.com/{BUSINESS.instagram}</a>
+                </p>
+              </div>
+              <ContactForm location={contactLocation} />
+
+            </div>
+          </div>
+        </section>
+      </main>
+    </>
+  );
+}
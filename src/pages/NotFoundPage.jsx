@@ -0,0 +1,38 @@
+// src/pages/NotFoundPage.jsx
+import { useTheme } from "../theme/ThemeContext";
+import { useI18n } from "../i18n/I18nContext";
+import { useContent } from "../i18n/useContent";
+import { telHref } from "../content";
+
+export default function NotFoundPage() {
+  const { palette } = useTheme();
+  const { t } = useI18n();
+  const { SERVICES } = useContent();
+
+  return (
+    <main id="main" className="max-w-3xl mx-auto px-4 py-20">
+      <div className="rounded-2xl p-8 md:p-10" style={{ backgroundColor: palette.cardBg, border: `1px solid ${palette.border}` }}>
+        <p className="text-sm font-medium" style={{ color: palette.muted }}>404</p>
+        <h1 className="mt-1 text-3xl md:text-4xl font-semibold tracking-tight" style={{ color: palette.heading }}>
+          {t("notFound.title")}
+        </h1>
+        <p className="mt-3" style={{ color: palette.muted }}>{t("notFound.body")}</p>
+        <ul className="mt-4 grid sm:grid-cols-2 gap-2">
+          {SERVICES.map((s) => (
+            <li key={s.id}>
+              <a href={`/services/${s.id}`} className="underline" style={{ color: palette.body }}>{s.title}</a>
+            </li>
+          ))}
+        </ul>
+        <div className="mt-6 flex flex-wrap gap-3">
+          <a href="/" className="px-5 py-3 rounded-xl shadow" style={{ backgroundColor: palette.accent, color: "#FFFFFF" }}>
+            {t("notFound.home")}
+          </a>
+          <a href={telHref} className="px-5 py-3 rounded-xl border" style={{ borderColor: palette.border, color: palette.body }}>
+            {t("common.callText")}
+          </a>
+        </div>
+      </div>
+    </main>
+  );
+}
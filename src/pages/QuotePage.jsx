@@ -0,0 +1,302 @@
+// src/pages/QuotePage.jsx
+import { useEffect, useState } from "react";
+import QuoteAcceptance from "../components/QuoteAcceptance";
+import ResponsiveImage from "../components/ResponsiveImage";
+import { useTheme } from "../theme/ThemeContext";
+import { PALETTES, DEFAULT_THEME } from "../theme/palettes";
+import { useI18n } from "../i18n/I18nContext";
+import { useRouter } from "../router/RouterContext";
+import { useContent } from "../i18n/useContent";
+import { hexWithAlpha } from "../lib/color";
+import { usePersistentState } from "../lib/usePersistentState";
+import { formatAddress, formatPhone, mailtoHref, telHref } from "../content";
+import {
+  formatMoney,
+  formatQuoteDate,
+  formatRate,
+  isQuoteExpired,
+  loadQuote,
+  quoteAcceptanceKey,
+  quoteTotals,
+} from "../lib/quotes";
+
+const LOGO = "/images/cheatham-logo.svg";
+
+/**
+ * /quote?id=<id> — a quote from public/quotes/<id>.json laid out as a
+ * branded proposal: line items, totals with tax, notes, photos and terms,
+ * then the Accept step. The page is prerendered empty (every customer's
+ * quote shares it) and loads the file once it's in the browser.
+ */
+export default function QuotePage() {
+  const { palette } = useTheme();
+  const { t } = useI18n();
+  const { search } = useRouter();
+  const id = new URLSearchParams(search).get("id");
+  const [attempt, setAttempt] = useState(0);
+  // The last result and the id / attempt it's for; anything else is loading
+  const [loaded, setLoaded] = useState({ request: null });
+  const request = `${id}#${attempt}`;
+
+  useEffect(() => {
+    let live = true;
+    loadQuote(id).then((result) => live && setLoaded({ ...result, request }));
+    return () => {
+      live = false;
+    };
+  }, [id, request]);
+
+  const state = loaded.request === request ? loaded : { loading: true };
+  const retry = () => setAttempt((n) => n + 1);
+
+  const card = { backgroundColor: palette.cardBg, border: `1px solid ${palette.border}` };
+
+  if (state.quote) return <QuoteSheet key={state.quote.id} quote={state.quote} />;
+
+  return (
+    <main id="main" className="max-w-3xl mx-auto px-4 py-20">
+      {state.loading ? (
+        <div className="rounded-2xl p-8" style={card} aria-busy="true">
+          <p style={{ color: palette.muted }}>{t("quote.loading")}</p>
+        </div>
+      ) : (
+        <div className="rounded-2xl p-8 md:p-10" style={card} role="alert">
+          <h1 className="text-3xl font-semibold tracking-tight" style={{ color: palette.heading }}>
+            {t(`quote.errors.${state.error}Title`)}
+          </h1>
+          <p className="mt-3" style={{ color: palette.muted }}>{t(`quote.errors.${state.error}Body`)}</p>
+          {/* Whoever wrote the file sees what's wrong with it on the dev server */}
+          {import.meta.env.DEV && state.problems && (
+            <ul className="mt-3 text-sm list-disc pl-5" style={{ color: palette.danger }}>
+              {state.problems.map((p) => <li key={p}>{p}</li>)}
+            </ul>
+          )}
+          <div className="mt-6 flex flex-wrap gap-3">
+            {state.error === "network" && (
+              <button type="button" onClick={retry} className="px-5 py-3 rounded-xl shadow" style={{ backgroundColor: palette.accent, color: "#FFFFFF" }}>
+                {t("quote.retry")}
+              </button>
+            )}
+            <a href={telHref} className="px-5 py-3 rounded-xl border" style={{ borderColor: palette.border, color: palette.body }}>
+              {t("common.callTextPhone", { phone: formatPhone() })}
+            </a>
+          </div>
+        </div>
+      )}
+    </main>
+  );
+}
+
+// The sheet's colours go through CSS variables so print (index.css) can
+// swap in a light palette when the visitor browses in a dark one
+function sheetColors(palette) {
+  const paper = palette.scheme === "dark" ? PALETTES[DEFAULT_THEME] : palette;
+  const vars = (prefix, p) => ({
+    [`--${prefix}-heading`]: p.heading,
+    [`--${prefix}-body`]: p.body,
+    [`--${prefix}-muted`]: p.muted,
+    [`--${prefix}-accent`]: p.accent,
+    [`--${prefix}-border`]: p.border,
+    [`--${prefix}-danger`]: p.danger,
+    [`--${prefix}-tint`]: hexWithAlpha(p.accent, 0.08),
+  });
+  return { ...vars("quote", palette), ...vars("quote-print", paper), backgroundColor: palette.cardBg };
+}
+
+const color = (name) => `var(--quote-${name})`;
+
+function QuoteSheet({ quote }) {
+  const { palette } = useTheme();
+  const { t, intl } = useI18n();
+  const { BUSINESS, getService } = useContent();
+  const [accepted, setAccepted] = usePersistentState(quoteAcceptanceKey(quote.id), null);
+  const totals = quoteTotals(quote);
+  const expired = isQuoteExpired(quote);
+  const money = (n) => formatMoney(n, intl);
+  const { customer } = quote;
+
+  const photo = (p, sizes, className) => (
+    <figure key={p.src} className="quote-avoid-break">
+      <ResponsiveImage src={p.src} alt={p.alt} sizes={sizes} loading="lazy" className={`rounded-lg object-cover ${className}`} />
+      {p.caption && <figcaption className="mt-1 text-xs" style={{ color: color("muted") }}>{p.caption}</figcaption>}
+    </figure>
+  );
+
+  const heading = (text) => (
+    <h2 className="text-lg font-semibold" style={{ color: color("heading") }}>{text}</h2>
+  );
+
+  return (
+    <main id="main" className="max-w-4xl mx-auto px-4 pt-10 md:pt-14 pb-16 grid gap-6 print:p-0 print:max-w-none">
+      <div className="flex flex-wrap gap-3 justify-end print:hidden">
+        <button type="button" onClick={() => window.print()} className="px-4 py-2 rounded-md border"
+          style={{ borderColor: palette.border, color: palette.body, backgroundColor: palette.cardBg }}>
+          {t("quote.print")}
+        </button>
+      </div>
+
+      <article className="quote-sheet rounded-2xl p-6 md:p-10 shadow-[0_12px_40px_rgba(0,0,0,.08)]"
+        style={{ ...sheetColors(palette), border: `1px solid ${palette.border}`, color: color("body") }}>
+        <header className="flex flex-col sm:flex-row sm:items-start sm:justify-between gap-6 pb-6 border-b" style={{ borderColor: color("border") }}>
+          <div className="flex items-start gap-4">
+            <img src={LOGO} alt="" className="h-16 w-auto" />
+            <div className="text-sm" style={{ color: color("muted") }}>
+              <p className="text-lg font-semibold" style={{ color: color("heading") }}>{BUSINESS.name}</p>
+              <p>{formatAddress(BUSINESS.address)}</p>
+              <p>
+                <a href={telHref}>{formatPhone()}</a> • <a href={mailtoHref}>{BUSINESS.email}</a>
+              </p>
+              <p>{BUSINESS.url.replace(/^https:\/\//, "")}</p>
+            </div>
+          </div>
+          <div className="sm:text-right">
+            <h1 className="text-3xl font-semibold tracking-tight" style={{ color: color("accent") }}>
+              {t("quote.title", { number: quote.number })}
+            </h1>
+            <dl className="mt-2 text-sm grid grid-cols-[auto_auto] gap-x-3 sm:justify-end">
+              <dt style={{ color: color("muted") }}>{t("quote.issued")}</dt>
+              <dd>{formatQuoteDate(quote.issued, intl)}</dd>
+              <dt style={{ color: color("muted") }}>{t("quote.validUntil")}</dt>
+              <dd className="font-medium">{formatQuoteDate(quote.validUntil, intl)}</dd>
+            </dl>
+          </div>
+        </header>
+
+        {expired && !accepted && (
+          <p className="mt-6 rounded-md px-4 py-3 text-sm" role="note"
+            style={{ border: `1px solid ${color("danger")}`, color: color("danger") }}>
+            {t("quote.expired", { date: formatQuoteDate(quote.validUntil, intl) })}
+          </p>
+        )}
+
+        <div className="mt-6 grid sm:grid-cols-2 gap-6 text-sm">
+          <div>
+            <p className="text-xs uppercase tracking-wide" style={{ color: color("muted") }}>{t("quote.preparedFor")}</p>
+            <p className="mt-1 font-medium" style={{ color: color("heading") }}>{customer.name}</p>
+            {customer.address && <p>{customer.address}</p>}
+            {customer.phone && <p>{formatPhone(customer.phone)}</p>}
+            {customer.email && <p>{customer.email}</p>}
+          </div>
+          {quote.preparedBy && (
+            <div className="sm:text-right">
+              <p className="text-xs uppercase tracking-wide" style={{ color: color("muted") }}>{t("quote.preparedBy")}</p>
+              <p className="mt-1 font-medium" style={{ color: color("heading") }}>{quote.preparedBy}</p>
+              <p>{BUSINESS.credentials.join(" • ")}</p>
+            </div>
+          )}
+        </div>
+
+        {quote.summary && <p className="mt-6 whitespace-pre-line">{quote.summary}</p>}
+
+        <table className="mt-6 w-full text-sm">
+          <thead>
+            <tr className="text-left" style={{ backgroundColor: color("tint"), color: color("heading") }}>
+              <th scope="col" className="px-3 py-2 font-semibold">{t("quote.item")}</th>
+              <th scope="col" className="hidden sm:table-cell print:table-cell px-3 py-2 font-semibold text-right">{t("quote.quantity")}</th>
+              <th scope="col" className="hidden sm:table-cell print:table-cell px-3 py-2 font-semibold text-right">{t("quote.unitPrice")}</th>
+              <th scope="col" className="px-3 py-2 font-semibold text-right">{t("quote.amount")}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {totals.lines.map((line, i) => {
+              const service = line.service && getService(line.service);
+              const quantity = `${line.quantity.toLocaleString(intl)}${line.unit ? ` ${line.unit}` : ""}`;
+              return (
+                <tr key={i} className="align-top border-b" style={{ borderColor: color("border") }}>
+                  <td className="px-3 py-3">
+                    <p className="font-medium" style={{ color: color("heading") }}>{line.title}</p>
+                    {service && <p className="text-xs" style={{ color: color("muted") }}>{service.title}</p>}
+                    {line.details && <p className="mt-1 whitespace-pre-line">{line.details}</p>}
+                    <p className="mt-1 text-xs sm:hidden print:hidden" style={{ color: color("muted") }}>
+                      {quantity} × {money(line.unitPrice)}
+                    </p>
+                    {!line.taxable && <p className="mt-1 text-xs" style={{ color: color("muted") }}>{t("quote.notTaxed")}</p>}
+                    {line.photos?.length > 0 && (
+                      <div className="mt-2 flex flex-wrap gap-2">
+                        {line.photos.map((p) => photo(p, "144px", "h-24 w-36"))}
+                      </div>
+                    )}
+                  </td>
+                  <td className="hidden sm:table-cell print:table-cell px-3 py-3 text-right whitespace-nowrap">{quantity}</td>
+                  <td className="hidden sm:table-cell print:table-cell px-3 py-3 text-right whitespace-nowrap">{money(line.unitPrice)}</td>
+                  <td className="px-3 py-3 text-right whitespace-nowrap">{money(line.amount)}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+
+        <dl className="quote-avoid-break mt-4 ml-auto w-full sm:w-80 text-sm grid grid-cols-[1fr_auto] gap-x-4 gap-y-1">
+          <dt style={{ color: color("muted") }}>{t("quote.subtotal")}</dt>
+          <dd className="text-right">{money(totals.subtotal)}</dd>
+          {totals.discount > 0 && (
+            <>
+              <dt style={{ color: color("muted") }}>{quote.discount.label}</dt>
+              <dd className="text-right">−{money(totals.discount)}</dd>
+            </>
+          )}
+          <dt style={{ color: color("muted") }}>
+            {t("quote.tax", { label: quote.taxLabel || t("quote.taxLabel"), rate: formatRate(quote.taxRate, intl) })}
+          </dt>
+          <dd className="text-right">{money(totals.tax)}</dd>
+          <dt className="mt-2 pt-2 border-t text-base font-semibold" style={{ borderColor: color("border"), color: color("heading") }}>
+            {t("quote.total")}
+          </dt>
+          <dd className="mt-2 pt-2 border-t text-base font-semibold text-right" style={{ borderColor: color("border"), color: color("accent") }}>
+            {money(totals.total)}
+          </dd>
+        </dl>
+
+        {quote.notes?.length > 0 && (
+          <section className="quote-avoid-break mt-8">
+            {heading(t("quote.notes"))}
+            <ul className="mt-2 list-disc pl-5 grid gap-1">
+              {quote.notes.map((note, i) => <li key={i}>{note}</li>)}
+            </ul>
+          </section>
+        )}
+
+        {quote.photos?.length > 0 && (
+          <section className="mt-8">
+            {heading(t("quote.photos"))}
+            <div className="mt-3 grid grid-cols-2 sm:grid-cols-3 gap-3">
+              {quote.photos.map((p) => photo(p, "(min-width: 640px) 280px, 50vw", "aspect-[4/3] w-full"))}
+            </div>
+          </section>
+        )}
+
+        {quote.terms && (
+          <section className="quote-avoid-break mt-8">
+            {heading(t("quote.terms"))}
+            <p className="mt-2 text-sm whitespace-pre-line" style={{ color: color("muted") }}>{quote.terms}</p>
+          </section>
+        )}
+
+        {accepted && (
+          <section className="quote-avoid-break mt-8 pt-6 border-t" style={{ borderColor: color("border") }}>
+            {heading(t("quote.acceptedHeading"))}
+            <img src={accepted.signature} alt={t("quote.signatureOf", { name: accepted.name })}
+              className="mt-2 w-full max-w-xs rounded-md border bg-white" style={{ borderColor: color("border") }} />
+            <p className="mt-2 text-sm">
+              {t("quote.signedBy", {
+                name: accepted.name,
+                date: new Date(accepted.acceptedAt).toLocaleDateString(intl, { month: "long", day: "numeric", year: "numeric" }),
+                time: new Date(accepted.acceptedAt).toLocaleTimeString(intl, { hour: "numeric", minute: "2-digit" }),
+              })}
+            </p>
+          </section>
+        )}
+      </article>
+
+      {expired && !accepted ? (
+        <p className="print:hidden">
+          <a href={telHref} className="inline-block px-5 py-3 rounded-xl shadow" style={{ backgroundColor: palette.accent, color: "#FFFFFF" }}>
+            {t("common.callTextPhone", { phone: formatPhone() })}
+          </a>
+        </p>
+      ) : (
+        <QuoteAcceptance quote={quote} totals={totals} accepted={Boolean(accepted)} onAccepted={setAccepted} />
+      )}
+    </main>
+  );
+}
@@ -0,0 +1,180 @@
+// src/pages/ServicePage.jsx
+import { useState } from "react";
+import NotFoundPage from "./NotFoundPage";
+import PhotoGrid from "../components/PhotoGrid";
+import EstimateWizard from "../components/EstimateWizard";
+import ArticleCard from "../components/ArticleCard";
+import { useTheme } from "../theme/ThemeContext";
+import { useEmergency } from "../emergency/EmergencyContext";
+import { useI18n } from "../i18n/I18nContext";
+import { useContent } from "../i18n/useContent";
+import { hexWithAlpha } from "../lib/color";
+import { telHref } from "../content";
+import { articlesFor } from "../lib/articles";
+
+/**
+ * /services/:slug — long description, related photos, FAQs, articles
+ * about the service and an estimate CTA that opens the wizard with this
+ * service preselected.
+ */
+export default function ServicePage({ params }) {
+  const { getService } = useContent();
+  const service = getService(params.slug);
+  if (!service) return <NotFoundPage />;
+  // key: reset the "wizard open" state when moving between services
+  return <ServiceDetail key={service.id} service={service} />;
+}
+
+function ServiceDetail({ service }) {
+  const { palette } = useTheme();
+  const { t, intl } = useI18n();
+  const { BUSINESS, GALLERY, SERVICES } = useContent();
+  const [showWizard, setShowWizard] = useState(false);
+  const { active: emergency } = useEmergency();
+  const photos = GALLERY.filter((g) => g.tags.includes(service.id));
+  const others = SERVICES.filter((s) => s.id !== service.id);
+  const articles = articlesFor(service.id).slice(0, 3);
+
+  const shortLower = service.shortTitle.toLocaleLowerCase(intl);
+
+  const card = { backgroundColor: palette.cardBg, border: `1px solid ${palette.border}` };
+
+  return (
+    <main id="main" className="pb-16">
+      {/* Intro */}
+      <section className="max-w-5xl mx-auto px-4 pt-10 md:pt-14">
+        <nav aria-label={t("service.breadcrumb")} className="text-sm" style={{ color: palette.sectionLight }}>
+          <a href="/" className="underline">{t("service.home")}</a>
+          <span aria-hidden="true"> / </span>
+          <a href="/#services" className="underline">{t("service.services")}</a>
+        </nav>
+        <div className="mt-4 rounded-2xl p-6 md:p-10 shadow-[0_12px_40px_rgba(0,0,0,.08)]" style={{ ...card, backgroundColor: hexWithAlpha(palette.cardBg, 0.95) }}>
+          <h1 className="text-3xl md:text-5xl font-semibold tracking-tight" style={{ color: palette.heading }}>
+            {service.title}
+          </h1>
+          <p className="mt-2 text-lg" style={{ color: palette.muted }}>{service.summary}</p>
+          <div className="mt-4 space-y-3 max-w-3xl leading-relaxed" style={{ color: palette.body }}>
+            {service.description.map((p) => (
+              <p key={p.slice(0, 24)}>{p}</p>
+            ))}
+          </div>
+          <div className="mt-6 flex flex-wrap gap-3">
+            {emergency && (
+              <a
+                href="/#emergency"
+                className="px-5 py-3 rounded-xl shadow hover:shadow-md transition-shadow font-medium"
+                style={{ backgroundColor: palette.danger, color: palette.sectionLight }}
+              >
+                {t("emergency.cta")}
+              </a>
+            )}
+            <a
+              href="#estimate"
+              onClick={() => setShowWizard(true)}
+              className="px-5 py-3 rounded-xl shadow hover:shadow-md transition-shadow"
+              style={{ backgroundColor: palette.accent, color: "#FFFFFF" }}
+            >
+              {t("common.requestEstimate")}
+            </a>
+            <a
+              href={telHref}
+              className="px-5 py-3 rounded-xl border hover:opacity-90"
+              style={{ borderColor: palette.body, color: palette.body }}
+            >
+              {t("common.callText")}
+            </a>
+          </div>
+        </div>
+      </section>
+
+      {/* Related photos */}
+      {photos.length > 0 && (
+        <section className="max-w-5xl mx-auto px-4 mt-12" aria-labelledby="service-photos">
+          <h2 id="service-photos" className="text-2xl md:text-3xl font-semibold tracking-tight" style={{ color: palette.heading }}>
+            {t("service.recentJobs", { service: shortLower })}
+          </h2>
+          <PhotoGrid
+            images={photos}
+            galleryId={`${service.id}-photos`}
+            borderColor={palette.border}
+            columnsClasses="columns-2 md:columns-3"
+            imageSizes="(min-width: 1024px) 310px, (min-width: 768px) 33vw, 50vw"
+          />
+        </section>
+      )}
+
+      {/* FAQs */}
+      {service.faqs.length > 0 && (
+        <section className="max-w-5xl mx-auto px-4 mt-12" aria-labelledby="service-faqs">
+          <h2 id="service-faqs" className="text-2xl md:text-3xl font-semibold tracking-tight" style={{ color: palette.heading }}>
+            {t("service.faqTitle")}
+          </h2>
+          <div className="mt-4 space-y-3">
+            {service.faqs.map((f) => (
+              <details key={f.question} className="rounded-xl p-4 md:p-5" style={card}>
+                <summary className="cursor-pointer font-medium" style={{ color: palette.body }}>{f.question}</summary>
+                <p className="mt-2 leading-relaxed" style={{ color: palette.muted }}>{f.answer}</p>
+              </details>
+            ))}
+          </div>
+        </section>
+      )}
+
+      {/* Articles */}
+      {articles.length > 0 && (
+        <section className="max-w-5xl mx-auto px-4 mt-12" aria-labelledby="service-articles">
+          <h2 id="service-articles" className="text-2xl md:text-3xl font-semibold tracking-tight" style={{ color: palette.heading }}>
+            {t("service.articlesTitle")}
+          </h2>
+          <ul className="mt-4 grid gap-5 sm:grid-cols-2 lg:grid-cols-3">
+            {articles.map((a) => (
+              <li key={a.slug}>
+                <ArticleCard article={a} imageSizes="(min-width: 1024px) 310px, (min-width: 640px) 50vw, 100vw" />
+              </li>
+            ))}
+          </ul>
+        </section>
+      )}
+
+      {/* Estimate CTA */}
+      <section id="estimate" className="scroll-mt-28 max-w-3xl mx-auto px-4 mt-12">
+        {showWizard ? (
+          <EstimateWizard initialService={service.id} />
+        ) : (
+          <div
+            className="rounded-2xl p-8 flex flex-col md:flex-row md:items-center md:justify-between gap-4 shadow"
+            style={{ background: `linear-gradient(135deg, ${palette.accent}, ${palette.accentBright})`, color: "#FFFFFF" }}
+          >
+            <div>
+              <h2 className="text-2xl font-semibold">{t("service.ctaTitle", { service: shortLower })}</h2>
+              <p className="mt-1 opacity-90">{t("service.ctaBody", { area: BUSINESS.serviceArea })}</p>
+            </div>
+            <button
+              type="button"
+              onClick={() => setShowWizard(true)}
+              className="px-5 py-3 rounded-xl shadow hover:shadow-md transition-shadow"
+              style={{ backgroundColor: "#FFFFFF", color: "#2F2419" }}
+            >
+              {t("service.getStarted")}
+            </button>
+          </div>
+        )}
+      </section>
+
+      {/* Other services */}
+      <section className="max-w-5xl mx-auto px-4 mt-12" aria-labelledby="other-services">
+        <h2 id="other-services" className="text-xl font-semibold" style={{ color: palette.heading }}>{t("service.otherServices")}</h2>
+        <ul className="mt-3 flex flex-wrap gap-2">
+          {others.map((s) => (
+            <li key={s.id}>
+              <a href={`/services/${s.id}`} className="inline-block px-3 py-1.5 rounded-full border text-sm"
+                style={{ borderColor: palette.border, color: palette.body, backgroundColor: hexWithAlpha(palette.cardBg) }}>
+                {s.title}
+              </a>
+            </li>
+          ))}
+        </ul>
+      </section>
+    </main>
+  );
+}
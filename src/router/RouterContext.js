@@ -0,0 +1,19 @@
+// src/router/RouterContext.js
+import { createContext, useContext } from "react";
+
+/**
+ * Shape: { path, search, hash, navigate(to, { replace }) }
+ *  - path: current pathname ("/services/stump-grinding")
+ *  - search: query string with "?" ("?id=2026-014-k7f3q9", "")
+ *  - hash: current hash without "#" ("estimate", "gallery/photo-3", "")
+ */
+export const RouterContext = createContext({
+  path: "/",
+  search: "",
+  hash: "",
+  navigate: () => {},
+});
+
+export function useRouter() {
+  return useContext(RouterContext);
+}
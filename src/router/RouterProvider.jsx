@@ -0,0 +1,156 @@
+// src/router/RouterProvider.jsx
+import React, { useCallback, useEffect, useLayoutEffect, useMemo, useRef, useState } from "react";
+import { RouterContext } from "./RouterContext";
+
+const SCROLL_KEY = "cheatham.scroll";
+
+function readLocation() {
+  if (typeof window === "undefined") return null;
+  const { pathname, search, hash } = window.location;
+  return { path: pathname, search, hash: hash.slice(1), key: window.history.state?.key || "initial" };
+}
+
+function loadScrollPositions() {
+  try {
+    return JSON.parse(sessionStorage.getItem(SCROLL_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+function saveScrollPositions(positions) {
+  try {
+    sessionStorage.setItem(SCROLL_KEY, JSON.stringify(positions));
+  } catch {
+    // ignore: restoration just falls back to the top
+  }
+}
+
+const newKey = () => Math.random().toString(36).slice(2, 10);
+
+/** Same-origin, plain left click, not opting out → ours to handle. */
+function internalHref(e) {
+  if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return null;
+  const a = e.target.closest?.("a[href]");
+  if (!a || (a.target && a.target !== "_self") || a.hasAttribute("download") || a.dataset.router === "off") return null;
+  const href = a.getAttribute("href");
+  // Pure "#hash" links are same-page scrolling (handled in App)
+  if (!href || href.startsWith("#")) return null;
+  const url = new URL(a.href, window.location.href);
+  if (url.origin !== window.location.origin) return null;
+  return url;
+}
+
+/**
+ * Minimal History-API router.
+ *
+ * - Intercepts clicks on same-origin <a href="/..."> anywhere in the page,
+ *   so plain anchors (and markdown-ish content) just work.
+ * - Route changes scroll to the top, or to `#id` when the link has one;
+ *   Back/Forward restore the position the visitor left at.
+ * - History entries that only change the hash on the same path (the
+ *   gallery's #gallery/photo-3 deep links) are left alone.
+ *
+ * Props:
+ *  - initialPath: string  path to render when there's no window (prerender)
+ */
+export default function RouterProvider({ initialPath = "/", children }) {
+  const [location, setLocation] = useState(
+    () => readLocation() || { path: initialPath, search: "", hash: "", key: "initial" }
+  );
+  const positions = useRef(null);
+  // "push" scrolls to top/hash, "pop" restores, null = leave scroll alone
+  const pendingScroll = useRef(null);
+
+  const rememberScroll = useCallback(() => {
+    positions.current ||= loadScrollPositions();
+    const key = window.history.state?.key || "initial";
+    positions.current[key] = window.scrollY;
+    saveScrollPositions(positions.current);
+  }, []);
+
+  const navigate = useCallback(
+    (to, { replace = false } = {}) => {
+      const url = new URL(to, window.location.href);
+      const next = { path: url.pathname, search: url.search, hash: url.hash.slice(1), key: newKey() };
+      const current = window.location;
+      // Same page, different hash: let the browser / hash handlers do it
+      if (url.pathname === current.pathname && url.search === current.search && !replace) {
+        if (url.hash && url.hash !== current.hash) {
+          window.history.pushState({ key: next.key }, "", url.pathname + url.search + url.hash);
+          pendingScroll.current = "push";
+          setLocation(next);
+        }
+        return;
+      }
+      rememberScroll();
+      window.history[replace ? "replaceState" : "pushState"]({ key: next.key }, "", url.pathname + url.search + url.hash);
+      pendingScroll.current = "push";
+      setLocation(next);
+    },
+    [rememberScroll]
+  );
+
+  useEffect(() => {
+    if ("scrollRestoration" in window.history) window.history.scrollRestoration = "manual";
+    // Give the landing entry a key so its scroll position can be restored
+    if (!window.history.state?.key) {
+      window.history.replaceState({ ...window.history.state, key: "initial" }, "");
+    }
+
+    const onPop = () => {
+      const next = readLocation();
+      setLocation((prev) => {
+        if (prev.path === next.path && prev.search === next.search) return { ...prev, hash: next.hash };
+        pendingScroll.current = "pop";
+        return next;
+      });
+    };
+
+    const onClick = (e) => {
+      const url = internalHref(e);
+      if (!url) return;
+      e.preventDefault();
+      navigate(url.pathname + url.search + url.hash);
+    };
+
+    // Keep the current entry's position fresh for when we come back to it
+    let t = 0;
+    const onScroll = () => {
+      clearTimeout(t);
+      t = setTimeout(rememberScroll, 150);
+    };
+
+    window.addEventListener("popstate", onPop);
+    window.addEventListener("scroll", onScroll, { passive: true });
+    document.addEventListener("click", onClick);
+    return () => {
+      clearTimeout(t);
+      window.removeEventListener("popstate", onPop);
+      window.removeEventListener("scroll", onScroll);
+      document.removeEventListener("click", onClick);
+    };
+  }, [navigate, rememberScroll]);
+
+  // After the new route has rendered: restore, jump to #id, or go to top
+  useLayoutEffect(() => {
+    const mode = pendingScroll.current;
+    pendingScroll.current = null;
+    if (!mode) return;
+    if (mode === "pop") {
+      positions.current ||= loadScrollPositions();
+      window.scrollTo(0, positions.current[location.key] ?? 0);
+      return;
+    }
+    const target = location.hash && document.getElementById(location.hash);
+    if (target) target.scrollIntoView({ block: "start" });
+    else window.scrollTo(0, 0);
+  }, [location]);
+
+  const value = useMemo(
+    () => ({ path: location.path, search: location.search, hash: location.hash, navigate }),
+    [location.path, location.search, location.hash, navigate]
+  );
+
+  return <RouterContext.Provider value={value}>{children}</RouterContext.Provider>;
+}
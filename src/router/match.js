@@ -0,0 +1,32 @@
+// src/router/match.js
+
+/**
+ * matchPath("/services/:slug", "/services/stump-grinding")
+ *   → { slug: "stump-grinding" }
+ * Returns null when the path doesn't match. Trailing slashes are ignored.
+ */
+export function matchPath(pattern, path) {
+  const trim = (p) => (p.length > 1 ? p.replace(/\/+$/, "") : p);
+  const want = trim(pattern).split("/");
+  const got = trim(path).split("/");
+  if (want.length !== got.length) return null;
+  const params = {};
+  for (let i = 0; i < want.length; i++) {
+    if (want[i].startsWith(":")) {
+      if (!got[i]) return null;
+      params[want[i].slice(1)] = decodeURIComponent(got[i]);
+    } else if (want[i] !== got[i]) {
+      return null;
+    }
+  }
+  return params;
+}
+
+/** First route whose `path` matches, as { route, params }, else null. */
+export function matchRoutes(routes, path) {
+  for (const route of routes) {
+    const params = matchPath(route.path, path);
+    if (params) return { route, params };
+  }
+  return null;
+}
@@ -0,0 +1,116 @@
+// src/routes.js
+//
+// Every page on the site, with its <head> metadata. App renders from this
+// table in the browser and plugins/prerender.js walks it at build time, so
+// a page added here is routed, prerendered and listed in sitemap.xml.
+// `meta(params, t)` writes titles in the page's language; prerendered
+// pages (and their JSON-LD) are English.
+import HomePage from "./pages/HomePage";
+import ServicePage from "./pages/ServicePage";
+import ArticlesPage from "./pages/ArticlesPage";
+import ArticlePage from "./pages/ArticlePage";
+import QuotePage from "./pages/QuotePage";
+import NotFoundPage from "./pages/NotFoundPage";
+import { matchRoutes } from "./router/match";
+import { articleJsonLd, serviceJsonLd, socialImage } from "./lib/seo";
+import { ARTICLES, getArticle } from "./lib/articles";
+import { translator } from "./i18n/translate";
+import { SERVICES, getService, localizedContent } from "./content";
+
+export const ROUTES = [
+  {
+    path: "/",
+    component: HomePage,
+    meta: (params, t) => {
+      const { BUSINESS } = localizedContent(t.locale);
+      return {
+        title: "",
+        description: t("meta.homeDescription", {
+          area: BUSINESS.serviceArea,
+          credentials: BUSINESS.credentials.join(", "),
+        }),
+      };
+    },
+    prerender: () => ["/"],
+  },
+  {
+    path: "/services/:slug",
+    component: ServicePage,
+    // null → unknown slug, handled as not found
+    meta: ({ slug }, t) => {
+      const { BUSINESS, getService: localService } = localizedContent(t.locale);
+      const service = localService(slug);
+      return (
+        service && {
+          title: t("meta.serviceTitle", { service: service.title, area: BUSINESS.serviceArea }),
+          description: service.metaDescription,
+          jsonLd: serviceJsonLd(getService(slug)),
+        }
+      );
+    },
+    prerender: () => SERVICES.map((s) => `/services/${s.id}`),
+  },
+  {
+    path: "/articles",
+    component: ArticlesPage,
+    meta: (params, t) => ({
+      title: t("meta.articlesTitle"),
+      description: t("meta.articlesDescription", { area: localizedContent(t.locale).BUSINESS.serviceArea }),
+    }),
+    prerender: () => ["/articles"],
+  },
+  {
+    path: "/articles/:slug",
+    component: ArticlePage,
+    // Articles are English only, so their metadata is too
+    meta: ({ slug }) => {
+      const article = getArticle(slug);
+      return (
+        article && {
+          title: article.title,
+          description: article.summary,
+          type: "article",
+          image: socialImage(article.hero),
+          imageAlt: article.heroAlt,
+          jsonLd: articleJsonLd(article),
+        }
+      );
+    },
+    prerender: () => ARTICLES.map((a) => `/articles/${a.slug}`),
+  },
+  {
+    // One page for every quote: /quote?id=… loads public/quotes/<id>.json.
+    // Kept out of search results and the sitemap.
+    path: "/quote",
+    component: QuotePage,
+    meta: (params, t) => ({
+      title: t("meta.quoteTitle"),
+      description: t("meta.quoteDescription", { name: localizedContent(t.locale).BUSINESS.name }),
+      noindex: true,
+    }),
+    prerender: () => ["/quote"],
+  },
+];
+
+const NOT_FOUND = {
+  component: NotFoundPage,
+  meta: (params, t) => ({
+    title: t("meta.notFoundTitle"),
+    description: t("meta.notFoundDescription"),
+    noindex: true,
+  }),
+};
+
+/**
+ * The page for `path` as { component, params, meta }; unknown paths get
+ * the 404 page. Pass the page's `t` for metadata in another language.
+ */
+export function resolveRoute(path, t = translator()) {
+  const match = matchRoutes(ROUTES, path);
+  const meta = match?.route.meta(match.params, t);
+  if (!meta) return { component: NOT_FOUND.component, params: {}, meta: NOT_FOUND.meta({}, t) };
+  return { component: match.route.component, params: match.params, meta };
+}
+
+/** Every concrete path to prerender (the sitemap skips noindex ones). */
+export const prerenderPaths = () => ROUTES.flatMap((r) => r.prerender());
@@ -0,0 +1,22 @@
+// src/theme/ThemeContext.js
+import { createContext, useContext } from "react";
+import { PALETTES, DEFAULT_THEME } from "./palettes";
+
+/**
+ * Shape: { theme, palette, preference, setPreference, palettes }
+ *  - theme: resolved palette key actually in use
+ *  - palette: colours as CSS variables (PALETTE_VARS) plus `name` and
+ *    `scheme`; PALETTES[theme] has the raw hex values
+ *  - preference: "system" or a palette key (what the visitor picked)
+ */
+export const ThemeContext = createContext({
+  theme: DEFAULT_THEME,
+  palette: PALETTES[DEFAULT_THEME],
+  preference: "system",
+  setPreference: () => {},
+  palettes: PALETTES,
+});
+
+export function useTheme() {
+  return useContext(ThemeContext);
+}
@@ -0,0 +1,88 @@
+// src/theme/ThemeProvider.jsx
+import React, { useEffect, useMemo, useState } from "react";
+import { ThemeContext } from "./ThemeContext";
+import { PALETTES, PALETTE_VARS, THEME_STORAGE_KEY, isThemeKey, paletteCss, resolveTheme } from "./palettes";
+import { useHydrated } from "../lib/useHydrated";
+
+const DARK_QUERY = "(prefers-color-scheme: dark)";
+
+// Same on the server and in the browser, so it hydrates as-is
+const PALETTE_CSS = paletteCss();
+
+function readPreference() {
+  try {
+    const stored = window.localStorage.getItem(THEME_STORAGE_KEY);
+    return isThemeKey(stored) ? stored : "system";
+  } catch {
+    return "system"; // storage disabled (private mode, etc.)
+  }
+}
+
+function prefersDarkNow() {
+  return typeof window !== "undefined" && !!window.matchMedia?.(DARK_QUERY).matches;
+}
+
+/**
+ * Provides the active palette to the tree.
+ *
+ * Follows prefers-color-scheme until the visitor picks a theme, then
+ * remembers that choice in localStorage. Palette colours reach components
+ * as CSS variables (see PALETTE_VARS), defined per html[data-theme] in a
+ * <style> rendered here. The inline script in index.html sets data-theme
+ * before first paint, so prerendered pages show the visitor's theme from
+ * the start; React only takes over the attribute once hydrated.
+ */
+export default function ThemeProvider({ children }) {
+  const [preference, setPreferenceState] = useState(readPreference);
+  const [prefersDark, setPrefersDark] = useState(prefersDarkNow);
+
+  // Track OS-level changes (only matters while preference is "system")
+  useEffect(() => {
+    const mq = window.matchMedia?.(DARK_QUERY);
+    if (!mq) return;
+    const onChange = (e) => setPrefersDark(e.matches);
+    mq.addEventListener("change", onChange);
+    return () => mq.removeEventListener("change", onChange);
+  }, []);
+
+  const hydrated = useHydrated();
+  // Until hydrated, match the prerendered markup; only the switcher and
+  // `scheme` go by this, colours already follow data-theme
+  const theme = hydrated ? resolveTheme(preference, prefersDark) : resolveTheme("system", false);
+  const resolved = PALETTES[theme];
+
+  // Mirror onto <html> so CSS (page background, color-scheme) and the
+  // browser chrome match what React renders.
+  useEffect(() => {
+    if (!hydrated) return; // the inline script already set the real one
+    const root = document.documentElement;
+    root.dataset.theme = theme;
+    root.style.colorScheme = resolved.scheme;
+    document
+      .querySelector('meta[name="theme-color"]')
+      ?.setAttribute("content", resolved.pageBgFrom);
+  }, [hydrated, theme, resolved]);
+
+  const value = useMemo(() => {
+    const setPreference = (next) => {
+      const pref = isThemeKey(next) ? next : "system";
+      setPreferenceState(pref);
+      try {
+        if (pref === "system") window.localStorage.removeItem(THEME_STORAGE_KEY);
+        else window.localStorage.setItem(THEME_STORAGE_KEY, pref);
+      } catch {
+        // ignore: choice just won't persist
+      }
+    };
+    // Colours follow data-theme through CSS; name and scheme are the resolved theme's
+    const palette = { ...PALETTE_VARS, name: resolved.name, scheme: resolved.scheme };
+    return { theme, palette, preference: hydrated ? preference : "system", setPreference, palettes: PALETTES };
+  }, [hydrated, theme, resolved, preference]);
+
+  return (
+    <ThemeContext.Provider value={value}>
+      <style>{PALETTE_CSS}</style>
+      {children}
+    </ThemeContext.Provider>
+  );
+}
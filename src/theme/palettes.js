@@ -0,0 +1,134 @@
+// src/theme/palettes.js
+import { parseHex } from "../lib/color";
+
+// localStorage key for the visitor's theme choice. index.html reads the
+// same key before first paint, so keep the two in sync.
+export const THEME_STORAGE_KEY = "cheatham.theme";
+
+// Used when the visitor hasn't picked a theme and the OS is in light mode
+export const DEFAULT_THEME = "bold";
+// Used when the visitor hasn't picked a theme and the OS is in dark mode
+export const DARK_THEME = "dark";
+
+export const PALETTES = {
+  modern: {
+    name: "Modern Organic",
+    scheme: "light",
+    // Cool greige / moss baseline (no pink-ish browns)
+    pageBgFrom: "#F3F5F2",
+    pageBgTo: "#E9EFE9",
+    sectionLight: "#F6F8F5",
+    sectionMid: "#EEF2EC",
+    sectionBrown: "#E3EAE1", // cool moss-gray instead of warm brown
+    cardBg: "#FAFBF9",
+    border: "#D2DACF",
+    heading: "#1E5630", // deep forest green
+    body: "#2F2419",   // warm charcoal (legible)
+    muted: "#42503F",  // olive-gray body secondary
+    accent: "#1E5630",
+    accentHover: "#184926",
+    accentBright: "#7FA37F", // sage pop
+    danger: "#B42318"
+  },
+  rustic: {
+    name: "Rustic & Grounded",
+    scheme: "light",
+    // Earthy but cooler neutrals; no throw-up pink
+    pageBgFrom: "#F2F2EF",
+    pageBgTo: "#E6E7E2",
+    sectionLight: "#F2F2EF",
+    sectionMid: "#E8EAE5",
+    sectionBrown: "#D9DFD6", // cool sage-stone
+    cardBg: "#F5F6F3",
+    border: "#CCD3C7",
+    heading: "#2F3B2F", // dark olive
+    body: "#2F2419",
+    muted: "#465247",
+    accent: "#2F3B2F",
+    accentHover: "#243026",
+    accentBright: "#7FA37F",
+    danger: "#B42318"
+  },
+  bold: {
+    name: "Bold & Fresh",
+    scheme: "light",
+    // Forest-to-soft-green gradient base
+    pageBgFrom: "#1E5630",
+    pageBgTo: "#E9EFE9",
+    sectionLight: "#F3F7F3",
+    sectionMid: "#E2EEE4",
+    sectionBrown: "#2C2520", // your preferred sage as an alt section
+    cardBg: "#FFFFFFE6", // translucent white over soft green
+    border: "#C7E0CF",
+    heading: "#0F3A22",
+    body: "#2F2419",
+    muted: "#3E4A3E",
+    accent: "#1E5630",
+    accentHover: "#184926",
+    accentBright: "#9AD3A2", // a touch brighter than 81C784
+    danger: "#B42318"
+  },
+  dark: {
+    name: "Night Forest",
+    scheme: "dark",
+    // Near-black forest floor; text flips to pale sage
+    pageBgFrom: "#0E1511",
+    pageBgTo: "#16201A",
+    sectionLight: "#141D17",
+    sectionMid: "#1A251E",
+    sectionBrown: "#211C18", // bark brown, reads as a distinct band on dark
+    cardBg: "#1E2A22E6", // translucent moss over the page gradient
+    border: "#2F3F34",
+    heading: "#CFE8D4",
+    body: "#E3E8E1",
+    muted: "#A7B5A8",
+    accent: "#2F7A4A", // still dark enough for white button text
+    accentHover: "#286A40",
+    accentBright: "#6FB07E",
+    danger: "#F97066" // lighter red so errors stay legible on dark
+  }
+};
+
+export const THEME_KEYS = Object.keys(PALETTES);
+
+export function isThemeKey(key) {
+  return Object.prototype.hasOwnProperty.call(PALETTES, key);
+}
+
+// Everything in a palette but its name and scheme is a colour
+const COLOR_KEYS = Object.keys(PALETTES[DEFAULT_THEME]).filter((k) => k !== "name" && k !== "scheme");
+
+const varName = (key) => `--palette-${key.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`)}`;
+
+/**
+ * The palette as React renders it: every colour is a CSS variable
+ * ("var(--palette-card-bg)") that paletteCss() fills in per
+ * html[data-theme], so prerendered markup already paints in the theme the
+ * script in index.html picked. hexWithAlpha understands these too.
+ */
+export const PALETTE_VARS = Object.fromEntries(COLOR_KEYS.map((k) => [k, `var(${varName(k)})`]));
+
+/**
+ * One rule per palette: each colour as --palette-<key>, plus its channels
+ * as --palette-<key>-rgb ("30 86 48") for translucent variants. The
+ * default palette also applies before (or without) a data-theme.
+ */
+export function paletteCss() {
+  return THEME_KEYS.map((theme) => {
+    const p = PALETTES[theme];
+    const decls = COLOR_KEYS.map((k) => {
+      const c = parseHex(p[k]);
+      return `${varName(k)}:${p[k]};${varName(k)}-rgb:${c.r} ${c.g} ${c.b};`;
+    }).join("");
+    const selector = theme === DEFAULT_THEME ? `:root,html[data-theme="${theme}"]` : `html[data-theme="${theme}"]`;
+    return `${selector}{${decls}}`;
+  }).join("\n");
+}
+
+/**
+ * Resolve a stored preference ("system" or a palette key) to a palette key.
+ */
+export function resolveTheme(preference, prefersDark = false) {
+  if (isThemeKey(preference)) return preference;
+  return prefersDark ? DARK_THEME : DEFAULT_THEME;
+}
@@ -1,7 +1,13 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import content from './plugins/content.js'
+import images from './plugins/images.js'
+import articles from './plugins/articles.js'
+import prerender from './plugins/prerender.js'
+import beacon from './plugins/beacon.js'
+import serviceWorker from './plugins/serviceWorker.js'
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [content(), images(), articles(), react(), prerender(), beacon(), serviceWorker()],
 })